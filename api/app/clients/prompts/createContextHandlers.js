@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { queryVectors } = require('~/server/services/Files/VectorDB/crud');
 const { isEnabled } = require('~/server/utils');
 const { logger } = require('~/config');
 
@@ -30,20 +31,8 @@ function createContextHandlers(req, userMessageContent) {
       });
     }
 
-    return axios.post(
-      `${process.env.RAG_API_URL}/query`,
-      {
-        file_id: file.file_id,
-        query: userMessageContent,
-        k: 4,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${jwtToken}`,
-          'Content-Type': 'application/json',
-        },
-      },
-    );
+    const data = await queryVectors({ req, file_id: file.file_id, query: userMessageContent });
+    return { data };
   };
 
   const processFile = async (file) => {
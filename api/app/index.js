@@ -1,5 +1,3 @@
-import pluginServer from './pluginServer';
-app.use(pluginServer);
 const clients = require('./clients');
 
 module.exports = {
@@ -0,0 +1,73 @@
+const { getPluginSettings, getPluginSetting } = require('~/models/PluginSetting');
+const { resolveSettingsValues } = require('./settings');
+const { getRoleByName } = require('~/models/Role');
+const { getPlugins } = require('./registry');
+
+/**
+ * Whether a role enables a plugin; roles without an explicit setting use the manifest's
+ * `enabledByDefault`.
+ *
+ * @param {{ plugins?: Record<string, boolean> | Map<string, boolean> } | null} role
+ * @param {import('./registry').TPluginEntry} entry
+ * @returns {boolean}
+ */
+function isEnabledForRole(role, entry) {
+  const plugins = role?.plugins;
+  const enabled = plugins instanceof Map ? plugins.get(entry.id) : plugins?.[entry.id];
+  return enabled ?? entry.manifest.enabledByDefault !== false;
+}
+
+/**
+ * @typedef {Object} TUserPlugin
+ * @property {import('./registry').TPluginEntry} entry
+ * @property {boolean} enabled - Whether the user has the plugin turned on.
+ * @property {Record<string, unknown>} values - The resolved settings of the user.
+ */
+
+/**
+ * Lists the plugins the role of a user enables, with the user's own toggle and settings.
+ *
+ * @param {{ id: string, role?: string }} user
+ * @returns {Promise<TUserPlugin[]>}
+ */
+async function getUserPlugins(user) {
+  const role = user.role ? await getRoleByName(user.role) : null;
+  const entries = getPlugins().filter((entry) => isEnabledForRole(role, entry));
+  if (!entries.length) {
+    return [];
+  }
+
+  const stored = new Map(
+    (await getPluginSettings(user.id)).map((setting) => [setting.pluginId, setting]),
+  );
+  return entries.map((entry) => {
+    const setting = stored.get(entry.id);
+    return {
+      entry,
+      enabled: setting?.enabled !== false,
+      values: resolveSettingsValues(entry.manifest.settings ?? [], setting?.settings),
+    };
+  });
+}
+
+/**
+ * Whether a plugin is enabled for the role of a user and not turned off by the user.
+ *
+ * @param {{ id: string, role?: string }} user
+ * @param {import('./registry').TPluginEntry} entry
+ * @returns {Promise<boolean>}
+ */
+async function isPluginEnabledForUser(user, entry) {
+  const role = user.role ? await getRoleByName(user.role) : null;
+  if (!isEnabledForRole(role, entry)) {
+    return false;
+  }
+  const setting = await getPluginSetting(user.id, entry.id);
+  return setting?.enabled !== false;
+}
+
+module.exports = {
+  getUserPlugins,
+  isEnabledForRole,
+  isPluginEnabledForUser,
+};
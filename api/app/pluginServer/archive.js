@@ -0,0 +1,334 @@
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { MANIFEST_FILE, checkFile, inspectPlugin } = require('./registry');
+const { validateManifest } = require('./schema');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/** Identifies plugin archives; bumped when the archive layout changes */
+const ARCHIVE_FORMAT = 'librechat-plugin';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_EXTENSION = '.lcplugin';
+
+const MAX_FILES = 1000;
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+
+class PluginArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PluginArchiveError';
+  }
+}
+
+/**
+ * @typedef {Object} TArchiveFile
+ * @property {string} path - POSIX path relative to the plugin directory.
+ * @property {string} sha256 - Hex digest of the file content.
+ * @property {string} content - Base64 file content.
+ */
+
+/**
+ * @typedef {Object} TPluginArchive
+ * @property {string} format
+ * @property {number} formatVersion
+ * @property {import('./schema').TPluginManifest} manifest
+ * @property {TArchiveFile[]} files
+ * @property {string} checksum - SHA-256 over the manifest and the file digests.
+ * @property {{ keyId: string, value: string }} [signature] - Ed25519 signature of `checksum`.
+ */
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Fingerprint of a public key, shown to operators to identify the signer.
+ * @param {crypto.KeyObject} publicKey
+ * @returns {string}
+ */
+function getKeyId(publicKey) {
+  return sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+}
+
+/**
+ * Computes the archive checksum. File contents are covered through their digests,
+ * which are verified separately.
+ *
+ * @param {unknown} manifest - The manifest as stored in the archive.
+ * @param {Array<{ path: string, sha256: string }>} files
+ * @returns {string}
+ */
+function computeChecksum(manifest, files) {
+  const lines = files.map((file) => `${file.path}\0${file.sha256}`).sort();
+  return sha256(`${JSON.stringify(manifest)}\n${lines.join('\n')}`);
+}
+
+/**
+ * Whether an archive path stays inside the plugin directory and is not hidden.
+ * @param {unknown} filePath
+ * @returns {boolean}
+ */
+function isSafePath(filePath) {
+  if (typeof filePath !== 'string' || !filePath || filePath.includes('\\')) {
+    return false;
+  }
+  const normalized = path.posix.normalize(filePath);
+  return (
+    normalized === filePath &&
+    !path.posix.isAbsolute(normalized) &&
+    normalized.split('/').every((part) => part && part !== '..' && !part.startsWith('.'))
+  );
+}
+
+/**
+ * Lists the files of a plugin directory, skipping hidden files and `node_modules`.
+ *
+ * @param {string} dir
+ * @param {string} [prefix]
+ * @returns {Promise<string[]>} POSIX paths relative to `dir`.
+ */
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  const dirents = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  for (const dirent of dirents) {
+    if (dirent.name.startsWith('.') || dirent.name === 'node_modules') {
+      continue;
+    }
+    const relative = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) {
+      files.push(...(await listFiles(dir, relative)));
+    } else if (dirent.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Packs a plugin directory into a gzipped archive holding its manifest, its assets and
+ * a checksum, signed when a private key is given.
+ *
+ * @param {string} dir - The plugin directory.
+ * @param {Object} [options]
+ * @param {crypto.KeyObject} [options.privateKey] - Ed25519 key signing the archive.
+ * @returns {Promise<{ buffer: Buffer, manifest: import('./schema').TPluginManifest, signed: boolean }>}
+ */
+async function packPlugin(dir, { privateKey } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    throw new PluginArchiveError(`${MANIFEST_FILE} could not be read: ${error.message}`);
+  }
+
+  const result = validateManifest(raw);
+  if (!result.success) {
+    throw new PluginArchiveError(`Invalid manifest:\n  - ${result.errors.join('\n  - ')}`);
+  }
+  const manifest = result.data;
+  for (const field of ['ui', 'server']) {
+    const error = manifest[field] && (await checkFile(dir, field, manifest[field]));
+    if (error) {
+      throw new PluginArchiveError(error);
+    }
+  }
+
+  const paths = (await listFiles(dir)).filter((file) => file !== MANIFEST_FILE).sort();
+  if (paths.length > MAX_FILES) {
+    throw new PluginArchiveError(`Plugins may contain at most ${MAX_FILES} files`);
+  }
+
+  const files = [];
+  for (const filePath of paths) {
+    const content = await fs.readFile(path.join(dir, filePath));
+    files.push({ path: filePath, sha256: sha256(content), content: content.toString('base64') });
+  }
+
+  /** @type {TPluginArchive} */
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_VERSION,
+    manifest: raw,
+    files,
+    checksum: computeChecksum(raw, files),
+  };
+  if (privateKey) {
+    archive.signature = {
+      keyId: getKeyId(crypto.createPublicKey(privateKey)),
+      value: crypto.sign(null, Buffer.from(archive.checksum), privateKey).toString('base64'),
+    };
+  }
+
+  const buffer = await gzip(JSON.stringify(archive));
+  if (buffer.length > MAX_ARCHIVE_BYTES) {
+    throw new PluginArchiveError(`Archives may be at most ${MAX_ARCHIVE_BYTES} bytes`);
+  }
+  return { buffer, manifest, signed: !!archive.signature };
+}
+
+/**
+ * Reads a plugin archive and verifies its file digests, checksum and signature.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {crypto.KeyObject[]} [options.publicKeys] - Keys trusted to sign archives.
+ * @param {boolean} [options.allowUnsigned=false] - Accept archives without a trusted signature.
+ * @returns {Promise<{ manifest: import('./schema').TPluginManifest, raw: unknown, files: TArchiveFile[], keyId?: string }>}
+ */
+async function readPluginArchive(buffer, { publicKeys = [], allowUnsigned = false } = {}) {
+  if (buffer.length > MAX_ARCHIVE_BYTES) {
+    throw new PluginArchiveError(`Archives may be at most ${MAX_ARCHIVE_BYTES} bytes`);
+  }
+
+  /** @type {TPluginArchive} */
+  let archive;
+  try {
+    archive = JSON.parse(
+      (await gunzip(buffer, { maxOutputLength: 4 * MAX_ARCHIVE_BYTES })).toString(),
+    );
+  } catch {
+    throw new PluginArchiveError('Not a plugin archive');
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.files)) {
+    throw new PluginArchiveError('Not a plugin archive');
+  }
+  if (archive.formatVersion !== ARCHIVE_VERSION) {
+    throw new PluginArchiveError(`Unsupported archive version "${archive.formatVersion}"`);
+  }
+  if (archive.files.length > MAX_FILES) {
+    throw new PluginArchiveError(`Plugins may contain at most ${MAX_FILES} files`);
+  }
+
+  const seen = new Set();
+  for (const file of archive.files) {
+    if (!isSafePath(file?.path) || seen.has(file.path) || file.path === MANIFEST_FILE) {
+      throw new PluginArchiveError(`Invalid file path "${file?.path}"`);
+    }
+    seen.add(file.path);
+    if (
+      typeof file.content !== 'string' ||
+      sha256(Buffer.from(file.content, 'base64')) !== file.sha256
+    ) {
+      throw new PluginArchiveError(`Checksum mismatch for "${file.path}"`);
+    }
+  }
+  if (computeChecksum(archive.manifest, archive.files) !== archive.checksum) {
+    throw new PluginArchiveError('Archive checksum mismatch');
+  }
+
+  let keyId;
+  if (archive.signature) {
+    const signature = Buffer.from(String(archive.signature.value), 'base64');
+    const signer = publicKeys.find((publicKey) =>
+      crypto.verify(null, Buffer.from(archive.checksum), publicKey, signature),
+    );
+    if (signer) {
+      keyId = getKeyId(signer);
+    } else if (!allowUnsigned) {
+      throw new PluginArchiveError(
+        `Archive is signed by an untrusted key (${archive.signature.keyId}) or was tampered with`,
+      );
+    }
+  }
+  if (!keyId && !allowUnsigned) {
+    throw new PluginArchiveError('Archive is not signed by a trusted key');
+  }
+
+  const result = validateManifest(archive.manifest);
+  if (!result.success) {
+    throw new PluginArchiveError(`Invalid manifest:\n  - ${result.errors.join('\n  - ')}`);
+  }
+  return { manifest: result.data, raw: archive.manifest, files: archive.files, keyId };
+}
+
+/**
+ * Verifies a plugin archive and unpacks it into `<pluginsDir>/<id>`. Refuses plugins
+ * incompatible with the running LibreChat version and ids that are already installed.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {string} options.pluginsDir
+ * @param {string} options.version - The LibreChat version to check `engines` against.
+ * @param {crypto.KeyObject[]} [options.publicKeys]
+ * @param {boolean} [options.allowUnsigned]
+ * @returns {Promise<{ manifest: import('./schema').TPluginManifest, dir: string, keyId?: string }>}
+ */
+async function installPluginArchive(buffer, { pluginsDir, version, ...verifyOptions }) {
+  const { manifest, raw, files, keyId } = await readPluginArchive(buffer, verifyOptions);
+
+  const range = manifest.engines.librechat;
+  if (range && !semver.satisfies(version, range, { includePrerelease: true })) {
+    throw new PluginArchiveError(
+      `Plugin "${manifest.id}" requires LibreChat "${range}", but this is LibreChat ${version}`,
+    );
+  }
+
+  const dir = path.join(pluginsDir, manifest.id);
+  if (await exists(dir)) {
+    throw new PluginArchiveError(
+      `A plugin with the id "${manifest.id}" is already installed; remove it first`,
+    );
+  }
+
+  /** Unpacked next to the target, hidden from the plugin server until complete */
+  await fs.mkdir(pluginsDir, { recursive: true });
+  const staging = await fs.mkdtemp(path.join(pluginsDir, '.install-'));
+  try {
+    const stagedDir = path.join(staging, manifest.id);
+    await fs.mkdir(stagedDir);
+    await fs.writeFile(path.join(stagedDir, MANIFEST_FILE), `${JSON.stringify(raw, null, 2)}\n`);
+    for (const file of files) {
+      const target = path.join(stagedDir, ...file.path.split('/'));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, Buffer.from(file.content, 'base64'));
+    }
+
+    const { errors } = await inspectPlugin(stagedDir, version);
+    if (errors) {
+      throw new PluginArchiveError(`Invalid plugin:\n  - ${errors.join('\n  - ')}`);
+    }
+    await fs.rename(stagedDir, dir);
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true });
+  }
+
+  return { manifest, dir, keyId };
+}
+
+/**
+ * Deletes an installed plugin directory.
+ *
+ * @param {string} pluginsDir
+ * @param {string} id
+ * @returns {Promise<string>} The removed directory.
+ */
+async function removePlugin(pluginsDir, id) {
+  const dir = path.join(pluginsDir, id);
+  if (!isSafePath(id) || id.includes('/') || !(await exists(dir))) {
+    throw new PluginArchiveError(`Plugin "${id}" is not installed`);
+  }
+  await fs.rm(dir, { recursive: true });
+  return dir;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  ARCHIVE_EXTENSION,
+  PluginArchiveError,
+  packPlugin,
+  readPluginArchive,
+  installPluginArchive,
+  removePlugin,
+  getKeyId,
+};
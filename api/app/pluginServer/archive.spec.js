@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  PluginArchiveError,
+  packPlugin,
+  readPluginArchive,
+  installPluginArchive,
+  removePlugin,
+} = require('./archive');
+
+const manifest = (overrides = {}) => ({
+  id: 'packed-plugin',
+  title: 'Packed Plugin',
+  version: '1.2.0',
+  ui: 'ui.js',
+  engines: { librechat: '>=0.7.0' },
+  ...overrides,
+});
+
+function writePlugin(dir, content = manifest()) {
+  fs.mkdirSync(path.join(dir, 'assets'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'node_modules'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(content));
+  fs.writeFileSync(path.join(dir, 'ui.js'), 'export default () => {};');
+  fs.writeFileSync(path.join(dir, 'assets', 'icon.svg'), '<svg />');
+  fs.writeFileSync(path.join(dir, '.env'), 'SECRET=1');
+  fs.writeFileSync(path.join(dir, 'node_modules', 'dep.js'), '');
+}
+
+/** Rewrites the archive JSON, to simulate tampering */
+function tamper(buffer, fn) {
+  const archive = JSON.parse(zlib.gunzipSync(buffer).toString());
+  fn(archive);
+  return zlib.gzipSync(JSON.stringify(archive));
+}
+
+describe('plugin archives', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  let root;
+  let sourceDir;
+  let pluginsDir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-archive-'));
+    sourceDir = path.join(root, 'source');
+    pluginsDir = path.join(root, 'plugins');
+    writePlugin(sourceDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('packs the manifest and assets, skipping hidden files and node_modules', async () => {
+    const { buffer, signed } = await packPlugin(sourceDir, { privateKey });
+    expect(signed).toBe(true);
+
+    const read = await readPluginArchive(buffer, { publicKeys: [publicKey] });
+    expect(read.manifest.id).toBe('packed-plugin');
+    expect(read.files.map((file) => file.path)).toEqual(['assets/icon.svg', 'ui.js']);
+    expect(read.keyId).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('refuses to pack an invalid plugin', async () => {
+    fs.rmSync(path.join(sourceDir, 'ui.js'));
+    await expect(packPlugin(sourceDir)).rejects.toThrow('ui: "ui.js" does not exist');
+  });
+
+  it('installs a signed archive into the plugins directory', async () => {
+    const { buffer } = await packPlugin(sourceDir, { privateKey });
+    const { dir } = await installPluginArchive(buffer, {
+      pluginsDir,
+      version: '0.7.8',
+      publicKeys: [publicKey],
+    });
+
+    expect(dir).toBe(path.join(pluginsDir, 'packed-plugin'));
+    expect(fs.readFileSync(path.join(dir, 'assets', 'icon.svg'), 'utf8')).toBe('<svg />');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'))).toEqual(
+      manifest(),
+    );
+    expect(fs.readdirSync(pluginsDir)).toEqual(['packed-plugin']);
+  });
+
+  it('requires a trusted signature unless unsigned archives are allowed', async () => {
+    const { buffer: unsigned } = await packPlugin(sourceDir);
+    await expect(readPluginArchive(unsigned, { publicKeys: [publicKey] })).rejects.toThrow(
+      'not signed by a trusted key',
+    );
+    await expect(readPluginArchive(unsigned, { allowUnsigned: true })).resolves.toBeDefined();
+
+    const other = crypto.generateKeyPairSync('ed25519');
+    const { buffer: signed } = await packPlugin(sourceDir, { privateKey: other.privateKey });
+    await expect(readPluginArchive(signed, { publicKeys: [publicKey] })).rejects.toThrow(
+      'untrusted key',
+    );
+  });
+
+  it('rejects tampered archives', async () => {
+    const { buffer } = await packPlugin(sourceDir, { privateKey });
+    const options = { publicKeys: [publicKey] };
+
+    const content = tamper(buffer, (archive) => {
+      archive.files[1].content = Buffer.from('alert(1)').toString('base64');
+    });
+    await expect(readPluginArchive(content, options)).rejects.toThrow(
+      'Checksum mismatch for "ui.js"',
+    );
+
+    const rehashed = tamper(buffer, (archive) => {
+      const file = archive.files[1];
+      file.content = Buffer.from('alert(1)').toString('base64');
+      file.sha256 = crypto.createHash('sha256').update('alert(1)').digest('hex');
+    });
+    await expect(readPluginArchive(rehashed, options)).rejects.toThrow('Archive checksum mismatch');
+
+    await expect(readPluginArchive(Buffer.from('nope'), options)).rejects.toThrow(
+      'Not a plugin archive',
+    );
+  });
+
+  it('rejects paths escaping the plugin directory', async () => {
+    const { buffer } = await packPlugin(sourceDir);
+    const escaping = tamper(buffer, (archive) => {
+      archive.files[0].path = '../escape.js';
+    });
+    await expect(readPluginArchive(escaping, { allowUnsigned: true })).rejects.toThrow(
+      'Invalid file path "../escape.js"',
+    );
+  });
+
+  it('checks engines compatibility before installing', async () => {
+    writePlugin(sourceDir, manifest({ engines: { librechat: '>=99.0.0' } }));
+    const { buffer } = await packPlugin(sourceDir);
+    await expect(
+      installPluginArchive(buffer, { pluginsDir, version: '0.7.8', allowUnsigned: true }),
+    ).rejects.toThrow('requires LibreChat ">=99.0.0", but this is LibreChat 0.7.8');
+    expect(fs.existsSync(pluginsDir)).toBe(false);
+  });
+
+  it('refuses id collisions with installed plugins', async () => {
+    const { buffer } = await packPlugin(sourceDir);
+    const options = { pluginsDir, version: '0.7.8', allowUnsigned: true };
+    await installPluginArchive(buffer, options);
+
+    await expect(installPluginArchive(buffer, options)).rejects.toThrow(PluginArchiveError);
+    await expect(installPluginArchive(buffer, options)).rejects.toThrow(
+      'A plugin with the id "packed-plugin" is already installed',
+    );
+  });
+
+  it('removes installed plugins', async () => {
+    const { buffer } = await packPlugin(sourceDir);
+    await installPluginArchive(buffer, { pluginsDir, version: '0.7.8', allowUnsigned: true });
+
+    await removePlugin(pluginsDir, 'packed-plugin');
+    expect(fs.readdirSync(pluginsDir)).toEqual([]);
+    await expect(removePlugin(pluginsDir, 'packed-plugin')).rejects.toThrow('is not installed');
+    await expect(removePlugin(pluginsDir, '..')).rejects.toThrow('is not installed');
+  });
+});
@@ -0,0 +1,182 @@
+const path = require('path');
+const express = require('express');
+const { extractEnvVariable } = require('librechat-data-provider');
+const { subscribe, unsubscribeAll, PluginHooks } = require('./hooks');
+const { logger } = require('~/config');
+
+const routeMethods = ['get', 'post', 'put', 'patch', 'delete'];
+
+/** @type {Map<string, { router: import('express').Router }>} */
+const backends = new Map();
+
+/**
+ * Resolves `${ENV_VAR}` references in every string of a plugin config section,
+ * so secrets can stay in the environment.
+ *
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function resolveConfig(value) {
+  if (typeof value === 'string') {
+    return extractEnvVariable(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveConfig);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveConfig(v)]));
+  }
+  return value;
+}
+
+/**
+ * Wraps a route handler so a thrown or rejected error responds with 500
+ * instead of reaching the app's error handling.
+ *
+ * @param {string} pluginId
+ * @param {Function} handler
+ * @returns {Function}
+ */
+function guardHandler(pluginId, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error('Route handlers must be functions');
+  }
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      logger.error(
+        `[pluginServer] Plugin "${pluginId}" route ${req.method} ${req.path} failed`,
+        error,
+      );
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Plugin error' });
+      }
+    }
+  };
+}
+
+/**
+ * Creates the restricted API handed to a plugin's `server` entry.
+ *
+ * @param {import('./registry').TPluginEntry} entry
+ * @param {import('express').Router} router - The plugin's router, mounted at `/api/plugins/:id`.
+ * @param {Record<string, unknown>} [config] - The plugin's config section.
+ */
+function createRegistrationApi(entry, router, config = {}) {
+  const { id } = entry;
+  const routes = Object.fromEntries(
+    routeMethods.map((method) => [
+      method,
+      (routePath, ...handlers) => {
+        if (typeof routePath !== 'string' || !routePath.startsWith('/')) {
+          throw new Error(`Route paths must be strings starting with "/", got "${routePath}"`);
+        }
+        router[method](routePath, ...handlers.map((handler) => guardHandler(id, handler)));
+      },
+    ]),
+  );
+
+  return Object.freeze({
+    id,
+    manifest: Object.freeze({ ...entry.manifest }),
+    routes: Object.freeze(routes),
+    hooks: Object.freeze({
+      events: PluginHooks,
+      on: (event, handler) => subscribe(id, event, handler),
+    }),
+    config: Object.freeze(resolveConfig(config)),
+    logger: Object.freeze({
+      debug: (message, ...args) => logger.debug(`[plugin:${id}] ${message}`, ...args),
+      info: (message, ...args) => logger.info(`[plugin:${id}] ${message}`, ...args),
+      warn: (message, ...args) => logger.warn(`[plugin:${id}] ${message}`, ...args),
+      error: (message, ...args) => logger.error(`[plugin:${id}] ${message}`, ...args),
+    }),
+  });
+}
+
+/**
+ * Loads a plugin's `server` entry and lets it register its routes and hooks.
+ * The entry must export a `register(api)` function, either as `module.exports` or `register`.
+ *
+ * @param {import('./registry').TPluginEntry} entry
+ * @param {Record<string, unknown>} [config] - The plugin's config section.
+ * @returns {Promise<void>}
+ */
+async function loadPluginBackend(entry, config) {
+  const { id, dir, manifest } = entry;
+  unloadPluginBackend(id);
+
+  /** Drops modules from a previous load, so a reload picks up changed code */
+  for (const file of Object.keys(require.cache)) {
+    if (file.startsWith(dir + path.sep)) {
+      delete require.cache[file];
+    }
+  }
+
+  const mod = require(path.join(dir, manifest.server));
+  const register = typeof mod === 'function' ? mod : mod?.register;
+  if (typeof register !== 'function') {
+    throw new Error('server: entry must export a register(api) function');
+  }
+
+  const router = express.Router();
+  try {
+    await register(createRegistrationApi(entry, router, config));
+  } catch (error) {
+    unsubscribeAll(id);
+    throw error;
+  }
+  backends.set(id, { router });
+}
+
+/**
+ * Loads the `server` entries of all plugins declaring one, replacing any loaded before.
+ *
+ * @param {import('./registry').TPluginEntry[]} plugins
+ * @param {Record<string, Record<string, unknown>>} [configs] - Config sections keyed by plugin id.
+ * @returns {Promise<Array<{ id: string, errors: string[] }>>} The plugins whose backend failed to load.
+ */
+async function loadPluginBackends(plugins, configs = {}) {
+  for (const id of backends.keys()) {
+    unloadPluginBackend(id);
+  }
+
+  const failed = [];
+  for (const entry of plugins) {
+    if (!entry.manifest.server) {
+      continue;
+    }
+    try {
+      await loadPluginBackend(entry, configs[entry.id]);
+      logger.info(`[pluginServer] Loaded server entry of plugin "${entry.id}"`);
+    } catch (error) {
+      failed.push({ id: entry.id, errors: [`server: failed to load: ${error.message}`] });
+    }
+  }
+  return failed;
+}
+
+/**
+ * Removes a plugin's routes and hook subscriptions.
+ * @param {string} id
+ */
+function unloadPluginBackend(id) {
+  backends.delete(id);
+  unsubscribeAll(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {{ router: import('express').Router } | undefined}
+ */
+function getPluginBackend(id) {
+  return backends.get(id);
+}
+
+module.exports = {
+  loadPluginBackend,
+  loadPluginBackends,
+  unloadPluginBackend,
+  getPluginBackend,
+};
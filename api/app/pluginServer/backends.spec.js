@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { loadPluginBackends, unloadPluginBackend } = require('./backends');
+const { emitPluginHook, PluginHooks } = require('./hooks');
+const { createPluginRouter } = require('./router');
+const { getPlugin } = require('./registry');
+
+jest.mock('./registry', () => ({
+  getPlugin: jest.fn(),
+  getPlugins: jest.fn(() => []),
+  getQuarantinedPlugins: jest.fn(() => []),
+}));
+
+jest.mock('./access', () => ({
+  isPluginEnabledForUser: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).send('Unauthorized');
+    }
+    req.user = { id: 'user-1' };
+    next();
+  },
+  checkAdmin: (req, res, next) => next(),
+  setHeaders: (req, res, next) => next(),
+}));
+
+const config = {
+  pluginServer: { staticPrefix: '/plugins' },
+  api: { manifestRoute: '/api/plugins/manifest', configRoute: '/api/plugins/config' },
+};
+
+describe('plugin backends', () => {
+  let pluginsDir;
+  let app;
+
+  const writeBackend = (id, source, server = 'server/index.js') => {
+    const dir = path.join(pluginsDir, id);
+    fs.mkdirSync(path.dirname(path.join(dir, server)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'ui.js'), '');
+    fs.writeFileSync(path.join(dir, server), source);
+    const entry = { id, dir, manifest: { id, ui: 'ui.js', server } };
+    getPlugin.mockImplementation((pluginId) => (pluginId === id ? entry : undefined));
+    return entry;
+  };
+
+  beforeEach(() => {
+    pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-backends-'));
+    app = express();
+    app.use(createPluginRouter(config));
+    app.use((req, res) => res.status(404).json({ message: 'fallthrough' }));
+  });
+
+  afterEach(() => {
+    unloadPluginBackend('backend');
+    fs.rmSync(pluginsDir, { recursive: true, force: true });
+    delete process.env.PLUGIN_TEST_SECRET;
+  });
+
+  it('mounts plugin routes behind authentication with the plugin config', async () => {
+    process.env.PLUGIN_TEST_SECRET = 's3cret';
+    const entry = writeBackend(
+      'backend',
+      `module.exports = ({ routes, config }) => {
+        routes.get('/whoami', (req, res) => res.json({ user: req.user.id, secret: config.secret }));
+      };`,
+    );
+
+    const failed = await loadPluginBackends([entry], {
+      backend: { secret: '${PLUGIN_TEST_SECRET}' },
+    });
+    expect(failed).toEqual([]);
+
+    await request(app).get('/api/plugins/backend/whoami').expect(401);
+    const res = await request(app)
+      .get('/api/plugins/backend/whoami')
+      .set('Authorization', 'Bearer token')
+      .expect(200);
+    expect(res.body).toEqual({ user: 'user-1', secret: 's3cret' });
+  });
+
+  it('responds with 500 when a plugin route throws', async () => {
+    const entry = writeBackend(
+      'backend',
+      `exports.register = ({ routes }) => {
+        routes.post('/fail', async () => { throw new Error('boom'); });
+      };`,
+    );
+    await loadPluginBackends([entry]);
+
+    const res = await request(app)
+      .post('/api/plugins/backend/fail')
+      .set('Authorization', 'Bearer token')
+      .expect(500);
+    expect(res.body).toEqual({ message: 'Plugin error' });
+  });
+
+  it('notifies hook subscribers and isolates their failures', async () => {
+    const entry = writeBackend(
+      'backend',
+      `module.exports = ({ hooks }) => {
+        hooks.on(hooks.events.MESSAGE_SAVED, () => { throw new Error('hook failed'); });
+        hooks.on(hooks.events.MESSAGE_SAVED, (payload) => { global.__pluginHookPayload = payload; });
+      };`,
+    );
+    await loadPluginBackends([entry]);
+
+    const payload = { user: 'user-1', message: { messageId: 'm1' } };
+    await expect(emitPluginHook(PluginHooks.MESSAGE_SAVED, payload)).resolves.toBeUndefined();
+    expect(global.__pluginHookPayload).toEqual(payload);
+
+    unloadPluginBackend('backend');
+    delete global.__pluginHookPayload;
+    await emitPluginHook(PluginHooks.MESSAGE_SAVED, payload);
+    expect(global.__pluginHookPayload).toBeUndefined();
+  });
+
+  it('reports server entries that fail to register', async () => {
+    const entry = writeBackend(
+      'backend',
+      'module.exports = ({ hooks }) => { hooks.on("conversation:exploded", () => {}); };',
+    );
+
+    const failed = await loadPluginBackends([entry]);
+    expect(failed).toEqual([
+      {
+        id: 'backend',
+        errors: ['server: failed to load: Unknown plugin hook "conversation:exploded"'],
+      },
+    ]);
+    await request(app)
+      .get('/api/plugins/backend/anything')
+      .set('Authorization', 'Bearer token')
+      .expect(404, { message: 'fallthrough' });
+  });
+
+  it('never serves the directory of the server entry as static assets', async () => {
+    const entry = writeBackend('backend', 'module.exports = () => {};');
+    fs.writeFileSync(path.join(entry.dir, 'server', 'db.js'), '');
+
+    await request(app).get('/plugins/backend/ui.js').expect(200);
+    const direct = await request(app).get('/plugins/backend/server/index.js');
+    const helper = await request(app).get('/plugins/backend/server/db.js');
+    const encoded = await request(app).get('/plugins/backend/%73erver/index.js');
+    const traversal = await request(app).get('/plugins/backend/other/..%2Fserver/db.js');
+    expect([direct.status, helper.status, encoded.status, traversal.status]).toEqual([
+      404, 404, 404, 404,
+    ]);
+  });
+
+  it('rejects malformed asset paths', async () => {
+    writeBackend('backend', 'module.exports = () => {};');
+
+    const res = await request(app).get('/plugins/backend/%E0%A4%A');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ message: 'Invalid path' });
+  });
+});
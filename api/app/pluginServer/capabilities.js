@@ -0,0 +1,33 @@
+/**
+ * Capabilities a plugin manifest may declare in `permissions`.
+ * - `tools:<toolId>` / `tools:*`: invoke a tool through `toolApi.invoke`
+ * - `rag:query` / `rag:ingest` / `rag:*`: query or ingest conversation files through `ragApi`
+ * - `user:read`: read the current user's id and name through `libreChat.getUser`
+ */
+const capabilityPatterns = [/^tools:(\*|[\w.-]+)$/, /^rag:(query|ingest|\*)$/, /^user:read$/];
+
+/**
+ * @param {string} capability
+ * @returns {boolean}
+ */
+function isKnownCapability(capability) {
+  return capabilityPatterns.some((pattern) => pattern.test(capability));
+}
+
+/**
+ * Checks whether a set of granted capabilities covers the required one,
+ * honoring `<scope>:*` wildcards.
+ *
+ * @param {string[]} granted - The capabilities declared by the plugin.
+ * @param {string} required - The capability needed for the call, e.g. `tools:echo-tool`.
+ * @returns {boolean}
+ */
+function hasCapability(granted = [], required) {
+  const [scope] = required.split(':');
+  return granted.includes(required) || granted.includes(`${scope}:*`);
+}
+
+module.exports = {
+  hasCapability,
+  isKnownCapability,
+};
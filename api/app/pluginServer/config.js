@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+const projectRoot = path.resolve(__dirname, '..', '..', '..');
+const defaultConfigPath = path.resolve(projectRoot, 'config', 'config.json');
+
+/**
+ * @typedef {Object} PluginServerConfig
+ * @property {Object} pluginServer
+ * @property {string} pluginServer.staticPrefix - URL prefix that plugin assets are served under.
+ * @property {string} pluginServer.pluginsDir - Absolute path of the directory scanned for plugins.
+ * @property {boolean} pluginServer.watch - Whether to reload plugins when their files change.
+ * @property {Object} api
+ * @property {string} api.manifestRoute - Route serving the validated plugin manifests.
+ * @property {string} api.configRoute - Route serving this configuration to the client runtime.
+ * @property {Record<string, Record<string, unknown>>} plugins - Server-side config sections keyed by plugin id.
+ */
+
+/**
+ * Loads the plugin server configuration from `config/config.json`,
+ * applying environment variable overrides.
+ *
+ * @param {string} [configPath] - Optional path to the JSON config file.
+ * @returns {PluginServerConfig} The resolved plugin server configuration.
+ */
+function loadPluginServerConfig(configPath = defaultConfigPath) {
+  const cfg = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const {
+    PLUGIN_SERVER_DIR,
+    PLUGIN_SERVER_STATIC_PREFIX,
+    PLUGIN_MANIFEST_ROUTE,
+    PLUGIN_CONFIG_ROUTE,
+    PLUGIN_SERVER_WATCH,
+  } = process.env;
+
+  return {
+    pluginServer: {
+      staticPrefix: PLUGIN_SERVER_STATIC_PREFIX || cfg.pluginServer.staticPrefix,
+      pluginsDir: PLUGIN_SERVER_DIR
+        ? path.resolve(PLUGIN_SERVER_DIR)
+        : path.resolve(projectRoot, cfg.pluginServer.pluginsDir),
+      watch: PLUGIN_SERVER_WATCH
+        ? PLUGIN_SERVER_WATCH.toLowerCase() === 'true'
+        : (cfg.pluginServer.watch ?? process.env.NODE_ENV !== 'production'),
+    },
+    api: {
+      manifestRoute: PLUGIN_MANIFEST_ROUTE || cfg.api.manifestRoute,
+      configRoute: PLUGIN_CONFIG_ROUTE || cfg.api.configRoute,
+    },
+    plugins: cfg.plugins ?? {},
+  };
+}
+
+/**
+ * Reads the LibreChat version from the root `package.json`, without the `v` prefix.
+ * @returns {string}
+ */
+function getLibreChatVersion() {
+  const { version } = require(path.resolve(projectRoot, 'package.json'));
+  return version.replace(/^v/, '');
+}
+
+module.exports = {
+  projectRoot,
+  getLibreChatVersion,
+  loadPluginServerConfig,
+};
@@ -0,0 +1,45 @@
+/** Interval of the comment lines keeping idle event streams open through proxies */
+const HEARTBEAT_INTERVAL = 30_000;
+
+/** @type {Set<import('express').Response>} */
+const clients = new Set();
+
+/**
+ * Writes a server-sent event to a single stream.
+ * @param {import('express').Response} res
+ * @param {string} event
+ * @param {unknown} data
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Keeps an event stream open until the client disconnects. Headers must already be sent.
+ * @param {import('express').Response} res
+ */
+function addClient(res) {
+  clients.add(res);
+  const heartbeat = setInterval(() => res.write(':\n\n'), HEARTBEAT_INTERVAL);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+/**
+ * Sends an event to every connected stream.
+ * @param {string} event
+ * @param {unknown} data
+ */
+function broadcast(event, data) {
+  for (const res of clients) {
+    sendEvent(res, event, data);
+  }
+}
+
+module.exports = {
+  addClient,
+  broadcast,
+  sendEvent,
+};
@@ -0,0 +1,90 @@
+const { logger } = require('~/config');
+
+/** Message lifecycle events plugin backends can subscribe to. */
+const PluginHooks = Object.freeze({
+  /** `{ user: string, message: TMessage }`, after a message is created or upserted */
+  MESSAGE_SAVED: 'message:saved',
+  /** `{ user: string, message: Partial<TMessage> }`, after a message is edited */
+  MESSAGE_UPDATED: 'message:updated',
+  /** `{ filter: object, deletedCount: number }`, after messages are deleted */
+  MESSAGES_DELETED: 'messages:deleted',
+});
+
+const knownHooks = new Set(Object.values(PluginHooks));
+
+/** @type {Map<string, Map<string, Function[]>>} event -> pluginId -> handlers */
+const subscribers = new Map();
+
+/**
+ * Subscribes a plugin's handler to a lifecycle event.
+ *
+ * @param {string} pluginId
+ * @param {string} event - One of {@link PluginHooks}.
+ * @param {(payload: object) => void | Promise<void>} handler
+ * @returns {() => void} Unsubscribes the handler.
+ */
+function subscribe(pluginId, event, handler) {
+  if (!knownHooks.has(event)) {
+    throw new Error(`Unknown plugin hook "${event}"`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for plugin hook "${event}" must be a function`);
+  }
+
+  if (!subscribers.has(event)) {
+    subscribers.set(event, new Map());
+  }
+  const byPlugin = subscribers.get(event);
+  byPlugin.set(pluginId, [...(byPlugin.get(pluginId) ?? []), handler]);
+
+  return () => {
+    const handlers = byPlugin.get(pluginId)?.filter((h) => h !== handler) ?? [];
+    handlers.length ? byPlugin.set(pluginId, handlers) : byPlugin.delete(pluginId);
+  };
+}
+
+/**
+ * Removes every subscription of a plugin.
+ * @param {string} pluginId
+ */
+function unsubscribeAll(pluginId) {
+  for (const byPlugin of subscribers.values()) {
+    byPlugin.delete(pluginId);
+  }
+}
+
+/**
+ * Notifies the subscribers of an event. Handlers run asynchronously and their
+ * failures are logged, so a plugin can never break the operation that emitted the event.
+ *
+ * @param {string} event - One of {@link PluginHooks}.
+ * @param {object} payload
+ * @returns {Promise<void>} Resolves once every handler has settled.
+ */
+async function emitPluginHook(event, payload) {
+  const byPlugin = subscribers.get(event);
+  if (!byPlugin?.size) {
+    return;
+  }
+
+  const runs = [];
+  for (const [pluginId, handlers] of byPlugin) {
+    for (const handler of handlers) {
+      runs.push(
+        Promise.resolve()
+          .then(() => handler(payload))
+          .catch((error) =>
+            logger.error(`[pluginServer] Plugin "${pluginId}" ${event} hook failed`, error),
+          ),
+      );
+    }
+  }
+  await Promise.all(runs);
+}
+
+module.exports = {
+  PluginHooks,
+  subscribe,
+  unsubscribeAll,
+  emitPluginHook,
+};
@@ -0,0 +1,75 @@
+const { PLUGIN_TOKEN_HEADER, requirePluginCapability } = require('./middleware');
+const { hasCapability, isKnownCapability } = require('./capabilities');
+const { loadPluginBackends, getPluginBackend } = require('./backends');
+const { emitPluginHook, PluginHooks } = require('./hooks');
+const { createPluginRouter, getClientManifests } = require('./router');
+const { loadPluginServerConfig } = require('./config');
+const { issuePluginToken } = require('./tokens');
+const { watchPlugins } = require('./watcher');
+const { broadcast } = require('./events');
+const registry = require('./registry');
+
+const pluginServerConfig = loadPluginServerConfig();
+const pluginServer = createPluginRouter(pluginServerConfig);
+
+/** @type {(() => void) | undefined} */
+let stopWatching;
+
+/**
+ * Discovers and validates the plugins in the configured plugins directory,
+ * then loads their server entries. Plugins whose server entry fails to load are quarantined.
+ * @returns {ReturnType<typeof registry.loadPlugins>}
+ */
+async function loadAllPlugins() {
+  const { plugins } = await registry.loadPlugins({
+    pluginsDir: pluginServerConfig.pluginServer.pluginsDir,
+  });
+  const failed = await loadPluginBackends(plugins, pluginServerConfig.plugins);
+  for (const { id, errors } of failed) {
+    registry.quarantinePlugin(id, errors);
+  }
+  return { plugins: registry.getPlugins(), quarantined: registry.getQuarantinedPlugins() };
+}
+
+/**
+ * Reloads every plugin and pushes the new manifest list to connected clients.
+ * @returns {ReturnType<typeof loadAllPlugins>}
+ */
+async function reloadPlugins() {
+  const result = await loadAllPlugins();
+  broadcast('manifest', getClientManifests(pluginServerConfig.pluginServer.staticPrefix));
+  return result;
+}
+
+/**
+ * Loads the plugins and, when `pluginServer.watch` is enabled, reloads them on file changes.
+ * @returns {ReturnType<typeof loadAllPlugins>}
+ */
+async function initializePlugins() {
+  const result = await loadAllPlugins();
+  const { pluginsDir, watch } = pluginServerConfig.pluginServer;
+  if (watch && !stopWatching) {
+    stopWatching = watchPlugins(pluginsDir, async () => {
+      await reloadPlugins();
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  pluginServer,
+  pluginServerConfig,
+  initializePlugins,
+  reloadPlugins,
+  hasCapability,
+  isKnownCapability,
+  PLUGIN_TOKEN_HEADER,
+  requirePluginCapability,
+  issuePluginToken,
+  emitPluginHook,
+  PluginHooks,
+  getPluginBackend,
+  getPlugin: registry.getPlugin,
+  getPlugins: registry.getPlugins,
+  getQuarantinedPlugins: registry.getQuarantinedPlugins,
+};
@@ -0,0 +1,65 @@
+const { isPluginEnabledForUser } = require('./access');
+const { hasCapability } = require('./capabilities');
+const { verifyPluginToken } = require('./tokens');
+const { getPlugin } = require('./registry');
+const { logger } = require('~/config');
+
+/** Header carrying the token issued to the plugin a proxied call is made on behalf of. */
+const PLUGIN_TOKEN_HEADER = 'x-librechat-plugin-token';
+
+/**
+ * Creates middleware that re-checks, on the server, that the plugin identified by the token
+ * in the `X-LibreChat-Plugin-Token` header declared the capability needed for the proxied
+ * call, and that the plugin is enabled for the user. The token must have been issued to the
+ * requesting user by `issuePluginToken`. Must be placed after `requireJwtAuth`.
+ *
+ * Sets `req.plugin` to the plugin's registry entry when the check passes.
+ *
+ * @param {string | ((req: ServerRequest) => string)} capability - The required capability,
+ * or a function deriving it from the request.
+ * @returns {(req: ServerRequest, res: ServerResponse, next: NextFunction) => Promise<void>}
+ */
+function requirePluginCapability(capability) {
+  return async (req, res, next) => {
+    const token = req.get(PLUGIN_TOKEN_HEADER);
+    if (!token) {
+      return res.status(401).json({ message: 'Missing plugin token' });
+    }
+
+    const pluginId = verifyPluginToken(token, req.user.id);
+    if (!pluginId) {
+      return res.status(401).json({ message: 'Invalid plugin token' });
+    }
+
+    const plugin = getPlugin(pluginId);
+    if (!plugin) {
+      return res.status(404).json({ message: 'Plugin not found' });
+    }
+
+    const required = typeof capability === 'function' ? capability(req) : capability;
+    if (!hasCapability(plugin.manifest.permissions, required)) {
+      logger.warn(
+        `[pluginServer] Plugin "${pluginId}" attempted "${required}" for User ${req.user?.id} without declaring it`,
+      );
+      return res
+        .status(403)
+        .json({ message: `Plugin "${pluginId}" did not declare the "${required}" capability` });
+    }
+
+    try {
+      if (!(await isPluginEnabledForUser(req.user, plugin))) {
+        return res.status(403).json({ message: `Plugin "${pluginId}" is not enabled` });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    req.plugin = plugin;
+    next();
+  };
+}
+
+module.exports = {
+  PLUGIN_TOKEN_HEADER,
+  requirePluginCapability,
+};
@@ -0,0 +1,128 @@
+const jwt = require('jsonwebtoken');
+const { requirePluginCapability, PLUGIN_TOKEN_HEADER } = require('./middleware');
+const { isPluginEnabledForUser } = require('./access');
+const { issuePluginToken } = require('./tokens');
+const { getPlugin } = require('./registry');
+
+jest.mock('./registry', () => ({
+  getPlugin: jest.fn(),
+}));
+jest.mock('./access', () => ({
+  isPluginEnabledForUser: jest.fn(),
+}));
+
+const createReq = (token, params = {}) => ({
+  params,
+  user: { id: 'user-1' },
+  get: (header) => (header === PLUGIN_TOKEN_HEADER ? token : undefined),
+});
+
+/** A request with a token issued to the user for `pluginId` */
+const createPluginReq = (pluginId, params) =>
+  createReq(issuePluginToken('user-1', pluginId).token, params);
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const entry = (permissions) => ({
+  id: 'test-plugin',
+  dir: '/plugins/test-plugin',
+  manifest: { id: 'test-plugin', permissions },
+});
+
+describe('requirePluginCapability', () => {
+  beforeEach(() => {
+    isPluginEnabledForUser.mockResolvedValue(true);
+  });
+
+  it('passes and sets req.plugin when the capability is declared', async () => {
+    getPlugin.mockReturnValue(entry(['rag:query']));
+    const req = createPluginReq('test-plugin');
+    const next = jest.fn();
+
+    await requirePluginCapability('rag:query')(req, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.plugin.id).toBe('test-plugin');
+  });
+
+  it('derives the capability from the request and honors wildcards', async () => {
+    getPlugin.mockReturnValue(entry(['tools:*']));
+    const next = jest.fn();
+
+    await requirePluginCapability((req) => `tools:${req.params.toolId}`)(
+      createPluginReq('test-plugin', { toolId: 'wolfram' }),
+      createRes(),
+      next,
+    );
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('responds 403 when the capability was not declared', async () => {
+    getPlugin.mockReturnValue(entry(['tools:echo-tool']));
+    const res = createRes();
+    const next = jest.fn();
+
+    await requirePluginCapability('user:read')(createPluginReq('test-plugin'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Plugin "test-plugin" did not declare the "user:read" capability',
+    });
+  });
+
+  it('rejects missing tokens and tokens of unknown plugins', async () => {
+    getPlugin.mockReturnValue(undefined);
+    const missing = createRes();
+    const unknown = createRes();
+
+    await requirePluginCapability('rag:query')(createReq(undefined), missing, jest.fn());
+    await requirePluginCapability('rag:query')(createPluginReq('ghost'), unknown, jest.fn());
+
+    expect(missing.status).toHaveBeenCalledWith(401);
+    expect(unknown.status).toHaveBeenCalledWith(404);
+  });
+
+  it('rejects plugin identifiers that were not issued by the server', async () => {
+    getPlugin.mockReturnValue(entry(['rag:query']));
+    const requests = [
+      createReq('test-plugin'),
+      createReq(issuePluginToken('user-2', 'test-plugin').token),
+      createReq(jwt.sign({ plugin: 'test-plugin' }, 'another-secret', { subject: 'user-1' })),
+    ];
+
+    for (const req of requests) {
+      const res = createRes();
+      const next = jest.fn();
+      await requirePluginCapability('rag:query')(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid plugin token' });
+    }
+  });
+
+  it('responds 403 when the plugin is not enabled for the user', async () => {
+    getPlugin.mockReturnValue(entry(['rag:query']));
+    isPluginEnabledForUser.mockResolvedValue(false);
+    const req = createPluginReq('test-plugin');
+    const res = createRes();
+    const next = jest.fn();
+
+    await requirePluginCapability('rag:query')(req, res, next);
+
+    expect(isPluginEnabledForUser).toHaveBeenCalledWith(
+      req.user,
+      expect.objectContaining({ id: 'test-plugin' }),
+    );
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Plugin "test-plugin" is not enabled' });
+  });
+});
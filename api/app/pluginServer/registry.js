@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const crypto = require('crypto');
+const { getLibreChatVersion } = require('./config');
+const { validateManifest } = require('./schema');
+const { logger } = require('~/config');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * @typedef {Object} TPluginEntry
+ * @property {string} id - The plugin id, equal to its directory name.
+ * @property {string} dir - Absolute path of the plugin directory.
+ * @property {import('./schema').TPluginManifest} manifest - The validated manifest.
+ * @property {string} hash - Content hash of the UI entry, used to bust client caches.
+ */
+
+/**
+ * @typedef {Object} TQuarantinedPlugin
+ * @property {string} dir - Absolute path of the plugin directory.
+ * @property {string} [id] - The plugin id, if the manifest declared one.
+ * @property {string[]} errors - Readable reasons the plugin was rejected.
+ */
+
+/** @type {Map<string, TPluginEntry>} */
+let plugins = new Map();
+
+/** @type {TQuarantinedPlugin[]} */
+let quarantined = [];
+
+/**
+ * Checks that a manifest entry point exists as a file in the plugin directory.
+ *
+ * @param {string} dir
+ * @param {string} field - The manifest field, for the error message.
+ * @param {string} file
+ * @returns {Promise<string | undefined>} The error, if any.
+ */
+async function checkFile(dir, field, file) {
+  try {
+    const stat = await fs.stat(path.join(dir, file));
+    if (!stat.isFile()) {
+      return `${field}: "${file}" is not a file`;
+    }
+  } catch {
+    return `${field}: "${file}" does not exist in the plugin directory`;
+  }
+}
+
+/**
+ * Reads and validates the manifest of a single plugin directory.
+ *
+ * @param {string} dir - Absolute path of the plugin directory.
+ * @param {string} version - The running LibreChat version.
+ * @returns {Promise<{ entry?: TPluginEntry, errors?: string[], id?: string }>}
+ */
+async function inspectPlugin(dir, version) {
+  const dirName = path.basename(dir);
+
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8');
+  } catch (error) {
+    return { errors: [`${MANIFEST_FILE} could not be read: ${error.code ?? error.message}`] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    return { errors: [`${MANIFEST_FILE} is not valid JSON: ${error.message}`] };
+  }
+
+  const result = validateManifest(parsed);
+  const id = typeof parsed?.id === 'string' ? parsed.id : undefined;
+  if (!result.success) {
+    return { id, errors: result.errors };
+  }
+
+  const manifest = result.data;
+  const errors = [];
+  if (manifest.id !== dirName) {
+    errors.push(`id: "${manifest.id}" must match the plugin directory name "${dirName}"`);
+  }
+
+  for (const field of ['ui', 'server']) {
+    const error = manifest[field] && (await checkFile(dir, field, manifest[field]));
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  const range = manifest.engines.librechat;
+  if (range && !semver.satisfies(version, range, { includePrerelease: true })) {
+    errors.push(`engines.librechat: requires "${range}", but this is LibreChat ${version}`);
+  }
+
+  if (errors.length) {
+    return { id, errors };
+  }
+
+  const ui = await fs.readFile(path.join(dir, manifest.ui));
+  const hash = crypto.createHash('sha256').update(ui).digest('hex').slice(0, 12);
+  return { entry: { id: manifest.id, dir, manifest, hash } };
+}
+
+/**
+ * Discovers all `<pluginsDir>/*\/manifest.json` files, validates them and
+ * replaces the registry contents. Invalid plugins are quarantined with readable
+ * errors instead of failing the whole list.
+ *
+ * @param {Object} params
+ * @param {string} params.pluginsDir - Absolute path of the plugins directory.
+ * @param {string} [params.version] - The LibreChat version to check `engines` against.
+ * @returns {Promise<{ plugins: TPluginEntry[], quarantined: TQuarantinedPlugin[] }>}
+ */
+async function loadPlugins({ pluginsDir, version = getLibreChatVersion() }) {
+  /** @type {import('fs').Dirent[]} */
+  let dirents = [];
+  try {
+    dirents = await fs.readdir(pluginsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    logger.warn(`[pluginServer] Plugins directory not found: ${pluginsDir}`);
+  }
+
+  const nextPlugins = new Map();
+  const nextQuarantined = [];
+  const directories = dirents
+    .filter((dirent) => dirent.isDirectory() && !dirent.name.startsWith('.'))
+    .map((dirent) => path.join(pluginsDir, dirent.name))
+    .sort();
+
+  for (const dir of directories) {
+    const { entry, errors, id } = await inspectPlugin(dir, version);
+    if (entry) {
+      nextPlugins.set(entry.id, entry);
+      continue;
+    }
+
+    nextQuarantined.push({ dir, id, errors });
+    logger.warn(
+      `[pluginServer] Quarantined plugin at ${dir}:\n${errors.map((e) => `  - ${e}`).join('\n')}`,
+    );
+  }
+
+  plugins = nextPlugins;
+  quarantined = nextQuarantined;
+  logger.info(
+    `[pluginServer] Loaded ${plugins.size} plugin(s)` +
+      (quarantined.length ? `, quarantined ${quarantined.length}` : ''),
+  );
+
+  return { plugins: getPlugins(), quarantined: getQuarantinedPlugins() };
+}
+
+/**
+ * Moves a validated plugin to the quarantine, e.g. when its server entry fails to load.
+ *
+ * @param {string} id
+ * @param {string[]} errors
+ */
+function quarantinePlugin(id, errors) {
+  const entry = plugins.get(id);
+  if (!entry) {
+    return;
+  }
+  plugins.delete(id);
+  quarantined.push({ dir: entry.dir, id, errors });
+  logger.warn(
+    `[pluginServer] Quarantined plugin at ${entry.dir}:\n${errors.map((e) => `  - ${e}`).join('\n')}`,
+  );
+}
+
+/**
+ * Returns the validated plugins, sorted by `order` then `id`.
+ * @returns {TPluginEntry[]}
+ */
+function getPlugins() {
+  return [...plugins.values()].sort(
+    (a, b) => a.manifest.order - b.manifest.order || a.id.localeCompare(b.id),
+  );
+}
+
+/**
+ * @param {string} id
+ * @returns {TPluginEntry | undefined}
+ */
+function getPlugin(id) {
+  return plugins.get(id);
+}
+
+/** @returns {TQuarantinedPlugin[]} */
+function getQuarantinedPlugins() {
+  return quarantined.map((entry) => ({ ...entry, errors: [...entry.errors] }));
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  checkFile,
+  inspectPlugin,
+  loadPlugins,
+  getPlugins,
+  getPlugin,
+  getQuarantinedPlugins,
+  quarantinePlugin,
+};
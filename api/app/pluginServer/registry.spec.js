@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins, getPlugins, getPlugin, getQuarantinedPlugins } = require('./registry');
+const { validateManifest } = require('./schema');
+
+const validManifest = (overrides = {}) => ({
+  manifestVersion: 1,
+  id: 'valid-plugin',
+  title: 'Valid Plugin',
+  version: '1.0.0',
+  ui: 'ui.js',
+  order: 10,
+  permissions: ['tools:echo-tool'],
+  engines: { librechat: '>=0.7.0' },
+  ...overrides,
+});
+
+function writePlugin(root, dirName, manifest, files = { 'ui.js': '' }) {
+  const dir = path.join(root, dirName);
+  fs.mkdirSync(dir, { recursive: true });
+  if (manifest !== undefined) {
+    const content = typeof manifest === 'string' ? manifest : JSON.stringify(manifest);
+    fs.writeFileSync(path.join(dir, 'manifest.json'), content);
+  }
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+describe('validateManifest', () => {
+  it('applies defaults for optional fields', () => {
+    const result = validateManifest({ id: 'minimal', title: 'Minimal', ui: 'ui.js' });
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({
+      manifestVersion: 1,
+      id: 'minimal',
+      title: 'Minimal',
+      ui: 'ui.js',
+      order: 100,
+      version: '0.0.0',
+      permissions: [],
+      engines: {},
+      sandbox: 'none',
+      slots: [],
+      enabledByDefault: true,
+      settings: [],
+    });
+  });
+
+  it('only accepts declared slots for sandboxed plugins', () => {
+    const slots = [{ id: 'open', label: 'Open', type: 'panel' }];
+    expect(validateManifest(validManifest({ sandbox: 'iframe', slots })).success).toBe(true);
+
+    const result = validateManifest(validManifest({ slots }));
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(['slots: are only supported with "sandbox": "iframe"']);
+  });
+
+  it('rejects unknown capabilities', () => {
+    const result = validateManifest(validManifest({ permissions: ['session:write'] }));
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/^permissions\.0: must be a known capability/);
+  });
+
+  it('rejects unsupported manifest versions', () => {
+    const result = validateManifest(validManifest({ manifestVersion: 99 }));
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/manifestVersion: unsupported version "99"/);
+  });
+
+  it('reports readable errors for each invalid field', () => {
+    const result = validateManifest(
+      validManifest({ id: 'Bad Id', ui: '../escape.js', version: 'latest', extra: true }),
+    );
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^id: /),
+        expect.stringMatching(/^ui: must be a path relative/),
+        expect.stringMatching(/^version: must be a semantic version/),
+        expect.stringMatching(/^\(root\): Unrecognized key/),
+      ]),
+    );
+  });
+
+  it('rejects ids reserved for plugin server routes', () => {
+    const result = validateManifest(validManifest({ id: 'manifest' }));
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/^id: must not be one of the reserved ids/);
+  });
+
+  it('keeps server entries in a subdirectory, apart from the UI entry', () => {
+    expect(validateManifest(validManifest({ server: 'server/index.js' })).success).toBe(true);
+
+    const atRoot = validateManifest(validManifest({ server: 'server.js' }));
+    const withUi = validateManifest(validManifest({ server: 'lib/index.js', ui: 'lib/ui.js' }));
+
+    expect(atRoot.errors).toEqual([
+      'server: must be in a subdirectory of the plugin, which is never served',
+    ]);
+    expect(withUi.errors).toEqual(['ui: must not be in "lib", the directory of the server entry']);
+  });
+
+  it('rejects non-object manifests', () => {
+    expect(validateManifest([]).success).toBe(false);
+    expect(validateManifest(null).success).toBe(false);
+  });
+});
+
+describe('loadPlugins', () => {
+  let pluginsDir;
+
+  beforeEach(() => {
+    pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('loads valid plugins sorted by order', async () => {
+    writePlugin(pluginsDir, 'second', validManifest({ id: 'second', order: 20 }));
+    writePlugin(pluginsDir, 'first', validManifest({ id: 'first', order: 10 }));
+
+    const { plugins, quarantined } = await loadPlugins({ pluginsDir, version: '0.7.7' });
+
+    expect(plugins.map((p) => p.id)).toEqual(['first', 'second']);
+    expect(quarantined).toEqual([]);
+    expect(getPlugin('first').dir).toBe(path.join(pluginsDir, 'first'));
+  });
+
+  it('quarantines malformed plugins without affecting valid ones', async () => {
+    writePlugin(pluginsDir, 'valid-plugin', validManifest());
+    writePlugin(pluginsDir, 'broken-json', '{ "id": ');
+    writePlugin(pluginsDir, 'no-manifest', undefined);
+    writePlugin(pluginsDir, 'wrong-dir', validManifest({ id: 'other-id' }));
+    writePlugin(pluginsDir, 'missing-ui', validManifest({ id: 'missing-ui' }), {});
+    writePlugin(
+      pluginsDir,
+      'missing-server',
+      validManifest({ id: 'missing-server', server: 'server/index.js' }),
+    );
+    writePlugin(
+      pluginsDir,
+      'too-new',
+      validManifest({ id: 'too-new', engines: { librechat: '>=1.0.0' } }),
+    );
+
+    await loadPlugins({ pluginsDir, version: '0.7.7' });
+
+    expect(getPlugins().map((p) => p.id)).toEqual(['valid-plugin']);
+
+    const errorsByDir = Object.fromEntries(
+      getQuarantinedPlugins().map(({ dir, errors }) => [path.basename(dir), errors.join('\n')]),
+    );
+    expect(Object.keys(errorsByDir).sort()).toEqual([
+      'broken-json',
+      'missing-server',
+      'missing-ui',
+      'no-manifest',
+      'too-new',
+      'wrong-dir',
+    ]);
+    expect(errorsByDir['broken-json']).toMatch(/not valid JSON/);
+    expect(errorsByDir['no-manifest']).toMatch(/could not be read: ENOENT/);
+    expect(errorsByDir['wrong-dir']).toMatch(/must match the plugin directory name "wrong-dir"/);
+    expect(errorsByDir['missing-ui']).toMatch(/ui: "ui.js" does not exist/);
+    expect(errorsByDir['missing-server']).toMatch(/server: "server\/index.js" does not exist/);
+    expect(errorsByDir['too-new']).toMatch(/requires ">=1.0.0", but this is LibreChat 0.7.7/);
+  });
+
+  it('hashes the UI entry so changed plugins get a new URL', async () => {
+    writePlugin(pluginsDir, 'valid-plugin', validManifest(), { 'ui.js': 'export default 1;' });
+    await loadPlugins({ pluginsDir, version: '0.7.7' });
+    const { hash } = getPlugin('valid-plugin');
+
+    fs.writeFileSync(path.join(pluginsDir, 'valid-plugin', 'ui.js'), 'export default 2;');
+    await loadPlugins({ pluginsDir, version: '0.7.7' });
+
+    expect(hash).toMatch(/^[0-9a-f]{12}$/);
+    expect(getPlugin('valid-plugin').hash).not.toBe(hash);
+  });
+
+  it('returns an empty list when the plugins directory does not exist', async () => {
+    const { plugins } = await loadPlugins({
+      pluginsDir: path.join(pluginsDir, 'missing'),
+      version: '0.7.7',
+    });
+    expect(plugins).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+const path = require('path');
+const express = require('express');
+const { requireJwtAuth, checkAdmin, setHeaders } = require('~/server/middleware');
+const { addClient, sendEvent } = require('./events');
+const { getPlugins, getPlugin, getQuarantinedPlugins } = require('./registry');
+const { isPluginEnabledForUser } = require('./access');
+const { getServerDir, isInDirectory } = require('./schema');
+const { getPluginBackend } = require('./backends');
+
+/** Routes registered by a plugin's server entry are mounted at `${BACKEND_PREFIX}/:pluginId` */
+const BACKEND_PREFIX = '/api/plugins';
+
+/**
+ * Builds the public representation of a validated plugin.
+ *
+ * @param {import('./registry').TPluginEntry} entry
+ * @param {string} staticPrefix
+ * @returns {import('./schema').TPluginManifest & { url: string, hash: string }}
+ */
+function toClientManifest(entry, staticPrefix) {
+  const { server, ...manifest } = entry.manifest;
+  const ui = manifest.ui.split(path.sep).join('/');
+  return {
+    ...manifest,
+    hash: entry.hash,
+    url: `${staticPrefix}/${entry.id}/${ui}?v=${entry.hash}`,
+  };
+}
+
+/**
+ * Builds the public representations of all validated plugins.
+ * @param {string} staticPrefix
+ */
+function getClientManifests(staticPrefix) {
+  return getPlugins().map((entry) => toClientManifest(entry, staticPrefix));
+}
+
+/**
+ * Whether a request for a plugin asset targets the directory of its server entry,
+ * which is never served. The manifest schema keeps server entries out of the plugin root.
+ *
+ * @param {import('./schema').TPluginManifest} manifest
+ * @param {string} requestPath - The decoded request path relative to the plugin directory.
+ * @returns {boolean}
+ */
+function isServerAsset(manifest, requestPath) {
+  if (!manifest.server) {
+    return false;
+  }
+  return isInDirectory(getServerDir(manifest.server), requestPath);
+}
+
+/**
+ * Creates the plugin server router: serves the validated manifest list,
+ * the client runtime configuration, the assets of validated plugins and
+ * the authenticated routes of plugin backends.
+ *
+ * @param {import('./config').PluginServerConfig} config
+ * @returns {import('express').Router}
+ */
+function createPluginRouter(config) {
+  const { staticPrefix } = config.pluginServer;
+  const { manifestRoute, configRoute } = config.api;
+  const router = express.Router();
+
+  router.get(manifestRoute, (_req, res) => {
+    res.status(200).json(getClientManifests(staticPrefix));
+  });
+
+  /** Streams the manifest list on connect and whenever the plugins change */
+  router.get(`${manifestRoute}/events`, setHeaders, (_req, res) => {
+    sendEvent(res, 'manifest', getClientManifests(staticPrefix));
+    addClient(res);
+  });
+
+  router.get(`${manifestRoute}/quarantine`, requireJwtAuth, checkAdmin, (_req, res) => {
+    const quarantined = getQuarantinedPlugins().map(({ dir, id, errors }) => ({
+      directory: path.basename(dir),
+      id,
+      errors,
+    }));
+    res.status(200).json(quarantined);
+  });
+
+  router.get(configRoute, (_req, res) => {
+    res.status(200).json({
+      pluginServer: { staticPrefix },
+      api: { manifestRoute, configRoute },
+    });
+  });
+
+  /** Assets are only served for plugins that passed validation */
+  router.use(`${staticPrefix}/:pluginId`, (req, res, next) => {
+    const entry = getPlugin(req.params.pluginId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Plugin not found' });
+    }
+    let requestPath;
+    try {
+      requestPath = decodeURIComponent(req.path);
+    } catch {
+      return res.status(400).json({ message: 'Invalid path' });
+    }
+    if (isServerAsset(entry.manifest, requestPath)) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+    express.static(entry.dir, { index: false, dotfiles: 'ignore', fallthrough: false })(
+      req,
+      res,
+      next,
+    );
+  });
+
+  router.use(`${BACKEND_PREFIX}/:pluginId`, (req, res, next) => {
+    const entry = getPlugin(req.params.pluginId);
+    const backend = entry && getPluginBackend(entry.id);
+    if (!backend) {
+      return next();
+    }
+    requireJwtAuth(req, res, async (error) => {
+      if (error) {
+        return next(error);
+      }
+      try {
+        if (!(await isPluginEnabledForUser(req.user, entry))) {
+          return res.status(403).json({ message: `Plugin "${entry.id}" is not enabled` });
+        }
+      } catch (accessError) {
+        return next(accessError);
+      }
+      req.plugin = entry;
+      backend.router(req, res, next);
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  BACKEND_PREFIX,
+  createPluginRouter,
+  getClientManifests,
+  toClientManifest,
+};
@@ -0,0 +1,279 @@
+const path = require('path');
+const semver = require('semver');
+const { z } = require('zod');
+const { isKnownCapability } = require('./capabilities');
+
+/** The manifest schema version assumed when a manifest omits `manifestVersion`. */
+const DEFAULT_MANIFEST_VERSION = 1;
+
+const pluginIdSchema = z
+  .string()
+  .min(1)
+  .max(64)
+  .regex(/^[a-z0-9][a-z0-9_-]*$/, {
+    message: 'must contain only lowercase letters, digits, "-" or "_"',
+  });
+
+const relativeAssetSchema = z
+  .string()
+  .min(1)
+  .refine((file) => !path.isAbsolute(file) && !path.normalize(file).startsWith('..'), {
+    message: 'must be a path relative to the plugin directory',
+  });
+
+/**
+ * The directory of a plugin's server entry, relative to the plugin directory.
+ * @param {string} server - The `server` field of a manifest.
+ * @returns {string} `.` if the entry sits at the plugin root.
+ */
+function getServerDir(server) {
+  return path.posix.dirname(path.posix.normalize(server.split(path.sep).join('/')));
+}
+
+/**
+ * Whether a path relative to the plugin directory is inside one of its subdirectories.
+ * @param {string} dir
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isInDirectory(dir, file) {
+  const normalized = path.posix.normalize(file.split(path.sep).join('/')).replace(/^\/+/, '');
+  return normalized === dir || normalized.startsWith(`${dir}/`);
+}
+
+/** Ids that would shadow the plugin server's own routes under `/api/plugins` */
+const RESERVED_IDS = ['manifest', 'config', 'tools', 'tokens', 'rag', 'settings'];
+
+/** A host-rendered UI entry point of a sandboxed plugin */
+const slotSchema = z
+  .object({
+    id: pluginIdSchema,
+    label: z.string().trim().min(1).max(50),
+    type: z.enum(['button', 'panel']).default('button'),
+  })
+  .strict();
+
+/** A user-configurable setting, rendered as a form field and injected as `libreChat.config[key]` */
+const settingSchema = z
+  .object({
+    key: z
+      .string()
+      .min(1)
+      .max(64)
+      .regex(/^[a-zA-Z][a-zA-Z0-9_]*$/, {
+        message: 'must start with a letter and contain only letters, digits or "_"',
+      }),
+    label: z.string().trim().min(1).max(100),
+    description: z.string().max(500).optional(),
+    type: z.enum(['string', 'number', 'boolean', 'select']),
+    required: z.boolean().default(false),
+    default: z.union([z.string(), z.number(), z.boolean()]).optional(),
+    options: z.array(z.string().min(1).max(100)).min(1).max(50).optional(),
+    min: z.number().optional(),
+    max: z.number().optional(),
+  })
+  .strict()
+  .superRefine((setting, ctx) => {
+    if (setting.type === 'select' && !setting.options) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['options'],
+        message: 'are required for "select" settings',
+      });
+    }
+    if (setting.type !== 'select' && setting.options) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['options'],
+        message: 'are only supported for "select" settings',
+      });
+    }
+    const expected = setting.type === 'select' ? 'string' : setting.type;
+    if (setting.default !== undefined && typeof setting.default !== expected) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['default'],
+        message: `must be a ${expected}`,
+      });
+    } else if (setting.type === 'select' && setting.default !== undefined) {
+      if (!setting.options?.includes(setting.default)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['default'],
+          message: 'must be one of the options',
+        });
+      }
+    }
+  });
+
+const manifestSchemaV1 = z
+  .object({
+    manifestVersion: z.literal(1).default(DEFAULT_MANIFEST_VERSION),
+    id: pluginIdSchema.refine((id) => !RESERVED_IDS.includes(id), {
+      message: `must not be one of the reserved ids: ${RESERVED_IDS.join(', ')}`,
+    }),
+    title: z.string().trim().min(1).max(100),
+    description: z.string().max(500).optional(),
+    ui: relativeAssetSchema.refine((file) => /\.m?js$/.test(file), {
+      message: 'must point to a .js or .mjs file',
+    }),
+    server: relativeAssetSchema
+      .refine((file) => /\.c?js$/.test(file), {
+        message: 'must point to a .js or .cjs file',
+      })
+      .refine((file) => getServerDir(file) !== '.', {
+        message: 'must be in a subdirectory of the plugin, which is never served',
+      })
+      .optional(),
+    order: z.number().int().default(100),
+    version: z
+      .string()
+      .refine((version) => semver.valid(version) != null, {
+        message: 'must be a semantic version, e.g. "1.0.0"',
+      })
+      .default('0.0.0'),
+    permissions: z
+      .array(
+        z.string().refine(isKnownCapability, {
+          message:
+            'must be a known capability: "tools:<toolId>", "rag:query", "rag:ingest" or "user:read"',
+        }),
+      )
+      .refine((permissions) => new Set(permissions).size === permissions.length, {
+        message: 'must not contain duplicates',
+      })
+      .default([]),
+    engines: z
+      .object({
+        librechat: z.string().refine((range) => semver.validRange(range) != null, {
+          message: 'must be a valid semver range',
+        }),
+      })
+      .partial()
+      .default({}),
+    sandbox: z.enum(['none', 'iframe']).default('none'),
+    slots: z.array(slotSchema).max(10).default([]),
+    /** Whether the plugin is enabled for roles that have no explicit setting for it */
+    enabledByDefault: z.boolean().default(true),
+    settings: z.array(settingSchema).max(50).default([]),
+  })
+  .strict()
+  .superRefine((manifest, ctx) => {
+    if (manifest.slots.length && manifest.sandbox !== 'iframe') {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['slots'],
+        message: 'are only supported with "sandbox": "iframe"',
+      });
+    }
+    const slotIds = manifest.slots.map((slot) => slot.id);
+    if (new Set(slotIds).size !== slotIds.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['slots'],
+        message: 'must have unique ids',
+      });
+    }
+    const serverDir = manifest.server && getServerDir(manifest.server);
+    if (serverDir && serverDir !== '.' && isInDirectory(serverDir, manifest.ui)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['ui'],
+        message: `must not be in "${serverDir}", the directory of the server entry`,
+      });
+    }
+    const settingKeys = manifest.settings.map((setting) => setting.key);
+    if (new Set(settingKeys).size !== settingKeys.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['settings'],
+        message: 'must have unique keys',
+      });
+    }
+  });
+
+/** Manifest schemas keyed by `manifestVersion`. */
+const manifestSchemas = {
+  1: manifestSchemaV1,
+};
+
+/**
+ * Formats zod issues into readable `path: message` lines.
+ * @param {import('zod').ZodIssue[]} issues
+ * @returns {string[]}
+ */
+function formatIssues(issues) {
+  return issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+/**
+ * Validates a parsed manifest against the schema for its declared `manifestVersion`.
+ *
+ * @param {unknown} manifest - The parsed `manifest.json` content.
+ * @returns {{ success: true, data: TPluginManifest } | { success: false, errors: string[] }}
+ */
+function validateManifest(manifest) {
+  if (manifest == null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { success: false, errors: ['(root): manifest must be a JSON object'] };
+  }
+
+  const manifestVersion = manifest.manifestVersion ?? DEFAULT_MANIFEST_VERSION;
+  const schema = manifestSchemas[manifestVersion];
+  if (!schema) {
+    const supported = Object.keys(manifestSchemas).join(', ');
+    return {
+      success: false,
+      errors: [
+        `manifestVersion: unsupported version "${manifestVersion}" (supported: ${supported})`,
+      ],
+    };
+  }
+
+  const result = schema.safeParse(manifest);
+  if (!result.success) {
+    return { success: false, errors: formatIssues(result.error.issues) };
+  }
+  return { success: true, data: result.data };
+}
+
+/**
+ * @typedef {Object} TPluginManifest
+ * @property {number} manifestVersion
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} ui
+ * @property {string} [server] - Node entry loaded by the plugin server at startup; its
+ * directory is never served.
+ * @property {number} order
+ * @property {string} version
+ * @property {string[]} permissions
+ * @property {{ librechat?: string }} engines
+ * @property {'none' | 'iframe'} sandbox - `iframe` runs the UI in a sandboxed iframe.
+ * @property {Array<{ id: string, label: string, type: 'button' | 'panel' }>} slots
+ * @property {boolean} enabledByDefault - Applies to roles without an explicit plugin setting.
+ * @property {TPluginSetting[]} settings - User-configurable settings.
+ */
+
+/**
+ * @typedef {Object} TPluginSetting
+ * @property {string} key
+ * @property {string} label
+ * @property {string} [description]
+ * @property {'string' | 'number' | 'boolean' | 'select'} type
+ * @property {boolean} required
+ * @property {string | number | boolean} [default]
+ * @property {string[]} [options] - The choices of a `select` setting.
+ * @property {number} [min] - Minimum number, or minimum length of a string.
+ * @property {number} [max] - Maximum number, or maximum length of a string.
+ */
+
+module.exports = {
+  RESERVED_IDS,
+  manifestSchemas,
+  validateManifest,
+  formatIssues,
+  getServerDir,
+  isInDirectory,
+  DEFAULT_MANIFEST_VERSION,
+};
@@ -0,0 +1,86 @@
+const { z } = require('zod');
+const { formatIssues } = require('./schema');
+
+/**
+ * Builds the zod schema validating a single setting value.
+ * @param {import('./schema').TPluginSetting} setting
+ * @returns {import('zod').ZodTypeAny}
+ */
+function settingValueSchema(setting) {
+  let schema;
+  switch (setting.type) {
+    case 'number':
+      schema = z.number().finite();
+      break;
+    case 'boolean':
+      schema = z.boolean();
+      break;
+    case 'select':
+      schema = z.enum(/** @type {[string, ...string[]]} */ (setting.options));
+      break;
+    default:
+      schema = z.string().max(10000);
+  }
+  if (setting.min != null && (setting.type === 'number' || setting.type === 'string')) {
+    schema = schema.min(setting.min);
+  }
+  if (setting.max != null && (setting.type === 'number' || setting.type === 'string')) {
+    schema = schema.max(setting.max);
+  }
+  return setting.required ? schema : schema.optional();
+}
+
+/**
+ * Builds the zod schema validating the settings values of a plugin. Unknown keys are rejected.
+ * @param {import('./schema').TPluginSetting[]} settings - The settings declared in the manifest.
+ * @returns {import('zod').ZodObject<any>}
+ */
+function settingsValuesSchema(settings) {
+  return z
+    .object(
+      Object.fromEntries(settings.map((setting) => [setting.key, settingValueSchema(setting)])),
+    )
+    .strict();
+}
+
+/**
+ * Validates settings values submitted by a user.
+ *
+ * @param {import('./schema').TPluginSetting[]} settings - The settings declared in the manifest.
+ * @param {unknown} values
+ * @returns {{ success: true, data: Record<string, unknown> } | { success: false, errors: string[] }}
+ */
+function validateSettingsValues(settings, values) {
+  const result = settingsValuesSchema(settings).safeParse(values);
+  if (!result.success) {
+    return { success: false, errors: formatIssues(result.error.issues) };
+  }
+  return { success: true, data: result.data };
+}
+
+/**
+ * Resolves the settings a plugin receives as `libreChat.config`: the manifest defaults,
+ * overridden by the stored values that are still valid for the current manifest.
+ *
+ * @param {import('./schema').TPluginSetting[]} settings - The settings declared in the manifest.
+ * @param {Record<string, unknown>} [stored] - The values stored for the user.
+ * @returns {Record<string, unknown>}
+ */
+function resolveSettingsValues(settings, stored = {}) {
+  const values = {};
+  for (const setting of settings) {
+    if (setting.default !== undefined) {
+      values[setting.key] = setting.default;
+    }
+    const value = stored?.[setting.key];
+    if (value !== undefined && settingValueSchema(setting).safeParse(value).success) {
+      values[setting.key] = value;
+    }
+  }
+  return values;
+}
+
+module.exports = {
+  validateSettingsValues,
+  resolveSettingsValues,
+};
@@ -0,0 +1,127 @@
+const { validateSettingsValues, resolveSettingsValues } = require('./settings');
+const { isEnabledForRole, getUserPlugins } = require('./access');
+const { getPluginSettings } = require('~/models/PluginSetting');
+const { getRoleByName } = require('~/models/Role');
+const { validateManifest } = require('./schema');
+const { getPlugins } = require('./registry');
+
+jest.mock('./registry', () => ({ getPlugins: jest.fn() }));
+jest.mock('~/models/Role', () => ({ getRoleByName: jest.fn() }));
+jest.mock('~/models/PluginSetting', () => ({
+  getPluginSettings: jest.fn(),
+  getPluginSetting: jest.fn(),
+}));
+
+const settings = [
+  { key: 'apiUrl', label: 'API URL', type: 'string', required: true, max: 20 },
+  { key: 'limit', label: 'Limit', type: 'number', required: false, min: 1, max: 10, default: 5 },
+  { key: 'compact', label: 'Compact', type: 'boolean', required: false, default: false },
+  { key: 'theme', label: 'Theme', type: 'select', required: false, options: ['light', 'dark'] },
+];
+
+const entry = (id, manifest = {}) => ({
+  id,
+  dir: `/plugins/${id}`,
+  manifest: { id, title: id, enabledByDefault: true, settings: [], ...manifest },
+});
+
+describe('manifest settings', () => {
+  const manifest = (overrides) => ({
+    id: 'configurable',
+    title: 'Configurable',
+    ui: 'ui.js',
+    ...overrides,
+  });
+
+  it('accepts declared settings and applies field defaults', () => {
+    const result = validateManifest(
+      manifest({
+        settings: [
+          { key: 'theme', label: 'Theme', type: 'select', options: ['a', 'b'], default: 'a' },
+        ],
+      }),
+    );
+    expect(result.success).toBe(true);
+    expect(result.data.settings[0].required).toBe(false);
+  });
+
+  it('rejects inconsistent settings', () => {
+    const result = validateManifest(
+      manifest({
+        settings: [
+          { key: 'theme', label: 'Theme', type: 'select' },
+          { key: 'limit', label: 'Limit', type: 'number', default: 'ten' },
+          { key: 'limit', label: 'Again', type: 'boolean' },
+        ],
+      }),
+    );
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([
+      'settings.0.options: are required for "select" settings',
+      'settings.1.default: must be a number',
+      'settings: must have unique keys',
+    ]);
+  });
+});
+
+describe('validateSettingsValues', () => {
+  it('accepts valid values', () => {
+    const values = { apiUrl: 'https://x.io', limit: 3, compact: true, theme: 'dark' };
+    expect(validateSettingsValues(settings, values)).toEqual({ success: true, data: values });
+  });
+
+  it('reports missing, out of range and unknown values', () => {
+    const result = validateSettingsValues(settings, { limit: 11, theme: 'blue', other: 1 });
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^apiUrl: /),
+        expect.stringMatching(/^limit: /),
+        expect.stringMatching(/^theme: /),
+        expect.stringMatching(/^\(root\): Unrecognized key/),
+      ]),
+    );
+  });
+});
+
+describe('resolveSettingsValues', () => {
+  it('overrides defaults with stored values that are still valid', () => {
+    expect(resolveSettingsValues(settings, { limit: 99, compact: true, removed: 'x' })).toEqual({
+      limit: 5,
+      compact: true,
+    });
+  });
+});
+
+describe('plugin access', () => {
+  it('uses the role setting, falling back to the manifest default', () => {
+    const role = { plugins: { allowed: true, blocked: false } };
+    expect(isEnabledForRole(role, entry('blocked'))).toBe(false);
+    expect(isEnabledForRole(role, entry('allowed', { enabledByDefault: false }))).toBe(true);
+    expect(isEnabledForRole(role, entry('other'))).toBe(true);
+    expect(isEnabledForRole(role, entry('opt-in', { enabledByDefault: false }))).toBe(false);
+    expect(isEnabledForRole({ plugins: new Map([['other', false]]) }, entry('other'))).toBe(false);
+  });
+
+  it('lists the plugins of the role with the user toggles and settings', async () => {
+    getRoleByName.mockResolvedValue({ name: 'USER', plugins: { hidden: false } });
+    getPlugins.mockReturnValue([
+      entry('configurable', { settings }),
+      entry('hidden'),
+      entry('disabled'),
+    ]);
+    getPluginSettings.mockResolvedValue([
+      { pluginId: 'configurable', enabled: true, settings: { apiUrl: 'https://x.io' } },
+      { pluginId: 'disabled', enabled: false, settings: {} },
+    ]);
+
+    const plugins = await getUserPlugins({ id: 'user-1', role: 'USER' });
+
+    expect(getRoleByName).toHaveBeenCalledWith('USER');
+    expect(getPluginSettings).toHaveBeenCalledWith('user-1');
+    expect(plugins.map(({ entry, enabled, values }) => [entry.id, enabled, values])).toEqual([
+      ['configurable', true, { apiUrl: 'https://x.io', limit: 5, compact: false }],
+      ['disabled', false, {}],
+    ]);
+  });
+});
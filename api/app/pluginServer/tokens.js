@@ -0,0 +1,50 @@
+const jwt = require('jsonwebtoken');
+
+/** Audience of plugin tokens, so that no other token signed with the same secret passes as one */
+const PLUGIN_TOKEN_AUDIENCE = 'librechat-plugin';
+
+/** Lifetime of a plugin token, in seconds */
+const PLUGIN_TOKEN_EXPIRY = 60 * 60;
+
+/**
+ * Issues the token a plugin's API sends with its proxied calls, binding them to the plugin
+ * and the user the token was issued to.
+ *
+ * @param {string} userId - The ID of the user the plugin runs for.
+ * @param {string} pluginId - The ID of the plugin.
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function issuePluginToken(userId, pluginId) {
+  const token = jwt.sign({ plugin: pluginId }, process.env.JWT_SECRET, {
+    subject: userId,
+    audience: PLUGIN_TOKEN_AUDIENCE,
+    expiresIn: PLUGIN_TOKEN_EXPIRY,
+  });
+  const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+  return { token, expiresAt };
+}
+
+/**
+ * Verifies a plugin token issued to a user.
+ *
+ * @param {string} token
+ * @param {string} userId - The ID of the requesting user.
+ * @returns {string | null} The ID of the plugin the token was issued for, or `null` if the
+ * token is invalid, expired or was issued to another user.
+ */
+function verifyPluginToken(token, userId) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: PLUGIN_TOKEN_AUDIENCE,
+      subject: userId,
+    });
+    return typeof payload.plugin === 'string' ? payload.plugin : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  issuePluginToken,
+  verifyPluginToken,
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { logger } = require('~/config');
+
+/**
+ * Watches the plugins directory and calls `onChange` once a burst of file changes settles.
+ * Changes made while `onChange` runs trigger another call after it finishes.
+ *
+ * @param {string} pluginsDir - Absolute path of the plugins directory.
+ * @param {() => Promise<void>} onChange
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=250]
+ * @returns {() => void} Stops watching.
+ */
+function watchPlugins(pluginsDir, onChange, { debounceMs = 250 } = {}) {
+  let timer;
+  let running = false;
+  let pending = false;
+
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await onChange();
+    } catch (error) {
+      logger.error('[pluginServer] Error reloading plugins', error);
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        schedule();
+      }
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  };
+
+  /** @type {import('fs').FSWatcher} */
+  let watcher;
+  try {
+    watcher = fs.watch(pluginsDir, { recursive: true }, (_event, filename) => {
+      if (filename && filename.split(/[\\/]/).some((part) => part.startsWith('.'))) {
+        return;
+      }
+      schedule();
+    });
+  } catch (error) {
+    logger.warn(`[pluginServer] Cannot watch ${pluginsDir} for changes: ${error.message}`);
+    return () => {};
+  }
+
+  watcher.on('error', (error) => {
+    logger.warn(`[pluginServer] Stopped watching ${pluginsDir}: ${error.message}`);
+  });
+  logger.info(`[pluginServer] Watching ${pluginsDir} for plugin changes`);
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+module.exports = { watchPlugins };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { watchPlugins } = require('./watcher');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('watchPlugins', () => {
+  let pluginsDir;
+  let stop;
+
+  beforeEach(() => {
+    pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-watch-'));
+    fs.mkdirSync(path.join(pluginsDir, 'plugin'));
+  });
+
+  afterEach(() => {
+    stop?.();
+    fs.rmSync(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('calls onChange once per burst of changes', async () => {
+    const onChange = jest.fn().mockResolvedValue();
+    stop = watchPlugins(pluginsDir, onChange, { debounceMs: 50 });
+
+    fs.writeFileSync(path.join(pluginsDir, 'plugin', 'ui.js'), 'export default 1;');
+    fs.writeFileSync(path.join(pluginsDir, 'plugin', 'manifest.json'), '{}');
+    await wait(300);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores dotfiles', async () => {
+    const onChange = jest.fn().mockResolvedValue();
+    stop = watchPlugins(pluginsDir, onChange, { debounceMs: 50 });
+
+    fs.writeFileSync(path.join(pluginsDir, 'plugin', '.ui.js.swp'), '');
+    await wait(300);
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -1,4 +1,5 @@
 const { MeiliSearch } = require('meilisearch');
+const { startSearchSyncJob, isSearchIndexCurrent } = require('~/server/services/Search/syncJobs');
 const { Conversation } = require('~/models/Conversation');
 const { Message } = require('~/models/Message');
 const { isEnabled } = require('~/server/utils');
@@ -53,22 +54,19 @@ async function indexSync() {
     logger.debug(`[indexSync] There are ${messageCount} messages and ${messagesIndexed} indexed`);
     logger.debug(`[indexSync] There are ${convoCount} convos and ${convosIndexed} indexed`);
 
-    if (messageCount !== messagesIndexed) {
-      logger.debug('[indexSync] Messages out of sync, indexing');
-      Message.syncWithMeili();
-    }
-
-    if (convoCount !== convosIndexed) {
-      logger.debug('[indexSync] Convos out of sync, indexing');
-      Conversation.syncWithMeili();
+    if (messageCount !== messagesIndexed || convoCount !== convosIndexed) {
+      logger.debug('[indexSync] Indexes out of sync, indexing');
+      await startSearchSyncJob();
+    } else if (!(await isSearchIndexCurrent())) {
+      logger.info('[indexSync] Indexed attributes changed, reindexing all documents');
+      await startSearchSyncJob();
     }
   } catch (err) {
     if (err.message.includes('not found')) {
       logger.debug('[indexSync] Creating indices...');
       currentTimeout = setTimeout(async () => {
         try {
-          await Message.syncWithMeili();
-          await Conversation.syncWithMeili();
+          await startSearchSyncJob({ mode: 'full' });
         } catch (err) {
           logger.error('[indexSync] Trouble creating indices, try restarting the server.', err);
         }
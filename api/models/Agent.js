@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const { agentSchema } = require('@librechat/data-schemas');
-const { SystemRoles, Tools } = require('librechat-data-provider');
+const { SystemRoles, Tools, actionDelimiter } = require('librechat-data-provider');
 const { GLOBAL_PROJECT_NAME, EPHEMERAL_AGENT_ID, mcp_delimiter } =
   require('librechat-data-provider').Constants;
 const { CONFIG_STORE, STARTUP_CONFIG } = require('librechat-data-provider').CacheKeys;
@@ -10,18 +10,28 @@ const {
   removeAgentIdsFromProject,
   removeAgentFromAllProjects,
 } = require('./Project');
+const {
+  diffSnapshots,
+  VERSIONED_FIELDS,
+  getAgentSnapshot,
+  recordAgentVersion,
+  deleteAgentVersions,
+} = require('./AgentVersion');
 const getLogStores = require('~/cache/getLogStores');
+const { getActions } = require('./Action');
 
 const Agent = mongoose.model('agent', agentSchema);
 
 /**
- * Create an agent with the provided data.
+ * Create an agent with the provided data, recorded as its first version.
  * @param {Object} agentData - The agent data to create.
  * @returns {Promise<Agent>} The created agent document as a plain object.
  * @throws {Error} If the agent creation fails.
  */
 const createAgent = async (agentData) => {
-  return (await Agent.create(agentData)).toObject();
+  const agent = (await Agent.create({ ...agentData, version: 1 })).toObject();
+  await recordAgentVersion(agent, agent.author);
+  return agent;
 };
 
 /**
@@ -131,15 +141,118 @@ const loadAgent = async ({ req, agent_id, endpoint, model_parameters }) => {
  * Update an agent with new data without overwriting existing
  *  properties, or create a new agent if it doesn't exist.
  *
+ * When `updatingUserId` is given, a change to the versioned fields is appended
+ * to the agent's history as a new version; agents created before versioning
+ * first get their current state recorded as version 1.
+ *
  * @param {Object} searchParameter - The search parameters to find the agent to update.
  * @param {string} searchParameter.id - The ID of the agent to update.
  * @param {string} [searchParameter.author] - The user ID of the agent's author.
  * @param {Object} updateData - An object containing the properties to update.
+ * @param {Object} [options]
+ * @param {string} [options.updatingUserId] - The ID of the user making a versioned change.
+ * @param {number} [options.restoredFrom] - The version being rolled back to.
  * @returns {Promise<Agent>} The updated or newly created agent document as a plain object.
  */
-const updateAgent = async (searchParameter, updateData) => {
+const updateAgent = async (searchParameter, updateData, { updatingUserId, restoredFrom } = {}) => {
   const options = { new: true, upsert: false };
-  return Agent.findOneAndUpdate(searchParameter, updateData, options).lean();
+  if (!updatingUserId) {
+    return Agent.findOneAndUpdate(searchParameter, updateData, options).lean();
+  }
+
+  const currentAgent = await Agent.findOne(searchParameter).lean();
+  if (!currentAgent) {
+    return null;
+  }
+
+  if (currentAgent.version == null) {
+    await recordAgentVersion({ ...currentAgent, version: 1 }, currentAgent.author);
+    await Agent.updateOne({ id: currentAgent.id, version: null }, { $set: { version: 1 } });
+  }
+
+  const updatedAgent = await Agent.findOneAndUpdate(searchParameter, updateData, options).lean();
+  if (!updatedAgent) {
+    return null;
+  }
+
+  const changes = diffSnapshots(getAgentSnapshot(currentAgent), getAgentSnapshot(updatedAgent));
+  if (!changes.length) {
+    return updatedAgent;
+  }
+
+  const versionedAgent = await Agent.findOneAndUpdate(
+    { id: updatedAgent.id },
+    { $inc: { version: 1 } },
+    options,
+  ).lean();
+  await recordAgentVersion(versionedAgent, updatingUserId, restoredFrom);
+  return versionedAgent;
+};
+
+/**
+ * Drops the actions of a snapshot whose Action documents were deleted since, together with
+ * their tools, so a rollback does not restore references to actions that no longer exist.
+ *
+ * @param {string} agent_id - The ID of the agent.
+ * @param {Record<string, unknown>} snapshot - The versioned fields to restore.
+ * @returns {Promise<Record<string, unknown>>} The snapshot without the deleted actions.
+ */
+const dropDeletedActions = async (agent_id, snapshot) => {
+  if (!snapshot.actions?.length) {
+    return snapshot;
+  }
+
+  const actionIds = snapshot.actions.map((action) => action.split(actionDelimiter)[1]);
+  const existing = await getActions({ agent_id, action_id: { $in: actionIds } });
+  const existingIds = new Set(existing.map((action) => action.action_id));
+
+  const deletedDomains = [];
+  const actions = snapshot.actions.filter((action) => {
+    const [domain, action_id] = action.split(actionDelimiter);
+    if (existingIds.has(action_id)) {
+      return true;
+    }
+    deletedDomains.push(domain);
+    return false;
+  });
+  if (!deletedDomains.length) {
+    return snapshot;
+  }
+
+  const result = { ...snapshot, actions };
+  if (snapshot.tools) {
+    result.tools = snapshot.tools.filter(
+      (tool) => !deletedDomains.some((domain) => tool.endsWith(`${actionDelimiter}${domain}`)),
+    );
+  }
+  return result;
+};
+
+/**
+ * Restores the versioned fields of an agent from a snapshot, as a new version.
+ * Actions that were deleted since the snapshot are left out.
+ *
+ * @param {Object} params
+ * @param {string} params.agent_id - The ID of the agent to roll back.
+ * @param {AgentVersion} params.agentVersion - The version to restore.
+ * @param {string} params.updatingUserId - The ID of the user rolling back.
+ * @returns {Promise<Agent | null>} The updated agent, or null if it no longer exists.
+ */
+const rollbackAgent = async ({ agent_id, agentVersion, updatingUserId }) => {
+  const snapshot = await dropDeletedActions(agent_id, getAgentSnapshot(agentVersion.snapshot));
+  const updateData = { $set: {}, $unset: {} };
+  for (const field of VERSIONED_FIELDS) {
+    if (field in snapshot) {
+      updateData.$set[field] = snapshot[field];
+    } else {
+      updateData.$unset[field] = 1;
+    }
+  }
+
+  return await updateAgent({ id: agent_id }, updateData, {
+    updatingUserId,
+    restoredFrom: agentVersion.version,
+  });
 };
 
 /**
@@ -248,6 +361,7 @@ const deleteAgent = async (searchParameter) => {
   const agent = await Agent.findOneAndDelete(searchParameter);
   if (agent) {
     await removeAgentFromAllProjects(agent.id);
+    await deleteAgentVersions(agent.id);
   }
   return agent;
 };
@@ -365,6 +479,7 @@ module.exports = {
   createAgent,
   updateAgent,
   deleteAgent,
+  rollbackAgent,
   getListAgents,
   updateAgentProjects,
   addAgentResourceFile,
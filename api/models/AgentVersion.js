@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { isEqual } = require('lodash');
+const { agentVersionSchema } = require('@librechat/data-schemas');
+const logger = require('~/config/winston');
+
+const AgentVersion = mongoose.model('AgentVersion', agentVersionSchema);
+
+/**
+ * The agent fields captured in each version.
+ * Avatars and attached files are managed by their own endpoints and are not versioned.
+ */
+const VERSIONED_FIELDS = [
+  'name',
+  'description',
+  'instructions',
+  'provider',
+  'model',
+  'model_parameters',
+  'artifacts',
+  'recursion_limit',
+  'tools',
+  'requires_approval',
+  'tool_kwargs',
+  'actions',
+  'hide_sequential_outputs',
+  'end_after_tools',
+  'agent_ids',
+  'chain_mode',
+  'conversation_starters',
+];
+
+/**
+ * Picks the versioned fields of an agent.
+ * @param {Agent} agent
+ * @returns {Record<string, unknown>}
+ */
+const getAgentSnapshot = (agent) => {
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (agent[field] !== undefined && agent[field] !== null) {
+      snapshot[field] = agent[field];
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * Lists the fields that differ between two snapshots.
+ * @param {Record<string, unknown>} from - The older snapshot.
+ * @param {Record<string, unknown>} to - The newer snapshot.
+ * @returns {Array<{ field: string, from: unknown, to: unknown }>}
+ */
+const diffSnapshots = (from, to) => {
+  const changes = [];
+  for (const field of VERSIONED_FIELDS) {
+    if (!isEqual(from[field], to[field])) {
+      changes.push({ field, from: from[field] ?? null, to: to[field] ?? null });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Appends a version of the agent, numbered after `agent.version`.
+ * A version that was already recorded, e.g. by a concurrent request, is kept as is.
+ *
+ * @param {Agent} agent - The agent, with the `version` to record.
+ * @param {string} [updatedBy] - The ID of the user who made the change.
+ * @param {number} [restoredFrom] - The version the agent was rolled back to.
+ * @returns {Promise<void>}
+ */
+const recordAgentVersion = async (agent, updatedBy, restoredFrom) => {
+  try {
+    await AgentVersion.create({
+      agent_id: agent.id,
+      version: agent.version,
+      snapshot: getAgentSnapshot(agent),
+      updatedBy,
+      restoredFrom,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    logger.warn(`[recordAgentVersion] Version ${agent.version} of ${agent.id} already exists`);
+  }
+};
+
+/**
+ * Lists the versions of an agent, newest first, without their snapshots.
+ * @param {string} agent_id
+ * @returns {Promise<Array<Omit<AgentVersion, 'snapshot'>>>}
+ */
+const getAgentVersions = async (agent_id) =>
+  await AgentVersion.find({ agent_id }, '-_id -__v -snapshot').sort({ version: -1 }).lean();
+
+/**
+ * Retrieves one version of an agent.
+ * @param {string} agent_id
+ * @param {number} version
+ * @returns {Promise<AgentVersion | null>}
+ */
+const getAgentVersion = async (agent_id, version) =>
+  await AgentVersion.findOne({ agent_id, version }, '-_id -__v').lean();
+
+/**
+ * Deletes the history of an agent.
+ * @param {string} agent_id
+ * @returns {Promise<void>}
+ */
+const deleteAgentVersions = async (agent_id) => {
+  await AgentVersion.deleteMany({ agent_id });
+};
+
+module.exports = {
+  AgentVersion,
+  VERSIONED_FIELDS,
+  diffSnapshots,
+  getAgentSnapshot,
+  getAgentVersion,
+  getAgentVersions,
+  recordAgentVersion,
+  deleteAgentVersions,
+};
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { Agent, createAgent, updateAgent, rollbackAgent } = require('./Agent');
+const {
+  AgentVersion,
+  diffSnapshots,
+  getAgentVersion,
+  getAgentVersions,
+  recordAgentVersion,
+} = require('./AgentVersion');
+const { updateAction } = require('./Action');
+
+describe('AgentVersion', () => {
+  let mongoServer;
+  const author = new mongoose.Types.ObjectId();
+  const editor = new mongoose.Types.ObjectId();
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await AgentVersion.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Agent.deleteMany({});
+    await AgentVersion.deleteMany({});
+  });
+
+  const createVersionedAgent = (data = {}) =>
+    createAgent({
+      id: `agent_${uuidv4()}`,
+      author,
+      name: 'Helper',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      instructions: 'Be brief',
+      tools: ['web_search'],
+      projectIds: [new mongoose.Types.ObjectId()],
+      ...data,
+    });
+
+  /** Lists the recorded versions of an agent, oldest first */
+  const listVersions = async (agent_id) => (await getAgentVersions(agent_id)).reverse();
+
+  it('records new agents as their first version', async () => {
+    const agent = await createVersionedAgent();
+
+    expect(agent.version).toBe(1);
+    const version = await getAgentVersion(agent.id, 1);
+    expect(version.updatedBy.toString()).toBe(author.toString());
+    expect(version.snapshot).toEqual({
+      name: 'Helper',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      instructions: 'Be brief',
+      tools: ['web_search'],
+    });
+  });
+
+  it('appends a version when a user changes a versioned field', async () => {
+    const agent = await createVersionedAgent();
+
+    const updated = await updateAgent(
+      { id: agent.id },
+      { instructions: 'Be thorough' },
+      { updatingUserId: editor },
+    );
+
+    expect(updated).toMatchObject({ instructions: 'Be thorough', version: 2 });
+    const version = await getAgentVersion(agent.id, 2);
+    expect(version.updatedBy.toString()).toBe(editor.toString());
+    expect(version.snapshot).toMatchObject({ instructions: 'Be thorough' });
+    expect(version.snapshot.projectIds).toBeUndefined();
+  });
+
+  it('does not version unchanged agents or updates made without a user', async () => {
+    const agent = await createVersionedAgent();
+
+    await updateAgent({ id: agent.id }, { name: 'Helper' }, { updatingUserId: editor });
+    const renamed = await updateAgent({ id: agent.id }, { name: 'Renamed' });
+
+    expect(renamed).toMatchObject({ name: 'Renamed', version: 1 });
+    expect((await listVersions(agent.id)).map(({ version }) => version)).toEqual([1]);
+  });
+
+  it('gives concurrent updates distinct versions', async () => {
+    const agent = await createVersionedAgent();
+
+    await Promise.all([
+      updateAgent({ id: agent.id }, { instructions: 'Be thorough' }, { updatingUserId: editor }),
+      updateAgent({ id: agent.id }, { model: 'gpt-4.1' }, { updatingUserId: editor }),
+    ]);
+
+    const stored = await Agent.findOne({ id: agent.id }).lean();
+    expect(stored.version).toBe(3);
+    expect((await listVersions(agent.id)).map(({ version }) => version)).toEqual([1, 2, 3]);
+    expect((await getAgentVersion(agent.id, 3)).snapshot).toMatchObject({
+      instructions: 'Be thorough',
+      model: 'gpt-4.1',
+    });
+  });
+
+  it('records the state of agents created before versioning as version 1', async () => {
+    const agent = await Agent.create({
+      id: `agent_${uuidv4()}`,
+      author,
+      name: 'Helper',
+      provider: 'openAI',
+      model: 'gpt-4o',
+    });
+
+    const updated = await updateAgent(
+      { id: agent.id },
+      { model: 'gpt-4.1' },
+      { updatingUserId: editor },
+    );
+
+    expect(updated.version).toBe(2);
+    const versions = await Promise.all([1, 2].map((v) => getAgentVersion(agent.id, v)));
+    expect(versions.map(({ version, snapshot }) => [version, snapshot.model])).toEqual([
+      [1, 'gpt-4o'],
+      [2, 'gpt-4.1'],
+    ]);
+    expect(versions[0].updatedBy.toString()).toBe(author.toString());
+  });
+
+  it('rolls back to a snapshot as a new version', async () => {
+    const agent = await createVersionedAgent({ name: 'Old' });
+    await updateAgent(
+      { id: agent.id },
+      { name: 'New', description: 'Newer' },
+      { updatingUserId: editor },
+    );
+
+    const updated = await rollbackAgent({
+      agent_id: agent.id,
+      agentVersion: await getAgentVersion(agent.id, 1),
+      updatingUserId: editor,
+    });
+
+    expect(updated).toMatchObject({ name: 'Old', version: 3 });
+    expect(updated.description).toBeUndefined();
+    expect(updated.projectIds.map(String)).toEqual(agent.projectIds.map(String));
+    expect(await getAgentVersion(agent.id, 3)).toMatchObject({
+      restoredFrom: 1,
+      snapshot: { name: 'Old' },
+    });
+  });
+
+  it('leaves out actions that were deleted since the snapshot', async () => {
+    const agent = await createVersionedAgent();
+    await updateAction(
+      { action_id: 'kept', agent_id: agent.id },
+      { user: author, metadata: { domain: 'api.weather.com' } },
+    );
+
+    const updated = await rollbackAgent({
+      agent_id: agent.id,
+      agentVersion: {
+        version: 1,
+        snapshot: {
+          name: 'Old',
+          tools: [
+            'web_search',
+            'getWeather_action_api---weather---com',
+            'getTodo_action_todo---io',
+          ],
+          actions: ['api---weather---com_action_kept', 'todo---io_action_deleted'],
+        },
+      },
+      updatingUserId: editor,
+    });
+
+    expect(updated.actions).toEqual(['api---weather---com_action_kept']);
+    expect(updated.tools).toEqual(['web_search', 'getWeather_action_api---weather---com']);
+    expect(await getAgentVersion(agent.id, 2)).toMatchObject({
+      restoredFrom: 1,
+      snapshot: { actions: ['api---weather---com_action_kept'] },
+    });
+  });
+
+  it('allows only one record of each version of an agent', async () => {
+    const agent = await createVersionedAgent();
+
+    await expect(
+      AgentVersion.create({ agent_id: agent.id, version: 1, snapshot: { name: 'Other' } }),
+    ).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('keeps versions that were already recorded', async () => {
+    const agent = await createVersionedAgent();
+
+    await expect(recordAgentVersion({ ...agent, name: 'Other' }, editor)).resolves.toBeUndefined();
+
+    const version = await getAgentVersion(agent.id, 1);
+    expect(version.snapshot.name).toBe('Helper');
+    expect(version.updatedBy.toString()).toBe(author.toString());
+  });
+
+  it('rethrows errors other than an already recorded version', async () => {
+    await expect(recordAgentVersion({ id: 'agent_1', name: 'Helper' }, editor)).rejects.toThrow(
+      mongoose.Error.ValidationError,
+    );
+  });
+
+  it('diffs the versioned fields of two snapshots', () => {
+    expect(
+      diffSnapshots(
+        { name: 'A', tools: ['a'], model_parameters: { temperature: 1 } },
+        { name: 'A', tools: ['a', 'b'], model_parameters: { temperature: 1 }, description: 'D' },
+      ),
+    ).toEqual([
+      { field: 'description', from: null, to: 'D' },
+      { field: 'tools', from: ['a'], to: ['a', 'b'] },
+    ]);
+  });
+});
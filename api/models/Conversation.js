@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const Conversation = require('./schema/convoSchema');
 const { getMessages, deleteMessages } = require('./Message');
+const { searchConversations } = require('~/server/services/Search');
 const logger = require('~/config/winston');
 
 /**
@@ -17,14 +19,14 @@ const searchConversation = async (conversationId) => {
 };
 
 /**
- * Retrieves a single conversation for a given user and conversation ID.
+ * Retrieves a single conversation for a given user and conversation ID, unless it is in the trash.
  * @param {string} user - The user's ID.
  * @param {string} conversationId - The conversation's ID.
  * @returns {Promise<TConversation>} The conversation object.
  */
 const getConvo = async (user, conversationId) => {
   try {
-    return await Conversation.findOne({ user, conversationId }).lean();
+    return await Conversation.findOne({ user, conversationId, deletedAt: null }).lean();
   } catch (error) {
     logger.error('[getConvo] Error getting single conversation', error);
     return { message: 'Error getting single conversation' };
@@ -74,9 +76,53 @@ const getConvoFiles = async (conversationId) => {
   }
 };
 
+/**
+ * Attaches files to a user's conversation, skipping files already attached.
+ * @param {string} user - The user's ID.
+ * @param {string} conversationId - The conversation's ID.
+ * @param {string[]} fileIds - The IDs of the files to attach.
+ * @returns {Promise<string[]>} The conversation's file ids after the update.
+ */
+const addConvoFiles = async (user, conversationId, fileIds) => {
+  try {
+    const convo = await Conversation.findOneAndUpdate(
+      { user, conversationId },
+      { $addToSet: { files: { $each: fileIds } } },
+      { new: true, projection: 'files' },
+    ).lean();
+    return convo?.files ?? [];
+  } catch (error) {
+    logger.error('[addConvoFiles] Error adding conversation files', error);
+    throw new Error('Error adding conversation files');
+  }
+};
+
+/**
+ * Encodes the position of the last conversation of a trash page.
+ * @param {{ deletedAt: Date, _id: import('mongoose').Types.ObjectId }} convo
+ * @returns {string}
+ */
+const encodeTrashCursor = ({ deletedAt, _id }) =>
+  Buffer.from(JSON.stringify([deletedAt.toISOString(), _id.toString()])).toString('base64url');
+
+/**
+ * @param {string} cursor - A cursor from `encodeTrashCursor`.
+ * @returns {{ deletedAt: Date, _id: import('mongoose').Types.ObjectId }}
+ * @throws {Error} If the cursor is malformed.
+ */
+const decodeTrashCursor = (cursor) => {
+  const [deletedAt, _id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  const date = new Date(deletedAt);
+  if (isNaN(date.getTime())) {
+    throw new Error('Invalid trash cursor');
+  }
+  return { deletedAt: date, _id: new mongoose.Types.ObjectId(_id) };
+};
+
 module.exports = {
   Conversation,
   getConvoFiles,
+  addConvoFiles,
   searchConversation,
   deleteNullOrEmptyConversations,
   /**
@@ -152,9 +198,18 @@ module.exports = {
   },
   getConvosByCursor: async (
     user,
-    { cursor, limit = 25, isArchived = false, tags, search, order = 'desc' } = {},
+    {
+      cursor,
+      limit = 25,
+      isArchived = false,
+      tags,
+      folderId,
+      search,
+      searchFilters,
+      order = 'desc',
+    } = {},
   ) => {
-    const filters = [{ user }];
+    const filters = [{ user, deletedAt: null }];
 
     if (isArchived) {
       filters.push({ isArchived: true });
@@ -166,21 +221,25 @@ module.exports = {
       filters.push({ tags: { $in: tags } });
     }
 
+    /** Note: `none` lists the conversations that are not in a folder */
+    if (folderId === 'none') {
+      filters.push({ folderId: null });
+    } else if (folderId) {
+      filters.push({ folderId });
+    }
+
     filters.push({ $or: [{ expiredAt: null }, { expiredAt: { $exists: false } }] });
 
     if (search) {
       try {
-        const meiliResults = await Conversation.meiliSearch(search);
-        const matchingIds = Array.isArray(meiliResults.hits)
-          ? meiliResults.hits.map((result) => result.conversationId)
-          : [];
+        const matchingIds = await searchConversations(user, search, searchFilters);
         if (!matchingIds.length) {
           return { conversations: [], nextCursor: null };
         }
         filters.push({ conversationId: { $in: matchingIds } });
       } catch (error) {
-        logger.error('[getConvosByCursor] Error during meiliSearch', error);
-        return { message: 'Error during meiliSearch' };
+        logger.error('[getConvosByCursor] Error during search', error);
+        return { message: 'Error during search' };
       }
     }
 
@@ -222,6 +281,7 @@ module.exports = {
       const results = await Conversation.find({
         user,
         conversationId: { $in: conversationIds },
+        deletedAt: null,
         $or: [{ expiredAt: { $exists: false } }, { expiredAt: null }],
       }).lean();
 
@@ -252,6 +312,23 @@ module.exports = {
     }
   },
   getConvo,
+  /**
+   * Retrieves the IDs of every conversation of a user, archived ones included, most recent first.
+   * Conversations in the trash are left out.
+   * @param {string} user - The user's ID.
+   * @returns {Promise<string[]>} The conversation IDs.
+   */
+  getConvoIds: async (user) => {
+    try {
+      const convos = await Conversation.find({ user, deletedAt: null }, 'conversationId')
+        .sort({ updatedAt: -1 })
+        .lean();
+      return convos.map((convo) => convo.conversationId);
+    } catch (error) {
+      logger.error('[getConvoIds] Error getting conversation IDs', error);
+      throw new Error('Error getting conversation IDs');
+    }
+  },
   /* chore: this method is not properly error handled */
   getConvoTitle: async (user, conversationId) => {
     try {
@@ -308,4 +385,88 @@ module.exports = {
       throw error;
     }
   },
+  /**
+   * Moves conversations to the trash; they are hidden until restored or purged.
+   * @param {string} user - The user's ID.
+   * @param {Object} filter - Additional filter criteria for the conversations to move.
+   * @returns {Promise<{ deletedCount: number, trashed: true }>} The number of conversations moved.
+   * @throws {Error} If no conversation outside the trash matches.
+   */
+  trashConvos: async (user, filter) => {
+    try {
+      const result = await Conversation.updateMany(
+        { ...filter, user, deletedAt: null },
+        { $set: { deletedAt: new Date() } },
+        { timestamps: false },
+      );
+
+      if (!result.matchedCount) {
+        throw new Error('Conversation not found or already deleted.');
+      }
+
+      return { deletedCount: result.modifiedCount, trashed: true };
+    } catch (error) {
+      logger.error('[trashConvos] Error moving conversations to the trash', error);
+      throw error;
+    }
+  },
+  /**
+   * Retrieves the conversations in a user's trash, most recently deleted first.
+   * Conversations deleted together share their `deletedAt`, so pages are ordered by `_id` as well.
+   * @param {string} user - The user's ID.
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - The `nextCursor` of the previous page.
+   * @param {number} [options.limit=25]
+   * @returns {Promise<{ conversations: TConversation[], nextCursor: string | null }>}
+   */
+  getTrashedConvos: async (user, { cursor, limit = 25 } = {}) => {
+    try {
+      const filter = { user, deletedAt: { $ne: null } };
+      if (cursor) {
+        const { deletedAt, _id } = decodeTrashCursor(cursor);
+        filter.$or = [{ deletedAt: { $lt: deletedAt } }, { deletedAt, _id: { $lt: _id } }];
+      }
+
+      const conversations = await Conversation.find(filter)
+        .select('conversationId title endpoint model iconURL folderId deletedAt updatedAt')
+        .sort({ deletedAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean();
+
+      let nextCursor = null;
+      if (conversations.length > limit) {
+        conversations.pop();
+        nextCursor = encodeTrashCursor(conversations[conversations.length - 1]);
+      }
+
+      return { conversations: conversations.map(({ _id, ...convo }) => convo), nextCursor };
+    } catch (error) {
+      logger.error('[getTrashedConvos] Error getting conversations in the trash', error);
+      throw new Error('Error getting conversations in the trash');
+    }
+  },
+  /**
+   * Restores conversations from the trash.
+   * @param {string} user - The user's ID.
+   * @param {string[]} [conversationIds] - The conversations to restore; the whole trash when omitted.
+   * @returns {Promise<{ restoredCount: number }>}
+   */
+  restoreConvos: async (user, conversationIds) => {
+    try {
+      const filter = { user, deletedAt: { $ne: null } };
+      if (conversationIds) {
+        filter.conversationId = { $in: conversationIds };
+      }
+
+      const result = await Conversation.updateMany(
+        filter,
+        { $unset: { deletedAt: 1 } },
+        { timestamps: false },
+      );
+      return { restoredCount: result.modifiedCount };
+    } catch (error) {
+      logger.error('[restoreConvos] Error restoring conversations', error);
+      throw new Error('Error restoring conversations');
+    }
+  },
 };
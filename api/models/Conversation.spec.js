@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const {
+  Conversation,
+  getConvo,
+  trashConvos,
+  restoreConvos,
+  getTrashedConvos,
+} = require('./Conversation');
+
+describe('Conversation trash', () => {
+  let mongoServer;
+  const user = new mongoose.Types.ObjectId().toString();
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Conversation.deleteMany({});
+  });
+
+  const createConvos = (count, props) =>
+    Conversation.insertMany(
+      Array.from({ length: count }, (_, i) => ({
+        conversationId: uuidv4(),
+        user,
+        title: `Conversation ${i + 1}`,
+        endpoint: 'openAI',
+        ...props,
+      })),
+    );
+
+  /** Collects every page of the trash */
+  const getAllTrashed = async (limit) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await getTrashedConvos(user, { cursor, limit });
+      pages.push(page.conversations);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('moves conversations to the trash, with one deletion date per call', async () => {
+    const convos = await createConvos(3);
+    await createConvos(1, { user: new mongoose.Types.ObjectId().toString() });
+
+    await expect(trashConvos(user, {})).resolves.toEqual({ deletedCount: 3, trashed: true });
+
+    const trashed = await Conversation.find({ deletedAt: { $ne: null } }).lean();
+    expect(trashed).toHaveLength(3);
+    expect(new Set(trashed.map((convo) => convo.deletedAt.getTime())).size).toBe(1);
+    await expect(getConvo(user, convos[0].conversationId)).resolves.toBeNull();
+    await expect(trashConvos(user, {})).rejects.toThrow('already deleted');
+  });
+
+  it('pages through conversations that were deleted at the same time', async () => {
+    await createConvos(25);
+    await trashConvos(user, {});
+
+    const pages = await getAllTrashed(10);
+
+    expect(pages.map((page) => page.length)).toEqual([10, 10, 5]);
+    const conversationIds = pages.flat().map((convo) => convo.conversationId);
+    expect(new Set(conversationIds).size).toBe(25);
+    expect(pages[0][0]).not.toHaveProperty('_id');
+  });
+
+  it('lists the most recently deleted conversations first', async () => {
+    const [older] = await createConvos(1);
+    await trashConvos(user, { conversationId: older.conversationId });
+    const newer = await createConvos(2);
+    await trashConvos(user, { conversationId: { $in: newer.map((c) => c.conversationId) } });
+
+    const pages = await getAllTrashed(2);
+
+    expect(pages).toHaveLength(2);
+    expect(pages[0].map((convo) => convo.conversationId).sort()).toEqual(
+      newer.map((convo) => convo.conversationId).sort(),
+    );
+    expect(pages[1].map((convo) => convo.conversationId)).toEqual([older.conversationId]);
+  });
+
+  it('restores conversations from the trash', async () => {
+    const convos = await createConvos(3);
+    await trashConvos(user, {});
+
+    await expect(restoreConvos(user, [convos[0].conversationId])).resolves.toEqual({
+      restoredCount: 1,
+    });
+    expect((await getTrashedConvos(user)).conversations).toHaveLength(2);
+    await expect(getConvo(user, convos[0].conversationId)).resolves.toMatchObject({
+      conversationId: convos[0].conversationId,
+    });
+
+    await expect(restoreConvos(user)).resolves.toEqual({ restoredCount: 2 });
+    expect((await getTrashedConvos(user)).conversations).toEqual([]);
+  });
+});
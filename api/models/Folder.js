@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { folderSchema } = require('@librechat/data-schemas');
+const { getConversationTags } = require('./ConversationTag');
+const Conversation = require('./schema/convoSchema');
+const logger = require('~/config/winston');
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+const MAX_NAME_LENGTH = 128;
+
+class FolderError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FolderError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validates and trims a folder name.
+ * @param {unknown} name
+ * @returns {string}
+ */
+const validateName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw new FolderError(
+      `Folder name must be between 1 and ${MAX_NAME_LENGTH} characters`,
+      'INVALID_PARAMS',
+    );
+  }
+  return trimmed;
+};
+
+/**
+ * Returns the position after the last folder under `parentId`.
+ * @param {string} user - The user ID.
+ * @param {string | null} parentId - The parent folder ID.
+ * @returns {Promise<number>}
+ */
+const getNextPosition = async (user, parentId) => {
+  const last = await Folder.findOne({ user, parentId }).sort('-position').lean();
+  return (last?.position || 0) + 1;
+};
+
+/**
+ * Ensures `parentId` names one of the user's folders that is not `folderId` or one of its descendants.
+ * @param {string} user - The user ID.
+ * @param {string | null} parentId - The requested parent folder ID.
+ * @param {string} [folderId] - The folder being moved.
+ * @returns {Promise<void>}
+ */
+const validateParent = async (user, parentId, folderId) => {
+  if (parentId !== null && typeof parentId !== 'string') {
+    throw new FolderError('`parentId` must be a folder ID or null', 'INVALID_PARAMS');
+  }
+
+  let currentId = parentId;
+  while (currentId) {
+    if (currentId === folderId) {
+      throw new FolderError('A folder cannot be moved into itself', 'INVALID_PARAMS');
+    }
+    const current = await Folder.findOne({ user, folderId: currentId }, 'parentId').lean();
+    if (!current) {
+      throw new FolderError('Parent folder not found', 'INVALID_PARAMS');
+    }
+    currentId = current.parentId;
+  }
+};
+
+/**
+ * Shifts sibling positions when a folder moves from `oldPosition` to `newPosition` under the same parent.
+ * @param {string} user - The user ID.
+ * @param {string | null} parentId - The parent folder ID.
+ * @param {number} oldPosition - The old position of the folder.
+ * @param {number} newPosition - The new position of the folder.
+ * @returns {Promise<void>}
+ */
+const adjustPositions = async (user, parentId, oldPosition, newPosition) => {
+  if (oldPosition === newPosition) {
+    return;
+  }
+
+  const update = oldPosition < newPosition ? { $inc: { position: -1 } } : { $inc: { position: 1 } };
+  const position =
+    oldPosition < newPosition
+      ? { $gt: oldPosition, $lte: newPosition }
+      : { $gte: newPosition, $lt: oldPosition };
+
+  await Folder.updateMany({ user, parentId, position }, update);
+};
+
+/**
+ * Retrieves all folders of a user, with the number of conversations in each.
+ * @param {string} user - The user ID.
+ * @returns {Promise<Array<Object>>} The folders, ordered by position within each parent.
+ */
+const getFolders = async (user) => {
+  try {
+    const [folders, counts] = await Promise.all([
+      Folder.find({ user }).select('-_id -__v').sort({ position: 1 }).lean(),
+      Conversation.aggregate([
+        { $match: { user, folderId: { $ne: null }, deletedAt: null } },
+        { $group: { _id: '$folderId', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countMap = new Map(counts.map(({ _id, count }) => [_id, count]));
+    return folders.map((folder) => ({ ...folder, count: countMap.get(folder.folderId) ?? 0 }));
+  } catch (error) {
+    logger.error('[getFolders] Error getting folders', error);
+    throw new Error('Error getting folders');
+  }
+};
+
+/**
+ * Creates a folder at the end of its parent.
+ * @param {string} user - The user ID.
+ * @param {Object} data - The folder data.
+ * @param {string} data.name - The folder name.
+ * @param {string | null} [data.parentId] - The parent folder ID; top-level when omitted.
+ * @returns {Promise<Object>} The created folder.
+ */
+const createFolder = async (user, { name, parentId = null } = {}) => {
+  const folderName = validateName(name);
+  await validateParent(user, parentId);
+
+  try {
+    const folder = await Folder.create({
+      folderId: uuidv4(),
+      user,
+      name: folderName,
+      parentId,
+      position: await getNextPosition(user, parentId),
+    });
+    const { _id, __v, ...result } = folder.toObject();
+    return { ...result, count: 0 };
+  } catch (error) {
+    logger.error('[createFolder] Error creating folder', error);
+    throw new Error('Error creating folder');
+  }
+};
+
+/**
+ * Renames, moves or reorders a folder.
+ * @param {string} user - The user ID.
+ * @param {string} folderId - The folder ID.
+ * @param {Object} data - The updated folder data.
+ * @param {string} [data.name] - The new name.
+ * @param {string | null} [data.parentId] - The new parent folder ID; `null` moves the folder to the top level.
+ * @param {number} [data.position] - The new position among its siblings; the end when moving without one.
+ * @returns {Promise<Object | null>} The updated folder, or `null` if it does not exist.
+ */
+const updateFolder = async (user, folderId, { name, parentId, position } = {}) => {
+  const folder = await Folder.findOne({ user, folderId }).lean();
+  if (!folder) {
+    return null;
+  }
+
+  if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+    throw new FolderError('Position must be a positive integer', 'INVALID_PARAMS');
+  }
+
+  const update = {};
+  if (name !== undefined) {
+    update.name = validateName(name);
+  }
+
+  const isMoving = parentId !== undefined && parentId !== folder.parentId;
+  if (isMoving) {
+    await validateParent(user, parentId, folderId);
+  }
+
+  try {
+    if (isMoving) {
+      const lastPosition = (await getNextPosition(user, parentId)) - 1;
+      const newPosition = Math.min(position ?? lastPosition + 1, lastPosition + 1);
+      await Folder.updateMany(
+        { user, parentId: folder.parentId, position: { $gt: folder.position } },
+        { $inc: { position: -1 } },
+      );
+      await Folder.updateMany(
+        { user, parentId, position: { $gte: newPosition } },
+        { $inc: { position: 1 } },
+      );
+      update.parentId = parentId;
+      update.position = newPosition;
+    } else if (position !== undefined) {
+      const lastPosition = (await getNextPosition(user, folder.parentId)) - 1;
+      const newPosition = Math.min(position, lastPosition);
+      await adjustPositions(user, folder.parentId, folder.position, newPosition);
+      update.position = newPosition;
+    }
+
+    return await Folder.findOneAndUpdate({ user, folderId }, update, {
+      new: true,
+      lean: true,
+      projection: '-_id -__v',
+    });
+  } catch (error) {
+    logger.error('[updateFolder] Error updating folder', error);
+    throw new Error('Error updating folder');
+  }
+};
+
+/**
+ * Deletes a folder. Its subfolders and conversations move to its parent.
+ * @param {string} user - The user ID.
+ * @param {string} folderId - The folder ID.
+ * @returns {Promise<Object | null>} The deleted folder, or `null` if it does not exist.
+ */
+const deleteFolder = async (user, folderId) => {
+  try {
+    const folder = await Folder.findOneAndDelete({ user, folderId }).select('-_id -__v').lean();
+    if (!folder) {
+      return null;
+    }
+
+    const { parentId } = folder;
+    await Folder.updateMany(
+      { user, parentId, position: { $gt: folder.position } },
+      { $inc: { position: -1 } },
+    );
+
+    const children = await Folder.find({ user, parentId: folderId }).sort({ position: 1 }).lean();
+    if (children.length > 0) {
+      const nextPosition = await getNextPosition(user, parentId);
+      await Folder.bulkWrite(
+        children.map((child, index) => ({
+          updateOne: {
+            filter: { user, folderId: child.folderId },
+            update: { $set: { parentId, position: nextPosition + index } },
+          },
+        })),
+      );
+    }
+
+    await Conversation.updateMany(
+      { user, folderId },
+      parentId ? { $set: { folderId: parentId } } : { $unset: { folderId: 1 } },
+    );
+
+    return folder;
+  } catch (error) {
+    logger.error('[deleteFolder] Error deleting folder', error);
+    throw new Error('Error deleting folder');
+  }
+};
+
+/**
+ * Moves conversations into a folder.
+ * @param {string} user - The user ID.
+ * @param {string[]} conversationIds - The conversations to move.
+ * @param {string | null} folderId - The target folder ID; `null` removes them from their folder.
+ * @returns {Promise<{ folderId: string | null, modifiedCount: number }>}
+ */
+const moveConversationsToFolder = async (user, conversationIds, folderId) => {
+  if (
+    !Array.isArray(conversationIds) ||
+    conversationIds.length === 0 ||
+    !conversationIds.every((id) => typeof id === 'string')
+  ) {
+    throw new FolderError('`conversationIds` must be a list of conversation IDs', 'INVALID_PARAMS');
+  }
+
+  if (folderId && !(await Folder.findOne({ user, folderId }, 'folderId').lean())) {
+    throw new FolderError('Folder not found', 'NOT_FOUND');
+  }
+
+  try {
+    const result = await Conversation.updateMany(
+      { user, conversationId: { $in: conversationIds } },
+      folderId ? { $set: { folderId } } : { $unset: { folderId: 1 } },
+    );
+    return { folderId: folderId || null, modifiedCount: result.modifiedCount };
+  } catch (error) {
+    logger.error('[moveConversationsToFolder] Error moving conversations', error);
+    throw new Error('Error moving conversations to folder');
+  }
+};
+
+/**
+ * Creates a top-level folder for each bookmark tag, reusing folders of the same name,
+ * and moves tagged conversations that are not in a folder yet into the folder of their first tag.
+ * Tags are left untouched.
+ * @param {string} user - The user ID.
+ * @returns {Promise<{ created: number, moved: number }>}
+ */
+const migrateTagsToFolders = async (user) => {
+  try {
+    const tags = await getConversationTags(user);
+    const result = { created: 0, moved: 0 };
+
+    for (const { tag } of tags) {
+      if (!tag) {
+        continue;
+      }
+
+      let folder = await Folder.findOne({ user, parentId: null, name: tag }).lean();
+      if (!folder) {
+        folder = await Folder.create({
+          folderId: uuidv4(),
+          user,
+          name: tag,
+          parentId: null,
+          position: await getNextPosition(user, null),
+        });
+        result.created++;
+      }
+
+      const { modifiedCount } = await Conversation.updateMany(
+        { user, tags: tag, folderId: null },
+        { $set: { folderId: folder.folderId } },
+      );
+      result.moved += modifiedCount;
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('[migrateTagsToFolders] Error migrating tags to folders', error);
+    throw new Error('Error migrating tags to folders');
+  }
+};
+
+module.exports = {
+  Folder,
+  FolderError,
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveConversationsToFolder,
+  migrateTagsToFolders,
+};
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+jest.mock('mongoose');
+
+/** Resolves `lean()` with `result`; every other query method chains */
+const mockQuery = (result) => {
+  const query = {
+    select: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+};
+
+const mockFolder = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findOneAndDelete: jest.fn(),
+  updateMany: jest.fn(),
+  bulkWrite: jest.fn(),
+  create: jest.fn(async (doc) => ({ ...doc, toObject: () => ({ _id: 'oid', __v: 0, ...doc }) })),
+};
+
+mongoose.model.mockReturnValue(mockFolder);
+
+jest.mock('./schema/convoSchema', () => ({
+  aggregate: jest.fn(),
+  updateMany: jest.fn(),
+}));
+jest.mock('./ConversationTag', () => ({
+  getConversationTags: jest.fn(),
+}));
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+}));
+
+const Conversation = require('./schema/convoSchema');
+const { getConversationTags } = require('./ConversationTag');
+const {
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveConversationsToFolder,
+  migrateTagsToFolders,
+} = require('./Folder');
+
+/** Folders of `user-1`: `a` contains `b`, which contains `c`; `d` is top-level */
+const folders = [
+  { folderId: 'a', parentId: null, position: 1, name: 'A' },
+  { folderId: 'b', parentId: 'a', position: 1, name: 'B' },
+  { folderId: 'c', parentId: 'b', position: 1, name: 'C' },
+  { folderId: 'd', parentId: null, position: 2, name: 'D' },
+];
+
+/** Answers `findOne` from `folders`, returning the last sibling when sorted by position */
+const findFolder = (filter) => {
+  const matches = folders.filter(
+    (folder) =>
+      (filter.folderId === undefined || folder.folderId === filter.folderId) &&
+      (filter.parentId === undefined || folder.parentId === filter.parentId) &&
+      (filter.name === undefined || folder.name === filter.name),
+  );
+  const query = mockQuery(matches[0] ?? null);
+  query.sort = jest.fn(() => mockQuery(matches[matches.length - 1] ?? null));
+  return query;
+};
+
+describe('Folder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockFolder.findOne.mockImplementation(findFolder);
+    mockFolder.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+      ...folders.find((folder) => folder.folderId === filter.folderId),
+      ...update,
+    }));
+    Conversation.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  it('lists folders with their conversation counts', async () => {
+    mockFolder.find.mockReturnValue(mockQuery(folders.slice(0, 2)));
+    Conversation.aggregate.mockResolvedValue([{ _id: 'a', count: 3 }]);
+
+    const result = await getFolders('user-1');
+
+    expect(result.map(({ folderId, count }) => [folderId, count])).toEqual([
+      ['a', 3],
+      ['b', 0],
+    ]);
+  });
+
+  it('creates folders at the end of their parent', async () => {
+    const folder = await createFolder('user-1', { name: '  Research ', parentId: 'b' });
+
+    expect(folder).toMatchObject({ name: 'Research', parentId: 'b', position: 2, count: 0 });
+    expect(folder._id).toBeUndefined();
+    expect(folder.folderId).toEqual(expect.any(String));
+
+    await expect(createFolder('user-1', { name: ' ' })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+    await expect(createFolder('user-1', { name: 'X', parentId: 'missing' })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+  });
+
+  it('does not move a folder into itself or its descendants', async () => {
+    await expect(updateFolder('user-1', 'a', { parentId: 'c' })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+    await expect(updateFolder('user-1', 'a', { parentId: 'a' })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+    expect(mockFolder.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('moves a folder to the end of its new parent and closes the gap it leaves', async () => {
+    const folder = await updateFolder('user-1', 'b', { parentId: 'd' });
+
+    expect(mockFolder.updateMany).toHaveBeenCalledWith(
+      { user: 'user-1', parentId: 'a', position: { $gt: 1 } },
+      { $inc: { position: -1 } },
+    );
+    expect(folder).toMatchObject({ folderId: 'b', parentId: 'd', position: 1 });
+  });
+
+  it('reorders folders among their siblings', async () => {
+    const folder = await updateFolder('user-1', 'd', { position: 1 });
+
+    expect(mockFolder.updateMany).toHaveBeenCalledWith(
+      { user: 'user-1', parentId: null, position: { $gte: 1, $lt: 2 } },
+      { $inc: { position: 1 } },
+    );
+    expect(folder).toMatchObject({ folderId: 'd', position: 1 });
+    expect(await updateFolder('user-1', 'missing', { position: 1 })).toBeNull();
+  });
+
+  it('moves the subfolders and conversations of deleted folders to their parent', async () => {
+    mockFolder.findOneAndDelete.mockReturnValue(mockQuery(folders[1]));
+    mockFolder.find.mockReturnValue(mockQuery([folders[2]]));
+
+    await deleteFolder('user-1', 'b');
+
+    expect(mockFolder.bulkWrite).toHaveBeenCalledWith([
+      {
+        updateOne: {
+          filter: { user: 'user-1', folderId: 'c' },
+          update: { $set: { parentId: 'a', position: 2 } },
+        },
+      },
+    ]);
+    expect(Conversation.updateMany).toHaveBeenCalledWith(
+      { user: 'user-1', folderId: 'b' },
+      { $set: { folderId: 'a' } },
+    );
+  });
+
+  it('moves conversations into and out of folders', async () => {
+    Conversation.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await moveConversationsToFolder('user-1', ['c1', 'c2'], 'd')).toEqual({
+      folderId: 'd',
+      modifiedCount: 2,
+    });
+    await moveConversationsToFolder('user-1', ['c1'], null);
+    expect(Conversation.updateMany).toHaveBeenLastCalledWith(
+      { user: 'user-1', conversationId: { $in: ['c1'] } },
+      { $unset: { folderId: 1 } },
+    );
+
+    await expect(moveConversationsToFolder('user-1', ['c1'], 'missing')).rejects.toMatchObject({
+      code: 'NOT_FOUND',
+    });
+  });
+
+  it('migrates tags into top-level folders, reusing folders of the same name', async () => {
+    getConversationTags.mockResolvedValue([{ tag: 'D' }, { tag: 'Work' }]);
+    Conversation.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await migrateTagsToFolders('user-1');
+
+    expect(result).toEqual({ created: 1, moved: 2 });
+    expect(mockFolder.create).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Work', parentId: null, position: 3 }),
+    );
+    expect(Conversation.updateMany).toHaveBeenCalledWith(
+      { user: 'user-1', tags: 'D', folderId: null },
+      { $set: { folderId: 'd' } },
+    );
+  });
+});
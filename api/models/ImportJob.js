@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { importJobSchema } = require('@librechat/data-schemas');
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+/**
+ * Create an import job
+ * @param {Pick<IImportJob, 'jobId' | 'user' | 'filepath' | 'filename'>} data - The job fields
+ * @returns {Promise<IImportJob>} The created job document
+ */
+async function createImportJob(data) {
+  try {
+    const job = await ImportJob.create(data);
+    return job.toObject();
+  } catch (error) {
+    throw new Error(`Error creating import job: ${error.message}`);
+  }
+}
+
+/**
+ * Get an import job of a user
+ * @param {string} userId - The user's ObjectId
+ * @param {string} jobId - The job ID
+ * @returns {Promise<IImportJob|null>} The job document or null if not found
+ */
+async function getImportJob(userId, jobId) {
+  try {
+    return await ImportJob.findOne({ user: userId, jobId }).lean();
+  } catch (error) {
+    throw new Error(`Error fetching import job: ${error.message}`);
+  }
+}
+
+/**
+ * Update an import job
+ * @param {string} jobId - The job ID
+ * @param {import('mongoose').UpdateQuery<IImportJob>} update - The update to apply
+ * @returns {Promise<IImportJob|null>} The updated job document
+ */
+async function updateImportJob(jobId, update) {
+  try {
+    return await ImportJob.findOneAndUpdate({ jobId }, update, { new: true }).lean();
+  } catch (error) {
+    throw new Error(`Error updating import job: ${error.message}`);
+  }
+}
+
+/** Statuses of the jobs that still have conversations to import */
+const UNFINISHED_STATUSES = ['pending', 'running'];
+
+/**
+ * Get the unfinished jobs no server holds a lease on, e.g. because the server running them
+ * stopped
+ * @returns {Promise<IImportJob[]>} The unfinished job documents, oldest first
+ */
+async function getUnfinishedImportJobs() {
+  try {
+    return await ImportJob.find({
+      status: { $in: UNFINISHED_STATUSES },
+      leaseUntil: { $not: { $gte: new Date() } },
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+  } catch (error) {
+    throw new Error(`Error fetching unfinished import jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Atomically claims an unfinished job no server holds a lease on
+ * @param {string} jobId - The job ID
+ * @param {string} owner - Identifies the server process claiming the job
+ * @param {number} leaseMs - How long the lease lasts unless renewed
+ * @returns {Promise<IImportJob|null>} The claimed job document, or null if it is finished or
+ * another server holds it
+ */
+async function claimImportJob(jobId, owner, leaseMs) {
+  try {
+    const now = new Date();
+    return await ImportJob.findOneAndUpdate(
+      { jobId, status: { $in: UNFINISHED_STATUSES }, leaseUntil: { $not: { $gte: now } } },
+      { $set: { owner, leaseUntil: new Date(now.getTime() + leaseMs) } },
+      { new: true },
+    ).lean();
+  } catch (error) {
+    throw new Error(`Error claiming import job: ${error.message}`);
+  }
+}
+
+/**
+ * Extends the lease of a server on a job it claimed
+ * @param {string} jobId - The job ID
+ * @param {string} owner - Identifies the server process holding the job
+ * @param {number} leaseMs - How long the lease lasts from now unless renewed
+ * @returns {Promise<IImportJob|null>} The job document, or null if the server lost the job
+ */
+async function renewImportJobLease(jobId, owner, leaseMs) {
+  try {
+    return await ImportJob.findOneAndUpdate(
+      { jobId, owner, status: { $in: UNFINISHED_STATUSES } },
+      { $set: { leaseUntil: new Date(Date.now() + leaseMs) } },
+      { new: true },
+    ).lean();
+  } catch (error) {
+    throw new Error(`Error renewing import job lease: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createImportJob,
+  getImportJob,
+  updateImportJob,
+  getUnfinishedImportJobs,
+  claimImportJob,
+  renewImportJobLease,
+};
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const {
+  createImportJob,
+  updateImportJob,
+  claimImportJob,
+  renewImportJobLease,
+  getUnfinishedImportJobs,
+} = require('./ImportJob');
+
+describe('ImportJob leases', () => {
+  let mongoServer;
+  const user = new mongoose.Types.ObjectId();
+  const leaseMs = 60 * 1000;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.models.ImportJob.deleteMany({});
+  });
+
+  const createJob = (jobId) => createImportJob({ jobId, user, filepath: `/uploads/${jobId}` });
+
+  it('lets only one of the servers claiming a job at the same time run it', async () => {
+    await createJob('job-1');
+
+    const claims = await Promise.all(
+      ['server-a', 'server-b', 'server-c'].map((owner) => claimImportJob('job-1', owner, leaseMs)),
+    );
+
+    const claimed = claims.filter(Boolean);
+    expect(claimed).toHaveLength(1);
+    expect(claimed[0].leaseUntil.getTime()).toBeGreaterThan(Date.now());
+    await expect(getUnfinishedImportJobs()).resolves.toEqual([]);
+  });
+
+  it('lets another server resume a job once its lease expires', async () => {
+    await createJob('job-1');
+    await claimImportJob('job-1', 'server-a', -1);
+
+    await expect(getUnfinishedImportJobs()).resolves.toEqual([
+      expect.objectContaining({ jobId: 'job-1', owner: 'server-a' }),
+    ]);
+    await expect(claimImportJob('job-1', 'server-b', leaseMs)).resolves.toMatchObject({
+      owner: 'server-b',
+    });
+    await expect(renewImportJobLease('job-1', 'server-a', leaseMs)).resolves.toBeNull();
+    await expect(renewImportJobLease('job-1', 'server-b', leaseMs)).resolves.toMatchObject({
+      owner: 'server-b',
+    });
+  });
+
+  it('never claims finished jobs', async () => {
+    await createJob('job-1');
+    await updateImportJob('job-1', { status: 'completed', finishedAt: new Date() });
+
+    await expect(claimImportJob('job-1', 'server-a', leaseMs)).resolves.toBeNull();
+    await expect(getUnfinishedImportJobs()).resolves.toEqual([]);
+  });
+});
@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const { emitPluginHook, PluginHooks } = require('~/app/pluginServer/hooks');
 const Message = require('./schema/messageSchema');
 const { logger } = require('~/config');
 
@@ -67,7 +68,9 @@ async function saveMessage(req, params, metadata) {
       { upsert: true, new: true },
     );
 
-    return message.toObject();
+    const savedMessage = message.toObject();
+    emitPluginHook(PluginHooks.MESSAGE_SAVED, { user: req.user.id, message: savedMessage });
+    return savedMessage;
   } catch (err) {
     logger.error('Error saving message:', err);
     logger.info(`---\`saveMessage\` context: ${metadata?.context}`);
@@ -237,7 +240,7 @@ async function updateMessage(req, message, metadata) {
       throw new Error('Message not found or user not authorized.');
     }
 
-    return {
+    const result = {
       messageId: updatedMessage.messageId,
       conversationId: updatedMessage.conversationId,
       parentMessageId: updatedMessage.parentMessageId,
@@ -246,6 +249,8 @@ async function updateMessage(req, message, metadata) {
       isCreatedByUser: updatedMessage.isCreatedByUser,
       tokenCount: updatedMessage.tokenCount,
     };
+    emitPluginHook(PluginHooks.MESSAGE_UPDATED, { user: req.user.id, message: result });
+    return result;
   } catch (err) {
     logger.error('Error updating message:', err);
     if (metadata && metadata?.context) {
@@ -337,7 +342,9 @@ async function getMessage({ user, messageId }) {
  */
 async function deleteMessages(filter) {
   try {
-    return await Message.deleteMany(filter);
+    const result = await Message.deleteMany(filter);
+    emitPluginHook(PluginHooks.MESSAGES_DELETED, { filter, deletedCount: result?.deletedCount });
+    return result;
   } catch (err) {
     logger.error('Error deleting messages:', err);
     throw err;
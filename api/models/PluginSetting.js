@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { pluginSettingSchema } = require('@librechat/data-schemas');
+const PluginSetting = mongoose.model('PluginSetting', pluginSettingSchema);
+
+/**
+ * Get the plugin settings of a user
+ * @param {string} userId - The user's ObjectId
+ * @returns {Promise<IPluginSetting[]>} Array of plugin setting documents
+ */
+async function getPluginSettings(userId) {
+  try {
+    return await PluginSetting.find({ user: userId }).lean();
+  } catch (error) {
+    throw new Error(`Error fetching plugin settings: ${error.message}`);
+  }
+}
+
+/**
+ * Get the settings of a user for a single plugin
+ * @param {string} userId - The user's ObjectId
+ * @param {string} pluginId - The plugin ID
+ * @returns {Promise<IPluginSetting|null>} The plugin setting document or null if not found
+ */
+async function getPluginSetting(userId, pluginId) {
+  try {
+    return await PluginSetting.findOne({ user: userId, pluginId }).lean();
+  } catch (error) {
+    throw new Error(`Error fetching plugin setting: ${error.message}`);
+  }
+}
+
+/**
+ * Create or update the settings of a user for a single plugin
+ * @param {string} userId - The user's ObjectId
+ * @param {string} pluginId - The plugin ID
+ * @param {{ enabled?: boolean, settings?: Record<string, unknown> }} update - The fields to update
+ * @returns {Promise<IPluginSetting>} The updated plugin setting document
+ */
+async function updatePluginSetting(userId, pluginId, update) {
+  try {
+    return await PluginSetting.findOneAndUpdate(
+      { user: userId, pluginId },
+      { $set: update },
+      { new: true, upsert: true },
+    ).lean();
+  } catch (error) {
+    throw new Error(`Error updating plugin setting: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the plugin settings of a user
+ * @param {string} userId - The user's ObjectId
+ * @returns {Promise<{ deletedCount?: number }>} The result of the delete operation
+ */
+async function deletePluginSettings(userId) {
+  try {
+    return await PluginSetting.deleteMany({ user: userId });
+  } catch (error) {
+    throw new Error(`Error deleting plugin settings: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getPluginSetting,
+  getPluginSettings,
+  updatePluginSetting,
+  deletePluginSettings,
+};
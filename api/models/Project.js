@@ -122,9 +122,96 @@ const removeAgentFromAllProjects = async (agentId) => {
   await Project.updateMany({}, { $pull: { agentIds: agentId } });
 };
 
+/**
+ * Create a project.
+ *
+ * @param {string} name - The name of the project.
+ * @returns {Promise<IMongoProject>} The created project as a plain object.
+ */
+const createProject = async function (name) {
+  const project = await Project.create({ name });
+  return project.toObject();
+};
+
+/**
+ * Retrieve the projects other than the instance project, with the emails of their members.
+ *
+ * @param {import('mongoose').FilterQuery<IMongoProject>} [filter] - Additional filter criteria for the projects.
+ * @returns {Promise<Array<{ _id: string, name: string, memberIds: Array<{ _id: string, email: string }> }>>}
+ */
+const getProjects = async function (filter = {}) {
+  return await Project.find({ ...filter, name: { $ne: GLOBAL_PROJECT_NAME } })
+    .select('_id name memberIds')
+    .populate('memberIds', 'email')
+    .sort({ name: 1 })
+    .lean();
+};
+
+/**
+ * Retrieve the projects a user is a member of, excluding the instance project.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<{ _id: string, name: string }>>} The projects.
+ */
+const getProjectsByMember = async function (userId) {
+  return await Project.find({ memberIds: userId }).select('_id name').sort({ name: 1 }).lean();
+};
+
+/**
+ * Add an array of user IDs to a project's memberIds array, ensuring uniqueness.
+ *
+ * @param {string} projectId - The ID of the project to update.
+ * @param {string[]} userIds - The array of user IDs to add to the project.
+ * @returns {Promise<IMongoProject>} The updated project document.
+ */
+const addMemberIdsToProject = async function (projectId, userIds) {
+  return await Project.findByIdAndUpdate(
+    projectId,
+    { $addToSet: { memberIds: { $each: userIds } } },
+    { new: true },
+  );
+};
+
+/**
+ * Remove an array of user IDs from a project's memberIds array.
+ *
+ * @param {string} projectId - The ID of the project to update.
+ * @param {string[]} userIds - The array of user IDs to remove from the project.
+ * @returns {Promise<IMongoProject>} The updated project document.
+ */
+const removeMemberIdsFromProject = async function (projectId, userIds) {
+  return await Project.findByIdAndUpdate(
+    projectId,
+    { $pull: { memberIds: { $in: userIds } } },
+    { new: true },
+  );
+};
+
+/**
+ * Retrieve the IDs of the projects a user is a member of, including the instance project.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<string[]>} The project IDs.
+ */
+const getUserProjectIds = async function (userId) {
+  const [instanceProject, projects] = await Promise.all([
+    getProjectByName(GLOBAL_PROJECT_NAME, '_id'),
+    Project.find({ memberIds: userId }).select('_id').lean(),
+  ]);
+
+  return [instanceProject, ...projects].filter(Boolean).map((project) => project._id.toString());
+};
+
 module.exports = {
   getProjectById,
   getProjectByName,
+  getUserProjectIds,
+  /* members */
+  createProject,
+  getProjects,
+  getProjectsByMember,
+  addMemberIdsToProject,
+  removeMemberIdsFromProject,
   /* prompts */
   addGroupIdsToProject,
   removeGroupIdsFromProject,
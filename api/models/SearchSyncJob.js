@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { searchSyncJobSchema } = require('@librechat/data-schemas');
+const SearchSyncJob = mongoose.model('SearchSyncJob', searchSyncJobSchema);
+
+/**
+ * Create an active search sync job, unless another job is active
+ * @param {Pick<ISearchSyncJob, 'jobId' | 'mode' | 'batchSize' | 'throttleMs' | 'since' | 'requestedBy' | 'indexedAttributes'>} data - The job fields
+ * @returns {Promise<ISearchSyncJob|null>} The created job document, or null if another job is active
+ */
+async function createSearchSyncJob(data) {
+  try {
+    const job = await SearchSyncJob.create({ ...data, active: true });
+    return job.toObject();
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.active) {
+      return null;
+    }
+    throw new Error(`Error creating search sync job: ${error.message}`);
+  }
+}
+
+/**
+ * Get a search sync job
+ * @param {string} jobId - The job ID
+ * @returns {Promise<ISearchSyncJob|null>} The job document or null if not found
+ */
+async function getSearchSyncJob(jobId) {
+  try {
+    return await SearchSyncJob.findOne({ jobId }).lean();
+  } catch (error) {
+    throw new Error(`Error fetching search sync job: ${error.message}`);
+  }
+}
+
+/**
+ * Update a search sync job
+ * @param {string} jobId - The job ID
+ * @param {import('mongoose').UpdateQuery<ISearchSyncJob>} update - The update to apply
+ * @returns {Promise<ISearchSyncJob|null>} The updated job document
+ */
+async function updateSearchSyncJob(jobId, update) {
+  try {
+    return await SearchSyncJob.findOneAndUpdate({ jobId }, update, { new: true }).lean();
+  } catch (error) {
+    throw new Error(`Error updating search sync job: ${error.message}`);
+  }
+}
+
+/**
+ * Finish a search sync job, so another job can start
+ * @param {string} jobId - The job ID
+ * @param {Pick<ISearchSyncJob, 'status' | 'watermark' | 'error' | 'finishedAt'>} update - The final state of the job
+ * @returns {Promise<ISearchSyncJob|null>} The updated job document
+ */
+async function finishSearchSyncJob(jobId, update) {
+  try {
+    return await SearchSyncJob.findOneAndUpdate(
+      { jobId },
+      { $set: update, $unset: { active: '' } },
+      { new: true },
+    ).lean();
+  } catch (error) {
+    throw new Error(`Error finishing search sync job: ${error.message}`);
+  }
+}
+
+/**
+ * Get the pending or running job that made progress recently. Jobs that stopped making
+ * progress, e.g. because their process stopped, are marked as failed.
+ * @param {number} staleAfterMs - How long a job can go without progress before it counts as stopped
+ * @returns {Promise<ISearchSyncJob|null>} The active job document or null if there is none
+ */
+async function getActiveSearchSyncJob(staleAfterMs) {
+  try {
+    const unfinished = { status: { $in: ['pending', 'running'] } };
+    const staleBefore = new Date(Date.now() - staleAfterMs);
+    await SearchSyncJob.updateMany(
+      { ...unfinished, updatedAt: { $lt: staleBefore } },
+      {
+        $set: {
+          status: 'failed',
+          error: 'The job stopped making progress',
+          finishedAt: new Date(),
+        },
+        $unset: { active: '' },
+      },
+    );
+    return await SearchSyncJob.findOne(unfinished).sort({ createdAt: -1 }).lean();
+  } catch (error) {
+    throw new Error(`Error fetching active search sync job: ${error.message}`);
+  }
+}
+
+/**
+ * Get the watermark of the last completed job, from which incremental syncs continue.
+ * Only jobs that synced the current attributes count: documents indexed before an attribute
+ * was added lack it, e.g. when upgrading, and are only fixed by a full sync.
+ * @param {{ messages: string[], convos: string[] }} indexedAttributes - The current attributes of each index
+ * @returns {Promise<Date|undefined>} The watermark, or undefined if no such job has completed
+ */
+async function getSearchSyncWatermark(indexedAttributes) {
+  try {
+    const job = await SearchSyncJob.findOne({
+      status: 'completed',
+      'indexedAttributes.messages': indexedAttributes.messages,
+      'indexedAttributes.convos': indexedAttributes.convos,
+    })
+      .sort({ watermark: -1 })
+      .select('watermark')
+      .lean();
+    return job?.watermark;
+  } catch (error) {
+    throw new Error(`Error fetching search sync watermark: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createSearchSyncJob,
+  getSearchSyncJob,
+  updateSearchSyncJob,
+  finishSearchSyncJob,
+  getActiveSearchSyncJob,
+  getSearchSyncWatermark,
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const {
+  createSearchSyncJob,
+  finishSearchSyncJob,
+  getActiveSearchSyncJob,
+} = require('./SearchSyncJob');
+
+describe('SearchSyncJob', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await mongoose.models.SearchSyncJob.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.models.SearchSyncJob.deleteMany({});
+  });
+
+  const createJob = (jobId) => createSearchSyncJob({ jobId, mode: 'full', batchSize: 1000 });
+
+  it('creates only one of the jobs started at the same time', async () => {
+    const jobs = await Promise.all(['job-1', 'job-2', 'job-3'].map(createJob));
+
+    const created = jobs.filter(Boolean);
+    expect(created).toHaveLength(1);
+    await expect(getActiveSearchSyncJob(60 * 1000)).resolves.toMatchObject({
+      jobId: created[0].jobId,
+    });
+  });
+
+  it('lets a job start once the active one finished', async () => {
+    await createJob('job-1');
+    await expect(createJob('job-2')).resolves.toBeNull();
+
+    await finishSearchSyncJob('job-1', { status: 'completed', finishedAt: new Date() });
+
+    await expect(createJob('job-2')).resolves.toMatchObject({ jobId: 'job-2', active: true });
+  });
+
+  it('lets a job start once the active one stopped making progress', async () => {
+    await createJob('job-1');
+
+    await expect(getActiveSearchSyncJob(-1)).resolves.toBeNull();
+    await expect(createJob('job-2')).resolves.toMatchObject({ jobId: 'job-2' });
+  });
+});
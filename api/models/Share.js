@@ -1,11 +1,14 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const { nanoid } = require('nanoid');
 const { Constants } = require('librechat-data-provider');
 const { Conversation } = require('~/models/Conversation');
 const { shareSchema } = require('@librechat/data-schemas');
 const SharedLink = mongoose.model('SharedLink', shareSchema);
+const { getUserProjectIds } = require('./Project');
 const { getMessages } = require('./Message');
 const logger = require('~/config/winston');
+const User = require('./User');
 
 class ShareServiceError extends Error {
   constructor(message, code) {
@@ -15,6 +18,182 @@ class ShareServiceError extends Error {
   }
 }
 
+const shareModes = ['snapshot', 'live'];
+
+/** Matches links that are public or shared with someone, unlike links that were unpublished */
+const activeShareFilter = {
+  $or: [
+    { isPublic: true },
+    { 'sharedWith.0': { $exists: true } },
+    { 'projectIds.0': { $exists: true } },
+  ],
+};
+
+/**
+ * Resolves the emails of the users a conversation is shared with to their IDs.
+ * @param {string[]} emails
+ * @returns {Promise<string[]>}
+ */
+async function getRecipientIds(emails) {
+  if (!Array.isArray(emails) || emails.some((email) => typeof email !== 'string')) {
+    throw new ShareServiceError('Recipients must be a list of emails', 'INVALID_PARAMS');
+  }
+
+  const normalized = [
+    ...new Set(emails.map((email) => email.trim().toLowerCase()).filter(Boolean)),
+  ];
+  const users = await User.find({ email: { $in: normalized } })
+    .select('_id email')
+    .lean();
+  /* Which emails are unknown is not reported, so sharing cannot be used to probe for accounts */
+  if (users.length !== normalized.length) {
+    throw new ShareServiceError('Some recipients could not be found', 'INVALID_PARAMS');
+  }
+
+  return users.map((user) => user._id.toString());
+}
+
+/**
+ * Validates the settings of a shared link and converts them to a document update.
+ * Omitted settings are left out of the update; `null` removes the expiry or passphrase.
+ *
+ * @param {object} [settings]
+ * @param {string | Date | null} [settings.expiresAt] - When the link stops working.
+ * @param {string | null} [settings.password] - The passphrase viewers have to enter.
+ * @param {'snapshot' | 'live'} [settings.mode] - Whether the link shows a copy of the messages or the current ones.
+ * @param {boolean} [settings.isPublic] - Whether anyone with the URL can view the link.
+ * @param {boolean} [settings.allowFork] - Whether viewers can fork the conversation.
+ * @param {string[]} [settings.sharedWith] - Emails of the users to share the conversation with.
+ * @param {string[]} [settings.projectIds] - Projects whose members to share the conversation with.
+ * @param {string} userId - The user sharing the conversation, who must be a member of its projects.
+ * @returns {Promise<{ $set: object, $unset?: object }>}
+ */
+async function parseShareSettings(settings = {}, userId) {
+  const { expiresAt, password, mode, isPublic, allowFork, sharedWith, projectIds } = settings;
+  const update = { $set: {}, $unset: {} };
+
+  for (const [key, value] of Object.entries({ isPublic, allowFork })) {
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== 'boolean') {
+      throw new ShareServiceError(`\`${key}\` must be a boolean`, 'INVALID_PARAMS');
+    }
+    update.$set[key] = value;
+  }
+
+  if (sharedWith !== undefined) {
+    update.$set.sharedWith = await getRecipientIds(sharedWith);
+  }
+
+  if (projectIds !== undefined) {
+    if (!Array.isArray(projectIds) || !projectIds.every(mongoose.isValidObjectId)) {
+      throw new ShareServiceError('Invalid project IDs', 'INVALID_PARAMS');
+    }
+    const userProjectIds = projectIds.length ? await getUserProjectIds(userId) : [];
+    if (!projectIds.every((projectId) => userProjectIds.includes(projectId))) {
+      throw new ShareServiceError(
+        'You can only share with projects you are a member of',
+        'INVALID_PARAMS',
+      );
+    }
+    update.$set.projectIds = projectIds;
+  }
+
+  if (mode !== undefined) {
+    if (!shareModes.includes(mode)) {
+      throw new ShareServiceError(`Invalid share mode: ${mode}`, 'INVALID_PARAMS');
+    }
+    update.$set.mode = mode;
+  }
+
+  if (expiresAt === null) {
+    update.$unset.expiresAt = 1;
+  } else if (expiresAt !== undefined) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date <= new Date()) {
+      throw new ShareServiceError('Expiry date must be in the future', 'INVALID_PARAMS');
+    }
+    update.$set.expiresAt = date;
+  }
+
+  if (password === null || password === '') {
+    update.$unset.passwordHash = 1;
+  } else if (password !== undefined) {
+    if (typeof password !== 'string') {
+      throw new ShareServiceError('Passphrase must be a string', 'INVALID_PARAMS');
+    }
+    update.$set.passwordHash = await bcrypt.hash(password, 10);
+  }
+
+  if (Object.keys(update.$unset).length === 0) {
+    delete update.$unset;
+  }
+  return update;
+}
+
+/**
+ * @param {{ expiresAt?: Date }} share
+ * @returns {boolean}
+ */
+const isShareExpired = (share) => share.expiresAt != null && share.expiresAt <= new Date();
+
+/** The fields read by `getShareSettings` */
+const settingsFields =
+  'mode expiresAt views lastViewedAt isPublic allowFork sharedWith projectIds +passwordHash';
+
+/**
+ * Lists the settings of a shared link that its owner may see.
+ * @param {ISharedLink} share
+ */
+async function getShareSettings(share) {
+  let recipients = [];
+  if (share.sharedWith?.length) {
+    recipients = await User.find({ _id: { $in: share.sharedWith } })
+      .select('_id name email')
+      .lean();
+  }
+
+  return {
+    mode: share.mode ?? 'snapshot',
+    expiresAt: share.expiresAt,
+    hasPassword: !!share.passwordHash,
+    views: share.views ?? 0,
+    lastViewedAt: share.lastViewedAt,
+    isPublic: share.isPublic,
+    allowFork: !!share.allowFork,
+    sharedWith: recipients.map(({ _id, name, email }) => ({ id: _id.toString(), name, email })),
+    projectIds: (share.projectIds ?? []).map((id) => id.toString()),
+  };
+}
+
+/**
+ * Checks whether a user can view a shared link: anyone can view public links,
+ * otherwise only its owner, the users it is shared with and members of its projects.
+ *
+ * @param {ISharedLink} share
+ * @param {string} [userId]
+ * @returns {Promise<boolean>}
+ * @throws {ShareServiceError} `SHARE_AUTH_REQUIRED` for non-public links without a user.
+ */
+async function canAccessShare(share, userId) {
+  if (share.isPublic || (userId && share.user === userId)) {
+    return true;
+  }
+  if (!userId) {
+    throw new ShareServiceError('Sign in to view this shared chat', 'SHARE_AUTH_REQUIRED');
+  }
+  if (share.sharedWith?.includes(userId)) {
+    return true;
+  }
+  if (!share.projectIds?.length) {
+    return false;
+  }
+
+  const userProjectIds = await getUserProjectIds(userId);
+  return share.projectIds.some((projectId) => userProjectIds.includes(projectId.toString()));
+}
+
 const memoizedAnonymizeId = (prefix) => {
   const memo = new Map();
   return (id) => {
@@ -74,29 +253,86 @@ function anonymizeMessages(messages, newConvoId) {
   });
 }
 
-async function getSharedMessages(shareId) {
-  try {
-    const share = await SharedLink.findOne({ shareId, isPublic: true })
-      .populate({
-        path: 'messages',
-        select: '-_id -__v -user',
-      })
-      .select('-_id -__v -user')
-      .lean();
+/**
+ * Finds a shared link the user can view, with the messages it shows.
+ *
+ * @param {string} shareId
+ * @param {object} [options]
+ * @param {string} [options.userId] - The viewer, if signed in.
+ * @param {string} [options.password] - The passphrase, required if the link has one.
+ * @returns {Promise<object | null>} The share, or `null` if it does not exist, expired or may not be viewed.
+ * @throws {ShareServiceError} `SHARE_AUTH_REQUIRED`, `SHARE_PASSWORD_REQUIRED` or `SHARE_PASSWORD_INVALID`.
+ */
+async function findAccessibleShare(shareId, { userId, password } = {}) {
+  const share = await SharedLink.findOne({ shareId })
+    .populate({
+      path: 'messages',
+      select: '-_id -__v -user',
+    })
+    .select('-_id -__v +passwordHash')
+    .lean();
+
+  if (!share?.conversationId || isShareExpired(share) || !(await canAccessShare(share, userId))) {
+    return null;
+  }
 
-    if (!share?.conversationId || !share.isPublic) {
+  if (share.passwordHash) {
+    if (!password) {
+      throw new ShareServiceError('Passphrase required', 'SHARE_PASSWORD_REQUIRED');
+    }
+    if (!(await bcrypt.compare(password, share.passwordHash))) {
+      throw new ShareServiceError('Invalid passphrase', 'SHARE_PASSWORD_INVALID');
+    }
+  }
+
+  if (share.mode === 'live') {
+    share.messages = await getMessages(
+      { conversationId: share.conversationId, user: share.user },
+      '-_id -__v -user',
+    );
+  }
+
+  return share;
+}
+
+/**
+ * Gets the messages of a shared link and counts the view.
+ *
+ * @param {string} shareId
+ * @param {Parameters<typeof findAccessibleShare>[1]} [options]
+ * @returns {Promise<object | null>} The anonymized share, or `null` if it cannot be viewed.
+ * @throws {ShareServiceError} See `findAccessibleShare`.
+ */
+async function getSharedMessages(shareId, options) {
+  try {
+    const share = await findAccessibleShare(shareId, options);
+    if (!share) {
       return null;
     }
 
+    await SharedLink.updateOne(
+      { shareId },
+      { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } },
+    );
+
     const newConvoId = anonymizeConvoId(share.conversationId);
     const result = {
       ...share,
+      user: undefined,
+      passwordHash: undefined,
+      sharedWith: undefined,
+      projectIds: undefined,
+      allowFork: !!share.allowFork,
+      views: (share.views ?? 0) + 1,
       conversationId: newConvoId,
       messages: anonymizeMessages(share.messages, newConvoId),
     };
 
     return result;
   } catch (error) {
+    if (error instanceof ShareServiceError) {
+      throw error;
+    }
     logger.error('[getShare] Error getting share link', {
       error: error.message,
       shareId,
@@ -105,6 +341,92 @@ async function getSharedMessages(shareId) {
   }
 }
 
+/**
+ * Gets the original conversation of a shared link, e.g. to fork it, without counting a view.
+ *
+ * @param {string} shareId
+ * @param {Parameters<typeof findAccessibleShare>[1]} options
+ * @returns {Promise<{ user: string, conversationId: string, allowFork: boolean, messages: TMessage[] } | null>}
+ * @throws {ShareServiceError} See `findAccessibleShare`.
+ */
+async function getSharedConversation(shareId, options) {
+  try {
+    const share = await findAccessibleShare(shareId, options);
+    if (!share) {
+      return null;
+    }
+
+    const { user, conversationId, allowFork, messages } = share;
+    return { user, conversationId, allowFork: !!allowFork, messages };
+  } catch (error) {
+    if (error instanceof ShareServiceError) {
+      throw error;
+    }
+    logger.error('[getSharedConversation] Error getting shared conversation', {
+      error: error.message,
+      shareId,
+    });
+    throw new ShareServiceError('Error getting share link', 'SHARE_FETCH_ERROR');
+  }
+}
+
+/**
+ * Lists the links other users shared with a user, directly or through a project.
+ *
+ * @param {string} userId
+ * @param {object} [params]
+ * @param {string} [params.cursor] - The `createdAt` of the last link of the previous page.
+ * @param {number} [params.pageSize=25]
+ */
+async function getSharesWithUser(userId, { cursor, pageSize = 25 } = {}) {
+  try {
+    const projectIds = await getUserProjectIds(userId);
+    const query = {
+      user: { $ne: userId },
+      $and: [
+        { $or: [{ sharedWith: userId }, { projectIds: { $in: projectIds } }] },
+        { $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }] },
+      ],
+    };
+    if (cursor) {
+      query.createdAt = { $lt: new Date(cursor) };
+    }
+
+    const shares = await SharedLink.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1)
+      .select('shareId title user allowFork createdAt')
+      .lean();
+
+    const hasNextPage = shares.length > pageSize;
+    const links = shares.slice(0, pageSize);
+    const owners = await User.find({ _id: { $in: [...new Set(links.map((link) => link.user))] } })
+      .select('_id name username')
+      .lean();
+
+    return {
+      links: links.map((link) => {
+        const owner = owners.find((user) => user._id.toString() === link.user);
+        return {
+          shareId: link.shareId,
+          title: link.title || 'Untitled',
+          sharedBy: owner?.name || owner?.username,
+          allowFork: !!link.allowFork,
+          createdAt: link.createdAt,
+        };
+      }),
+      nextCursor: hasNextPage ? links[links.length - 1].createdAt : undefined,
+      hasNextPage,
+    };
+  } catch (error) {
+    logger.error('[getSharesWithUser] Error getting shares', {
+      error: error.message,
+      userId,
+    });
+    throw new ShareServiceError('Error getting shares', 'SHARES_FETCH_ERROR');
+  }
+}
+
 async function getSharedLinks(user, pageParam, pageSize, isPublic, sortBy, sortDirection, search) {
   try {
     const query = { user, isPublic };
@@ -154,7 +476,7 @@ async function getSharedLinks(user, pageParam, pageSize, isPublic, sortBy, sortD
     const sharedLinks = await SharedLink.find(query)
       .sort(sort)
       .limit(pageSize + 1)
-      .select('-__v -user')
+      .select('-__v -user +passwordHash')
       .lean();
 
     const hasNextPage = sharedLinks.length > pageSize;
@@ -163,13 +485,16 @@ async function getSharedLinks(user, pageParam, pageSize, isPublic, sortBy, sortD
     const nextCursor = hasNextPage ? links[links.length - 1][sortBy] : undefined;
 
     return {
-      links: links.map((link) => ({
-        shareId: link.shareId,
-        title: link?.title || 'Untitled',
-        isPublic: link.isPublic,
-        createdAt: link.createdAt,
-        conversationId: link.conversationId,
-      })),
+      links: await Promise.all(
+        links.map(async (link) => ({
+          shareId: link.shareId,
+          title: link?.title || 'Untitled',
+          isPublic: link.isPublic,
+          createdAt: link.createdAt,
+          conversationId: link.conversationId,
+          ...(await getShareSettings(link)),
+        })),
+      ),
       nextCursor,
       hasNextPage,
     };
@@ -198,36 +523,48 @@ async function deleteAllSharedLinks(user) {
   }
 }
 
-async function createSharedLink(user, conversationId) {
+/**
+ * Creates a public shared link of a conversation.
+ *
+ * @param {string} user
+ * @param {string} conversationId
+ * @param {Parameters<typeof parseShareSettings>[0]} [settings] - Expiry, passphrase and mode of the link.
+ * @returns {Promise<{ shareId: string, conversationId: string }>}
+ */
+async function createSharedLink(user, conversationId, settings) {
   if (!user || !conversationId) {
     throw new ShareServiceError('Missing required parameters', 'INVALID_PARAMS');
   }
 
+  const { $set } = await parseShareSettings(settings, user);
+
   try {
     const [existingShare, conversationMessages] = await Promise.all([
-      SharedLink.findOne({ conversationId, isPublic: true }).select('-_id -__v -user').lean(),
+      SharedLink.findOne({ conversationId, ...activeShareFilter })
+        .select('-_id -__v -user')
+        .lean(),
       getMessages({ conversationId }),
     ]);
 
-    if (existingShare && existingShare.isPublic) {
+    if (existingShare) {
       throw new ShareServiceError('Share already exists', 'SHARE_EXISTS');
-    } else if (existingShare) {
-      await SharedLink.deleteOne({ conversationId });
     }
+    await SharedLink.deleteOne({ conversationId });
 
     const conversation = await Conversation.findOne({ conversationId }).lean();
     const title = conversation?.title || 'Untitled';
 
     const shareId = nanoid();
-    await SharedLink.create({
+    const share = await SharedLink.create({
+      ...$set,
       shareId,
       conversationId,
-      messages: conversationMessages,
+      messages: $set.mode === 'live' ? [] : conversationMessages,
       title,
       user,
     });
 
-    return { shareId, conversationId };
+    return { shareId, conversationId, ...(await getShareSettings(share)) };
   } catch (error) {
     logger.error('[createSharedLink] Error creating shared link', {
       error: error.message,
@@ -244,15 +581,15 @@ async function getSharedLink(user, conversationId) {
   }
 
   try {
-    const share = await SharedLink.findOne({ conversationId, user, isPublic: true })
-      .select('shareId -_id')
+    const share = await SharedLink.findOne({ conversationId, user, ...activeShareFilter })
+      .select(`shareId ${settingsFields} -_id`)
       .lean();
 
     if (!share) {
       return { shareId: null, success: false };
     }
 
-    return { shareId: share.shareId, success: true };
+    return { shareId: share.shareId, success: true, ...(await getShareSettings(share)) };
   } catch (error) {
     logger.error('[getSharedLink] Error getting shared link', {
       error: error.message,
@@ -276,7 +613,7 @@ async function updateSharedLink(user, shareId) {
     }
 
     const [updatedMessages] = await Promise.all([
-      getMessages({ conversationId: share.conversationId }),
+      share.mode === 'live' ? [] : getMessages({ conversationId: share.conversationId }),
     ]);
 
     const newShareId = nanoid();
@@ -290,7 +627,9 @@ async function updateSharedLink(user, shareId) {
       new: true,
       upsert: false,
       runValidators: true,
-    }).lean();
+    })
+      .select('+passwordHash')
+      .lean();
 
     if (!updatedShare) {
       throw new ShareServiceError('Share update failed', 'SHARE_UPDATE_ERROR');
@@ -298,7 +637,11 @@ async function updateSharedLink(user, shareId) {
 
     anonymizeConvo(updatedShare);
 
-    return { shareId: newShareId, conversationId: updatedShare.conversationId };
+    return {
+      shareId: newShareId,
+      conversationId: updatedShare.conversationId,
+      ...(await getShareSettings(updatedShare)),
+    };
   } catch (error) {
     logger.error('[updateSharedLink] Error updating shared link', {
       error: error.message,
@@ -312,6 +655,60 @@ async function updateSharedLink(user, shareId) {
   }
 }
 
+/**
+ * Changes the expiry, passphrase or mode of a shared link without changing its URL.
+ * Switching a link to `snapshot` copies the current messages.
+ *
+ * @param {string} user
+ * @param {string} shareId
+ * @param {Parameters<typeof parseShareSettings>[0]} settings
+ * @returns {Promise<object | null>} The new settings, or `null` if the link was not found.
+ */
+async function updateSharedLinkSettings(user, shareId, settings) {
+  if (!user || !shareId) {
+    throw new ShareServiceError('Missing required parameters', 'INVALID_PARAMS');
+  }
+
+  const update = await parseShareSettings(settings, user);
+
+  try {
+    if (update.$set.mode) {
+      const share = await SharedLink.findOne({ shareId, user }).select('conversationId').lean();
+      if (!share) {
+        return null;
+      }
+      update.$set.messages =
+        update.$set.mode === 'live'
+          ? []
+          : await getMessages({ conversationId: share.conversationId, user });
+    }
+
+    const updatedShare = await SharedLink.findOneAndUpdate({ shareId, user }, update, {
+      new: true,
+      runValidators: true,
+    })
+      .select(`shareId conversationId ${settingsFields}`)
+      .lean();
+
+    if (!updatedShare) {
+      return null;
+    }
+
+    return {
+      shareId,
+      conversationId: updatedShare.conversationId,
+      ...(await getShareSettings(updatedShare)),
+    };
+  } catch (error) {
+    logger.error('[updateSharedLinkSettings] Error updating shared link settings', {
+      error: error.message,
+      user,
+      shareId,
+    });
+    throw new ShareServiceError('Error updating shared link', 'SHARE_UPDATE_ERROR');
+  }
+}
+
 async function deleteSharedLink(user, shareId) {
   if (!user || !shareId) {
     throw new ShareServiceError('Missing required parameters', 'INVALID_PARAMS');
@@ -341,10 +738,13 @@ async function deleteSharedLink(user, shareId) {
 
 module.exports = {
   SharedLink,
+  getSharesWithUser,
+  getSharedConversation,
   getSharedLink,
   getSharedLinks,
   createSharedLink,
   updateSharedLink,
+  updateSharedLinkSettings,
   deleteSharedLink,
   getSharedMessages,
   deleteAllSharedLinks,
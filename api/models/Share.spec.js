@@ -0,0 +1,319 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+jest.mock('mongoose');
+
+/** Resolves `lean()` with `result`; every other query method chains */
+const mockQuery = (result) => {
+  const query = {
+    populate: jest.fn(() => query),
+    select: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+};
+
+const mockSharedLink = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  create: jest.fn(async (doc) => doc),
+  deleteOne: jest.fn(),
+};
+
+mongoose.model.mockReturnValue(mockSharedLink);
+
+jest.mock('~/models/Conversation', () => ({
+  Conversation: { findOne: jest.fn(() => ({ lean: jest.fn().mockResolvedValue(null) })) },
+}));
+jest.mock('./Message', () => ({
+  getMessages: jest.fn(),
+}));
+jest.mock('./Project', () => ({
+  getUserProjectIds: jest.fn(),
+}));
+jest.mock('./User', () => ({
+  find: jest.fn(),
+}));
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+}));
+
+const User = require('./User');
+const { getMessages } = require('./Message');
+const { getUserProjectIds } = require('./Project');
+const {
+  getSharedMessages,
+  createSharedLink,
+  getSharesWithUser,
+  getSharedConversation,
+  updateSharedLinkSettings,
+} = require('./Share');
+
+const snapshotMessages = [
+  { messageId: 'm1', parentMessageId: '00000000-0000-0000-0000-000000000000', text: 'Old' },
+];
+const liveMessages = [...snapshotMessages, { messageId: 'm2', parentMessageId: 'm1', text: 'New' }];
+
+const createShare = (fields) => ({
+  shareId: 'share-1',
+  conversationId: 'convo-1',
+  user: 'user-1',
+  isPublic: true,
+  mode: 'snapshot',
+  views: 2,
+  messages: snapshotMessages,
+  ...fields,
+});
+
+describe('Shared links', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getMessages.mockResolvedValue(liveMessages);
+    getUserProjectIds.mockResolvedValue(['instance-project']);
+    User.find.mockReturnValue(mockQuery([]));
+  });
+
+  describe('getSharedMessages', () => {
+    it('returns the snapshot without owner details and counts the view', async () => {
+      mockSharedLink.findOne.mockReturnValue(mockQuery(createShare()));
+
+      const share = await getSharedMessages('share-1');
+
+      expect(share.messages.map((message) => message.text)).toEqual(['Old']);
+      expect(share.conversationId).not.toBe('convo-1');
+      expect(share.user).toBeUndefined();
+      expect(share.views).toBe(3);
+      expect(getMessages).not.toHaveBeenCalled();
+      expect(mockSharedLink.updateOne).toHaveBeenCalledWith(
+        { shareId: 'share-1' },
+        { $inc: { views: 1 }, $set: { lastViewedAt: expect.any(Date) } },
+      );
+    });
+
+    it('returns the current messages of live links', async () => {
+      mockSharedLink.findOne.mockReturnValue(
+        mockQuery(createShare({ mode: 'live', messages: [] })),
+      );
+
+      const share = await getSharedMessages('share-1');
+
+      expect(getMessages).toHaveBeenCalledWith(
+        { conversationId: 'convo-1', user: 'user-1' },
+        '-_id -__v -user',
+      );
+      expect(share.messages.map((message) => message.text)).toEqual(['Old', 'New']);
+    });
+
+    it('returns null for expired links without counting a view', async () => {
+      mockSharedLink.findOne.mockReturnValue(
+        mockQuery(createShare({ expiresAt: new Date(Date.now() - 1000) })),
+      );
+
+      expect(await getSharedMessages('share-1')).toBeNull();
+      expect(mockSharedLink.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('checks the passphrase of protected links', async () => {
+      const passwordHash = await bcrypt.hash('open sesame', 4);
+      mockSharedLink.findOne.mockImplementation(() => mockQuery(createShare({ passwordHash })));
+
+      await expect(getSharedMessages('share-1')).rejects.toMatchObject({
+        code: 'SHARE_PASSWORD_REQUIRED',
+      });
+      await expect(getSharedMessages('share-1', { password: 'wrong' })).rejects.toMatchObject({
+        code: 'SHARE_PASSWORD_INVALID',
+      });
+      expect(mockSharedLink.updateOne).not.toHaveBeenCalled();
+
+      const share = await getSharedMessages('share-1', { password: 'open sesame' });
+      expect(share.passwordHash).toBeUndefined();
+      expect(mockSharedLink.updateOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('shares with users and projects', () => {
+    const privateShare = createShare({
+      isPublic: false,
+      sharedWith: ['user-2'],
+      projectIds: [{ toString: () => 'team-project' }],
+    });
+
+    beforeEach(() => {
+      mockSharedLink.findOne.mockImplementation(() => mockQuery(privateShare));
+    });
+
+    it('asks anonymous viewers to sign in', async () => {
+      await expect(getSharedMessages('share-1')).rejects.toMatchObject({
+        code: 'SHARE_AUTH_REQUIRED',
+      });
+    });
+
+    it('shows the conversation to its owner, recipients and project members only', async () => {
+      expect(await getSharedMessages('share-1', { userId: 'user-1' })).not.toBeNull();
+
+      const share = await getSharedMessages('share-1', { userId: 'user-2' });
+      expect(share.sharedWith).toBeUndefined();
+      expect(share.projectIds).toBeUndefined();
+
+      expect(await getSharedMessages('share-1', { userId: 'user-3' })).toBeNull();
+
+      getUserProjectIds.mockResolvedValue(['instance-project', 'team-project']);
+      expect(await getSharedMessages('share-1', { userId: 'user-3' })).not.toBeNull();
+    });
+
+    it('returns the original conversation for forks without counting a view', async () => {
+      const share = await getSharedConversation('share-1', { userId: 'user-2' });
+
+      expect(share).toEqual({
+        user: 'user-1',
+        conversationId: 'convo-1',
+        allowFork: false,
+        messages: snapshotMessages,
+      });
+      expect(mockSharedLink.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('lists the links shared with a user with the names of their owners', async () => {
+      const createdAt = new Date('2024-01-01T00:00:00Z');
+      mockSharedLink.find.mockReturnValue(
+        mockQuery([{ ...privateShare, allowFork: true, createdAt }]),
+      );
+      User.find.mockReturnValue(mockQuery([{ _id: 'user-1', name: 'Ada' }]));
+
+      const result = await getSharesWithUser('user-2');
+
+      const [query] = mockSharedLink.find.mock.calls[0];
+      expect(query.user).toEqual({ $ne: 'user-2' });
+      expect(query.$and[0].$or).toEqual([
+        { sharedWith: 'user-2' },
+        { projectIds: { $in: ['instance-project'] } },
+      ]);
+      expect(result).toEqual({
+        links: [
+          { shareId: 'share-1', title: 'Untitled', sharedBy: 'Ada', allowFork: true, createdAt },
+        ],
+        nextCursor: undefined,
+        hasNextPage: false,
+      });
+    });
+  });
+
+  describe('createSharedLink', () => {
+    beforeEach(() => {
+      mockSharedLink.findOne.mockReturnValue(mockQuery(null));
+    });
+
+    it('stores the expiry and a hash of the passphrase', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      await createSharedLink('user-1', 'convo-1', { expiresAt, password: 'open sesame' });
+
+      const [doc] = mockSharedLink.create.mock.calls[0];
+      expect(doc.expiresAt).toEqual(expiresAt);
+      expect(doc.messages).toBe(liveMessages);
+      expect(doc.passwordHash).not.toBe('open sesame');
+      expect(await bcrypt.compare('open sesame', doc.passwordHash)).toBe(true);
+    });
+
+    it('does not copy the messages of live links', async () => {
+      const share = await createSharedLink('user-1', 'convo-1', { mode: 'live' });
+
+      expect(share).toMatchObject({ conversationId: 'convo-1', mode: 'live', views: 0 });
+      const [doc] = mockSharedLink.create.mock.calls[0];
+      expect(doc.mode).toBe('live');
+      expect(doc.messages).toEqual([]);
+    });
+
+    it('shares with users by email', async () => {
+      User.find.mockReturnValue(mockQuery([{ _id: 'user-2', email: 'ada@example.com' }]));
+
+      await createSharedLink('user-1', 'convo-1', {
+        isPublic: false,
+        allowFork: true,
+        sharedWith: [' Ada@example.com '],
+      });
+
+      const [doc] = mockSharedLink.create.mock.calls[0];
+      expect(doc).toMatchObject({ isPublic: false, allowFork: true, sharedWith: ['user-2'] });
+
+      const error = await createSharedLink('user-1', 'convo-1', {
+        sharedWith: ['ada@example.com', 'nobody@example.com'],
+      }).catch((err) => err);
+      expect(error).toMatchObject({
+        code: 'INVALID_PARAMS',
+        message: 'Some recipients could not be found',
+      });
+      expect(error.message).not.toContain('nobody@example.com');
+    });
+
+    it('shares with projects of the owner, whose members can then view the link', async () => {
+      mongoose.isValidObjectId.mockReturnValue(true);
+      getUserProjectIds.mockResolvedValue(['instance-project', 'team-project']);
+
+      await createSharedLink('user-1', 'convo-1', {
+        isPublic: false,
+        projectIds: ['team-project'],
+      });
+
+      expect(getUserProjectIds).toHaveBeenCalledWith('user-1');
+      const [doc] = mockSharedLink.create.mock.calls[0];
+      expect(doc).toMatchObject({ isPublic: false, projectIds: ['team-project'] });
+
+      mockSharedLink.findOne.mockImplementation(() => mockQuery(doc));
+      expect(await getSharedMessages(doc.shareId, { userId: 'user-3' })).toMatchObject({
+        conversationId: expect.any(String),
+      });
+      expect(getUserProjectIds).toHaveBeenLastCalledWith('user-3');
+
+      getUserProjectIds.mockResolvedValue(['instance-project']);
+      expect(await getSharedMessages(doc.shareId, { userId: 'user-4' })).toBeNull();
+    });
+
+    it('rejects projects the owner is not a member of', async () => {
+      mongoose.isValidObjectId.mockReturnValue(true);
+
+      await expect(
+        createSharedLink('user-1', 'convo-1', { projectIds: ['team-project'] }),
+      ).rejects.toMatchObject({ code: 'INVALID_PARAMS' });
+      expect(mockSharedLink.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects invalid settings', async () => {
+      await expect(
+        createSharedLink('user-1', 'convo-1', { expiresAt: '2000-01-01T00:00:00Z' }),
+      ).rejects.toMatchObject({ code: 'INVALID_PARAMS' });
+      await expect(
+        createSharedLink('user-1', 'convo-1', { mode: 'forever' }),
+      ).rejects.toMatchObject({ code: 'INVALID_PARAMS' });
+      expect(mockSharedLink.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSharedLinkSettings', () => {
+    it('removes the passphrase and expiry, and snapshots when switching modes', async () => {
+      mockSharedLink.findOne.mockReturnValue(mockQuery({ conversationId: 'convo-1' }));
+      mockSharedLink.findOneAndUpdate.mockReturnValue(
+        mockQuery(createShare({ messages: undefined })),
+      );
+
+      const settings = await updateSharedLinkSettings('user-1', 'share-1', {
+        mode: 'snapshot',
+        expiresAt: null,
+        password: null,
+      });
+
+      expect(mockSharedLink.findOneAndUpdate).toHaveBeenCalledWith(
+        { shareId: 'share-1', user: 'user-1' },
+        {
+          $set: { mode: 'snapshot', messages: liveMessages },
+          $unset: { expiresAt: 1, passwordHash: 1 },
+        },
+        expect.any(Object),
+      );
+      expect(settings).toMatchObject({ shareId: 'share-1', mode: 'snapshot', hasPassword: false });
+    });
+  });
+});
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const { MeiliSearch } = require('meilisearch');
 const { parseTextParts, ContentTypes } = require('librechat-data-provider');
 const { cleanUpPrimaryKeyValue } = require('~/lib/utils/misc');
+const { sleep } = require('~/server/utils/queue');
 const logger = require('~/config/meiliLogger');
 
 // Environment flags
@@ -18,6 +19,13 @@ const searchEnabled = process.env.SEARCH && process.env.SEARCH.toLowerCase() ===
  */
 const meiliEnabled = process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY && searchEnabled;
 
+/**
+ * @typedef {Object} SearchSyncProgress
+ * @property {number} total - The number of documents to index.
+ * @property {number} processed - The number of documents indexed so far.
+ * @property {number} deleted - The number of documents removed from the index.
+ */
+
 /**
  * Validates the required options for configuring the mongoMeili plugin.
  *
@@ -36,6 +44,31 @@ const validateOptions = function (options) {
   });
 };
 
+/**
+ * Picks the attributes to index from a document and converts them to their MeiliSearch form:
+ * pipes in `conversationId` become '--', content parts become `text`, and dates become
+ * Unix timestamps in seconds, since MeiliSearch can only filter numbers by range.
+ *
+ * @param {Object} doc - The plain document.
+ * @param {Array<string>} attributesToIndex - List of attributes to index.
+ * @returns {Object} The document ready for indexing.
+ */
+const formatMeiliDocument = function (doc, attributesToIndex) {
+  const object = _.omitBy(_.pick(doc, attributesToIndex), (v, k) => k.startsWith('$'));
+  if (object.conversationId && object.conversationId.includes('|')) {
+    object.conversationId = object.conversationId.replace(/\|/g, '--');
+  }
+
+  if (object.content && Array.isArray(object.content)) {
+    object.text = parseTextParts(object.content);
+    delete object.content;
+  }
+
+  return _.mapValues(object, (value) =>
+    value instanceof Date ? Math.floor(value.getTime() / 1000) : value,
+  );
+};
+
 /**
  * Factory function to create a MeiliMongooseModel class which extends a Mongoose model.
  * This class contains static and instance methods to synchronize and manage the MeiliSearch index
@@ -52,114 +85,95 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
 
   class MeiliMongooseModel {
     /**
-     * Synchronizes the data between the MongoDB collection and the MeiliSearch index.
+     * Synchronizes the MeiliSearch index with the MongoDB collection in batches.
      *
      * The synchronization process involves:
-     *   1. Fetching all documents from the MongoDB collection and MeiliSearch index.
-     *   2. Comparing documents from both sources.
-     *   3. Deleting documents from MeiliSearch that no longer exist in MongoDB.
-     *   4. Adding documents to MeiliSearch that exist in MongoDB but not in the index.
-     *   5. Updating documents in MeiliSearch if key fields (such as `text` or `title`) differ.
-     *   6. Updating the `_meiliIndex` field in MongoDB to indicate the indexing status.
+     *   1. Reading the MongoDB documents in `_id` order, one batch at a time.
+     *   2. Adding each batch to MeiliSearch, which replaces documents with the same primary key.
+     *   3. Updating the `_meiliIndex` field of the batch to indicate the indexing status.
+     *   4. For full syncs, deleting documents from MeiliSearch that no longer exist in MongoDB.
      *
-     * Note: The function processes documents in batches because MeiliSearch's
-     * `index.getDocuments` requires an exact limit and `index.addDocuments` does not handle
-     * partial failures in a batch.
+     * Incremental syncs (with `since`) only index the documents updated since the watermark
+     * of the previous sync, and the ones that were never indexed, instead of comparing both
+     * stores; deletions are already propagated by the `deleteMany` hook. Imported and forked
+     * documents keep their original `updatedAt`, so they are only found by the latter.
      *
-     * @returns {Promise<void>} Resolves when the synchronization is complete.
+     * @param {Object} [options]
+     * @param {Date} [options.since] - Only index documents updated at or after this date.
+     * @param {number} [options.batchSize=1000] - The number of documents per batch.
+     * @param {number} [options.throttleMs=0] - The delay between batches, in milliseconds.
+     * @param {(progress: SearchSyncProgress) => Promise<void> | void} [options.onProgress]
+     *  Called after each batch.
+     * @returns {Promise<SearchSyncProgress>} Resolves when the synchronization is complete.
      */
-    static async syncWithMeili() {
-      try {
-        let moreDocuments = true;
-        // Retrieve all MongoDB documents from the collection as plain JavaScript objects.
-        const mongoDocuments = await this.find().lean();
-
-        // Helper function to format a document by selecting only the attributes to index
-        // and omitting keys starting with '$'.
-        const format = (doc) =>
-          _.omitBy(_.pick(doc, attributesToIndex), (v, k) => k.startsWith('$'));
-
-        // Build a map of MongoDB documents for quick lookup based on the primary key.
-        const mongoMap = new Map(mongoDocuments.map((doc) => [doc[primaryKey], format(doc)]));
-        const indexMap = new Map();
-        let offset = 0;
-        const batchSize = 1000;
-
-        // Fetch documents from the MeiliSearch index in batches.
-        while (moreDocuments) {
-          const batch = await index.getDocuments({ limit: batchSize, offset });
-          if (batch.results.length === 0) {
-            moreDocuments = false;
-          }
-          for (const doc of batch.results) {
-            indexMap.set(doc[primaryKey], format(doc));
-          }
-          offset += batchSize;
+    static async syncWithMeili({ since, batchSize = 1000, throttleMs = 0, onProgress } = {}) {
+      const filter = since
+        ? { $or: [{ updatedAt: { $gte: since } }, { _meiliIndex: { $ne: true } }] }
+        : {};
+      /** @type {SearchSyncProgress} */
+      const progress = { total: await this.countDocuments(filter), processed: 0, deleted: 0 };
+
+      let lastId;
+      let hasMore = true;
+      while (hasMore) {
+        const query = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+        const docs = await this.find(query).sort({ _id: 1 }).limit(batchSize).lean();
+        hasMore = docs.length === batchSize;
+        if (docs.length === 0) {
+          break;
         }
 
-        logger.debug('[syncWithMeili]', { indexMap: indexMap.size, mongoMap: mongoMap.size });
-
-        const updateOps = [];
-
-        // Process documents present in the MeiliSearch index.
-        for (const [id, doc] of indexMap) {
-          const update = {};
-          update[primaryKey] = id;
-          if (mongoMap.has(id)) {
-            // If document exists in MongoDB, check for discrepancies in key fields.
-            if (
-              (doc.text && doc.text !== mongoMap.get(id).text) ||
-              (doc.title && doc.title !== mongoMap.get(id).title)
-            ) {
-              logger.debug(
-                `[syncWithMeili] ${id} had document discrepancy in ${
-                  doc.text ? 'text' : 'title'
-                } field`,
-              );
-              updateOps.push({
-                updateOne: { filter: update, update: { $set: { _meiliIndex: true } } },
-              });
-              await index.addDocuments([doc]);
-            }
-          } else {
-            // If the document does not exist in MongoDB, delete it from MeiliSearch.
-            await index.deleteDocument(id);
-            updateOps.push({
-              updateOne: { filter: update, update: { $set: { _meiliIndex: false } } },
-            });
-          }
-        }
+        await index.addDocuments(docs.map((doc) => formatMeiliDocument(doc, attributesToIndex)));
+        await this.collection.updateMany(
+          { _id: { $in: docs.map((doc) => doc._id) } },
+          { $set: { _meiliIndex: true } },
+        );
 
-        // Process documents present in MongoDB.
-        for (const [id, doc] of mongoMap) {
-          const update = {};
-          update[primaryKey] = id;
-          // If the document is missing in the Meili index, add it.
-          if (!indexMap.has(id)) {
-            await index.addDocuments([doc]);
-            updateOps.push({
-              updateOne: { filter: update, update: { $set: { _meiliIndex: true } } },
-            });
-          } else if (doc._meiliIndex === false) {
-            // If the document exists but is marked as not indexed, update the flag.
-            updateOps.push({
-              updateOne: { filter: update, update: { $set: { _meiliIndex: true } } },
-            });
-          }
-        }
+        lastId = docs[docs.length - 1]._id;
+        progress.processed += docs.length;
+        await onProgress?.({ ...progress });
+        await sleep(throttleMs);
+      }
 
-        // Execute bulk update operations in MongoDB to update the _meiliIndex flags.
-        if (updateOps.length > 0) {
-          await this.collection.bulkWrite(updateOps);
-          logger.debug(
-            `[syncWithMeili] Finished indexing ${
-              primaryKey === 'messageId' ? 'messages' : 'conversations'
-            }`,
-          );
+      if (since) {
+        return progress;
+      }
+
+      // Collect the documents of the index that no longer exist in MongoDB, then delete them,
+      // so the deletions don't shift the pages of the index while it is being read.
+      const missing = [];
+      for (let offset = 0; ; offset += batchSize) {
+        const { results } = await index.getDocuments({
+          limit: batchSize,
+          offset,
+          fields: [primaryKey],
+        });
+        if (results.length === 0) {
+          break;
         }
-      } catch (error) {
-        logger.error('[syncWithMeili] Error adding document to Meili', error);
+        const ids = results.map((doc) => doc[primaryKey]);
+        const existing = new Set(
+          await this.find({ [primaryKey]: { $in: ids.map(cleanUpPrimaryKeyValue) } }).distinct(
+            primaryKey,
+          ),
+        );
+        missing.push(...ids.filter((id) => !existing.has(cleanUpPrimaryKeyValue(id))));
+        await sleep(throttleMs);
       }
+
+      if (missing.length > 0) {
+        await index.deleteDocuments(missing);
+        progress.deleted = missing.length;
+        await onProgress?.({ ...progress });
+      }
+
+      logger.debug(
+        `[syncWithMeili] Finished indexing ${
+          primaryKey === 'messageId' ? 'messages' : 'conversations'
+        }`,
+        progress,
+      );
+      return progress;
     }
 
     /**
@@ -172,6 +186,16 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
       return await index.updateSettings(settings);
     }
 
+    /**
+     * Lists the attributes written to the MeiliSearch index, in a stable order. Documents indexed
+     * before an attribute was added lack it until they are indexed again.
+     *
+     * @returns {string[]}
+     */
+    static getMeiliAttributes() {
+      return [...attributesToIndex].sort();
+    }
+
     /**
      * Searches the MeiliSearch index and optionally populates the results with data from MongoDB.
      *
@@ -227,23 +251,12 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
      *  - Omits any keys starting with '$'.
      *  - Replaces pipe characters ('|') in `conversationId` with '--'.
      *  - Extracts and concatenates text from an array of content items.
+     *  - Converts dates to Unix timestamps.
      *
      * @returns {Object} The preprocessed object ready for indexing.
      */
     preprocessObjectForIndex() {
-      const object = _.omitBy(_.pick(this.toJSON(), attributesToIndex), (v, k) =>
-        k.startsWith('$'),
-      );
-      if (object.conversationId && object.conversationId.includes('|')) {
-        object.conversationId = object.conversationId.replace(/\|/g, '--');
-      }
-
-      if (object.content && Array.isArray(object.content)) {
-        object.text = parseTextParts(object.content);
-        delete object.content;
-      }
-
-      return object;
+      return formatMeiliDocument(this.toJSON(), attributesToIndex);
     }
 
     /**
@@ -272,9 +285,7 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
      * @returns {Promise<void>}
      */
     async updateObjectToMeili() {
-      const object = _.omitBy(_.pick(this.toJSON(), attributesToIndex), (v, k) =>
-        k.startsWith('$'),
-      );
+      const object = this.preprocessObjectForIndex();
       await index.updateDocuments([object]);
     }
 
@@ -345,6 +356,8 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
  * @param {string} options.apiKey - The MeiliSearch API key.
  * @param {string} options.indexName - The name of the MeiliSearch index.
  * @param {string} options.primaryKey - The primary key field for indexing.
+ * @param {Array<string>} [options.filterableAttributes] - Attributes to index so searches can filter
+ *  and facet by them, in addition to the schema fields marked with `meiliIndex`.
  */
 module.exports = function mongoMeili(schema, options) {
   validateOptions(options);
@@ -359,7 +372,7 @@ module.exports = function mongoMeili(schema, options) {
     },
   });
 
-  const { host, apiKey, indexName, primaryKey } = options;
+  const { host, apiKey, indexName, primaryKey, filterableAttributes = [] } = options;
 
   // Setup the MeiliSearch client.
   const client = new MeiliSearch({ host, apiKey });
@@ -370,8 +383,15 @@ module.exports = function mongoMeili(schema, options) {
   // Setup the MeiliSearch index for this schema.
   const index = client.index(indexName);
 
+  // Tasks run in the order they are enqueued, so the index exists by the time this one runs.
+  if (filterableAttributes.length) {
+    index.updateFilterableAttributes(filterableAttributes).catch((error) => {
+      logger.error(`[mongoMeili] Error setting the filterable attributes of ${indexName}`, error);
+    });
+  }
+
   // Collect attributes from the schema that should be indexed.
-  const attributesToIndex = [
+  const attributesToIndex = _.uniq([
     ..._.reduce(
       schema.obj,
       function (results, value, key) {
@@ -379,7 +399,8 @@ module.exports = function mongoMeili(schema, options) {
       },
       [],
     ),
-  ];
+    ...filterableAttributes,
+  ]);
 
   // Load the class methods into the schema.
   schema.loadClass(createMeiliMongooseModel({ index, indexName, client, attributesToIndex }));
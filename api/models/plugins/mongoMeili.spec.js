@@ -0,0 +1,138 @@
+const mockIndex = {
+  addDocuments: jest.fn(),
+  getDocuments: jest.fn(),
+  deleteDocuments: jest.fn(),
+  updateFilterableAttributes: jest.fn().mockResolvedValue(),
+};
+
+jest.mock('meilisearch', () => ({
+  MeiliSearch: jest.fn(() => ({
+    createIndex: jest.fn(),
+    index: jest.fn(() => mockIndex),
+  })),
+}));
+jest.mock('~/config/meiliLogger', () => ({ debug: jest.fn(), error: jest.fn() }));
+
+const { Schema } = require('mongoose');
+const mongoMeili = require('./mongoMeili');
+
+/** Evaluates the operators `syncWithMeili` uses against a plain document */
+const matches = (doc, query) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some((subquery) => matches(doc, subquery));
+    }
+    const value = doc[key];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$gte':
+          return value != null && value >= operand;
+        case '$gt':
+          return value != null && value > operand;
+        case '$ne':
+          return value !== operand;
+        case '$in':
+          return operand.includes(value);
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+
+/** A model over an in-memory collection, with the query methods the sync reads */
+const createModel = (schema, docs) => {
+  const find = (query) => {
+    const results = docs.filter((doc) => matches(doc, query));
+    const chain = {
+      sort: () => chain,
+      limit: (n) => ({ lean: async () => results.slice(0, n) }),
+      distinct: async (field) => results.map((doc) => doc[field]),
+    };
+    return chain;
+  };
+
+  return Object.assign(Object.create(null), schema.statics, {
+    find,
+    countDocuments: async (query) => docs.filter((doc) => matches(doc, query)).length,
+    collection: {
+      updateMany: async ({ _id }, { $set }) => {
+        docs.filter((doc) => _id.$in.includes(doc._id)).forEach((doc) => Object.assign(doc, $set));
+      },
+    },
+  });
+};
+
+describe('mongoMeili syncWithMeili', () => {
+  const since = new Date('2024-06-01T00:00:00Z');
+  let docs;
+  let Message;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const schema = new Schema({
+      messageId: { type: String, meiliIndex: true },
+      text: { type: String, meiliIndex: true },
+    });
+    mongoMeili(schema, {
+      host: 'http://localhost:7700',
+      apiKey: 'key',
+      indexName: 'messages',
+      primaryKey: 'messageId',
+    });
+
+    docs = [
+      {
+        _id: 1,
+        messageId: 'indexed',
+        text: 'Indexed before the last sync',
+        updatedAt: new Date('2024-01-01T00:00:00Z'),
+        _meiliIndex: true,
+      },
+      {
+        _id: 2,
+        messageId: 'updated',
+        text: 'Updated after the last sync',
+        updatedAt: new Date('2024-07-01T00:00:00Z'),
+        _meiliIndex: true,
+      },
+      {
+        /* Imported messages are saved without timestamps, so they keep their original date */
+        _id: 3,
+        messageId: 'imported',
+        text: 'Imported after the last sync',
+        updatedAt: new Date('2023-01-01T00:00:00Z'),
+        _meiliIndex: false,
+      },
+      {
+        _id: 4,
+        messageId: 'forked',
+        text: 'Forked without the flag or a date',
+      },
+    ];
+    Message = createModel(schema, docs);
+  });
+
+  it('indexes updated documents and documents that were never indexed', async () => {
+    const progress = await Message.syncWithMeili({ since });
+
+    const indexed = mockIndex.addDocuments.mock.calls.flatMap(([batch]) => batch);
+    expect(indexed.map((doc) => doc.messageId)).toEqual(['updated', 'imported', 'forked']);
+    expect(progress).toEqual({ total: 3, processed: 3, deleted: 0 });
+    expect(docs.every((doc) => doc._meiliIndex === true)).toBe(true);
+    expect(mockIndex.getDocuments).not.toHaveBeenCalled();
+  });
+
+  it('does not index imported documents again once they are indexed', async () => {
+    await Message.syncWithMeili({ since });
+    mockIndex.addDocuments.mockClear();
+
+    const progress = await Message.syncWithMeili({ since });
+
+    const indexed = mockIndex.addDocuments.mock.calls.flatMap(([batch]) => batch);
+    expect(indexed.map((doc) => doc.messageId)).toEqual(['updated']);
+    expect(progress.total).toBe(1);
+  });
+});
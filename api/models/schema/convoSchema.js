@@ -11,6 +11,9 @@ if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
     indexName: 'convos',
     primaryKey: 'conversationId',
   });
+} else {
+  /** Note: backs the MongoDB search backend */
+  convoSchema.index({ title: 'text' }, { name: 'convo_title_search' });
 }
 
 const Conversation = mongoose.models.Conversation || mongoose.model('Conversation', convoSchema);
@@ -8,7 +8,14 @@ if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
     apiKey: process.env.MEILI_MASTER_KEY,
     indexName: 'messages',
     primaryKey: 'messageId',
+    filterableAttributes: ['user', 'conversationId', 'endpoint', 'model', 'createdAt'],
   });
+} else {
+  /** Note: backs the MongoDB search backend; text parts store their text as a string or as `text.value` */
+  messageSchema.index(
+    { text: 'text', 'content.text': 'text', 'content.text.value': 'text' },
+    { name: 'message_text_search' },
+  );
 }
 
 const Message = mongoose.models.Message || mongoose.model('Message', messageSchema);
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { FileSources } = require('librechat-data-provider');
+const { uploadVectors, queryVectors } = require('~/server/services/Files/VectorDB/crud');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { getConvo, addConvoFiles } = require('~/models/Conversation');
+const { getFiles, updateFile } = require('~/models/File');
+const { logger } = require('~/config');
+
+const MAX_FILES = 20;
+const MAX_TOP_K = 20;
+const DEFAULT_TOP_K = 4;
+
+/**
+ * Copies a stored file to a temporary path so it can be uploaded to the RAG API.
+ *
+ * @param {ServerRequest} req
+ * @param {MongoFile} file
+ * @returns {Promise<string>} The temporary file path; the caller removes it.
+ */
+async function downloadToTemp(req, file) {
+  const { getDownloadStream } = getStrategyFunctions(file.source ?? FileSources.local);
+  if (!getDownloadStream) {
+    throw new Error(`Files stored in "${file.source}" cannot be embedded`);
+  }
+  const tempPath = path.join(os.tmpdir(), `rag-${file.file_id}${path.extname(file.filename)}`);
+  await pipeline(await getDownloadStream(req, file.filepath), fs.createWriteStream(tempPath));
+  return tempPath;
+}
+
+/**
+ * Looks up a conversation of the requesting user.
+ *
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ * @param {unknown} conversationId
+ * @returns {Promise<TConversation | null>} The conversation; responds with an error when `null`.
+ */
+async function findUserConvo(req, res, conversationId) {
+  if (typeof conversationId !== 'string' || !conversationId) {
+    res.status(400).json({ message: 'Conversation ID required' });
+    return null;
+  }
+  const convo = await getConvo(req.user.id, conversationId);
+  if (!convo?.conversationId) {
+    res.status(404).json({ message: 'Conversation not found' });
+    return null;
+  }
+  return convo;
+}
+
+/**
+ * Embeds files of the requesting user into the vector database and attaches them to
+ * one of the user's conversations. Files already embedded are only attached.
+ *
+ * @param {ServerRequest} req - The request object; `req.body` holds `conversationId` and `fileIds`.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<void>}
+ */
+const ingestFilesController = async (req, res) => {
+  try {
+    const { conversationId, fileIds } = req.body ?? {};
+    if (
+      !Array.isArray(fileIds) ||
+      !fileIds.length ||
+      fileIds.length > MAX_FILES ||
+      !fileIds.every((id) => typeof id === 'string')
+    ) {
+      res.status(400).json({ message: `fileIds must contain 1 to ${MAX_FILES} file IDs` });
+      return;
+    }
+
+    const convo = await findUserConvo(req, res, conversationId);
+    if (!convo) {
+      return;
+    }
+
+    const uniqueIds = [...new Set(fileIds)];
+    const files = await getFiles({ user: req.user.id, file_id: { $in: uniqueIds } });
+    if (files.length !== uniqueIds.length) {
+      const found = new Set(files.map((file) => file.file_id));
+      const missing = uniqueIds.filter((id) => !found.has(id));
+      logger.warn(`[PluginRag] User ${req.user.id} attempted to ingest files they do not own`);
+      res.status(404).json({ message: 'Files not found', fileIds: missing });
+      return;
+    }
+
+    const results = [];
+    for (const file of files) {
+      const { file_id, filename } = file;
+      if (file.embedded) {
+        results.push({ file_id, filename, embedded: true });
+        continue;
+      }
+
+      let tempPath;
+      try {
+        tempPath = await downloadToTemp(req, file);
+        const { size } = await fs.promises.stat(tempPath);
+        await uploadVectors({
+          req,
+          file_id,
+          file: { path: tempPath, size, originalname: filename, mimetype: file.type },
+        });
+        await updateFile({ file_id, embedded: true });
+        results.push({ file_id, filename, embedded: true });
+      } catch (error) {
+        logger.error(`[PluginRag] Error embedding file ${file_id}`, error);
+        results.push({ file_id, filename, embedded: false, error: error.message });
+      } finally {
+        if (tempPath) {
+          fs.promises.unlink(tempPath).catch(() => {});
+        }
+      }
+    }
+
+    const embeddedIds = results.filter((result) => result.embedded).map((r) => r.file_id);
+    if (embeddedIds.length) {
+      await addConvoFiles(req.user.id, convo.conversationId, embeddedIds);
+    }
+    res.status(200).json({ conversationId: convo.conversationId, files: results });
+  } catch (error) {
+    logger.error('[PluginRag] Error ingesting files', error);
+    res.status(500).json({ message: 'Error ingesting files' });
+  }
+};
+
+/**
+ * Runs a semantic search over the embedded files of one of the requesting user's conversations.
+ *
+ * @param {ServerRequest} req - The request object; `req.body` holds `conversationId`, `query` and `top_k`.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<void>}
+ */
+const queryFilesController = async (req, res) => {
+  try {
+    const { conversationId, query, top_k = DEFAULT_TOP_K } = req.body ?? {};
+    if (typeof query !== 'string' || !query.trim()) {
+      res.status(400).json({ message: 'Query required' });
+      return;
+    }
+    if (!Number.isInteger(top_k) || top_k < 1 || top_k > MAX_TOP_K) {
+      res.status(400).json({ message: `top_k must be an integer from 1 to ${MAX_TOP_K}` });
+      return;
+    }
+
+    const convo = await findUserConvo(req, res, conversationId);
+    if (!convo) {
+      return;
+    }
+
+    const fileIds = convo.files ?? [];
+    const files = fileIds.length
+      ? await getFiles({ user: req.user.id, file_id: { $in: fileIds }, embedded: true })
+      : [];
+
+    const matches = await Promise.all(
+      files.map((file) => queryVectors({ req, file_id: file.file_id, query, k: top_k })),
+    );
+    const results = matches
+      .flatMap((fileMatches, index) =>
+        fileMatches.map(([document, distance]) => ({
+          file_id: files[index].file_id,
+          filename: files[index].filename,
+          content: document.page_content,
+          distance,
+        })),
+      )
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, top_k);
+
+    res.status(200).json({ conversationId: convo.conversationId, results });
+  } catch (error) {
+    logger.error('[PluginRag] Error querying files', error);
+    res.status(500).json({ message: 'Error querying files' });
+  }
+};
+
+module.exports = {
+  ingestFilesController,
+  queryFilesController,
+};
@@ -0,0 +1,89 @@
+const { validateSettingsValues, resolveSettingsValues } = require('~/app/pluginServer/settings');
+const { getUserPlugins } = require('~/app/pluginServer/access');
+const { updatePluginSetting } = require('~/models/PluginSetting');
+const { logger } = require('~/config');
+
+/**
+ * Builds the response entry of a plugin available to the user.
+ * @param {import('~/app/pluginServer/access').TUserPlugin} plugin
+ */
+function toUserPluginSettings({ entry, enabled, values }) {
+  const { id, title, description, settings = [] } = entry.manifest;
+  return { id, title, description, enabled, fields: settings, values };
+}
+
+/**
+ * Lists the plugins enabled for the requesting user's role, with the user's toggle,
+ * the settings declared by each manifest and the user's resolved values.
+ *
+ * @param {ServerRequest} req - The request object.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<void>}
+ */
+const getPluginSettingsController = async (req, res) => {
+  try {
+    const plugins = await getUserPlugins(req.user);
+    res.status(200).json(plugins.map(toUserPluginSettings));
+  } catch (error) {
+    logger.error('[getPluginSettingsController]', error);
+    res.status(500).json({ message: 'Error getting plugin settings' });
+  }
+};
+
+/**
+ * Turns a plugin on or off for the requesting user and/or replaces the user's settings
+ * values, validated against the settings the manifest declares.
+ *
+ * @param {ServerRequest} req - The request object; `req.body` holds `enabled` and `settings`.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<void>}
+ */
+const updatePluginSettingsController = async (req, res) => {
+  try {
+    const { pluginId } = req.params;
+    const { enabled, settings } = req.body ?? {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be a boolean' });
+    }
+    if (enabled === undefined && settings === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const plugins = await getUserPlugins(req.user);
+    const plugin = plugins.find(({ entry }) => entry.id === pluginId);
+    if (!plugin) {
+      return res.status(404).json({ message: 'Plugin not found' });
+    }
+
+    const fields = plugin.entry.manifest.settings ?? [];
+    /** @type {{ enabled?: boolean, settings?: Record<string, unknown> }} */
+    const update = {};
+    if (enabled !== undefined) {
+      update.enabled = enabled;
+    }
+    if (settings !== undefined) {
+      const result = validateSettingsValues(fields, settings);
+      if (!result.success) {
+        return res.status(400).json({ message: 'Invalid plugin settings', errors: result.errors });
+      }
+      update.settings = result.data;
+    }
+
+    const saved = await updatePluginSetting(req.user.id, pluginId, update);
+    res.status(200).json(
+      toUserPluginSettings({
+        entry: plugin.entry,
+        enabled: saved.enabled !== false,
+        values: resolveSettingsValues(fields, saved.settings),
+      }),
+    );
+  } catch (error) {
+    logger.error('[updatePluginSettingsController]', error);
+    res.status(500).json({ message: 'Error updating plugin settings' });
+  }
+};
+
+module.exports = {
+  getPluginSettingsController,
+  updatePluginSettingsController,
+};
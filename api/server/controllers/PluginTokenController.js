@@ -0,0 +1,32 @@
+const { isPluginEnabledForUser } = require('~/app/pluginServer/access');
+const { issuePluginToken } = require('~/app/pluginServer/tokens');
+const { getPlugin } = require('~/app/pluginServer/registry');
+const { logger } = require('~/config');
+
+/**
+ * Issues the token the plugin runtime sends with the proxied calls of a plugin's API,
+ * for a plugin enabled for the requesting user.
+ *
+ * @param {ServerRequest} req - The request object; `req.params.pluginId` is the plugin.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<void>}
+ */
+const issuePluginTokenController = async (req, res) => {
+  try {
+    const plugin = getPlugin(req.params.pluginId);
+    if (!plugin) {
+      return res.status(404).json({ message: 'Plugin not found' });
+    }
+    if (!(await isPluginEnabledForUser(req.user, plugin))) {
+      return res.status(403).json({ message: `Plugin "${plugin.id}" is not enabled` });
+    }
+    res.status(200).json(issuePluginToken(req.user.id, plugin.id));
+  } catch (error) {
+    logger.error('[issuePluginTokenController]', error);
+    res.status(500).json({ message: 'Error issuing the plugin token' });
+  }
+};
+
+module.exports = {
+  issuePluginTokenController,
+};
@@ -0,0 +1,32 @@
+const { decideToolCall, ToolApprovalStatus } = require('~/server/services/ToolApproval');
+const { logger } = require('~/config');
+
+/**
+ * Approves or rejects a tool call that an agent run is waiting on.
+ * @route POST /Agents/chat/approve
+ * @param {ServerRequest} req - The request object.
+ * @param {ToolApprovalParams} req.body - The tool call and the user's decision.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<ToolApprovalResponse>} 200 - success response - application/json
+ */
+const approveToolCall = async (req, res) => {
+  try {
+    const { toolCallId, approved } = req.body ?? {};
+    if (typeof toolCallId !== 'string' || !toolCallId || typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'A tool call ID and a decision are required' });
+    }
+
+    const decided = await decideToolCall({ userId: req.user.id, toolCallId, approved });
+    if (!decided) {
+      return res.status(404).json({ error: 'No tool call is waiting for this approval' });
+    }
+
+    const status = approved ? ToolApprovalStatus.approved : ToolApprovalStatus.rejected;
+    return res.status(200).json({ toolCallId, status });
+  } catch (error) {
+    logger.error('[/Agents/chat/approve] Error deciding on the tool call', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { approveToolCall };
@@ -59,6 +59,9 @@ class ModelEndHandler {
       if (metadata?.model) {
         usage.model = metadata.model;
       }
+      if (metadata?.agent_id) {
+        usage.agent_id = metadata.agent_id;
+      }
 
       this.collectedUsage.push(usage);
       if (!graph.clientOptions?.disableStreaming) {
@@ -23,6 +23,7 @@ const {
   ContentTypes,
   EModelEndpoint,
   KnownEndpoints,
+  AgentChainModes,
   isAgentsEndpoint,
   AgentCapabilities,
   bedrockInputSchema,
@@ -37,6 +38,8 @@ const initOpenAI = require('~/server/services/Endpoints/openAI/initialize');
 const Tokenizer = require('~/server/services/Tokenizer');
 const BaseClient = require('~/app/clients/BaseClient');
 const { logger, sendEvent } = require('~/config');
+const { createHandoffRun, MAX_HANDOFFS } = require('./handoff');
+const { getResponseText, createBranchUpdate, formatBranchResponses } = require('./parallel');
 const { createRun } = require('./run');
 
 /** @typedef {import('@librechat/agents').MessageContentComplex} MessageContentComplex */
@@ -221,6 +224,7 @@ class AgentClient extends BaseClient {
         {
           endpoint: this.options.endpoint,
           agent_id: this.options.agent.id,
+          agent_version: this.options.agent.version,
           modelLabel: this.options.modelLabel,
           maxContextTokens: this.options.maxContextTokens,
           resendFiles: this.options.resendFiles,
@@ -428,8 +432,15 @@ class AgentClient extends BaseClient {
    * @param {string} [params.model]
    * @param {string} [params.context='message']
    * @param {UsageMetadata[]} [params.collectedUsage=this.collectedUsage]
+   * @param {boolean} [params.parallel=false] - Whether the agents ran in parallel from the same input,
+   *  in which case the usage of each agent is counted as its own chain.
    */
-  async recordCollectedUsage({ model, context = 'message', collectedUsage = this.collectedUsage }) {
+  async recordCollectedUsage({
+    model,
+    context = 'message',
+    collectedUsage = this.collectedUsage,
+    parallel = false,
+  }) {
     if (!collectedUsage || !collectedUsage.length) {
       return;
     }
@@ -439,7 +450,8 @@ class AgentClient extends BaseClient {
       (Number(collectedUsage[0]?.input_token_details?.cache_read) || 0);
 
     let output_tokens = 0;
-    let previousTokens = input_tokens; // Start with original input
+    /** The tokens accumulated by each chain of model calls, starting with its original input */
+    const chainTokens = new Map();
     for (let i = 0; i < collectedUsage.length; i++) {
       const usage = collectedUsage[i];
       if (!usage) {
@@ -455,19 +467,21 @@ class AgentClient extends BaseClient {
         user: this.user ?? this.options.req.user?.id,
         endpointTokenConfig: this.options.endpointTokenConfig,
         model: usage.model ?? model ?? this.model ?? this.options.agent.model_parameters.model,
+        agent_id: usage.agent_id,
       };
 
-      if (i > 0) {
-        // Count new tokens generated (input_tokens minus previous accumulated tokens)
-        output_tokens +=
-          (Number(usage.input_tokens) || 0) + cache_creation + cache_read - previousTokens;
-      }
+      const chainId = parallel ? usage.agent_id : undefined;
+      const usageInputTokens = (Number(usage.input_tokens) || 0) + cache_creation + cache_read;
+      const previousTokens = chainTokens.get(chainId) ?? usageInputTokens;
+
+      // Count new tokens generated (input_tokens minus previous accumulated tokens)
+      output_tokens += usageInputTokens - previousTokens;
 
       // Add this message's output tokens
       output_tokens += Number(usage.output_tokens) || 0;
 
-      // Update previousTokens to include this message's output
-      previousTokens += Number(usage.output_tokens) || 0;
+      // Update the chain's accumulated tokens to include this message's output
+      chainTokens.set(chainId, previousTokens + (Number(usage.output_tokens) || 0));
 
       if (cache_creation > 0 || cache_read > 0) {
         spendStructuredTokens(txMetadata, {
@@ -682,25 +696,41 @@ class AgentClient extends BaseClient {
        * @param {number} [i]
        * @param {TMessageContentParts[]} [contentData]
        * @param {Record<string, number>} [currentIndexCountMap]
+       * @param {Object} [options]
+       * @param {AbortSignal} [options.signal] - Overrides the signal of the request for this run.
+       * @param {{ fromAgentId: string, reason: string }} [options.handoff] - The handoff that started this run.
+       * @param {Record<string, import('@librechat/agents').EventHandler>} [options.customHandlers] - Overrides the event handlers for this run.
        */
-      const runAgent = async (agent, _messages, i = 0, contentData = [], _currentIndexCountMap) => {
-        config.configurable.model = agent.model_parameters.model;
+      const runAgent = async (
+        agent,
+        _messages,
+        i = 0,
+        contentData = [],
+        _currentIndexCountMap,
+        {
+          signal = abortController.signal,
+          handoff,
+          customHandlers = this.options.eventHandlers,
+          runConfig = config,
+        } = {},
+      ) => {
+        runConfig.configurable.model = agent.model_parameters.model;
         const currentIndexCountMap = _currentIndexCountMap ?? indexTokenCountMap;
         if (i > 0) {
           this.model = agent.model_parameters.model;
         }
         if (agent.recursion_limit && typeof agent.recursion_limit === 'number') {
-          config.recursionLimit = agent.recursion_limit;
+          runConfig.recursionLimit = agent.recursion_limit;
         }
         if (
           agentsEConfig?.maxRecursionLimit &&
-          config.recursionLimit > agentsEConfig?.maxRecursionLimit
+          runConfig.recursionLimit > agentsEConfig?.maxRecursionLimit
         ) {
-          config.recursionLimit = agentsEConfig?.maxRecursionLimit;
+          runConfig.recursionLimit = agentsEConfig?.maxRecursionLimit;
         }
-        config.configurable.agent_id = agent.id;
-        config.configurable.name = agent.name;
-        config.configurable.agent_index = i;
+        runConfig.configurable.agent_id = agent.id;
+        runConfig.configurable.name = agent.name;
+        runConfig.configurable.agent_index = i;
         const noSystemMessages = noSystemModelRegex.some((regex) =>
           agent.model_parameters.model.match(regex),
         );
@@ -743,20 +773,21 @@ class AgentClient extends BaseClient {
           messages = addCacheControl(messages);
         }
 
-        run = await createRun({
+        const agentRun = await createRun({
           agent,
           req: this.options.req,
           runId: this.responseMessageId,
-          signal: abortController.signal,
-          customHandlers: this.options.eventHandlers,
+          signal,
+          customHandlers,
         });
 
-        if (!run) {
+        if (!agentRun) {
           throw new Error('Failed to create run');
         }
 
+        run = agentRun;
         if (i === 0) {
-          this.run = run;
+          this.run = agentRun;
         }
 
         if (contentData.length) {
@@ -766,6 +797,7 @@ class AgentClient extends BaseClient {
               index: contentData.length,
               runId: this.responseMessageId,
               agentId: agent.id,
+              handoff,
             },
           };
           const streamData = {
@@ -775,11 +807,11 @@ class AgentClient extends BaseClient {
           this.options.aggregateContent(streamData);
           sendEvent(this.options.res, streamData);
           contentData.push(agentUpdate);
-          run.Graph.contentData = contentData;
+          agentRun.Graph.contentData = contentData;
         }
 
         const encoding = this.getEncoding();
-        await run.processStream({ messages }, config, {
+        await agentRun.processStream({ messages }, runConfig, {
           keepContent: i !== 0,
           tokenCounter: createTokenCounter(encoding),
           indexTokenCountMap: currentIndexCountMap,
@@ -789,16 +821,178 @@ class AgentClient extends BaseClient {
           },
         });
 
-        config.signal = null;
+        runConfig.signal = null;
+        return agentRun;
       };
 
-      await runAgent(this.options.agent, initialMessages);
-      let finalContentStart = 0;
-      if (
-        this.agentConfigs &&
+      /**
+       * Runs the primary agent as a supervisor that either answers or hands the turn off
+       * to one of the agents in `agentConfigs` through a `transfer_to_<agent>` tool.
+       * Each agent can hand off again, up to `MAX_HANDOFFS` times;
+       * every handoff is recorded as an agent update in the response content.
+       */
+      const runRouter = async () => {
+        const primaryAgent = this.options.agent;
+        /** @type {Map<string, Agent>} */
+        const agents = new Map([[primaryAgent.id, primaryAgent], ...this.agentConfigs]);
+        let agent = primaryAgent;
+        /** @type {{ fromAgentId: string, reason: string } | undefined} */
+        let handoff;
+        let contentData = [];
+        for (let i = 0; i <= MAX_HANDOFFS; i++) {
+          if (abortController.signal.aborted === true) {
+            break;
+          }
+          const handoffRun = createHandoffRun({
+            agents:
+              i < MAX_HANDOFFS ? [...agents.values()].filter(({ id }) => id !== agent.id) : [],
+            reservedNames: (agent.tools ?? []).map((tool) => tool.name),
+            customHandlers: this.options.eventHandlers,
+            signal: abortController.signal,
+          });
+          const handoffNote = handoff
+            ? `The conversation was transferred to you by ${agents.get(handoff.fromAgentId)?.name ?? 'another agent'}: ${handoff.reason}`
+            : '';
+          config.signal = handoffRun.signal;
+          try {
+            await runAgent(
+              {
+                ...agent,
+                tools: [...(agent.tools ?? []), ...handoffRun.tools],
+                instructions: [agent.instructions, handoffRun.instructions, handoffNote]
+                  .filter(Boolean)
+                  .join('\n\n'),
+                /** The primary agent's additional instructions are already part of its instructions */
+                additional_instructions:
+                  agent === primaryAgent ? undefined : agent.additional_instructions,
+              },
+              initialMessages.slice(),
+              i,
+              contentData,
+              { ...indexTokenCountMap },
+              { signal: handoffRun.signal, customHandlers: handoffRun.customHandlers, handoff },
+            );
+          } catch (err) {
+            if (!handoffRun.getHandoff() || abortController.signal.aborted === true) {
+              throw err;
+            }
+          }
+
+          const next = handoffRun.getHandoff();
+          if (!next || !agents.has(next.agentId)) {
+            break;
+          }
+          logger.debug(
+            `[api/server/controllers/agents/client.js #chatCompletion] Handoff from ${agent.id} to ${next.agentId}`,
+          );
+          handoff = { fromAgentId: agent.id, reason: next.reason };
+          agent = agents.get(next.agentId);
+          contentData = run.Graph.contentData.slice();
+        }
+      };
+
+      /**
+       * Runs the agents in `agentConfigs` concurrently on the same input, then has the primary agent
+       * merge their responses. Branches do not stream; each response is stored in the response content
+       * as an agent update once its agent is done. Aborting the request cancels every branch.
+       * Since their run steps are not streamed either, branches cannot ask the user to approve tool calls;
+       * `parallel_branch` has those calls rejected right away.
+       */
+      const runParallel = async () => {
+        const branches = [...this.agentConfigs.values()];
+        /** Only usage is collected from branches; their content would interleave in the response */
+        const branchHandlers = {
+          [GraphEvents.CHAT_MODEL_END]: this.options.eventHandlers?.[GraphEvents.CHAT_MODEL_END],
+        };
+        /** @type {TMessageContentParts[]} */
+        const contentData = [];
+        const responses = await Promise.all(
+          branches.map(async (agent, index) => {
+            let output = '';
+            let error;
+            try {
+              const branchRun = await runAgent(
+                { ...agent },
+                initialMessages.slice(),
+                index + 1,
+                [],
+                { ...indexTokenCountMap },
+                {
+                  customHandlers: branchHandlers,
+                  runConfig: {
+                    ...config,
+                    configurable: { ...config.configurable, parallel_branch: true },
+                  },
+                },
+              );
+              output = getResponseText(branchRun.Graph.getRunMessages() ?? []);
+            } catch (err) {
+              if (abortController.signal.aborted === true) {
+                throw err;
+              }
+              logger.error(
+                `[api/server/controllers/agents/client.js #chatCompletion] Error running parallel agent ${agent.id}`,
+                err,
+              );
+              error = err?.message ?? 'Unknown error';
+            }
+
+            const branchUpdate = createBranchUpdate({
+              index,
+              runId: this.responseMessageId,
+              agentId: agent.id,
+              output,
+              error,
+            });
+            const streamData = {
+              event: GraphEvents.ON_AGENT_UPDATE,
+              data: branchUpdate,
+            };
+            this.options.aggregateContent(streamData);
+            sendEvent(this.options.res, streamData);
+            contentData[index] = branchUpdate;
+            return { name: agent.name || agent.id, output, error };
+          }),
+        );
+
+        const primaryAgent = this.options.agent;
+        this.run = await runAgent(
+          {
+            ...primaryAgent,
+            instructions: [primaryAgent.instructions, formatBranchResponses(responses)]
+              .filter(Boolean)
+              .join('\n\n'),
+            /** The primary agent's additional instructions are already part of its instructions */
+            additional_instructions: undefined,
+          },
+          initialMessages.slice(),
+          branches.length + 1,
+          contentData,
+          { ...indexTokenCountMap },
+        );
+      };
+
+      const chainEnabled =
+        this.agentConfigs != null &&
         this.agentConfigs.size > 0 &&
-        (await checkCapability(this.options.req, AgentCapabilities.chain))
-      ) {
+        (await checkCapability(this.options.req, AgentCapabilities.chain));
+      const isRouter = chainEnabled && this.options.agent.chain_mode === AgentChainModes.router;
+      const isParallel = chainEnabled && this.options.agent.chain_mode === AgentChainModes.parallel;
+
+      if (isRouter || isParallel) {
+        /** The output of the last agent to run is not known in advance, so no output is hidden */
+        config.configurable.hide_sequential_outputs = false;
+      }
+
+      if (isRouter) {
+        await runRouter();
+      } else if (isParallel) {
+        await runParallel();
+      } else {
+        await runAgent(this.options.agent, initialMessages);
+      }
+      let finalContentStart = 0;
+      if (chainEnabled && !isRouter && !isParallel) {
         const windowSize = 5;
         let latestMessage = initialMessages.pop().content;
         if (typeof latestMessage !== 'string') {
@@ -896,7 +1090,7 @@ class AgentClient extends BaseClient {
       });
 
       try {
-        await this.recordCollectedUsage({ context: 'message' });
+        await this.recordCollectedUsage({ context: 'message', parallel: isParallel });
       } catch (err) {
         logger.error(
           '[api/server/controllers/agents/client.js #chatCompletion] Error recording collected usage',
@@ -0,0 +1,323 @@
+const { AIMessage } = require('@langchain/core/messages');
+const { GraphEvents } = require('@librechat/agents');
+const { ContentTypes, AgentChainModes } = require('librechat-data-provider');
+const { HANDOFF_TOOL_PREFIX, MAX_HANDOFFS } = require('./handoff');
+const { spendTokens } = require('~/models/spendTokens');
+const { getDefaultHandlers } = require('./callbacks');
+const { sendEvent } = require('~/config');
+const { createRun } = require('./run');
+const AgentClient = require('./client');
+
+jest.mock('./run', () => ({
+  createRun: jest.fn(),
+}));
+jest.mock('~/server/services/Config', () => ({
+  checkCapability: jest.fn().mockResolvedValue(true),
+  getCustomEndpointConfig: jest.fn(),
+}));
+jest.mock('~/models/spendTokens', () => ({
+  spendTokens: jest.fn().mockResolvedValue(),
+  spendStructuredTokens: jest.fn().mockResolvedValue(),
+}));
+jest.mock('~/config', () => ({
+  ...jest.requireActual('~/config'),
+  sendEvent: jest.fn(),
+}));
+
+/** Ends a run the way the graph does once its signal is aborted */
+const throwIfAborted = (signal) => {
+  if (signal.aborted) {
+    throw new Error('Run aborted');
+  }
+};
+
+const respond = (run, text) => {
+  run.Graph.contentData.push({ type: ContentTypes.TEXT, text });
+  run.messages.push(new AIMessage(text));
+};
+
+/** Calls the agent's transfer tool to `agentId`, as a model would */
+const handOff = async ({ agent, run, signal, customHandlers }, agentId, reason) => {
+  const transfer = agent.tools.find((tool) => tool.name === `${HANDOFF_TOOL_PREFIX}${agentId}`);
+  const input = { reason };
+  const output = await transfer.invoke(input);
+  customHandlers[GraphEvents.TOOL_END].handle(
+    GraphEvents.TOOL_END,
+    { input, output },
+    { agent_id: agent.id },
+    run.Graph,
+  );
+  throwIfAborted(signal);
+};
+
+/** Reports the usage of a model call, as the graph does at the end of each call */
+const reportUsage = ({ agent, run, customHandlers }, usage) =>
+  customHandlers[GraphEvents.CHAT_MODEL_END].handle(
+    GraphEvents.CHAT_MODEL_END,
+    { output: { usage_metadata: { ...usage } } },
+    { agent_id: agent.id, model: agent.model_parameters.model },
+    run.Graph,
+  );
+
+/**
+ * Creates runs that play the part of each agent.
+ * @param {Record<string, (params: object) => Promise<void>>} script - What each agent does in its run, by ID.
+ */
+const mockRuns = (script) => {
+  createRun.mockImplementation(async ({ agent, signal, customHandlers }) => {
+    const run = {
+      agent,
+      messages: [],
+      Graph: {
+        contentData: [],
+        getRunMessages: () => run.messages,
+        handleToolCallCompleted: ({ input, output }) =>
+          run.Graph.contentData.push({
+            type: ContentTypes.TOOL_CALL,
+            tool_call: { input, output },
+          }),
+      },
+      processStream: (_input, config) => {
+        run.configurable = { ...config.configurable };
+        return script[agent.id]({ agent, run, signal, customHandlers });
+      },
+    };
+    return run;
+  });
+};
+
+/** @returns {Promise<Array<{ agent: Agent, Graph: { contentData: object[] } }>>} */
+const getRuns = () => Promise.all(createRun.mock.results.map(({ value }) => value));
+
+const createAgent = (id, props) => ({
+  id,
+  name: id,
+  provider: 'openAI',
+  model_parameters: { model: 'gpt-4o-mini' },
+  tools: [],
+  ...props,
+});
+
+const createClient = ({ agent, agents }) => {
+  const res = {};
+  const collectedUsage = [];
+  const aggregateContent = jest.fn();
+  return new AgentClient({
+    req: { app: { locals: {} }, user: { id: 'user-1' } },
+    res,
+    agent,
+    agentConfigs: new Map(agents.map((config) => [config.id, config])),
+    contentParts: [],
+    collectedUsage,
+    eventHandlers: getDefaultHandlers({
+      res,
+      aggregateContent,
+      toolEndCallback: jest.fn(),
+      collectedUsage,
+    }),
+    aggregateContent,
+    endpoint: 'agents',
+  });
+};
+
+/** @returns {Array<{ agentId: string, branch: { output: string, error?: string } }>} */
+const getBranchUpdates = () =>
+  sendEvent.mock.calls
+    .map(([, { data }]) => data[ContentTypes.AGENT_UPDATE])
+    .filter((update) => update?.branch);
+
+const payload = [{ role: 'user', content: 'Why was I charged twice?' }];
+
+describe('AgentClient', () => {
+  describe('router mode', () => {
+    const supervisor = createAgent('supervisor', { chain_mode: AgentChainModes.router });
+    const billing = createAgent('billing');
+    const research = createAgent('research');
+
+    it('ends a run once it hands off, and carries its content over to the next agent', async () => {
+      mockRuns({
+        supervisor: async (params) => {
+          await handOff(params, 'billing', 'Duplicate charge');
+          respond(params.run, 'Not sent: the supervisor was handed off');
+        },
+        billing: async ({ run }) => respond(run, 'Refunded the second charge.'),
+      });
+      const client = createClient({ agent: supervisor, agents: [billing, research] });
+
+      await client.chatCompletion({ payload });
+
+      const runs = await getRuns();
+      expect(runs.map((run) => run.agent.id)).toEqual(['supervisor', 'billing']);
+      expect(runs[1].agent.instructions).toContain(
+        'The conversation was transferred to you by supervisor: Duplicate charge',
+      );
+      expect(runs[1].Graph.contentData).toEqual([
+        expect.objectContaining({ type: ContentTypes.TOOL_CALL }),
+        {
+          type: ContentTypes.AGENT_UPDATE,
+          [ContentTypes.AGENT_UPDATE]: expect.objectContaining({
+            index: 1,
+            agentId: 'billing',
+            handoff: { fromAgentId: 'supervisor', reason: 'Duplicate charge' },
+          }),
+        },
+        { type: ContentTypes.TEXT, text: 'Refunded the second charge.' },
+      ]);
+      expect(client.contentParts).toEqual([]);
+    });
+
+    it(`stops handing off after ${MAX_HANDOFFS} handoffs`, async () => {
+      /** The agents keep handing the conversation to each other as long as they can */
+      const pingPong = (to) => async (params) => {
+        if (params.agent.tools.length) {
+          await handOff(params, to, 'Your turn');
+        }
+        respond(params.run, `${params.agent.id} answered`);
+      };
+      mockRuns({ supervisor: pingPong('billing'), billing: pingPong('supervisor') });
+      const client = createClient({ agent: supervisor, agents: [billing] });
+
+      await client.chatCompletion({ payload });
+
+      const runs = await getRuns();
+      expect(runs).toHaveLength(MAX_HANDOFFS + 1);
+      const lastRun = runs[MAX_HANDOFFS];
+      expect(lastRun.agent.tools).toEqual([]);
+      expect(lastRun.Graph.contentData.at(-1)).toEqual({
+        type: ContentTypes.TEXT,
+        text: `${lastRun.agent.id} answered`,
+      });
+      expect(
+        lastRun.Graph.contentData.filter((part) => part.type === ContentTypes.AGENT_UPDATE),
+      ).toHaveLength(MAX_HANDOFFS);
+    });
+
+    it('reports the error of a run that did not hand off', async () => {
+      mockRuns({
+        supervisor: async () => {
+          throw new Error('Provider unavailable');
+        },
+      });
+      const client = createClient({ agent: supervisor, agents: [billing] });
+
+      await client.chatCompletion({ payload });
+
+      expect(createRun).toHaveBeenCalledTimes(1);
+      expect(client.contentParts).toEqual([
+        {
+          type: ContentTypes.ERROR,
+          [ContentTypes.ERROR]: expect.stringContaining('Provider unavailable'),
+        },
+      ]);
+    });
+  });
+
+  describe('parallel mode', () => {
+    const merger = createAgent('merger', { chain_mode: AgentChainModes.parallel });
+    const research = createAgent('research', { model_parameters: { model: 'gpt-4o' } });
+    const billing = createAgent('billing');
+
+    it('runs the branches concurrently and counts the usage of each as its own chain', async () => {
+      const events = [];
+      mockRuns({
+        research: async (params) => {
+          events.push('research started');
+          reportUsage(params, { input_tokens: 100, output_tokens: 20 });
+          await new Promise((resolve) => setImmediate(resolve));
+          /** A second call, after a tool call, includes the first call's output */
+          reportUsage(params, { input_tokens: 150, output_tokens: 10 });
+          respond(params.run, 'Research answer');
+          events.push('research done');
+        },
+        billing: async (params) => {
+          events.push('billing started');
+          reportUsage(params, { input_tokens: 90, output_tokens: 30 });
+          respond(params.run, 'Billing answer');
+          events.push('billing done');
+        },
+        merger: async (params) => {
+          reportUsage(params, { input_tokens: 200, output_tokens: 40 });
+          respond(params.run, 'Merged answer');
+        },
+      });
+      const client = createClient({ agent: merger, agents: [research, billing] });
+
+      await client.chatCompletion({ payload });
+
+      expect(events.slice(0, 2)).toEqual(['research started', 'billing started']);
+      const runs = await getRuns();
+      expect(runs.map((run) => run.agent.id)).toEqual(['research', 'billing', 'merger']);
+      expect(runs[2].agent.instructions).toContain('Research answer');
+      expect(runs[2].agent.instructions).toContain('Billing answer');
+
+      expect(spendTokens.mock.calls.map(([txMetadata]) => txMetadata)).toEqual([
+        expect.objectContaining({ agent_id: 'research', model: 'gpt-4o' }),
+        expect.objectContaining({ agent_id: 'billing', model: 'gpt-4o-mini' }),
+        expect.objectContaining({ agent_id: 'research', model: 'gpt-4o' }),
+        expect.objectContaining({ agent_id: 'merger', model: 'gpt-4o-mini' }),
+      ]);
+      /** 20 + (150 - 120) + 10 for research, 30 for billing and 40 for the merge */
+      expect(client.usage.output_tokens).toBe(130);
+    });
+
+    it('cancels every branch when the request is aborted', async () => {
+      const abortController = new AbortController();
+      const signals = [];
+      const waitForAbort = async ({ signal }) => {
+        signals.push(signal);
+        if (signals.length === 2) {
+          abortController.abort();
+        }
+        await new Promise((resolve) => signal.addEventListener('abort', resolve));
+        throw new Error('Run aborted');
+      };
+      mockRuns({ research: waitForAbort, billing: waitForAbort });
+      const client = createClient({ agent: merger, agents: [research, billing] });
+
+      await client.chatCompletion({ payload, abortController });
+
+      expect(signals.every((signal) => signal.aborted)).toBe(true);
+      expect(createRun).toHaveBeenCalledTimes(2);
+      expect(client.contentParts).toEqual([]);
+    });
+
+    it('reports a failing branch and merges the other responses', async () => {
+      mockRuns({
+        research: async () => {
+          throw new Error('Rate limited');
+        },
+        billing: async ({ run }) => respond(run, 'Billing answer'),
+        merger: async ({ run }) => respond(run, 'Merged answer'),
+      });
+      const client = createClient({ agent: merger, agents: [research, billing] });
+
+      await client.chatCompletion({ payload });
+
+      expect(getBranchUpdates()).toEqual([
+        expect.objectContaining({
+          agentId: 'research',
+          branch: { output: '', error: 'Rate limited' },
+        }),
+        expect.objectContaining({ agentId: 'billing', branch: { output: 'Billing answer' } }),
+      ]);
+      const runs = await getRuns();
+      expect(runs[2].agent.instructions).toContain('Billing answer');
+      expect(runs[2].agent.instructions).not.toContain('research');
+      expect(client.contentParts).toEqual([]);
+    });
+
+    it('has tool calls that require an approval rejected in branches only', async () => {
+      mockRuns({
+        research: async ({ run }) => respond(run, 'Research answer'),
+        billing: async ({ run }) => respond(run, 'Billing answer'),
+        merger: async ({ run }) => respond(run, 'Merged answer'),
+      });
+      const client = createClient({ agent: merger, agents: [research, billing] });
+
+      await client.chatCompletion({ payload });
+
+      const runs = await getRuns();
+      expect(runs.map((run) => run.configurable.parallel_branch)).toEqual([true, true, undefined]);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { z } = require('zod');
+const { tool } = require('@langchain/core/tools');
+const { GraphEvents } = require('@librechat/agents');
+
+const HANDOFF_TOOL_PREFIX = 'transfer_to_';
+
+/** The most times one response can be handed off between agents */
+const MAX_HANDOFFS = 5;
+
+/** Tool names are limited to 64 characters by most providers */
+const MAX_TOOL_NAME_LENGTH = 64;
+
+/**
+ * Derives the name of the tool that hands a conversation off to an agent,
+ * e.g. `transfer_to_billing_support`.
+ *
+ * @param {Agent} agent - The agent to hand off to.
+ * @param {Set<string>} usedNames - Names already taken; the new name is added to it.
+ * @returns {string}
+ */
+function getHandoffToolName(agent, usedNames) {
+  const slug =
+    (agent.name ?? '')
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '') || agent.id.replace(/[^a-zA-Z0-9_-]+/g, '_');
+  const base = `${HANDOFF_TOOL_PREFIX}${slug}`.slice(0, MAX_TOOL_NAME_LENGTH);
+
+  let name = base;
+  for (let i = 2; usedNames.has(name); i++) {
+    const suffix = `_${i}`;
+    name = `${base.slice(0, MAX_TOOL_NAME_LENGTH - suffix.length)}${suffix}`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+/**
+ * Creates one `transfer_to_<agent>` tool per agent the current agent can hand off to.
+ * Calling a tool only records the handoff through `onHandoff`;
+ * the caller is responsible for ending the current run and starting the next.
+ *
+ * @param {Object} params
+ * @param {Agent[]} params.agents - The agents to hand off to.
+ * @param {(handoff: { agentId: string, reason: string }) => void} params.onHandoff
+ * @param {Iterable<string>} [params.reservedNames] - Names of the current agent's own tools.
+ * @returns {{ tools: import('@langchain/core/tools').StructuredTool[], instructions: string }}
+ *  The tools, and instructions listing the agents they hand off to.
+ */
+function createHandoffTools({ agents, onHandoff, reservedNames = [] }) {
+  const usedNames = new Set(reservedNames);
+  const tools = [];
+  const lines = [];
+
+  for (const agent of agents) {
+    const name = getHandoffToolName(agent, usedNames);
+    const label = agent.name || agent.id;
+    const description = `Transfer the conversation to ${label}${
+      agent.description ? `: ${agent.description}` : '.'
+    }`;
+
+    tools.push(
+      tool(
+        async ({ reason }) => {
+          onHandoff({ agentId: agent.id, reason });
+          return `Transferring the conversation to ${label}.`;
+        },
+        {
+          name,
+          description,
+          schema: z.object({
+            reason: z
+              .string()
+              .describe('Why the conversation is transferred, and what the agent should do next'),
+          }),
+        },
+      ),
+    );
+    lines.push(`- \`${name}\`: ${label}${agent.description ? ` (${agent.description})` : ''}`);
+  }
+
+  if (!lines.length) {
+    return { tools, instructions: '' };
+  }
+
+  const instructions = [
+    'You are part of a team of agents. If another agent is better suited to handle the request, call its transfer tool instead of answering; otherwise, answer yourself.',
+    ...lines,
+  ].join('\n');
+
+  return { tools, instructions };
+}
+
+/**
+ * Prepares a run of an agent that can hand off to `agents`.
+ *
+ * Once a handoff tool call has completed, and its result is part of the response content,
+ * the run is aborted through its own signal instead of letting the agent respond to the result.
+ *
+ * @param {Object} params
+ * @param {Agent[]} params.agents - The agents to hand off to.
+ * @param {Iterable<string>} [params.reservedNames] - Names of the current agent's own tools.
+ * @param {Record<string, import('@librechat/agents').EventHandler>} params.customHandlers
+ * @param {AbortSignal} params.signal - The signal of the request.
+ */
+function createHandoffRun({ agents, reservedNames, customHandlers, signal }) {
+  const controller = new AbortController();
+  /** @type {{ agentId: string, reason: string } | undefined} */
+  let handoff;
+  const { tools, instructions } = createHandoffTools({
+    agents,
+    reservedNames,
+    onHandoff: (requested) => {
+      if (!handoff) {
+        handoff = requested;
+      }
+    },
+  });
+
+  const toolEndHandler = customHandlers?.[GraphEvents.TOOL_END];
+  return {
+    tools,
+    instructions,
+    signal: AbortSignal.any([signal, controller.signal]),
+    customHandlers: {
+      ...customHandlers,
+      [GraphEvents.TOOL_END]: {
+        handle: (...args) => {
+          toolEndHandler?.handle(...args);
+          if (handoff) {
+            controller.abort();
+          }
+        },
+      },
+    },
+    /** @returns {{ agentId: string, reason: string } | undefined} */
+    getHandoff: () => handoff,
+  };
+}
+
+module.exports = {
+  MAX_HANDOFFS,
+  HANDOFF_TOOL_PREFIX,
+  getHandoffToolName,
+  createHandoffTools,
+  createHandoffRun,
+};
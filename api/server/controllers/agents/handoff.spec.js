@@ -0,0 +1,86 @@
+const { GraphEvents } = require('@librechat/agents');
+const { getHandoffToolName, createHandoffTools, createHandoffRun } = require('./handoff');
+
+describe('handoff', () => {
+  const billing = { id: 'agent_billing', name: 'Billing Support', description: 'Invoices' };
+  const research = { id: 'agent_research', name: 'Research' };
+
+  it('derives unique, provider-safe tool names from agent names', () => {
+    const usedNames = new Set();
+
+    expect(getHandoffToolName(billing, usedNames)).toBe('transfer_to_billing_support');
+    expect(getHandoffToolName({ ...billing, id: 'agent_2' }, usedNames)).toBe(
+      'transfer_to_billing_support_2',
+    );
+    expect(getHandoffToolName({ id: 'agent_abc', name: '  ' }, usedNames)).toBe(
+      'transfer_to_agent_abc',
+    );
+
+    const longName = getHandoffToolName({ id: 'agent_3', name: 'x'.repeat(100) }, usedNames);
+    expect(longName).toHaveLength(64);
+    expect(getHandoffToolName({ id: 'agent_4', name: 'x'.repeat(100) }, usedNames)).toMatch(
+      /^transfer_to_x+_2$/,
+    );
+  });
+
+  it('creates a transfer tool per agent that records the handoff', async () => {
+    const onHandoff = jest.fn();
+    const { tools, instructions } = createHandoffTools({
+      agents: [billing, research],
+      onHandoff,
+      reservedNames: ['transfer_to_research'],
+    });
+
+    expect(tools.map((tool) => tool.name)).toEqual([
+      'transfer_to_billing_support',
+      'transfer_to_research_2',
+    ]);
+    expect(instructions).toContain('`transfer_to_billing_support`: Billing Support (Invoices)');
+
+    const result = await tools[0].invoke({ reason: 'Refund request' });
+
+    expect(result).toBe('Transferring the conversation to Billing Support.');
+    expect(onHandoff).toHaveBeenCalledWith({ agentId: 'agent_billing', reason: 'Refund request' });
+  });
+
+  it('aborts the run once a handoff tool call has completed', async () => {
+    const toolEndHandler = { handle: jest.fn() };
+    const requestController = new AbortController();
+    const handoffRun = createHandoffRun({
+      agents: [billing, research],
+      customHandlers: { [GraphEvents.TOOL_END]: toolEndHandler },
+      signal: requestController.signal,
+    });
+    const handleToolEnd = handoffRun.customHandlers[GraphEvents.TOOL_END];
+
+    handleToolEnd.handle(GraphEvents.TOOL_END, { output: {} });
+    expect(handoffRun.signal.aborted).toBe(false);
+
+    await handoffRun.tools[1].invoke({ reason: 'Needs sources' });
+    await handoffRun.tools[0].invoke({ reason: 'Also billing' });
+    handleToolEnd.handle(GraphEvents.TOOL_END, { output: {} });
+
+    expect(toolEndHandler.handle).toHaveBeenCalledTimes(2);
+    expect(handoffRun.signal.aborted).toBe(true);
+    expect(handoffRun.getHandoff()).toEqual({
+      agentId: 'agent_research',
+      reason: 'Needs sources',
+    });
+    expect(requestController.signal.aborted).toBe(false);
+  });
+
+  it('follows the request signal', () => {
+    const requestController = new AbortController();
+    const handoffRun = createHandoffRun({
+      agents: [],
+      customHandlers: {},
+      signal: requestController.signal,
+    });
+
+    requestController.abort();
+
+    expect(handoffRun.tools).toEqual([]);
+    expect(handoffRun.instructions).toBe('');
+    expect(handoffRun.signal.aborted).toBe(true);
+  });
+});
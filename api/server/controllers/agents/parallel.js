@@ -0,0 +1,77 @@
+const { ContentTypes } = require('librechat-data-provider');
+
+/**
+ * Extracts the text an agent responded with from the messages of its run.
+ * @param {BaseMessage[]} runMessages
+ * @returns {string}
+ */
+function getResponseText(runMessages) {
+  const texts = [];
+  for (const message of runMessages) {
+    if (message._getType() !== 'ai') {
+      continue;
+    }
+    if (typeof message.content === 'string') {
+      texts.push(message.content);
+      continue;
+    }
+    for (const part of message.content ?? []) {
+      if (part.type === ContentTypes.TEXT && typeof part.text === 'string') {
+        texts.push(part.text);
+      }
+    }
+  }
+  return texts
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Creates the content part that stores the response of a parallel agent.
+ *
+ * @param {Object} params
+ * @param {number} params.index - The index of the part in the response content.
+ * @param {string} params.runId - The ID of the response message.
+ * @param {string} params.agentId
+ * @param {string} params.output - The text of the agent's response.
+ * @param {string} [params.error] - Why the agent failed to respond, if it did.
+ * @returns {TMessageContentParts}
+ */
+function createBranchUpdate({ index, runId, agentId, output, error }) {
+  return {
+    type: ContentTypes.AGENT_UPDATE,
+    [ContentTypes.AGENT_UPDATE]: {
+      index,
+      runId,
+      agentId,
+      branch: error ? { output, error } : { output },
+    },
+  };
+}
+
+/**
+ * Formats the responses of the parallel agents as instructions for the agent that merges them.
+ * @param {Array<{ name: string, output: string, error?: string }>} responses
+ * @returns {string}
+ */
+function formatBranchResponses(responses) {
+  const sections = responses
+    .filter(({ output, error }) => output && !error)
+    .map(({ name, output }, i) => `## Response ${i + 1} (${name})\n\n${output}`);
+
+  if (!sections.length) {
+    return 'The other agents failed to respond; answer the request yourself.';
+  }
+
+  return [
+    'Other agents responded to the latest request in parallel. Merge their responses into one answer: keep what they agree on, resolve their differences, and do not mention the agents.',
+    ...sections,
+  ].join('\n\n');
+}
+
+module.exports = {
+  getResponseText,
+  createBranchUpdate,
+  formatBranchResponses,
+};
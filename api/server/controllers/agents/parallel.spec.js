@@ -0,0 +1,60 @@
+const { ContentTypes } = require('librechat-data-provider');
+const { AIMessage, HumanMessage, ToolMessage } = require('@langchain/core/messages');
+const { getResponseText, createBranchUpdate, formatBranchResponses } = require('./parallel');
+
+describe('parallel agents', () => {
+  it('extracts the text of the agent responses from its run', () => {
+    const runMessages = [
+      new HumanMessage('Summarize the report'),
+      new AIMessage({
+        content: [
+          { type: 'text', text: 'Let me look it up. ' },
+          { type: 'tool_use', id: 'call_1', name: 'search', input: '{}' },
+        ],
+      }),
+      new ToolMessage({ content: 'raw results', tool_call_id: 'call_1' }),
+      new AIMessage('The report covers Q3.'),
+    ];
+
+    expect(getResponseText(runMessages)).toBe('Let me look it up.\n\nThe report covers Q3.');
+    expect(getResponseText([])).toBe('');
+  });
+
+  it('stores branch responses as agent updates', () => {
+    expect(
+      createBranchUpdate({ index: 1, runId: 'msg-1', agentId: 'agent_a', output: 'Draft' }),
+    ).toEqual({
+      type: ContentTypes.AGENT_UPDATE,
+      [ContentTypes.AGENT_UPDATE]: {
+        index: 1,
+        runId: 'msg-1',
+        agentId: 'agent_a',
+        branch: { output: 'Draft' },
+      },
+    });
+    expect(
+      createBranchUpdate({
+        index: 0,
+        runId: 'msg-1',
+        agentId: 'agent_b',
+        output: '',
+        error: 'Oops',
+      }).agent_update.branch,
+    ).toEqual({ output: '', error: 'Oops' });
+  });
+
+  it('formats the responses that succeeded for the merge step', () => {
+    const instructions = formatBranchResponses([
+      { name: 'GPT', output: 'Draft one' },
+      { name: 'Claude', output: '', error: 'Rate limited' },
+      { name: 'Gemini', output: 'Draft two' },
+    ]);
+
+    expect(instructions).toContain('## Response 1 (GPT)\n\nDraft one');
+    expect(instructions).toContain('## Response 2 (Gemini)\n\nDraft two');
+    expect(instructions).not.toContain('Claude');
+    expect(formatBranchResponses([{ name: 'GPT', output: '', error: 'Down' }])).toMatch(
+      /failed to respond/,
+    );
+  });
+});
@@ -14,8 +14,16 @@ const {
   createAgent,
   updateAgent,
   deleteAgent,
+  rollbackAgent,
   getListAgents,
 } = require('~/models/Agent');
+const { diffSnapshots, getAgentVersion, getAgentVersions } = require('~/models/AgentVersion');
+const {
+  canEditAgent,
+  AgentBundleError,
+  exportAgentBundle,
+  importAgentBundle,
+} = require('~/server/services/AgentBundleService');
 const { uploadImageBuffer, filterFile } = require('~/server/services/Files/process');
 const { getStrategyFunctions } = require('~/server/services/Files/strategies');
 const { refreshS3Url } = require('~/server/services/Files/S3/crud');
@@ -108,7 +116,7 @@ const getAgentHandler = async (req, res) => {
       const originalUrl = agent.avatar.filepath;
       agent.avatar.filepath = await refreshS3Url(agent.avatar);
       if (originalUrl !== agent.avatar.filepath) {
-        await updateAgent({ id }, { avatar: agent.avatar });
+        await updateAgent({ id }, { avatar: agent.avatar }, { updatingUserId: req.user.id });
       }
     }
 
@@ -165,7 +173,9 @@ const updateAgentHandler = async (req, res) => {
     }
 
     let updatedAgent =
-      Object.keys(updateData).length > 0 ? await updateAgent({ id }, updateData) : existingAgent;
+      Object.keys(updateData).length > 0
+        ? await updateAgent({ id }, updateData, { updatingUserId: req.user.id })
+        : existingAgent;
 
     if (projectIds || removeProjectIds) {
       updatedAgent = await updateAgentProjects({
@@ -393,7 +403,11 @@ const uploadAgentAvatarHandler = async (req, res) => {
       },
     };
 
-    promises.push(await updateAgent({ id: agent_id, author: req.user.id }, data));
+    promises.push(
+      await updateAgent({ id: agent_id, author: req.user.id }, data, {
+        updatingUserId: req.user.id,
+      }),
+    );
 
     const resolved = await Promise.all(promises);
     res.status(201).json(resolved[0]);
@@ -411,6 +425,257 @@ const uploadAgentAvatarHandler = async (req, res) => {
   }
 };
 
+/**
+ * Retrieves an agent the user may edit, sending a 404 or 403 response otherwise.
+ * @param {ServerRequest} req - The request object, with the agent ID in `req.params.id`.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<Agent | undefined>} The agent, or undefined if a response was sent.
+ */
+const getEditableAgent = async (req, res) => {
+  const agent = await getAgent({ id: req.params.id });
+  if (!agent) {
+    res.status(404).json({ error: 'Agent not found' });
+    return;
+  }
+
+  if (!canEditAgent(agent, req.user)) {
+    res.status(403).json({
+      error: 'You do not have permission to access the configuration of this agent',
+    });
+    return;
+  }
+  return agent;
+};
+
+/**
+ * Parses a version number from a request parameter.
+ * @param {unknown} value
+ * @returns {number | null} The version, or null if invalid.
+ */
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * Lists the versions of an Agent, newest first.
+ * @route GET /Agents/:id/versions
+ * @param {object} req - Express Request
+ * @param {object} req.params - Request params
+ * @param {string} req.params.id - Agent identifier.
+ * @returns {Promise<AgentVersionListResponse>} 200 - success response - application/json
+ */
+const getAgentVersionsHandler = async (req, res) => {
+  try {
+    const agent = await getEditableAgent(req, res);
+    if (!agent) {
+      return;
+    }
+    const versions = await getAgentVersions(agent.id);
+    return res.json({ current: agent.version ?? null, versions });
+  } catch (error) {
+    logger.error('[/Agents/:id/versions] Error listing Agent versions', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Retrieves one version of an Agent, with its snapshot.
+ * @route GET /Agents/:id/versions/:version
+ * @param {object} req - Express Request
+ * @param {object} req.params - Request params
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.params.version - The version number.
+ * @returns {Promise<AgentVersion>} 200 - success response - application/json
+ */
+const getAgentVersionHandler = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ error: 'Invalid version' });
+    }
+    const agent = await getEditableAgent(req, res);
+    if (!agent) {
+      return;
+    }
+    const agentVersion = await getAgentVersion(agent.id, version);
+    if (!agentVersion) {
+      return res.status(404).json({ error: 'Agent version not found' });
+    }
+    return res.json(agentVersion);
+  } catch (error) {
+    logger.error('[/Agents/:id/versions/:version] Error retrieving Agent version', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Compares two versions of an Agent.
+ * @route GET /Agents/:id/versions/diff
+ * @param {object} req - Express Request
+ * @param {object} req.params - Request params
+ * @param {string} req.params.id - Agent identifier.
+ * @param {object} req.query - Request query
+ * @param {string} req.query.from - The older version number.
+ * @param {string} req.query.to - The newer version number.
+ * @returns {Promise<AgentVersionDiffResponse>} 200 - success response - application/json
+ */
+const diffAgentVersionsHandler = async (req, res) => {
+  try {
+    const from = parseVersion(req.query.from);
+    const to = parseVersion(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: '`from` and `to` must be version numbers' });
+    }
+    const agent = await getEditableAgent(req, res);
+    if (!agent) {
+      return;
+    }
+    const [fromVersion, toVersion] = await Promise.all([
+      getAgentVersion(agent.id, from),
+      getAgentVersion(agent.id, to),
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Agent version not found' });
+    }
+    return res.json({ from, to, changes: diffSnapshots(fromVersion.snapshot, toVersion.snapshot) });
+  } catch (error) {
+    logger.error('[/Agents/:id/versions/diff] Error comparing Agent versions', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Rolls an Agent back to an earlier version, recorded as a new version.
+ * @route POST /Agents/:id/versions/:version/rollback
+ * @param {object} req - Express Request
+ * @param {object} req.params - Request params
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.params.version - The version to restore.
+ * @returns {Promise<Agent>} 200 - success response - application/json
+ */
+const rollbackAgentHandler = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ error: 'Invalid version' });
+    }
+    const agent = await getEditableAgent(req, res);
+    if (!agent) {
+      return;
+    }
+    const agentVersion = await getAgentVersion(agent.id, version);
+    if (!agentVersion) {
+      return res.status(404).json({ error: 'Agent version not found' });
+    }
+
+    const updatedAgent = await rollbackAgent({
+      agent_id: agent.id,
+      agentVersion,
+      updatingUserId: req.user.id,
+    });
+    if (!updatedAgent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    updatedAgent.author = updatedAgent.author.toString();
+    if (updatedAgent.author !== req.user.id) {
+      delete updatedAgent.author;
+    }
+    return res.json(updatedAgent);
+  } catch (error) {
+    logger.error('[/Agents/:id/versions/:version/rollback] Error rolling back Agent', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Sends the response for an agent bundle error.
+ * @param {ServerResponse} res - The response object.
+ * @param {Error & { code?: string }} error
+ * @param {string} message - The message logged for unexpected errors.
+ */
+const handleBundleError = (res, error, message) => {
+  if (error instanceof AgentBundleError) {
+    const status = { NOT_FOUND: 404, FORBIDDEN: 403 }[error.code] ?? 400;
+    return res.status(status).json({ error: error.message });
+  }
+  logger.error(message, error);
+  res.status(500).json({ error: error.message });
+};
+
+/**
+ * Exports an Agent as a portable bundle.
+ * @route GET /Agents/:id/export
+ * @param {object} req - Express Request
+ * @param {object} req.params - Request params
+ * @param {string} req.params.id - Agent identifier.
+ * @param {object} req.query - Request query
+ * @param {string} [req.query.promptGroupIds] - Comma-separated prompt groups to include.
+ * @param {string} [req.query.includeFiles] - `true` to include file search and code files.
+ * @returns {Promise<AgentBundle>} 200 - success response - application/json
+ */
+const exportAgentHandler = async (req, res) => {
+  try {
+    const agent = await getEditableAgent(req, res);
+    if (!agent) {
+      return;
+    }
+
+    const { promptGroupIds = '', includeFiles } = req.query;
+    const bundle = await exportAgentBundle({
+      req,
+      agent,
+      promptGroupIds: String(promptGroupIds).split(',').filter(Boolean),
+      includeFiles: includeFiles === 'true',
+    });
+    res.setHeader('Content-Disposition', `attachment; filename="${agent.id}.json"`);
+    return res.json(bundle);
+  } catch (error) {
+    handleBundleError(res, error, '[/Agents/:id/export] Error exporting Agent');
+  }
+};
+
+/**
+ * Imports an Agent bundle.
+ * @route POST /Agents/import
+ * @param {ServerRequest} req - The request object.
+ * @param {Express.Multer.File} req.file - The bundle file.
+ * @param {'copy' | 'replace'} [req.body.onConflict] - What to do when the agent ID is taken.
+ * @param {ServerResponse} res - The response object.
+ * @returns {Promise<AgentImportResponse>} 201 - success response - application/json
+ */
+const importAgentHandler = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No bundle provided' });
+    }
+
+    let bundle;
+    try {
+      bundle = JSON.parse(await fs.readFile(req.file.path, 'utf8'));
+    } catch {
+      return res.status(400).json({ error: 'The bundle is not valid JSON' });
+    }
+
+    const result = await importAgentBundle({ req, bundle, onConflict: req.body.onConflict });
+    const { agent } = result;
+    if (agent.author) {
+      agent.author = agent.author.toString();
+    }
+    if (agent.author !== req.user.id) {
+      delete agent.author;
+    }
+    return res.status(result.replaced ? 200 : 201).json(result);
+  } catch (error) {
+    handleBundleError(res, error, '[/Agents/import] Error importing Agent');
+  } finally {
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+};
+
 module.exports = {
   createAgent: createAgentHandler,
   getAgent: getAgentHandler,
@@ -419,4 +684,10 @@ module.exports = {
   deleteAgent: deleteAgentHandler,
   getListAgents: getListAgentsHandler,
   uploadAgentAvatar: uploadAgentAvatarHandler,
+  getAgentVersions: getAgentVersionsHandler,
+  getAgentVersion: getAgentVersionHandler,
+  diffAgentVersions: diffAgentVersionsHandler,
+  rollbackAgent: rollbackAgentHandler,
+  exportAgent: exportAgentHandler,
+  importAgent: importAgentHandler,
 };
@@ -11,8 +11,10 @@ const { processFileURL, uploadImageBuffer } = require('~/server/services/Files/p
 const { processCodeOutput } = require('~/server/services/Files/Code/process');
 const { createToolCall, getToolCallsByConvo } = require('~/models/ToolCall');
 const { loadAuthValues } = require('~/server/services/Tools/credentials');
-const { loadTools } = require('~/app/clients/tools/util');
+const { loadTools, validateTools } = require('~/app/clients/tools/util');
+const { manifestToolMap } = require('~/app/clients/tools');
 const { checkAccess } = require('~/server/middleware');
+const { getConvo } = require('~/models/Conversation');
 const { getMessage } = require('~/models/Message');
 const { logger } = require('~/config');
 
@@ -190,6 +192,111 @@ const callTool = async (req, res) => {
   }
 };
 
+/**
+ * Calls a structured tool on behalf of a UI plugin. The plugin's `tools:<toolId>` capability
+ * is checked beforehand by `requirePluginCapability`, which sets `req.plugin`.
+ * Calls made outside of a conversation are recorded under `plugin:<pluginId>`; a conversation
+ * and message given in the body must belong to the user.
+ *
+ * @param {ServerRequest} req - The request object, containing information about the HTTP request.
+ * @param {ServerResponse} res - The response object, used to send back the desired HTTP response.
+ * @returns {Promise<void>} A promise that resolves when the function has completed.
+ */
+const callPluginTool = async (req, res) => {
+  const { toolId = '' } = req.params;
+  const pluginId = req.plugin.id;
+  try {
+    /** @type {{ filteredTools: string[], includedTools: string[] }} */
+    const { filteredTools = [], includedTools = [] } = req.app.locals;
+    const isExcluded =
+      includedTools.length > 0 ? !includedTools.includes(toolId) : filteredTools.includes(toolId);
+    if (!manifestToolMap[toolId] || isExcluded) {
+      logger.warn(`[plugin:${pluginId}/${toolId}/call] User ${req.user.id} called unknown tool`);
+      res.status(404).json({ message: 'Tool not found' });
+      return;
+    }
+
+    const { args = {}, conversationId, messageId } = req.body ?? {};
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      res.status(400).json({ message: 'Tool arguments must be an object' });
+      return;
+    }
+
+    if (conversationId != null) {
+      const convo =
+        typeof conversationId === 'string' ? await getConvo(req.user.id, conversationId) : null;
+      if (!convo) {
+        logger.debug(
+          `[plugin:${pluginId}/${toolId}/call] User ${req.user.id} called tool with invalid conversation ID`,
+        );
+        res.status(404).json({ message: 'Conversation not found' });
+        return;
+      }
+    }
+
+    if (messageId != null) {
+      const message =
+        typeof messageId === 'string' ? await getMessage({ user: req.user.id, messageId }) : null;
+      if (!message || message.conversationId !== conversationId) {
+        logger.debug(
+          `[plugin:${pluginId}/${toolId}/call] User ${req.user.id} called tool with invalid message ID`,
+        );
+        res.status(404).json({ message: 'Message not found' });
+        return;
+      }
+    }
+
+    const [authenticated] = await validateTools(req.user.id, [toolId]);
+    if (!authenticated) {
+      res
+        .status(403)
+        .json({ message: 'Tool is not authenticated', authType: AuthType.USER_PROVIDED });
+      return;
+    }
+
+    const { loadedTools } = await loadTools({
+      user: req.user.id,
+      tools: [toolId],
+      functions: true,
+      options: {
+        req,
+        returnMetadata: true,
+        processFileURL,
+        uploadImageBuffer,
+        fileStrategy: req.app.locals.fileStrategy,
+      },
+    });
+
+    const tool = loadedTools[0];
+    if (!tool) {
+      res.status(500).json({ message: 'Error loading tool' });
+      return;
+    }
+
+    const toolCallId = `${req.user.id}_${nanoid()}`;
+    const { content } = await tool.invoke({
+      args,
+      name: toolId,
+      id: toolCallId,
+      type: ToolCallTypes.TOOL_CALL,
+    });
+
+    createToolCall({
+      toolId,
+      conversationId: conversationId || `plugin:${pluginId}`,
+      messageId: messageId || toolCallId,
+      result: content,
+      user: req.user.id,
+    }).catch((error) => {
+      logger.error(`Error creating tool call: ${error.message}`);
+    });
+    res.status(200).json({ result: content });
+  } catch (error) {
+    logger.error(`[plugin:${pluginId}/${toolId}/call] Error calling tool`, error);
+    res.status(500).json({ message: 'Error calling tool' });
+  }
+};
+
 const getToolCalls = async (req, res) => {
   try {
     const { conversationId } = req.query;
@@ -203,6 +310,7 @@ const getToolCalls = async (req, res) => {
 
 module.exports = {
   callTool,
+  callPluginTool,
   getToolCalls,
   verifyToolAuth,
 };
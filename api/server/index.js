@@ -13,6 +13,9 @@ const { jwtLogin, passportLogin } = require('~/strategies');
 const { connectDb, indexSync } = require('~/lib/db');
 const { isEnabled } = require('~/server/utils');
 const { ldapLogin } = require('~/strategies');
+const { pluginServer, initializePlugins } = require('~/app/pluginServer');
+const { startImportJobRecovery } = require('~/server/utils/import');
+const { startTrashPurgeJob } = require('~/server/services/trash');
 const { logger } = require('~/config');
 const validateImageRequest = require('./middleware/validateImageRequest');
 const errorController = require('./controllers/ErrorController');
@@ -39,6 +42,9 @@ const startServer = async () => {
   const app = express();
   app.disable('x-powered-by');
   await AppService(app);
+  await initializePlugins();
+  startImportJobRecovery();
+  startTrashPurgeJob(app);
 
   const indexPath = path.join(app.locals.paths.dist, 'index.html');
   const indexHTML = fs.readFileSync(indexPath, 'utf8');
@@ -100,18 +106,21 @@ const startServer = async () => {
   app.use('/api/endpoints', routes.endpoints);
   app.use('/api/balance', routes.balance);
   app.use('/api/models', routes.models);
+  app.use(pluginServer);
   app.use('/api/plugins', routes.plugins);
   app.use('/api/config', routes.config);
   app.use('/api/assistants', routes.assistants);
   app.use('/api/files', await routes.files.initialize());
   app.use('/images/', validateImageRequest, routes.staticRoute);
   app.use('/api/share', routes.share);
+  app.use('/api/projects', routes.projects);
   app.use('/api/roles', routes.roles);
   app.use('/api/agents', routes.agents);
   app.use('/api/banner', routes.banner);
   app.use('/api/bedrock', routes.bedrock);
 
   app.use('/api/tags', routes.tags);
+  app.use('/api/folders', routes.folders);
 
   app.use((req, res) => {
     res.set({
@@ -7,6 +7,7 @@ const uploadLimiters = require('./uploadLimiters');
 const registerLimiter = require('./registerLimiter');
 const toolCallLimiter = require('./toolCallLimiter');
 const messageLimiters = require('./messageLimiters');
+const sharePasswordLimiter = require('./sharePasswordLimiter');
 const verifyEmailLimiter = require('./verifyEmailLimiter');
 const resetPasswordLimiter = require('./resetPasswordLimiter');
 
@@ -17,6 +18,7 @@ module.exports = {
   loginLimiter,
   registerLimiter,
   toolCallLimiter,
+  sharePasswordLimiter,
   createTTSLimiters,
   createSTTLimiters,
   verifyEmailLimiter,
@@ -0,0 +1,55 @@
+const rateLimit = require('express-rate-limit');
+const { RedisStore } = require('rate-limit-redis');
+const { removePorts, isEnabled } = require('~/server/utils');
+const ioredisClient = require('~/cache/ioredisClient');
+const { logViolation } = require('~/cache');
+const { logger } = require('~/config');
+
+const {
+  SHARE_PASSWORD_WINDOW = 15,
+  SHARE_PASSWORD_MAX = 5,
+  SHARE_PASSWORD_VIOLATION_SCORE: score,
+} = process.env;
+const windowMs = SHARE_PASSWORD_WINDOW * 60 * 1000;
+const max = SHARE_PASSWORD_MAX;
+const windowInMinutes = windowMs / 60000;
+const message = `Too many wrong passphrases, please try again after ${windowInMinutes} minutes.`;
+
+const handler = async (req, res) => {
+  const type = 'share_passwords';
+  const errorMessage = {
+    type,
+    max,
+    windowInMinutes,
+  };
+
+  await logViolation(req, res, type, errorMessage, score);
+  return res.status(429).json({ message });
+};
+
+/**
+ * Limits the passphrase attempts on a shared link, per IP and link.
+ * Only wrong passphrases count towards the limit.
+ */
+const limiterOptions = {
+  windowMs,
+  max,
+  handler,
+  keyGenerator: (req) => `${removePorts(req)}:${req.params.shareId}`,
+  skip: (req) => !req.get('x-share-password'),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 403,
+};
+
+if (isEnabled(process.env.USE_REDIS) && ioredisClient) {
+  logger.debug('Using Redis for share passphrase rate limiter.');
+  const store = new RedisStore({
+    sendCommand: (...args) => ioredisClient.call(...args),
+    prefix: 'share_password_limiter:',
+  });
+  limiterOptions.store = store;
+}
+
+const sharePasswordLimiter = rateLimit(limiterOptions);
+
+module.exports = sharePasswordLimiter;
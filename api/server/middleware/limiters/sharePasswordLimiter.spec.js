@@ -0,0 +1,61 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('~/cache', () => ({
+  logViolation: jest.fn(),
+}));
+jest.mock('~/cache/ioredisClient', () => null);
+
+const { logViolation } = require('~/cache');
+const sharePasswordLimiter = require('./sharePasswordLimiter');
+
+describe('sharePasswordLimiter', () => {
+  const app = express();
+  app.get('/share/:shareId', sharePasswordLimiter, (req, res) => {
+    if (req.get('x-share-password') === 'correct horse') {
+      return res.status(200).json({ shareId: req.params.shareId });
+    }
+    res.status(403).json({ code: 'SHARE_PASSWORD_INVALID' });
+  });
+
+  const attempt = (shareId, password) => {
+    const req = request(app).get(`/share/${shareId}`);
+    return password ? req.set('x-share-password', password) : req;
+  };
+
+  it('rejects further attempts after repeated wrong passphrases', async () => {
+    for (let i = 0; i < 5; i++) {
+      await attempt('share-1', 'wrong').expect(403);
+    }
+
+    const res = await attempt('share-1', 'wrong').expect(429);
+    expect(res.body.message).toMatch(/Too many wrong passphrases/);
+    await attempt('share-1', 'correct horse').expect(429);
+    expect(logViolation).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      'share_passwords',
+      expect.objectContaining({ max: 5 }),
+      undefined,
+    );
+  });
+
+  it('counts attempts per shared link and ignores correct passphrases', async () => {
+    for (let i = 0; i < 10; i++) {
+      await attempt('share-2', 'correct horse').expect(200);
+    }
+    for (let i = 0; i < 4; i++) {
+      await attempt('share-2', 'wrong').expect(403);
+    }
+
+    expect((await attempt('share-2', 'correct horse')).status).toBe(200);
+    expect((await attempt('share-3', 'wrong')).status).toBe(403);
+  });
+
+  it('does not count requests without a passphrase', async () => {
+    for (let i = 0; i < 10; i++) {
+      await attempt('share-4').expect(403);
+    }
+    expect((await attempt('share-4', 'correct horse')).status).toBe(200);
+  });
+});
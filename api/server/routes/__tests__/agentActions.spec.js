@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+const { getAgent, updateAgent } = require('~/models/Agent');
+const { updateAction, deleteAction } = require('~/models/Action');
+
+jest.mock('~/server/services/ActionService', () => ({
+  encryptMetadata: jest.fn(async (metadata) => metadata),
+  domainParser: jest.fn(async (domain) => domain.replace(/\./g, '---')),
+}));
+jest.mock('~/server/services/domains', () => ({
+  isActionDomainAllowed: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('~/models/Action', () => ({
+  updateAction: jest.fn(),
+  getActions: jest.fn().mockResolvedValue([]),
+  deleteAction: jest.fn(),
+}));
+jest.mock('~/models/Agent', () => ({
+  getAgent: jest.fn(),
+  updateAgent: jest.fn(),
+}));
+jest.mock('~/config', () => ({
+  logger: { error: jest.fn() },
+}));
+
+const router = require('../agents/actions');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'user-1', role: 'USER' };
+  next();
+});
+app.use('/api/agents/actions', router);
+
+describe('/api/agents/actions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getAgent.mockResolvedValue({
+      id: 'agent_1',
+      author: 'user-1',
+      tools: ['web_search', 'getWeather_action_api---weather---com'],
+      actions: ['api---weather---com_action_weather'],
+    });
+    updateAgent.mockImplementation(async (query, data) => ({ id: query.id, ...data }));
+    updateAction.mockImplementation(async (query, data) => ({ ...query, ...data }));
+  });
+
+  it('records a version of the agent when an action is added', async () => {
+    const res = await request(app)
+      .post('/api/agents/actions/agent_1')
+      .send({
+        functions: [{ function: { name: 'getTodos' } }],
+        action_id: 'todos',
+        metadata: { domain: 'todo.io' },
+      });
+
+    expect(res.status).toBe(200);
+    expect(updateAgent).toHaveBeenCalledWith(
+      { id: 'agent_1', author: 'user-1' },
+      {
+        tools: ['web_search', 'getWeather_action_api---weather---com', 'getTodos_action_todo---io'],
+        actions: ['api---weather---com_action_weather', 'todo---io_action_todos'],
+      },
+      { updatingUserId: 'user-1' },
+    );
+  });
+
+  it('records a version of the agent when an action is deleted', async () => {
+    const res = await request(app).delete('/api/agents/actions/agent_1/weather');
+
+    expect(res.status).toBe(200);
+    expect(updateAgent).toHaveBeenCalledWith(
+      { id: 'agent_1', author: 'user-1' },
+      { tools: ['web_search'], actions: [] },
+      { updatingUserId: 'user-1' },
+    );
+    expect(deleteAction).toHaveBeenCalledWith({ action_id: 'weather', user: 'user-1' });
+  });
+});
@@ -0,0 +1,368 @@
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { getConvo, addConvoFiles } = require('~/models/Conversation');
+const { getFiles, updateFile } = require('~/models/File');
+const { loadTools, validateTools } = require('~/app/clients/tools/util');
+const { getUserPlugins } = require('~/app/pluginServer/access');
+const { updatePluginSetting } = require('~/models/PluginSetting');
+const { getMessage } = require('~/models/Message');
+const { createToolCall } = require('~/models/ToolCall');
+const { getPlugin } = require('~/app/pluginServer/registry');
+const { isPluginEnabledForUser } = require('~/app/pluginServer/access');
+const { issuePluginToken } = require('~/app/pluginServer/tokens');
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => {
+  req.user = { id: 'user-1' };
+  next();
+});
+jest.mock('~/server/middleware/limiters', () => ({
+  toolCallLimiter: (req, res, next) => next(),
+}));
+jest.mock('~/server/middleware', () => ({ checkAccess: jest.fn() }));
+jest.mock('~/server/controllers/PluginController', () => ({
+  getAvailablePluginsController: jest.fn(),
+}));
+jest.mock('~/app/pluginServer/registry', () => ({ getPlugin: jest.fn() }));
+jest.mock('~/app/pluginServer/access', () => ({
+  isPluginEnabledForUser: jest.fn().mockResolvedValue(true),
+  getUserPlugins: jest.fn(),
+}));
+jest.mock('~/models/PluginSetting', () => ({ updatePluginSetting: jest.fn() }));
+jest.mock('~/app/clients/tools', () => ({
+  manifestToolMap: { calculator: { pluginKey: 'calculator' }, wolfram: { pluginKey: 'wolfram' } },
+}));
+jest.mock('~/app/clients/tools/util', () => ({
+  loadTools: jest.fn(),
+  validateTools: jest.fn(),
+}));
+jest.mock('~/models/ToolCall', () => ({
+  createToolCall: jest.fn().mockResolvedValue({}),
+  getToolCallsByConvo: jest.fn(),
+}));
+jest.mock('~/server/services/Files/process', () => ({}));
+jest.mock('~/server/services/Files/Code/process', () => ({}));
+jest.mock('~/server/services/Tools/credentials', () => ({}));
+jest.mock('~/models/Message', () => ({ getMessage: jest.fn() }));
+jest.mock('~/models/Conversation', () => ({ getConvo: jest.fn(), addConvoFiles: jest.fn() }));
+jest.mock('~/models/File', () => ({ getFiles: jest.fn(), updateFile: jest.fn() }));
+jest.mock('~/server/services/Files/strategies', () => ({ getStrategyFunctions: jest.fn() }));
+
+const router = require('../plugins');
+
+const app = express();
+app.use(express.json());
+app.locals.filteredTools = ['wolfram'];
+app.use('/api/plugins', router);
+
+const plugin = (permissions) => ({
+  id: 'calc-plugin',
+  dir: '/plugins/calc-plugin',
+  manifest: { id: 'calc-plugin', permissions },
+});
+
+const call = (toolId, body = {}, token = issuePluginToken('user-1', 'calc-plugin').token) =>
+  request(app)
+    .post(`/api/plugins/tools/${toolId}/call`)
+    .set('X-LibreChat-Plugin-Token', token)
+    .send(body);
+
+describe('POST /api/plugins/tokens/:pluginId', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getPlugin.mockImplementation((id) => (id === 'calc-plugin' ? plugin([]) : undefined));
+  });
+
+  it('issues a token the proxied calls of the plugin are accepted with', async () => {
+    getPlugin.mockReturnValue(plugin(['tools:calculator']));
+    loadTools.mockResolvedValue({ loadedTools: [{ invoke: jest.fn().mockResolvedValue('4') }] });
+    validateTools.mockImplementation(async (_user, tools) => tools);
+
+    const res = await request(app).post('/api/plugins/tokens/calc-plugin').expect(200);
+
+    expect(res.body).toEqual({ token: expect.any(String), expiresAt: expect.any(String) });
+    await call('calculator', {}, res.body.token).expect(200);
+  });
+
+  it('refuses to issue tokens for unknown or disabled plugins', async () => {
+    const unknown = await request(app).post('/api/plugins/tokens/ghost');
+    isPluginEnabledForUser.mockResolvedValueOnce(false);
+    const disabled = await request(app).post('/api/plugins/tokens/calc-plugin');
+
+    expect(unknown.status).toBe(404);
+    expect(disabled.status).toBe(403);
+    expect(disabled.body).not.toHaveProperty('token');
+  });
+});
+
+describe('POST /api/plugins/tools/:toolId/call', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getPlugin.mockReturnValue(plugin(['tools:calculator', 'tools:wolfram', 'tools:unknown']));
+    validateTools.mockImplementation(async (_user, tools) => tools);
+  });
+
+  it('runs the tool and records the call', async () => {
+    const invoke = jest.fn().mockResolvedValue({ content: '4' });
+    loadTools.mockResolvedValue({ loadedTools: [{ invoke }] });
+
+    const res = await call('calculator', { args: { input: '2+2' } }).expect(200);
+
+    expect(res.body).toEqual({ result: '4' });
+    expect(loadTools).toHaveBeenCalledWith(
+      expect.objectContaining({ user: 'user-1', tools: ['calculator'] }),
+    );
+    expect(invoke).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'calculator', args: { input: '2+2' } }),
+    );
+    expect(createToolCall).toHaveBeenCalledWith(
+      expect.objectContaining({
+        toolId: 'calculator',
+        conversationId: 'plugin:calc-plugin',
+        result: '4',
+        user: 'user-1',
+      }),
+    );
+  });
+
+  it('records the call in a conversation and message of the user', async () => {
+    loadTools.mockResolvedValue({
+      loadedTools: [{ invoke: jest.fn().mockResolvedValue({ content: '4' }) }],
+    });
+    getConvo.mockResolvedValue({ conversationId: 'convo-1' });
+    getMessage.mockResolvedValue({ messageId: 'message-1', conversationId: 'convo-1' });
+
+    await call('calculator', { conversationId: 'convo-1', messageId: 'message-1' }).expect(200);
+
+    expect(getConvo).toHaveBeenCalledWith('user-1', 'convo-1');
+    expect(getMessage).toHaveBeenCalledWith({ user: 'user-1', messageId: 'message-1' });
+    expect(createToolCall).toHaveBeenCalledWith(
+      expect.objectContaining({ conversationId: 'convo-1', messageId: 'message-1' }),
+    );
+  });
+
+  it('rejects conversations and messages of other users', async () => {
+    getConvo.mockResolvedValue(null);
+    const convo = await call('calculator', { conversationId: 'convo-2' });
+
+    getConvo.mockResolvedValue({ conversationId: 'convo-1' });
+    getMessage.mockResolvedValue({ messageId: 'message-2', conversationId: 'convo-2' });
+    const message = await call('calculator', { conversationId: 'convo-1', messageId: 'message-2' });
+    const unscoped = await call('calculator', { messageId: 'message-2' });
+    const invalid = await call('calculator', { conversationId: { $ne: null } });
+
+    expect(convo.status).toBe(404);
+    expect(convo.body.message).toBe('Conversation not found');
+    expect(message.status).toBe(404);
+    expect(message.body.message).toBe('Message not found');
+    expect(unscoped.status).toBe(404);
+    expect(invalid.status).toBe(404);
+    expect(loadTools).not.toHaveBeenCalled();
+    expect(createToolCall).not.toHaveBeenCalled();
+  });
+
+  it('rejects plugins that did not declare the tool', async () => {
+    getPlugin.mockReturnValue(plugin(['tools:wolfram']));
+    const res = await call('calculator').expect(403);
+    expect(res.body.message).toBe(
+      'Plugin "calc-plugin" did not declare the "tools:calculator" capability',
+    );
+    expect(loadTools).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown and filtered tools', async () => {
+    await call('unknown').expect(404);
+    await call('wolfram').expect(404);
+    expect(loadTools).not.toHaveBeenCalled();
+  });
+
+  it('rejects tools missing user credentials', async () => {
+    validateTools.mockResolvedValue([]);
+    const res = await call('calculator').expect(403);
+    expect(res.body.message).toBe('Tool is not authenticated');
+  });
+});
+
+describe('plugin RAG routes', () => {
+  /** Local stand-in for the RAG API */
+  let ragServer;
+  let embedded;
+  let queried;
+
+  beforeAll(async () => {
+    const rag = express();
+    rag.post('/embed', (req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        embedded.push({ auth: req.headers.authorization, body });
+        res.json({ status: true, known_type: true });
+      });
+    });
+    rag.post('/query', express.json(), (req, res) => {
+      queried.push(req.body);
+      res.json([
+        [{ page_content: `${req.body.file_id} close`, metadata: {} }, 0.1],
+        [
+          { page_content: `${req.body.file_id} far`, metadata: {} },
+          req.body.file_id === 'a' ? 0.5 : 0.3,
+        ],
+      ]);
+    });
+    ragServer = await new Promise((resolve) => {
+      const server = rag.listen(0, () => resolve(server));
+    });
+    process.env.RAG_API_URL = `http://127.0.0.1:${ragServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.RAG_API_URL;
+    await new Promise((resolve) => ragServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    embedded = [];
+    queried = [];
+    getPlugin.mockReturnValue(plugin(['rag:*']));
+    getConvo.mockResolvedValue({ conversationId: 'convo-1', files: ['a', 'b'] });
+    getStrategyFunctions.mockReturnValue({
+      getDownloadStream: async () => Readable.from(['file contents']),
+    });
+  });
+
+  const rag = (action, body) =>
+    request(app)
+      .post(`/api/plugins/rag/${action}`)
+      .set('X-LibreChat-Plugin-Token', issuePluginToken('user-1', 'calc-plugin').token)
+      .set('Authorization', 'Bearer jwt')
+      .send(body);
+
+  it('embeds owned files and attaches them to the conversation', async () => {
+    getFiles.mockResolvedValue([
+      { file_id: 'a', filename: 'a.txt', filepath: '/uploads/a.txt', source: 'local' },
+      { file_id: 'b', filename: 'b.txt', embedded: true },
+    ]);
+
+    const res = await rag('ingest', { conversationId: 'convo-1', fileIds: ['a', 'b'] }).expect(200);
+
+    expect(res.body.files).toEqual([
+      { file_id: 'a', filename: 'a.txt', embedded: true },
+      { file_id: 'b', filename: 'b.txt', embedded: true },
+    ]);
+    expect(getFiles).toHaveBeenCalledWith({ user: 'user-1', file_id: { $in: ['a', 'b'] } });
+    expect(embedded).toHaveLength(1);
+    expect(embedded[0].auth).toBe('Bearer jwt');
+    expect(embedded[0].body).toContain('file contents');
+    expect(updateFile).toHaveBeenCalledWith({ file_id: 'a', embedded: true });
+    expect(addConvoFiles).toHaveBeenCalledWith('user-1', 'convo-1', ['a', 'b']);
+  });
+
+  it('rejects files the user does not own', async () => {
+    getFiles.mockResolvedValue([{ file_id: 'a', filename: 'a.txt' }]);
+
+    const res = await rag('ingest', { conversationId: 'convo-1', fileIds: ['a', 'other'] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.fileIds).toEqual(['other']);
+    expect(embedded).toHaveLength(0);
+  });
+
+  it('rejects conversations of other users', async () => {
+    getConvo.mockResolvedValue(null);
+    const res = await rag('query', { conversationId: 'convo-2', query: 'q' });
+    expect(res.status).toBe(404);
+    expect(getConvo).toHaveBeenCalledWith('user-1', 'convo-2');
+  });
+
+  it('queries the embedded conversation files and ranks the matches', async () => {
+    getFiles.mockResolvedValue([
+      { file_id: 'a', filename: 'a.txt', embedded: true },
+      { file_id: 'b', filename: 'b.txt', embedded: true },
+    ]);
+
+    const res = await rag('query', { conversationId: 'convo-1', query: 'q', top_k: 3 }).expect(200);
+
+    expect(getFiles).toHaveBeenCalledWith({
+      user: 'user-1',
+      file_id: { $in: ['a', 'b'] },
+      embedded: true,
+    });
+    expect(queried).toEqual([
+      { file_id: 'a', query: 'q', k: 3 },
+      { file_id: 'b', query: 'q', k: 3 },
+    ]);
+    expect(res.body.results.map((result) => result.content)).toEqual([
+      'a close',
+      'b close',
+      'b far',
+    ]);
+  });
+
+  it('enforces the declared rag capability', async () => {
+    getPlugin.mockReturnValue(plugin(['rag:query']));
+    await rag('ingest', { conversationId: 'convo-1', fileIds: ['a'] }).expect(403);
+    expect(getFiles).not.toHaveBeenCalled();
+  });
+});
+
+describe('plugin settings routes', () => {
+  const fields = [
+    { key: 'limit', label: 'Limit', type: 'number', required: false, min: 1, max: 10, default: 5 },
+  ];
+  const userPlugin = (enabled = true, values = { limit: 5 }) => ({
+    entry: {
+      id: 'configurable',
+      manifest: { id: 'configurable', title: 'Configurable', settings: fields },
+    },
+    enabled,
+    values,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserPlugins.mockResolvedValue([userPlugin()]);
+  });
+
+  it('lists the plugins of the user with their settings', async () => {
+    const res = await request(app).get('/api/plugins/settings').expect(200);
+    expect(getUserPlugins).toHaveBeenCalledWith({ id: 'user-1' });
+    expect(res.body).toEqual([
+      { id: 'configurable', title: 'Configurable', enabled: true, fields, values: { limit: 5 } },
+    ]);
+  });
+
+  it('stores validated settings and toggles', async () => {
+    updatePluginSetting.mockResolvedValue({ enabled: false, settings: { limit: 3 } });
+
+    const res = await request(app)
+      .put('/api/plugins/settings/configurable')
+      .send({ enabled: false, settings: { limit: 3 } })
+      .expect(200);
+
+    expect(updatePluginSetting).toHaveBeenCalledWith('user-1', 'configurable', {
+      enabled: false,
+      settings: { limit: 3 },
+    });
+    expect(res.body).toMatchObject({ id: 'configurable', enabled: false, values: { limit: 3 } });
+  });
+
+  it('rejects invalid settings', async () => {
+    const res = await request(app)
+      .put('/api/plugins/settings/configurable')
+      .send({ settings: { limit: 20 } })
+      .expect(400);
+    expect(res.body.errors[0]).toMatch(/^limit: /);
+    expect(updatePluginSetting).not.toHaveBeenCalled();
+  });
+
+  it('does not configure plugins the role does not enable', async () => {
+    getUserPlugins.mockResolvedValue([]);
+    await request(app)
+      .put('/api/plugins/settings/configurable')
+      .send({ enabled: true })
+      .expect(404);
+    expect(updatePluginSetting).not.toHaveBeenCalled();
+  });
+});
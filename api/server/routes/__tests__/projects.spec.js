@@ -0,0 +1,156 @@
+const express = require('express');
+const request = require('supertest');
+const { Constants } = require('librechat-data-provider');
+
+/** Projects by ID, with the IDs of their members */
+const mockProjects = new Map();
+const mockUsers = [
+  { _id: 'user-1', email: 'admin@example.com' },
+  { _id: 'user-2', email: 'ada@example.com' },
+];
+
+const mockPopulate = (project) => ({
+  ...project,
+  memberIds: project.memberIds.map((id) => mockUsers.find((user) => user._id === id)),
+});
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => {
+    req.user = { id: req.get('x-user-id'), role: req.get('x-user-role') };
+    next();
+  },
+  checkAdmin: jest.requireActual('~/server/middleware/roles/checkAdmin'),
+}));
+jest.mock('~/models/User', () => ({
+  find: jest.fn(({ email }) => ({
+    select: () => ({
+      lean: async () => mockUsers.filter((user) => email.$in.includes(user.email)),
+    }),
+  })),
+}));
+jest.mock('~/models/Project', () => ({
+  createProject: jest.fn(async (name) => {
+    const project = { _id: `project-${mockProjects.size + 1}`, name, memberIds: [] };
+    mockProjects.set(project._id, project);
+    return project;
+  }),
+  getProjects: jest.fn(async (filter = {}) =>
+    [...mockProjects.values()]
+      .filter((project) => !filter._id || project._id === filter._id)
+      .filter((project) => project.name !== 'instance')
+      .map(mockPopulate),
+  ),
+  getProjectById: jest.fn(async (projectId) => mockProjects.get(projectId) ?? null),
+  getProjectsByMember: jest.fn(async (userId) =>
+    [...mockProjects.values()]
+      .filter((project) => project.memberIds.includes(userId))
+      .map(({ _id, name }) => ({ _id, name })),
+  ),
+  addMemberIdsToProject: jest.fn(async (projectId, userIds) => {
+    const project = mockProjects.get(projectId);
+    project.memberIds = [...new Set([...project.memberIds, ...userIds])];
+  }),
+  removeMemberIdsFromProject: jest.fn(async (projectId, userIds) => {
+    const project = mockProjects.get(projectId);
+    project.memberIds = project.memberIds.filter((id) => !userIds.includes(id));
+  }),
+}));
+jest.mock('~/config', () => ({
+  logger: { error: jest.fn() },
+}));
+
+const router = require('../projects');
+
+const app = express();
+app.use(express.json());
+app.use('/api/projects', router);
+
+const asAdmin = (req) => req.set('x-user-id', 'user-1').set('x-user-role', 'ADMIN');
+const asUser = (req) => req.set('x-user-id', 'user-2').set('x-user-role', 'USER');
+
+/** A valid ObjectId, since project IDs are validated */
+const projectId = '65a0c0ffee0000000000abcd';
+
+describe('/api/projects', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProjects.clear();
+    mockProjects.set(projectId, { _id: projectId, name: 'Research', memberIds: [] });
+  });
+
+  it('lets admins manage the members of a project, which then lists it for them', async () => {
+    let res = await asUser(request(app).get('/api/projects'));
+    expect(res.body).toEqual([]);
+
+    res = await asAdmin(
+      request(app)
+        .patch(`/api/projects/${projectId}/members`)
+        .send({ add: [' Ada@example.com '] }),
+    );
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ _id: projectId, name: 'Research', members: ['ada@example.com'] });
+
+    res = await asUser(request(app).get('/api/projects'));
+    expect(res.body).toEqual([{ _id: projectId, name: 'Research', members: [] }]);
+
+    res = await asAdmin(
+      request(app)
+        .patch(`/api/projects/${projectId}/members`)
+        .send({ remove: ['ada@example.com'] }),
+    );
+    expect(res.body.members).toEqual([]);
+    res = await asUser(request(app).get('/api/projects'));
+    expect(res.body).toEqual([]);
+  });
+
+  it('creates projects and lists them with their members for admins only', async () => {
+    let res = await asAdmin(request(app).post('/api/projects').send({ name: ' Support ' }));
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'Support', members: [] });
+
+    res = await asAdmin(request(app).get('/api/projects/all'));
+    expect(res.body.map((project) => project.name)).toEqual(['Research', 'Support']);
+
+    res = await asAdmin(
+      request(app).post('/api/projects').send({ name: Constants.GLOBAL_PROJECT_NAME }),
+    );
+    expect(res.status).toBe(400);
+  });
+
+  it('forbids other users from managing projects', async () => {
+    const responses = await Promise.all([
+      asUser(request(app).get('/api/projects/all')),
+      asUser(request(app).post('/api/projects').send({ name: 'Mine' })),
+      asUser(
+        request(app)
+          .patch(`/api/projects/${projectId}/members`)
+          .send({ add: ['ada@example.com'] }),
+      ),
+    ]);
+
+    expect(responses.map((res) => res.status)).toEqual([403, 403, 403]);
+    expect(mockProjects.get(projectId).memberIds).toEqual([]);
+  });
+
+  it('rejects unknown users and the instance project', async () => {
+    let res = await asAdmin(
+      request(app)
+        .patch(`/api/projects/${projectId}/members`)
+        .send({ add: ['nobody@example.com'] }),
+    );
+    expect(res.status).toBe(400);
+
+    const instanceId = '65a0c0ffee0000000000dcba';
+    mockProjects.set(instanceId, {
+      _id: instanceId,
+      name: Constants.GLOBAL_PROJECT_NAME,
+      memberIds: [],
+    });
+    res = await asAdmin(
+      request(app)
+        .patch(`/api/projects/${instanceId}/members`)
+        .send({ add: ['ada@example.com'] }),
+    );
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,67 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => {
+    req.user = { id: req.get('x-user-id'), role: req.get('x-user-role') };
+    next();
+  },
+  checkAdmin: jest.requireActual('~/server/middleware/roles/checkAdmin'),
+}));
+jest.mock('~/models/Role', () => ({
+  getRoleByName: jest.fn(async (name) => ({ name, permissions: {}, plugins: { weather: true } })),
+  updateRoleByName: jest.fn(async (name, updates) => ({ name, ...updates })),
+}));
+
+const { getRoleByName, updateRoleByName } = require('~/models/Role');
+const router = require('../roles');
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', router);
+
+const asAdmin = (req) => req.set('x-user-id', 'user-1').set('x-user-role', 'ADMIN');
+const asUser = (req) => req.set('x-user-id', 'user-2').set('x-user-role', 'USER');
+
+describe('/api/roles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('looks roles up by their upper-cased name', async () => {
+    const res = await asUser(request(app).get('/api/roles/user'));
+
+    expect(res.status).toBe(200);
+    expect(getRoleByName).toHaveBeenCalledWith('USER', '-_id -__v');
+  });
+
+  it('keeps users from reading the admin role', async () => {
+    const res = await asUser(request(app).get('/api/roles/admin'));
+
+    expect(res.status).toBe(403);
+    expect(getRoleByName).not.toHaveBeenCalled();
+  });
+
+  it('updates the role named in the path', async () => {
+    const res = await asAdmin(request(app).put('/api/roles/user/plugins').send({ todo: false }));
+
+    expect(res.status).toBe(200);
+    expect(updateRoleByName).toHaveBeenCalledWith('USER', {
+      plugins: { weather: true, todo: false },
+    });
+  });
+
+  it.each([
+    ['get', '/api/roles/not%20a%20role'],
+    ['put', '/api/roles/%20/prompts'],
+    ['put', '/api/roles/user.name/agents'],
+    ['put', '/api/roles/user%2A/plugins'],
+  ])('rejects invalid role names (%s %s)', async (method, path) => {
+    const res = await asAdmin(request(app)[method](path).send({}));
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ message: 'Invalid role name' });
+    expect(getRoleByName).not.toHaveBeenCalled();
+    expect(updateRoleByName).not.toHaveBeenCalled();
+  });
+});
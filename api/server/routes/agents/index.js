@@ -7,6 +7,7 @@ const {
   concurrentLimiter,
   messageUserLimiter,
 } = require('~/server/middleware');
+const { approveToolCall } = require('~/server/controllers/agents/approval');
 const { isEnabled } = require('~/server/utils');
 const { v1 } = require('./v1');
 const chat = require('./chat');
@@ -21,6 +22,13 @@ router.use(uaParser);
 
 router.use('/', v1);
 
+/**
+ * Approves or rejects a tool call a running agent waits on.
+ * Registered apart from the chat routes, whose limiters and middleware apply to new messages.
+ * @route POST /chat/approve
+ */
+router.post('/chat/approve', approveToolCall);
+
 const chatRouter = express.Router();
 if (isEnabled(LIMIT_CONCURRENT_MESSAGES)) {
   chatRouter.use(concurrentLimiter);
@@ -1,12 +1,15 @@
+const multer = require('multer');
 const express = require('express');
 const { PermissionTypes, Permissions } = require('librechat-data-provider');
 const { requireJwtAuth, generateCheckAccess } = require('~/server/middleware');
+const { storage, importFileFilter } = require('~/server/routes/files/multer');
 const v1 = require('~/server/controllers/agents/v1');
 const actions = require('./actions');
 const tools = require('./tools');
 
 const router = express.Router();
 const avatar = express.Router();
+const upload = multer({ storage, fileFilter: importFileFilter });
 
 const checkAgentAccess = generateCheckAccess(PermissionTypes.AGENTS, [Permissions.USE]);
 const checkAgentCreate = generateCheckAccess(PermissionTypes.AGENTS, [
@@ -45,6 +48,15 @@ router.use('/tools', tools);
  */
 router.post('/', checkAgentCreate, v1.createAgent);
 
+/**
+ * Imports an agent bundle.
+ * @route POST /agents/import
+ * @param {Express.Multer.File} req.file - The bundle file.
+ * @param {'copy' | 'replace'} [req.body.onConflict] - What to do when the agent ID is taken.
+ * @returns {AgentImportResponse} 201 - Success response - application/json
+ */
+router.post('/import', checkAgentCreate, upload.single('file'), v1.importAgent);
+
 /**
  * Retrieves an agent.
  * @route GET /agents/:id
@@ -70,6 +82,52 @@ router.patch('/:id', checkGlobalAgentShare, v1.updateAgent);
  */
 router.post('/:id/duplicate', checkAgentCreate, v1.duplicateAgent);
 
+/**
+ * Exports an agent as a portable bundle.
+ * @route GET /agents/:id/export
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} [req.query.promptGroupIds] - Comma-separated prompt groups to include.
+ * @param {string} [req.query.includeFiles] - `true` to include file search and code files.
+ * @returns {AgentBundle} 200 - success response - application/json
+ */
+router.get('/:id/export', checkAgentAccess, v1.exportAgent);
+
+/**
+ * Lists the versions of an agent.
+ * @route GET /agents/:id/versions
+ * @param {string} req.params.id - Agent identifier.
+ * @returns {AgentVersionListResponse} 200 - success response - application/json
+ */
+router.get('/:id/versions', checkAgentAccess, v1.getAgentVersions);
+
+/**
+ * Compares two versions of an agent.
+ * @route GET /agents/:id/versions/diff
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.query.from - The older version number.
+ * @param {string} req.query.to - The newer version number.
+ * @returns {AgentVersionDiffResponse} 200 - success response - application/json
+ */
+router.get('/:id/versions/diff', checkAgentAccess, v1.diffAgentVersions);
+
+/**
+ * Retrieves a version of an agent.
+ * @route GET /agents/:id/versions/:version
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.params.version - The version number.
+ * @returns {AgentVersion} 200 - success response - application/json
+ */
+router.get('/:id/versions/:version', checkAgentAccess, v1.getAgentVersion);
+
+/**
+ * Rolls an agent back to an earlier version.
+ * @route POST /agents/:id/versions/:version/rollback
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.params.version - The version to restore.
+ * @returns {Agent} 200 - success response - application/json
+ */
+router.post('/:id/versions/:version/rollback', checkAgentCreate, v1.rollbackAgent);
+
 /**
  * Deletes an agent.
  * @route DELETE /agents/:id
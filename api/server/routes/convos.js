@@ -1,11 +1,23 @@
 const multer = require('multer');
 const express = require('express');
 const { CacheKeys, EModelEndpoint } = require('librechat-data-provider');
-const { getConvosByCursor, deleteConvos, getConvo, saveConvo } = require('~/models/Conversation');
+const {
+  getConvo,
+  saveConvo,
+  trashConvos,
+  deleteConvos,
+  restoreConvos,
+  getTrashedConvos,
+  getConvosByCursor,
+} = require('~/models/Conversation');
 const { forkConversation, duplicateConversation } = require('~/server/utils/import/fork');
 const { storage, importFileFilter } = require('~/server/routes/files/multer');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
-const { importConversations } = require('~/server/utils/import');
+const { parseSearchFilters } = require('~/server/services/Search');
+const { emptyTrash, getTrashRetentionDays } = require('~/server/services/trash');
+const { startImportJob } = require('~/server/utils/import');
+const { getImportJob } = require('~/models/ImportJob');
+const { exportFormats, exportConversation, exportConversations } = require('~/server/utils/export');
 const { createImportLimiters } = require('~/server/middleware');
 const { deleteToolCalls } = require('~/models/ToolCall');
 const { isEnabled, sleep } = require('~/server/utils');
@@ -38,7 +50,9 @@ router.get('/', async (req, res) => {
       limit,
       isArchived,
       tags,
+      folderId: typeof req.query.folderId === 'string' ? req.query.folderId : undefined,
       search,
+      searchFilters: search ? parseSearchFilters(req.query) : undefined,
       order,
     });
     res.status(200).json(result);
@@ -47,6 +61,115 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @param {string} fileName
+ * @returns {string} A `Content-Disposition` header value, with an ASCII fallback name.
+ */
+const getAttachmentHeader = (fileName) =>
+  `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+
+/**
+ * Exports a conversation as LibreChat JSON (with all branches), Markdown, standalone HTML,
+ * or an OpenAI fine-tuning JSONL line.
+ * @route GET /:conversationId/export
+ * @param {string} req.query.format - `json` (default), `md`, `html` or `jsonl`.
+ * @returns {string} 200 - The exported file, as an attachment.
+ */
+router.get('/:conversationId/export', async (req, res) => {
+  const format = req.query.format ?? 'json';
+  if (!Object.hasOwn(exportFormats, format)) {
+    return res.status(400).json({ error: `Unsupported export format "${format}"` });
+  }
+
+  try {
+    const file = await exportConversation({
+      userId: req.user.id,
+      conversationId: req.params.conversationId,
+      format,
+    });
+    if (!file) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.setHeader('Content-Type', `${file.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', getAttachmentHeader(file.fileName));
+    res.status(200).send(file.data);
+  } catch (error) {
+    logger.error('Error exporting conversation', error);
+    res.status(500).send('Error exporting conversation');
+  }
+});
+
+/**
+ * @param {unknown} conversationIds
+ * @returns {boolean} Whether the value is omitted or a list of conversation IDs.
+ */
+const isConversationIdList = (conversationIds) =>
+  conversationIds === undefined ||
+  (Array.isArray(conversationIds) && conversationIds.every((id) => typeof id === 'string'));
+
+/**
+ * Lists the conversations in the trash, most recently deleted first.
+ * @route GET /trash
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page.
+ * @param {number} [req.query.limit=25]
+ * @returns {object} 200 - `{ conversations, nextCursor, retentionDays }`
+ */
+router.get('/trash', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+  const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : undefined;
+
+  try {
+    const result = await getTrashedConvos(req.user.id, { cursor, limit });
+    res.status(200).json({ ...result, retentionDays: getTrashRetentionDays() });
+  } catch (error) {
+    logger.error('Error fetching the trash', error);
+    res.status(500).json({ error: 'Error fetching the trash' });
+  }
+});
+
+/**
+ * Restores conversations from the trash.
+ * @route POST /trash/restore
+ * @param {string[]} [req.body.conversationIds] - The conversations to restore; the whole trash when omitted.
+ * @returns {object} 200 - `{ restoredCount }`
+ */
+router.post('/trash/restore', async (req, res) => {
+  const { conversationIds } = req.body ?? {};
+  if (!isConversationIdList(conversationIds)) {
+    return res.status(400).json({ error: '`conversationIds` must be a list of conversation IDs' });
+  }
+
+  try {
+    const result = await restoreConvos(req.user.id, conversationIds);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error restoring conversations', error);
+    res.status(500).json({ error: 'Error restoring conversations' });
+  }
+});
+
+/**
+ * Permanently deletes conversations in the trash, with their messages and files.
+ * @route DELETE /trash
+ * @param {string[]} [req.body.conversationIds] - The conversations to delete; the whole trash when omitted.
+ * @returns {object} 200 - `{ deletedCount }`
+ */
+router.delete('/trash', async (req, res) => {
+  const { conversationIds } = req.body ?? {};
+  if (!isConversationIdList(conversationIds)) {
+    return res.status(400).json({ error: '`conversationIds` must be a list of conversation IDs' });
+  }
+
+  try {
+    const result = await emptyTrash(req, conversationIds);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error emptying the trash', error);
+    res.status(500).json({ error: 'Error emptying the trash' });
+  }
+});
+
 router.get('/:conversationId', async (req, res) => {
   const { conversationId } = req.params;
   const convo = await getConvo(req.user.id, conversationId);
@@ -96,21 +219,27 @@ router.delete('/', async (req, res) => {
     return res.status(200).send('No conversationId provided');
   }
 
-  if (
-    typeof endpoint !== 'undefined' &&
-    Object.prototype.propertyIsEnumerable.call(assistantClients, endpoint)
-  ) {
-    /** @type {{ openai: OpenAI }} */
-    const { openai } = await assistantClients[endpoint].initializeClient({ req, res });
-    try {
-      const response = await openai.beta.threads.del(thread_id);
-      logger.debug('Deleted OpenAI thread:', response);
-    } catch (error) {
-      logger.error('Error deleting OpenAI thread:', error);
+  try {
+    /* The thread is kept while the conversation is in the trash, and deleted when it is purged */
+    if (getTrashRetentionDays() > 0) {
+      const dbResponse = await trashConvos(req.user.id, filter);
+      return res.status(201).json(dbResponse);
+    }
+
+    if (
+      typeof endpoint !== 'undefined' &&
+      Object.prototype.propertyIsEnumerable.call(assistantClients, endpoint)
+    ) {
+      /** @type {{ openai: OpenAI }} */
+      const { openai } = await assistantClients[endpoint].initializeClient({ req, res });
+      try {
+        const response = await openai.beta.threads.del(thread_id);
+        logger.debug('Deleted OpenAI thread:', response);
+      } catch (error) {
+        logger.error('Error deleting OpenAI thread:', error);
+      }
     }
-  }
 
-  try {
     const dbResponse = await deleteConvos(req.user.id, filter);
     await deleteToolCalls(req.user.id, filter.conversationId);
     res.status(201).json(dbResponse);
@@ -122,6 +251,11 @@ router.delete('/', async (req, res) => {
 
 router.delete('/all', async (req, res) => {
   try {
+    if (getTrashRetentionDays() > 0) {
+      const dbResponse = await trashConvos(req.user.id, {});
+      return res.status(201).json(dbResponse);
+    }
+
     const dbResponse = await deleteConvos(req.user.id, {});
     await deleteToolCalls(req.user.id);
     res.status(201).json(dbResponse);
@@ -153,10 +287,10 @@ const { importIpLimiter, importUserLimiter } = createImportLimiters();
 const upload = multer({ storage: storage, fileFilter: importFileFilter });
 
 /**
- * Imports a conversation from a JSON file and saves it to the database.
+ * Starts a background job importing the conversations of a JSON file.
  * @route POST /import
  * @param {Express.Multer.File} req.file - The JSON file to import.
- * @returns {object} 201 - success response - application/json
+ * @returns {TImportResponse} 202 - The job to poll with `GET /import/:jobId` - application/json
  */
 router.post(
   '/import',
@@ -165,9 +299,12 @@ router.post(
   upload.single('file'),
   async (req, res) => {
     try {
-      /* TODO: optimize to return imported conversations and add manually */
-      await importConversations({ filepath: req.file.path, requestUserId: req.user.id });
-      res.status(201).json({ message: 'Conversation(s) imported successfully' });
+      const job = await startImportJob({
+        filepath: req.file.path,
+        filename: req.file.originalname,
+        requestUserId: req.user.id,
+      });
+      res.status(202).json({ message: 'Import started', jobId: job.jobId, status: job.status });
     } catch (error) {
       logger.error('Error processing file', error);
       res.status(500).send('Error processing file');
@@ -175,6 +312,83 @@ router.post(
   },
 );
 
+/**
+ * Reports the progress of an import job, the IDs of the conversations created so far,
+ * and the conversations that were skipped.
+ * @route GET /import/:jobId
+ * @returns {TImportJob} 200 - success response - application/json
+ */
+router.get('/import/:jobId', async (req, res) => {
+  try {
+    const job = await getImportJob(req.user.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    const { jobId, status, filename, total, processed, conversationIds, skipped, error } = job;
+    res.status(200).json({
+      jobId,
+      status,
+      filename,
+      total,
+      processed,
+      imported: conversationIds.length,
+      conversationIds,
+      skipped,
+      error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+    });
+  } catch (error) {
+    logger.error('Error fetching import job', error);
+    res.status(500).send('Error fetching import job');
+  }
+});
+
+/**
+ * Streams a zip archive with one exported file per conversation.
+ * @route POST /export
+ * @param {string[]} [req.body.conversationIds] - The conversations to export; all of the user's if omitted.
+ * @param {string} [req.body.format] - `json` (default), `md`, `html` or `jsonl`.
+ * @returns {Buffer} 200 - The zip archive, as an attachment.
+ */
+router.post('/export', async (req, res) => {
+  const { conversationIds, format = 'json' } = req.body ?? {};
+  if (!Object.hasOwn(exportFormats, format)) {
+    return res.status(400).json({ error: `Unsupported export format "${format}"` });
+  }
+  if (!isConversationIdList(conversationIds)) {
+    return res.status(400).json({ error: '`conversationIds` must be a list of conversation IDs' });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', getAttachmentHeader(`conversations-${date}.zip`));
+
+  try {
+    const { missing } = await exportConversations({
+      userId: req.user.id,
+      conversationIds: conversationIds && [...new Set(conversationIds)],
+      format,
+      stream: res,
+    });
+    if (missing.length) {
+      logger.warn(`[/convos/export] Skipped ${missing.length} conversation(s) not found`);
+    }
+  } catch (error) {
+    if (res.destroyed) {
+      logger.debug('[/convos/export] The client disconnected before the export finished');
+      return;
+    }
+    logger.error('Error exporting conversations', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).send('Error exporting conversations');
+    }
+    res.destroy(error);
+  }
+});
+
 /**
  * POST /fork
  * This route handles forking a conversation based on the TForkConvoRequest and responds with TForkConvoResponse.
@@ -0,0 +1,132 @@
+const express = require('express');
+const {
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveConversationsToFolder,
+  migrateTagsToFolders,
+} = require('~/models/Folder');
+const { requireJwtAuth } = require('~/server/middleware');
+const { logger } = require('~/config');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+/**
+ * Sends the response for a folder error: 400 for invalid parameters, 404 for unknown folders.
+ * @param {Object} res - Express response object
+ * @param {Error & { code?: string }} error
+ * @param {string} message - The message logged for unexpected errors.
+ */
+const handleFolderError = (res, error, message) => {
+  if (error.code === 'INVALID_PARAMS') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  logger.error(message, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+/**
+ * GET /
+ * Retrieves all folders of the authenticated user, with their conversation counts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/', async (req, res) => {
+  try {
+    const folders = await getFolders(req.user.id);
+    res.status(200).json(folders);
+  } catch (error) {
+    handleFolderError(res, error, 'Error getting folders:');
+  }
+});
+
+/**
+ * POST /
+ * Creates a folder at the end of its parent.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.post('/', async (req, res) => {
+  try {
+    const folder = await createFolder(req.user.id, req.body);
+    res.status(201).json(folder);
+  } catch (error) {
+    handleFolderError(res, error, 'Error creating folder:');
+  }
+});
+
+/**
+ * POST /migrate-tags
+ * Creates a top-level folder for each bookmark tag and files tagged conversations into them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.post('/migrate-tags', async (req, res) => {
+  try {
+    const result = await migrateTagsToFolders(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    handleFolderError(res, error, 'Error migrating tags to folders:');
+  }
+});
+
+/**
+ * PUT /convos
+ * Moves conversations into a folder, or out of their folder when `folderId` is null.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.put('/convos', async (req, res) => {
+  try {
+    const { conversationIds, folderId = null } = req.body;
+    const result = await moveConversationsToFolder(req.user.id, conversationIds, folderId);
+    res.status(200).json(result);
+  } catch (error) {
+    handleFolderError(res, error, 'Error moving conversations to folder:');
+  }
+});
+
+/**
+ * PUT /:folderId
+ * Renames, moves or reorders a folder.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.put('/:folderId', async (req, res) => {
+  try {
+    const folder = await updateFolder(req.user.id, req.params.folderId, req.body);
+    if (folder) {
+      res.status(200).json(folder);
+    } else {
+      res.status(404).json({ error: 'Folder not found' });
+    }
+  } catch (error) {
+    handleFolderError(res, error, 'Error updating folder:');
+  }
+});
+
+/**
+ * DELETE /:folderId
+ * Deletes a folder; its subfolders and conversations move to its parent.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.delete('/:folderId', async (req, res) => {
+  try {
+    const folder = await deleteFolder(req.user.id, req.params.folderId);
+    if (folder) {
+      res.status(200).json(folder);
+    } else {
+      res.status(404).json({ error: 'Folder not found' });
+    }
+  } catch (error) {
+    handleFolderError(res, error, 'Error deleting folder:');
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,10 @@ const tokenizer = require('./tokenizer');
 const endpoints = require('./endpoints');
 const staticRoute = require('./static');
 const messages = require('./messages');
+const folders = require('./folders');
 const presets = require('./presets');
 const prompts = require('./prompts');
+const projects = require('./projects');
 const balance = require('./balance');
 const plugins = require('./plugins');
 const bedrock = require('./bedrock');
@@ -46,10 +48,12 @@ module.exports = {
   models,
   bedrock,
   prompts,
+  projects,
   plugins,
   actions,
   presets,
   balance,
+  folders,
   messages,
   endpoints,
   tokenizer,
@@ -8,9 +8,9 @@ const {
   updateMessage,
   deleteMessages,
 } = require('~/models');
+const { searchMessages, parseSearchFilters } = require('~/server/services/Search');
 const { findAllArtifacts, replaceArtifactContent } = require('~/server/services/Artifacts/update');
 const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
-const { cleanUpPrimaryKeyValue } = require('~/lib/utils/misc');
 const { getConvosQueried } = require('~/models/Conversation');
 const { countTokens } = require('~/server/utils');
 const { Message } = require('~/models/Message');
@@ -54,30 +54,18 @@ router.get('/', async (req, res) => {
       const nextCursor = messages.length > pageSize ? messages.pop()[sortField] : null;
       response = { messages, nextCursor };
     } else if (search) {
-      const searchResults = await Message.meiliSearch(search, undefined, true);
-
-      const messages = searchResults.hits || [];
+      const messages = await searchMessages(user, search, parseSearchFilters(req.query));
 
       const result = await getConvosQueried(req.user.id, messages, cursor);
 
       const activeMessages = [];
-      for (let i = 0; i < messages.length; i++) {
-        let message = messages[i];
-        if (message.conversationId.includes('--')) {
-          message.conversationId = cleanUpPrimaryKeyValue(message.conversationId);
-        }
+      for (const message of messages) {
         if (result.convoMap[message.conversationId]) {
           const convo = result.convoMap[message.conversationId];
-
-          const dbMessage = await getMessage({ user, messageId: message.messageId });
           activeMessages.push({
             ...message,
             title: convo.title,
-            conversationId: message.conversationId,
             model: convo.model,
-            isCreatedByUser: dbMessage?.isCreatedByUser,
-            endpoint: dbMessage?.endpoint,
-            iconURL: dbMessage?.iconURL,
           });
         }
       }
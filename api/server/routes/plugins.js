@@ -1,9 +1,86 @@
 const express = require('express');
+const {
+  ingestFilesController,
+  queryFilesController,
+} = require('../controllers/PluginRagController');
+const {
+  getPluginSettingsController,
+  updatePluginSettingsController,
+} = require('../controllers/PluginSettingsController');
 const { getAvailablePluginsController } = require('../controllers/PluginController');
+const { issuePluginTokenController } = require('../controllers/PluginTokenController');
+const { requirePluginCapability } = require('~/app/pluginServer/middleware');
 const requireJwtAuth = require('../middleware/requireJwtAuth');
+const { toolCallLimiter } = require('../middleware/limiters');
+const { callPluginTool } = require('../controllers/tools');
 
 const router = express.Router();
 
 router.get('/', requireJwtAuth, getAvailablePluginsController);
 
+/**
+ * List the UI plugins enabled for the user's role, with the user's toggle and settings
+ * @route GET /plugins/settings
+ * @returns {Array<{ id: string, enabled: boolean, fields: object[], values: object }>} 200 - application/json
+ */
+router.get('/settings', requireJwtAuth, getPluginSettingsController);
+
+/**
+ * Turn a UI plugin on or off for the user and/or update the user's settings of it
+ * @route PUT /plugins/settings/:pluginId
+ * @param {string} pluginId - The ID of the plugin
+ * @param {{ enabled?: boolean, settings?: object }} req.body - Request body
+ * @returns {{ id: string, enabled: boolean, fields: object[], values: object }} 200 - application/json
+ */
+router.put('/settings/:pluginId', requireJwtAuth, updatePluginSettingsController);
+
+/**
+ * Issue the token the proxied calls of a UI plugin are made with
+ * @route POST /plugins/tokens/:pluginId
+ * @param {string} pluginId - The ID of the plugin
+ * @returns {{ token: string, expiresAt: string }} 200 - application/json
+ */
+router.post('/tokens/:pluginId', requireJwtAuth, issuePluginTokenController);
+
+/**
+ * Call a structured tool on behalf of a UI plugin
+ * @route POST /plugins/tools/:toolId/call
+ * @param {string} toolId - The ID of the tool to call
+ * @param {{ args?: object, conversationId?: string, messageId?: string }} req.body - Request body
+ * @returns {{ result: unknown }} 200 - application/json
+ */
+router.post(
+  '/tools/:toolId/call',
+  requireJwtAuth,
+  toolCallLimiter,
+  requirePluginCapability((req) => `tools:${req.params.toolId}`),
+  callPluginTool,
+);
+
+/**
+ * Embed files of the user into the vector database and attach them to a conversation
+ * @route POST /plugins/rag/ingest
+ * @param {{ conversationId: string, fileIds: string[] }} req.body - Request body
+ * @returns {{ conversationId: string, files: Array<{ file_id: string, embedded: boolean }> }} 200 - application/json
+ */
+router.post(
+  '/rag/ingest',
+  requireJwtAuth,
+  requirePluginCapability('rag:ingest'),
+  ingestFilesController,
+);
+
+/**
+ * Semantic search over the embedded files of a conversation
+ * @route POST /plugins/rag/query
+ * @param {{ conversationId: string, query: string, top_k?: number }} req.body - Request body
+ * @returns {{ conversationId: string, results: Array<{ file_id: string, content: string }> }} 200 - application/json
+ */
+router.post(
+  '/rag/query',
+  requireJwtAuth,
+  requirePluginCapability('rag:query'),
+  queryFilesController,
+);
+
 module.exports = router;
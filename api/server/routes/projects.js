@@ -0,0 +1,154 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Constants } = require('librechat-data-provider');
+const {
+  createProject,
+  getProjects,
+  getProjectById,
+  getProjectsByMember,
+  addMemberIdsToProject,
+  removeMemberIdsFromProject,
+} = require('~/models/Project');
+const { checkAdmin, requireJwtAuth } = require('~/server/middleware');
+const User = require('~/models/User');
+const { logger } = require('~/config');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+/**
+ * Lists a project with the emails of its members.
+ * @param {{ _id: string, name: string, memberIds?: Array<{ email?: string }> }} project
+ * @returns {TProject}
+ */
+const formatProject = (project) => ({
+  _id: project._id.toString(),
+  name: project.name,
+  members: (project.memberIds ?? []).map((member) => member.email).filter(Boolean),
+});
+
+/**
+ * Resolves emails to user IDs.
+ * @param {unknown} emails
+ * @returns {Promise<{ userIds: string[], unknown: string[] } | null>} `null` if `emails` is not a list of emails.
+ */
+const getUserIdsByEmail = async (emails = []) => {
+  if (!Array.isArray(emails) || emails.some((email) => typeof email !== 'string')) {
+    return null;
+  }
+
+  const normalized = [
+    ...new Set(emails.map((email) => email.trim().toLowerCase()).filter(Boolean)),
+  ];
+  if (!normalized.length) {
+    return { userIds: [], unknown: [] };
+  }
+
+  const users = await User.find({ email: { $in: normalized } })
+    .select('_id email')
+    .lean();
+  return {
+    userIds: users.map((user) => user._id.toString()),
+    unknown: normalized.filter((email) => !users.some((user) => user.email === email)),
+  };
+};
+
+/**
+ * GET /
+ * Retrieves the projects the user is a member of, other than the instance project.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/', async (req, res) => {
+  try {
+    const projects = await getProjectsByMember(req.user.id);
+    res.status(200).json(projects.map(formatProject));
+  } catch (error) {
+    logger.error('Error getting projects:', error);
+    res.status(500).json({ error: 'Error getting projects' });
+  }
+});
+
+/**
+ * GET /all
+ * Retrieves every project other than the instance project, with its members.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.get('/all', checkAdmin, async (req, res) => {
+  try {
+    const projects = await getProjects();
+    res.status(200).json(projects.map(formatProject));
+  } catch (error) {
+    logger.error('Error getting projects:', error);
+    res.status(500).json({ error: 'Error getting projects' });
+  }
+});
+
+/**
+ * POST /
+ * Creates a project without members.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+router.post('/', checkAdmin, async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name === Constants.GLOBAL_PROJECT_NAME) {
+      return res.status(400).json({ error: 'Invalid project name' });
+    }
+
+    const project = await createProject(name);
+    res.status(201).json(formatProject(project));
+  } catch (error) {
+    logger.error('Error creating project:', error);
+    res.status(500).json({ error: 'Error creating project' });
+  }
+});
+
+/**
+ * PATCH /:projectId/members
+ * Adds and removes members of a project by email.
+ * @param {Object} req - Express request object
+ * @param {{ add?: string[], remove?: string[] }} req.body - The emails of the users to add and remove.
+ * @param {Object} res - Express response object
+ */
+router.patch('/:projectId/members', checkAdmin, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (!mongoose.isValidObjectId(projectId)) {
+      return res.status(400).json({ error: 'Invalid project ID' });
+    }
+
+    const [toAdd, toRemove] = await Promise.all([
+      getUserIdsByEmail(req.body?.add),
+      getUserIdsByEmail(req.body?.remove),
+    ]);
+    if (!toAdd || !toRemove) {
+      return res.status(400).json({ error: 'Members must be a list of emails' });
+    }
+    if (toAdd.unknown.length) {
+      return res.status(400).json({ error: `Unknown users: ${toAdd.unknown.join(', ')}` });
+    }
+
+    const project = await getProjectById(projectId, 'name');
+    if (!project || project.name === Constants.GLOBAL_PROJECT_NAME) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (toAdd.userIds.length) {
+      await addMemberIdsToProject(projectId, toAdd.userIds);
+    }
+    if (toRemove.userIds.length) {
+      await removeMemberIdsFromProject(projectId, toRemove.userIds);
+    }
+
+    const [updated] = await getProjects({ _id: projectId });
+    res.status(200).json(formatProject(updated ?? project));
+  } catch (error) {
+    logger.error('Error updating project members:', error);
+    res.status(500).json({ error: 'Error updating project members' });
+  }
+});
+
+module.exports = router;
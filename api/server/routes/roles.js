@@ -2,6 +2,7 @@ const express = require('express');
 const {
   promptPermissionsSchema,
   agentPermissionsSchema,
+  rolePluginsSchema,
   PermissionTypes,
   roleDefaults,
   SystemRoles,
@@ -12,14 +13,34 @@ const { updateRoleByName, getRoleByName } = require('~/models/Role');
 const router = express.Router();
 router.use(requireJwtAuth);
 
+/** Role names are stored in upper case, e.g. `ADMIN` */
+const ROLE_NAME_PATTERN = /^[A-Z0-9_-]+$/;
+
+/**
+ * Parses the `roleName` route parameter, responding with 400 when it is not a valid role name.
+ *
+ * @param {ServerRequest} req - The request object.
+ * @param {ServerResponse} res - The response object.
+ * @returns {string | null} The upper-cased role name, or `null` if a response was sent.
+ */
+const parseRoleName = (req, res) => {
+  const roleName = req.params.roleName.trim().toUpperCase();
+  if (!ROLE_NAME_PATTERN.test(roleName)) {
+    res.status(400).send({ message: 'Invalid role name' });
+    return null;
+  }
+  return roleName;
+};
+
 /**
  * GET /api/roles/:roleName
  * Get a specific role by name
  */
 router.get('/:roleName', async (req, res) => {
-  const { roleName: _r } = req.params;
-  // TODO: TEMP, use a better parsing for roleName
-  const roleName = _r.toUpperCase();
+  const roleName = parseRoleName(req, res);
+  if (!roleName) {
+    return;
+  }
 
   if (
     (req.user.role !== SystemRoles.ADMIN && roleName === SystemRoles.ADMIN) ||
@@ -45,9 +66,10 @@ router.get('/:roleName', async (req, res) => {
  * Update prompt permissions for a specific role
  */
 router.put('/:roleName/prompts', checkAdmin, async (req, res) => {
-  const { roleName: _r } = req.params;
-  // TODO: TEMP, use a better parsing for roleName
-  const roleName = _r.toUpperCase();
+  const roleName = parseRoleName(req, res);
+  if (!roleName) {
+    return;
+  }
   /** @type {TRole['permissions']['PROMPTS']} */
   const updates = req.body;
 
@@ -84,9 +106,10 @@ router.put('/:roleName/prompts', checkAdmin, async (req, res) => {
  * Update agent permissions for a specific role
  */
 router.put('/:roleName/agents', checkAdmin, async (req, res) => {
-  const { roleName: _r } = req.params;
-  // TODO: TEMP, use a better parsing for roleName
-  const roleName = _r.toUpperCase();
+  const roleName = parseRoleName(req, res);
+  if (!roleName) {
+    return;
+  }
   /** @type {TRole['permissions']['AGENTS']} */
   const updates = req.body;
 
@@ -118,4 +141,36 @@ router.put('/:roleName/agents', checkAdmin, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/roles/:roleName/plugins
+ * Enable or disable UI plugins for a specific role
+ */
+router.put('/:roleName/plugins', checkAdmin, async (req, res) => {
+  const roleName = parseRoleName(req, res);
+  if (!roleName) {
+    return;
+  }
+  /** @type {TRole['plugins']} */
+  const updates = req.body;
+
+  try {
+    const parsedUpdates = rolePluginsSchema.parse(updates);
+
+    const role = await getRoleByName(roleName);
+    if (!role) {
+      return res.status(404).send({ message: 'Role not found' });
+    }
+
+    const currentPlugins =
+      role.plugins instanceof Map ? Object.fromEntries(role.plugins) : role.plugins || {};
+
+    const updatedRole = await updateRoleByName(roleName, {
+      plugins: { ...currentPlugins, ...parsedUpdates },
+    });
+    res.status(200).send(updatedRole);
+  } catch (error) {
+    return res.status(400).send({ message: 'Invalid plugin permissions.', error: error.errors });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,16 @@
 const { Keyv } = require('keyv');
 const express = require('express');
-const { MeiliSearch } = require('meilisearch');
-const { Conversation } = require('~/models/Conversation');
-const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
+const { requireJwtAuth, checkAdmin } = require('~/server/middleware');
+const { SearchSyncError, startSearchSyncJob } = require('~/server/services/Search/syncJobs');
+const { getSearchSyncJob } = require('~/models/SearchSyncJob');
+const {
+  isSearchAvailable,
+  parseSearchFilters,
+  searchConversationHits,
+} = require('~/server/services/Search');
 const { Message } = require('~/models/Message');
 const { isEnabled } = require('~/server/utils');
+const { logger } = require('~/config');
 const keyvRedis = require('~/cache/keyvRedis');
 
 const router = express.Router();
@@ -16,10 +22,41 @@ const cache = isEnabled(process.env.USE_REDIS)
 
 router.use(requireJwtAuth);
 
-router.get('/sync', async function (req, res) {
-  await Message.syncWithMeili();
-  await Conversation.syncWithMeili();
-  res.send('synced');
+/**
+ * Starts a background job syncing the Meilisearch indexes with MongoDB.
+ * Body: `mode` ('full' or 'incremental'), `batchSize`, `throttleMs`.
+ * Responds with 409 and the running job if one is already in progress.
+ */
+router.post('/sync', checkAdmin, async function (req, res) {
+  const { mode, batchSize, throttleMs } = req.body ?? {};
+  try {
+    const { job, started } = await startSearchSyncJob({
+      mode,
+      batchSize,
+      throttleMs,
+      requestedBy: req.user.id,
+    });
+    res.status(started ? 202 : 409).json(job);
+  } catch (error) {
+    if (error instanceof SearchSyncError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('[/search/sync] Error starting search sync', error);
+    res.status(500).json({ error: 'Error starting search sync' });
+  }
+});
+
+router.get('/sync/:jobId', checkAdmin, async function (req, res) {
+  try {
+    const job = await getSearchSyncJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Search sync job not found' });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    logger.error('[/search/sync] Error fetching search sync job', error);
+    res.status(500).json({ error: 'Error fetching search sync job' });
+  }
 });
 
 router.get('/test', async function (req, res) {
@@ -33,20 +70,32 @@ router.get('/test', async function (req, res) {
   res.send(messages);
 });
 
-router.get('/enable', async function (req, res) {
-  let result = false;
+/**
+ * Searches the messages of the user and returns the matching conversations with highlighted
+ * snippets, facet counts and a cursor to the next page.
+ * Query: `q`, `endpoint`, `model`, `tag`, `agent_id`, `hasFiles`, `from`, `to`, `cursor`, `pageSize`.
+ */
+router.get('/conversations', async function (req, res) {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({ error: 'A search query is required' });
+  }
+  const pageSize = Math.max(1, Math.min(parseInt(req.query.pageSize, 10) || 25, 100));
+
   try {
-    const client = new MeiliSearch({
-      host: process.env.MEILI_HOST,
-      apiKey: process.env.MEILI_MASTER_KEY,
+    const result = await searchConversationHits(req.user.id, q, parseSearchFilters(req.query), {
+      cursor: req.query.cursor,
+      limit: pageSize,
     });
-
-    const { status } = await client.health();
-    result = status === 'available' && !!process.env.SEARCH;
-    return res.send(result);
+    res.status(200).json(result);
   } catch (error) {
-    return res.send(false);
+    logger.error('[/search/conversations] Error searching conversations', error);
+    res.status(500).json({ error: 'Error searching conversations' });
   }
 });
 
+router.get('/enable', async function (req, res) {
+  res.send(await isSearchAvailable());
+});
+
 module.exports = router;
@@ -1,17 +1,61 @@
 const express = require('express');
+const { ForkOptions } = require('librechat-data-provider');
 
 const {
   getSharedLink,
+  getSharesWithUser,
+  getSharedConversation,
   getSharedMessages,
   createSharedLink,
   updateSharedLink,
+  updateSharedLinkSettings,
   getSharedLinks,
   deleteSharedLink,
 } = require('~/models/Share');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
+const optionalJwtAuth = require('~/server/middleware/optionalJwtAuth');
+const { sharePasswordLimiter } = require('~/server/middleware/limiters');
+const { forkConversation } = require('~/server/utils/import/fork');
 const { isEnabled } = require('~/server/utils');
+const { logger } = require('~/config');
 const router = express.Router();
 
+/** Viewers of passphrase-protected links send the passphrase in this header */
+const SHARE_PASSWORD_HEADER = 'x-share-password';
+
+/**
+ * Picks the link settings from a request body.
+ * @param {object} [body]
+ */
+const getShareSettings = (body = {}) => ({
+  mode: body.mode,
+  expiresAt: body.expiresAt,
+  password: body.password,
+  isPublic: body.isPublic,
+  allowFork: body.allowFork,
+  sharedWith: body.sharedWith,
+  projectIds: body.projectIds,
+});
+
+/**
+ * Responds to the access errors of `findAccessibleShare`.
+ * @param {ShareServiceError} error
+ * @param {import('express').Response} res
+ * @returns {boolean} Whether the error was handled.
+ */
+const sendAccessError = (error, res) => {
+  if (error.code === 'SHARE_AUTH_REQUIRED') {
+    res.status(401).json({ message: error.message, code: error.code });
+    return true;
+  }
+  /* Not 401, which makes the client refresh its auth token */
+  if (error.code === 'SHARE_PASSWORD_REQUIRED' || error.code === 'SHARE_PASSWORD_INVALID') {
+    res.status(403).json({ message: error.message, code: error.code });
+    return true;
+  }
+  return false;
+};
+
 /**
  * Shared messages
  */
@@ -22,12 +66,30 @@ if (allowSharedLinks) {
   const allowSharedLinksPublic =
     process.env.ALLOW_SHARED_LINKS_PUBLIC === undefined ||
     isEnabled(process.env.ALLOW_SHARED_LINKS_PUBLIC);
+
+  /** Links other users shared with the user, directly or through a project */
+  router.get('/shared-with-me', requireJwtAuth, async (req, res) => {
+    try {
+      const result = await getSharesWithUser(req.user.id, {
+        cursor: req.query.cursor,
+        pageSize: Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 25)),
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ message: 'Error getting shared links' });
+    }
+  });
+
   router.get(
     '/:shareId',
-    allowSharedLinksPublic ? (req, res, next) => next() : requireJwtAuth,
+    allowSharedLinksPublic ? optionalJwtAuth : requireJwtAuth,
+    sharePasswordLimiter,
     async (req, res) => {
       try {
-        const share = await getSharedMessages(req.params.shareId);
+        const share = await getSharedMessages(req.params.shareId, {
+          userId: req.user?.id,
+          password: req.get(SHARE_PASSWORD_HEADER),
+        });
 
         if (share) {
           res.status(200).json(share);
@@ -35,10 +97,52 @@ if (allowSharedLinks) {
           res.status(404).end();
         }
       } catch (error) {
+        if (sendAccessError(error, res)) {
+          return;
+        }
         res.status(500).json({ message: 'Error getting shared messages' });
       }
     },
   );
+
+  /**
+   * Forks a shared conversation into the history of the user, if the owner allows it.
+   * @route POST /:shareId/fork
+   * @returns {TForkConvoResponse} 200 - The new conversation and its messages
+   */
+  router.post('/:shareId/fork', requireJwtAuth, sharePasswordLimiter, async (req, res) => {
+    try {
+      const share = await getSharedConversation(req.params.shareId, {
+        userId: req.user.id,
+        password: req.get(SHARE_PASSWORD_HEADER),
+      });
+
+      if (!share || !share.messages?.length) {
+        return res.status(404).json({ message: 'Share not found' });
+      }
+      if (!share.allowFork) {
+        return res.status(403).json({ message: 'Forking is not allowed for this shared chat' });
+      }
+
+      const result = await forkConversation({
+        requestUserId: req.user.id,
+        originalUserId: share.user,
+        originalConvoId: share.conversationId,
+        sourceMessages: share.messages,
+        targetMessageId: share.messages[share.messages.length - 1].messageId,
+        option: ForkOptions.TARGET_LEVEL,
+        records: true,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      if (sendAccessError(error, res)) {
+        return;
+      }
+      logger.error('Error forking shared conversation', error);
+      res.status(500).json({ message: 'Error forking shared conversation' });
+    }
+  });
 }
 
 /**
@@ -99,13 +203,20 @@ router.get('/link/:conversationId', requireJwtAuth, async (req, res) => {
 
 router.post('/:conversationId', requireJwtAuth, async (req, res) => {
   try {
-    const created = await createSharedLink(req.user.id, req.params.conversationId);
+    const created = await createSharedLink(
+      req.user.id,
+      req.params.conversationId,
+      getShareSettings(req.body),
+    );
     if (created) {
       res.status(200).json(created);
     } else {
       res.status(404).end();
     }
   } catch (error) {
+    if (error.code === 'INVALID_PARAMS') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating shared link' });
   }
 });
@@ -123,6 +234,27 @@ router.patch('/:shareId', requireJwtAuth, async (req, res) => {
   }
 });
 
+router.put('/:shareId/settings', requireJwtAuth, async (req, res) => {
+  try {
+    const settings = await updateSharedLinkSettings(
+      req.user.id,
+      req.params.shareId,
+      getShareSettings(req.body),
+    );
+
+    if (!settings) {
+      return res.status(404).json({ message: 'Share not found' });
+    }
+
+    return res.status(200).json(settings);
+  } catch (error) {
+    if (error.code === 'INVALID_PARAMS') {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json({ message: 'Error updating shared link' });
+  }
+});
+
 router.delete('/:shareId', requireJwtAuth, async (req, res) => {
   try {
     const result = await deleteSharedLink(req.user.id, req.params.shareId);
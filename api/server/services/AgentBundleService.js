@@ -0,0 +1,511 @@
+const fs = require('fs');
+const path = require('path');
+const { v4 } = require('uuid');
+const { nanoid } = require('nanoid');
+const {
+  Tools,
+  Constants,
+  SystemRoles,
+  EToolResources,
+  actionDelimiter,
+  removeNullishValues,
+} = require('librechat-data-provider');
+const { getPromptGroup, getPrompt, createPromptGroup } = require('~/models/Prompt');
+const { getAgent, createAgent, updateAgent } = require('~/models/Agent');
+const { updateAction, getActions, deleteAction } = require('~/models/Action');
+const { encryptMetadata, domainParser } = require('./ActionService');
+const { getStrategyFunctions } = require('./Files/strategies');
+const { uploadAgentFile } = require('./Files/process');
+const { VERSIONED_FIELDS } = require('~/models/AgentVersion');
+const { isActionDomainAllowed } = require('./domains');
+const { getFiles } = require('~/models/File');
+const { logger } = require('~/config');
+
+const AGENT_BUNDLE_FORMAT = 'librechat-agent-bundle';
+const AGENT_BUNDLE_VERSION = 1;
+
+/** Files larger than this are left out of bundles */
+const MAX_BUNDLE_FILE_BYTES = 10 * 1024 * 1024;
+
+/** Action metadata that never leaves the instance */
+const SENSITIVE_ACTION_FIELDS = ['api_key', 'oauth_client_id', 'oauth_client_secret'];
+
+/** Tool resources whose files can travel with a bundle */
+const BUNDLED_TOOL_RESOURCES = [EToolResources.file_search, EToolResources.execute_code];
+
+/** Tools provided by the agents endpoint itself rather than by plugins or MCP servers */
+const SYSTEM_TOOLS = new Set([Tools.execute_code, Tools.file_search]);
+
+class AgentBundleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AgentBundleError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether the user may edit the agent: its author, an admin, or anyone for collaborative agents.
+ * @param {Agent} agent
+ * @param {{ id: string, role?: string }} user
+ * @returns {boolean}
+ */
+const canEditAgent = (agent, user) =>
+  !!agent.isCollaborative ||
+  user.role === SystemRoles.ADMIN ||
+  agent.author?.toString() === user.id;
+
+/**
+ * Reads a stream into a buffer.
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<Buffer>}
+ */
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Reads the files of the agent's bundled tool resources.
+ * Files whose storage cannot be read back, e.g. files only kept as embeddings, are skipped.
+ *
+ * @param {ServerRequest} req
+ * @param {Agent} agent
+ * @returns {Promise<{ files: AgentBundleFile[], skipped: AgentBundleSkippedFile[] }>}
+ */
+const exportAgentFiles = async (req, agent) => {
+  const files = [];
+  const skipped = [];
+  for (const tool_resource of BUNDLED_TOOL_RESOURCES) {
+    const fileIds = agent.tool_resources?.[tool_resource]?.file_ids ?? [];
+    if (!fileIds.length) {
+      continue;
+    }
+
+    const records = await getFiles({ file_id: { $in: fileIds } });
+    for (const file of records) {
+      const { getDownloadStream } = getStrategyFunctions(file.source);
+      if (!getDownloadStream) {
+        skipped.push({ filename: file.filename, tool_resource, reason: 'not_downloadable' });
+        continue;
+      }
+      if (file.bytes > MAX_BUNDLE_FILE_BYTES) {
+        skipped.push({ filename: file.filename, tool_resource, reason: 'too_large' });
+        continue;
+      }
+
+      try {
+        const buffer = await streamToBuffer(await getDownloadStream(req, file.filepath));
+        files.push({
+          tool_resource,
+          filename: file.filename,
+          type: file.type,
+          bytes: buffer.length,
+          content: buffer.toString('base64'),
+        });
+      } catch (error) {
+        logger.error(`[exportAgentBundle] Error reading file ${file.file_id}`, error);
+        skipped.push({ filename: file.filename, tool_resource, reason: 'read_error' });
+      }
+    }
+  }
+  return { files, skipped };
+};
+
+/**
+ * Reads the prompt groups to bundle, with their production prompts.
+ * Only groups the user could open in the prompts library are included.
+ *
+ * @param {ServerRequest} req
+ * @param {string[]} promptGroupIds
+ * @returns {Promise<AgentBundlePromptGroup[]>}
+ */
+const exportPromptGroups = async (req, promptGroupIds) => {
+  const promptGroups = [];
+  for (const groupId of promptGroupIds) {
+    const query = {
+      _id: groupId,
+      $or: [
+        { projectIds: { $exists: true, $ne: [], $not: { $size: 0 } } },
+        { author: req.user.id },
+      ],
+    };
+    if (req.user.role === SystemRoles.ADMIN) {
+      delete query.$or;
+    }
+
+    const group = await getPromptGroup(query);
+    if (!group?._id) {
+      throw new AgentBundleError(`Prompt group ${groupId} not found`, 'NOT_FOUND');
+    }
+    const production = await getPrompt({ _id: group.productionId });
+    promptGroups.push(
+      removeNullishValues({
+        name: group.name,
+        oneliner: group.oneliner,
+        category: group.category,
+        command: group.command,
+        prompt: production?.prompt ?? '',
+        type: production?.type ?? 'text',
+      }),
+    );
+  }
+  return promptGroups;
+};
+
+/**
+ * Builds a portable bundle of an agent: its definition, its actions without secrets,
+ * the selected prompt groups and, optionally, the files of its tools.
+ *
+ * @param {Object} params
+ * @param {ServerRequest} params.req
+ * @param {Agent} params.agent - The agent to export.
+ * @param {string[]} [params.promptGroupIds] - Prompt groups to include.
+ * @param {boolean} [params.includeFiles] - Whether to include file search and code files.
+ * @returns {Promise<AgentBundle>}
+ */
+const exportAgentBundle = async ({ req, agent, promptGroupIds = [], includeFiles = false }) => {
+  const definition = { id: agent.id };
+  for (const field of VERSIONED_FIELDS) {
+    if (agent[field] !== undefined && agent[field] !== null) {
+      definition[field] = agent[field];
+    }
+  }
+
+  /** `getActions` leaves out the sensitive metadata */
+  const actions = (await getActions({ agent_id: agent.id })).map(({ metadata }) => ({ metadata }));
+
+  const { files, skipped } = includeFiles
+    ? await exportAgentFiles(req, agent)
+    : { files: [], skipped: [] };
+
+  return {
+    format: AGENT_BUNDLE_FORMAT,
+    version: AGENT_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    agent: definition,
+    actions,
+    promptGroups: await exportPromptGroups(req, promptGroupIds),
+    files,
+    skippedFiles: skipped,
+  };
+};
+
+/**
+ * Checks the shape of a bundle before anything is imported.
+ * @param {unknown} bundle
+ * @returns {AgentBundle}
+ */
+const validateBundle = (bundle) => {
+  if (bundle?.format !== AGENT_BUNDLE_FORMAT) {
+    throw new AgentBundleError('Not an agent bundle', 'INVALID_BUNDLE');
+  }
+  if (bundle.version !== AGENT_BUNDLE_VERSION) {
+    throw new AgentBundleError(`Unsupported bundle version: ${bundle.version}`, 'INVALID_BUNDLE');
+  }
+  const { agent } = bundle;
+  if (!agent || typeof agent.provider !== 'string' || typeof agent.model !== 'string') {
+    throw new AgentBundleError('The bundle has no valid agent definition', 'INVALID_BUNDLE');
+  }
+  for (const key of ['actions', 'promptGroups', 'files']) {
+    if (bundle[key] != null && !Array.isArray(bundle[key])) {
+      throw new AgentBundleError(`\`${key}\` must be a list`, 'INVALID_BUNDLE');
+    }
+  }
+  return bundle;
+};
+
+/**
+ * Creates or updates the bundled actions of an agent.
+ * When replacing an agent, actions of the same domain are updated in place so their
+ * credentials are kept; actions missing from the bundle are deleted.
+ *
+ * @param {Object} params
+ * @param {string} params.agent_id
+ * @param {string} params.userId - The owner of new actions.
+ * @param {AgentBundleAction[]} params.bundledActions
+ * @param {Action[]} params.existingActions - The actions of the agent being replaced.
+ * @returns {Promise<{ actions: string[], domains: Set<string>, blocked: string[] }>}
+ *  The agent's action references, the encoded domains of its actions, and the domains not allowed here.
+ */
+const importActions = async ({ agent_id, userId, bundledActions, existingActions }) => {
+  const actions = [];
+  const domains = new Set();
+  const blocked = [];
+  const kept = new Set();
+
+  for (const { metadata: bundledMetadata } of bundledActions) {
+    const metadata = { ...removeNullishValues(bundledMetadata ?? {}, true) };
+    for (const field of SENSITIVE_ACTION_FIELDS) {
+      delete metadata[field];
+    }
+    if (!metadata.domain || !(await isActionDomainAllowed(metadata.domain))) {
+      blocked.push(metadata.domain ?? '');
+      continue;
+    }
+
+    const domain = await domainParser(metadata.domain, true);
+    const existing = existingActions.find((action) => action.metadata?.domain === metadata.domain);
+    const action_id = existing?.action_id ?? nanoid();
+    const updateData = existing
+      ? { metadata: { ...existing.metadata, ...(await encryptMetadata(metadata)) } }
+      : { metadata: await encryptMetadata(metadata), agent_id, user: userId };
+
+    await updateAction({ action_id }, updateData);
+    kept.add(action_id);
+    domains.add(domain);
+    actions.push(`${domain}${actionDelimiter}${action_id}`);
+  }
+
+  for (const action of existingActions) {
+    if (!kept.has(action.action_id)) {
+      await deleteAction({ action_id: action.action_id });
+    }
+  }
+
+  return { actions, domains, blocked };
+};
+
+/**
+ * Keeps the tools that exist on this instance.
+ *
+ * @param {ServerRequest} req
+ * @param {string[]} tools - The bundled tools.
+ * @param {Set<string>} actionDomains - The encoded domains of the imported actions.
+ * @returns {{ tools: string[], missingTools: string[], missingMcpServers: string[] }}
+ */
+const resolveTools = (req, tools, actionDomains) => {
+  const availableTools = req.app.locals.availableTools ?? {};
+  const resolved = [];
+  const missingTools = [];
+  const missingMcpServers = new Set();
+
+  for (const tool of tools) {
+    if (typeof tool !== 'string') {
+      continue;
+    }
+    if (tool.includes(actionDelimiter)) {
+      const [, domain] = tool.split(actionDelimiter);
+      if (actionDomains.has(domain)) {
+        resolved.push(tool);
+      }
+      continue;
+    }
+    if (SYSTEM_TOOLS.has(tool) || availableTools[tool]) {
+      resolved.push(tool);
+      continue;
+    }
+    if (tool.includes(Constants.mcp_delimiter)) {
+      missingMcpServers.add(tool.split(Constants.mcp_delimiter)[1]);
+    }
+    missingTools.push(tool);
+  }
+
+  return { tools: resolved, missingTools, missingMcpServers: [...missingMcpServers] };
+};
+
+/**
+ * Creates the bundled prompt groups the user does not already have,
+ * matching existing groups by command, then by name.
+ *
+ * @param {ServerRequest} req
+ * @param {AgentBundlePromptGroup[]} promptGroups
+ * @returns {Promise<Array<{ name: string, groupId: string, created: boolean }>>}
+ */
+const importPromptGroups = async (req, promptGroups) => {
+  const results = [];
+  for (const { name, oneliner, category, command, prompt, type } of promptGroups) {
+    if (!name || !prompt) {
+      continue;
+    }
+
+    const existing =
+      (command && (await getPromptGroup({ author: req.user.id, command }))) ||
+      (await getPromptGroup({ author: req.user.id, name }));
+    if (existing?._id) {
+      results.push({ name, groupId: existing._id.toString(), created: false });
+      continue;
+    }
+
+    const { group } = await createPromptGroup({
+      prompt: { prompt, type: type ?? 'text' },
+      group: removeNullishValues({ name, oneliner, category, command }),
+      author: req.user.id,
+      authorName: req.user.name,
+    });
+    results.push({ name, groupId: group._id.toString(), created: true });
+  }
+  return results;
+};
+
+/**
+ * Uploads the bundled files to the agent's tool resources.
+ *
+ * @param {ServerRequest} req
+ * @param {string} agent_id
+ * @param {AgentBundleFile[]} files
+ * @returns {Promise<{ imported: number, skipped: AgentBundleSkippedFile[] }>}
+ */
+const importAgentFiles = async (req, agent_id, files) => {
+  let imported = 0;
+  const skipped = [];
+  if (!files.length) {
+    return { imported, skipped };
+  }
+
+  const tempDir = path.join(req.app.locals.paths.uploads, 'temp', req.user.id);
+  await fs.promises.mkdir(tempDir, { recursive: true });
+
+  for (const { tool_resource, filename, type, content } of files) {
+    if (!BUNDLED_TOOL_RESOURCES.includes(tool_resource) || !filename || !content) {
+      continue;
+    }
+
+    const file_id = v4();
+    const filepath = path.join(tempDir, `${file_id}-${path.basename(filename)}`);
+    try {
+      const buffer = Buffer.from(content, 'base64');
+      await fs.promises.writeFile(filepath, buffer);
+      await uploadAgentFile({
+        req: {
+          app: req.app,
+          user: req.user,
+          headers: req.headers,
+          body: {},
+          file: {
+            path: filepath,
+            originalname: filename,
+            mimetype: type ?? 'application/octet-stream',
+            size: buffer.length,
+          },
+        },
+        metadata: { agent_id, tool_resource, file_id },
+      });
+      imported++;
+    } catch (error) {
+      logger.error(`[importAgentBundle] Error uploading ${filename}`, error);
+      skipped.push({ filename, tool_resource, reason: 'upload_error' });
+    } finally {
+      await fs.promises.unlink(filepath).catch(() => {});
+    }
+  }
+  return { imported, skipped };
+};
+
+/**
+ * Imports an agent bundle.
+ *
+ * The agent keeps its ID when no agent has it yet, so promoted agents keep their IDs
+ * across instances. Otherwise, `onConflict: 'copy'` imports it under a new ID and
+ * `onConflict: 'replace'` updates the existing agent as a new version.
+ * Tools, MCP servers, agents and action domains that are unavailable here are dropped
+ * and reported in `warnings`.
+ *
+ * @param {Object} params
+ * @param {ServerRequest} params.req
+ * @param {unknown} params.bundle - The parsed bundle.
+ * @param {'copy' | 'replace'} [params.onConflict='copy']
+ * @returns {Promise<AgentImportResponse>}
+ */
+const importAgentBundle = async ({ req, bundle: _bundle, onConflict = 'copy' }) => {
+  if (onConflict !== 'copy' && onConflict !== 'replace') {
+    throw new AgentBundleError('`onConflict` must be "copy" or "replace"', 'INVALID_PARAMS');
+  }
+  const bundle = validateBundle(_bundle);
+  const userId = req.user.id;
+
+  const bundledId = typeof bundle.agent.id === 'string' ? bundle.agent.id : '';
+  const existingAgent = bundledId.startsWith('agent_') ? await getAgent({ id: bundledId }) : null;
+  const replacing = !!existingAgent && onConflict === 'replace';
+  if (replacing && !canEditAgent(existingAgent, req.user)) {
+    throw new AgentBundleError('You do not have permission to replace this agent', 'FORBIDDEN');
+  }
+
+  let agent_id = `agent_${nanoid()}`;
+  if (replacing || (!existingAgent && bundledId.startsWith('agent_'))) {
+    agent_id = bundledId;
+  }
+
+  const { actions, domains, blocked } = await importActions({
+    agent_id,
+    userId: replacing ? existingAgent.author : userId,
+    bundledActions: bundle.actions ?? [],
+    existingActions: replacing ? await getActions({ agent_id }, true) : [],
+  });
+
+  const { tools, missingTools, missingMcpServers } = resolveTools(
+    req,
+    Array.isArray(bundle.agent.tools) ? bundle.agent.tools : [],
+    domains,
+  );
+
+  const agentIds = Array.isArray(bundle.agent.agent_ids) ? bundle.agent.agent_ids : [];
+  const missingAgents = [];
+  for (const id of agentIds) {
+    if (!(await getAgent({ id }))) {
+      missingAgents.push(id);
+    }
+  }
+
+  const definition = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (bundle.agent[field] !== undefined && bundle.agent[field] !== null) {
+      definition[field] = bundle.agent[field];
+    }
+  }
+  Object.assign(definition, {
+    tools,
+    actions,
+    agent_ids: agentIds.filter((id) => !missingAgents.includes(id)),
+  });
+
+  let agent;
+  if (replacing) {
+    const $unset = {};
+    for (const field of VERSIONED_FIELDS) {
+      if (!(field in definition)) {
+        $unset[field] = 1;
+      }
+    }
+    agent = await updateAgent(
+      { id: agent_id },
+      { $set: definition, $unset },
+      { updatingUserId: userId },
+    );
+  } else {
+    agent = await createAgent({ ...definition, id: agent_id, author: userId });
+  }
+
+  const promptGroups = await importPromptGroups(req, bundle.promptGroups ?? []);
+  const { imported, skipped: skippedFiles } = await importAgentFiles(
+    req,
+    agent_id,
+    bundle.files ?? [],
+  );
+  if (imported > 0) {
+    agent = await getAgent({ id: agent_id });
+  }
+
+  return {
+    agent,
+    replaced: replacing,
+    promptGroups,
+    warnings: {
+      missingTools,
+      missingMcpServers,
+      missingAgents,
+      blockedActionDomains: blocked,
+      skippedFiles,
+    },
+  };
+};
+
+module.exports = {
+  AgentBundleError,
+  canEditAgent,
+  exportAgentBundle,
+  importAgentBundle,
+};
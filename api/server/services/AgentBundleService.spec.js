@@ -0,0 +1,223 @@
+jest.mock('~/models/Prompt', () => ({
+  getPromptGroup: jest.fn(),
+  getPrompt: jest.fn(),
+  createPromptGroup: jest.fn(),
+}));
+jest.mock('~/models/Agent', () => ({
+  getAgent: jest.fn(),
+  createAgent: jest.fn(async (data) => ({ ...data, version: 1 })),
+  updateAgent: jest.fn(),
+}));
+jest.mock('~/models/Action', () => ({
+  updateAction: jest.fn(),
+  getActions: jest.fn(),
+  deleteAction: jest.fn(),
+}));
+jest.mock('~/models/AgentVersion', () => ({
+  VERSIONED_FIELDS: ['name', 'instructions', 'provider', 'model', 'tools', 'actions', 'agent_ids'],
+}));
+jest.mock('./ActionService', () => ({
+  encryptMetadata: jest.fn(async (metadata) => metadata),
+  domainParser: jest.fn(async (domain) => domain.replace(/\./g, '---')),
+}));
+jest.mock('./domains', () => ({
+  isActionDomainAllowed: jest.fn(async (domain) => domain !== 'blocked.example.com'),
+}));
+jest.mock('./Files/strategies', () => ({
+  getStrategyFunctions: jest.fn(),
+}));
+jest.mock('./Files/process', () => ({
+  uploadAgentFile: jest.fn(),
+}));
+jest.mock('~/models/File', () => ({
+  getFiles: jest.fn(),
+}));
+jest.mock('~/config', () => ({
+  logger: { error: jest.fn() },
+}));
+
+const { Readable } = require('stream');
+const { actionDelimiter, Constants } = require('librechat-data-provider');
+const { getPromptGroup, getPrompt, createPromptGroup } = require('~/models/Prompt');
+const { getAgent, createAgent, updateAgent } = require('~/models/Agent');
+const { updateAction, getActions, deleteAction } = require('~/models/Action');
+const { getStrategyFunctions } = require('./Files/strategies');
+const { getFiles } = require('~/models/File');
+const { exportAgentBundle, importAgentBundle } = require('./AgentBundleService');
+
+const actionTool = `getWeather${actionDelimiter}api---example---com`;
+const mcpTool = `search${Constants.mcp_delimiter}docs`;
+
+describe('AgentBundleService', () => {
+  const req = {
+    user: { id: 'user-1', name: 'User' },
+    app: { locals: { availableTools: { calculator: {} }, paths: { uploads: '/tmp' } } },
+    headers: {},
+  };
+
+  /** @returns {AgentBundle} */
+  const createBundle = () => ({
+    format: 'librechat-agent-bundle',
+    version: 1,
+    agent: {
+      id: 'agent_staging',
+      name: 'Weather',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      tools: ['calculator', 'execute_code', actionTool, mcpTool, 'dalle'],
+      agent_ids: ['agent_helper', 'agent_gone'],
+    },
+    actions: [
+      { metadata: { domain: 'api.example.com', raw_spec: 'spec', api_key: 'leaked' } },
+      { metadata: { domain: 'blocked.example.com', raw_spec: 'spec' } },
+    ],
+    promptGroups: [{ name: 'Forecast', command: 'forecast', prompt: 'Forecast {{city}}' }],
+    files: [],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getActions.mockResolvedValue([]);
+    getAgent.mockImplementation(async ({ id }) => (id === 'agent_helper' ? { id } : null));
+    getPromptGroup.mockResolvedValue(null);
+    createPromptGroup.mockResolvedValue({ group: { _id: 'group-1' } });
+  });
+
+  it('exports the agent definition, its actions, prompt groups and readable files', async () => {
+    getActions.mockResolvedValue([{ action_id: 'a1', metadata: { domain: 'api.example.com' } }]);
+    getPromptGroup.mockResolvedValue({ _id: 'group-1', name: 'Forecast', productionId: 'p1' });
+    getPrompt.mockResolvedValue({ prompt: 'Forecast {{city}}', type: 'text' });
+    getFiles.mockResolvedValue([
+      { file_id: 'f1', filename: 'data.csv', type: 'text/csv', source: 'local', filepath: '/f1' },
+      { file_id: 'f2', filename: 'doc.pdf', source: 'vectordb' },
+    ]);
+    getStrategyFunctions.mockImplementation((source) => ({
+      getDownloadStream: source === 'local' ? async () => Readable.from(['a,b']) : null,
+    }));
+
+    const bundle = await exportAgentBundle({
+      req,
+      agent: {
+        id: 'agent_1',
+        name: 'Weather',
+        provider: 'openAI',
+        model: 'gpt-4o',
+        author: 'user-1',
+        tool_resources: { execute_code: { file_ids: ['f1', 'f2'] } },
+      },
+      promptGroupIds: ['group-1'],
+      includeFiles: true,
+    });
+
+    expect(getActions).toHaveBeenCalledWith({ agent_id: 'agent_1' });
+    expect(bundle).toMatchObject({
+      format: 'librechat-agent-bundle',
+      agent: { id: 'agent_1', name: 'Weather', provider: 'openAI', model: 'gpt-4o' },
+      actions: [{ metadata: { domain: 'api.example.com' } }],
+      promptGroups: [{ name: 'Forecast', prompt: 'Forecast {{city}}', type: 'text' }],
+      files: [{ filename: 'data.csv', tool_resource: 'execute_code', content: 'YSxi' }],
+      skippedFiles: [{ filename: 'doc.pdf', reason: 'not_downloadable' }],
+    });
+    expect(bundle.agent.author).toBeUndefined();
+  });
+
+  it('rejects prompt groups the user cannot access', async () => {
+    await expect(
+      exportAgentBundle({ req, agent: { id: 'agent_1' }, promptGroupIds: ['other'] }),
+    ).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('imports agents under their own ID and drops what this instance lacks', async () => {
+    const result = await importAgentBundle({ req, bundle: createBundle() });
+
+    const [action] = updateAction.mock.calls;
+    expect(action[1]).toEqual({
+      metadata: { domain: 'api.example.com', raw_spec: 'spec' },
+      agent_id: 'agent_staging',
+      user: 'user-1',
+    });
+    expect(createAgent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 'agent_staging',
+        author: 'user-1',
+        tools: ['calculator', 'execute_code', actionTool],
+        actions: [`api---example---com${actionDelimiter}${action[0].action_id}`],
+        agent_ids: ['agent_helper'],
+      }),
+    );
+    expect(createPromptGroup).toHaveBeenCalledWith({
+      prompt: { prompt: 'Forecast {{city}}', type: 'text' },
+      group: { name: 'Forecast', command: 'forecast' },
+      author: 'user-1',
+      authorName: 'User',
+    });
+    expect(result).toMatchObject({
+      replaced: false,
+      promptGroups: [{ name: 'Forecast', groupId: 'group-1', created: true }],
+      warnings: {
+        missingTools: [mcpTool, 'dalle'],
+        missingMcpServers: ['docs'],
+        missingAgents: ['agent_gone'],
+        blockedActionDomains: ['blocked.example.com'],
+      },
+    });
+  });
+
+  it('imports a copy when the agent ID is taken', async () => {
+    getAgent.mockResolvedValue({ id: 'agent_staging', author: 'someone-else' });
+
+    const { agent } = await importAgentBundle({ req, bundle: createBundle() });
+
+    expect(agent.id).not.toBe('agent_staging');
+    expect(agent.id).toMatch(/^agent_/);
+    expect(updateAgent).not.toHaveBeenCalled();
+  });
+
+  it('replaces an editable agent as a new version, keeping action credentials', async () => {
+    getAgent.mockResolvedValue({ id: 'agent_staging', author: 'user-1', instructions: 'Old' });
+    getActions.mockResolvedValue([
+      { action_id: 'kept', metadata: { domain: 'api.example.com', api_key: 'secret' } },
+      { action_id: 'removed', metadata: { domain: 'old.example.com' } },
+    ]);
+    updateAgent.mockResolvedValue({ id: 'agent_staging', author: 'user-1', version: 4 });
+
+    const result = await importAgentBundle({
+      req,
+      bundle: createBundle(),
+      onConflict: 'replace',
+    });
+
+    expect(result.replaced).toBe(true);
+    expect(updateAction).toHaveBeenCalledWith(
+      { action_id: 'kept' },
+      { metadata: { domain: 'api.example.com', api_key: 'secret', raw_spec: 'spec' } },
+    );
+    expect(deleteAction).toHaveBeenCalledWith({ action_id: 'removed' });
+    const [filter, update, options] = updateAgent.mock.calls[0];
+    expect(filter).toEqual({ id: 'agent_staging' });
+    expect(update.$set).toMatchObject({
+      name: 'Weather',
+      actions: [`api---example---com${actionDelimiter}kept`],
+    });
+    expect(update.$unset).toEqual({ instructions: 1 });
+    expect(options).toEqual({ updatingUserId: 'user-1' });
+  });
+
+  it('does not replace agents the user cannot edit', async () => {
+    getAgent.mockResolvedValue({ id: 'agent_staging', author: 'someone-else' });
+
+    await expect(
+      importAgentBundle({ req, bundle: createBundle(), onConflict: 'replace' }),
+    ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    expect(updateAction).not.toHaveBeenCalled();
+  });
+
+  it('rejects files that are not agent bundles', async () => {
+    await expect(importAgentBundle({ req, bundle: { agent: {} } })).rejects.toMatchObject({
+      code: 'INVALID_BUNDLE',
+    });
+    await expect(
+      importAgentBundle({ req, bundle: { ...createBundle(), version: 2 } }),
+    ).rejects.toMatchObject({ code: 'INVALID_BUNDLE' });
+  });
+});
@@ -114,7 +114,39 @@ async function uploadVectors({ req, file, file_id, entity_id }) {
   }
 }
 
+/**
+ * Runs a semantic search over a single embedded file.
+ *
+ * @param {Object} params - The params object.
+ * @param {ServerRequest} params.req - The request object from Express, used for the user's JWT.
+ * @param {string} params.file_id - The ID of the embedded file.
+ * @param {string} params.query - The search query.
+ * @param {number} [params.k=4] - The maximum number of matching chunks.
+ *
+ * @returns {Promise<Array<[{ page_content: string, metadata: Object }, number]>>}
+ *          The matching document chunks, each paired with its distance to the query.
+ */
+async function queryVectors({ req, file_id, query, k = 4 }) {
+  if (!process.env.RAG_API_URL) {
+    throw new Error('RAG_API_URL not defined');
+  }
+
+  const jwtToken = req.headers.authorization.split(' ')[1];
+  const response = await axios.post(
+    `${process.env.RAG_API_URL}/query`,
+    { file_id, query, k },
+    {
+      headers: {
+        Authorization: `Bearer ${jwtToken}`,
+        'Content-Type': 'application/json',
+      },
+    },
+  );
+  return response.data;
+}
+
 module.exports = {
+  queryVectors,
   deleteVectors,
   uploadVectors,
 };
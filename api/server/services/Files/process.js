@@ -458,17 +458,16 @@ const processFileUpload = async ({ req, res, metadata }) => {
 };
 
 /**
- * Applies the current strategy for file uploads.
- * Saves file metadata to the database with an expiry TTL.
+ * Uploads `req.file` to an agent's tool resource, or as a message attachment,
+ * and saves its metadata to the database.
  * Files must be deleted from the server filesystem manually.
  *
  * @param {Object} params - The parameters object.
  * @param {ServerRequest} params.req - The Express request object.
- * @param {Express.Response} params.res - The Express response object.
  * @param {FileMetadata} params.metadata - Additional metadata for the file.
- * @returns {Promise<void>}
+ * @returns {Promise<MongoFile>} The saved file.
  */
-const processAgentFileUpload = async ({ req, res, metadata }) => {
+const uploadAgentFile = async ({ req, metadata }) => {
   const { file } = req;
   const { agent_id, tool_resource } = metadata;
   if (agent_id && !tool_resource) {
@@ -556,10 +555,7 @@ const processAgentFileUpload = async ({ req, res, metadata }) => {
         tool_resource,
       });
     }
-    const result = await createFile(fileInfo, true);
-    return res
-      .status(200)
-      .json({ message: 'Agent file uploaded and processed successfully', ...result });
+    return await createFile(fileInfo, true);
   }
 
   const source =
@@ -623,7 +619,22 @@ const processAgentFileUpload = async ({ req, res, metadata }) => {
     width,
   });
 
-  const result = await createFile(fileInfo, true);
+  return await createFile(fileInfo, true);
+};
+
+/**
+ * Applies the current strategy for file uploads.
+ * Saves file metadata to the database with an expiry TTL.
+ * Files must be deleted from the server filesystem manually.
+ *
+ * @param {Object} params - The parameters object.
+ * @param {ServerRequest} params.req - The Express request object.
+ * @param {Express.Response} params.res - The Express response object.
+ * @param {FileMetadata} params.metadata - Additional metadata for the file.
+ * @returns {Promise<void>}
+ */
+const processAgentFileUpload = async ({ req, res, metadata }) => {
+  const result = await uploadAgentFile({ req, metadata });
   res.status(200).json({ message: 'Agent file uploaded and processed successfully', ...result });
 };
 
@@ -955,6 +966,7 @@ module.exports = {
   processImageFile,
   uploadImageBuffer,
   processFileUpload,
+  uploadAgentFile,
   processDeleteRequest,
   processAgentFileUpload,
   retrieveAndProcessFile,
@@ -0,0 +1,156 @@
+const Conversation = require('~/models/schema/convoSchema');
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string} [endpoint] - Only match messages or conversations of this endpoint.
+ * @property {string} [model] - Only match messages or conversations of this model.
+ * @property {Date} [from] - Only match messages created, or conversations updated, on or after this date.
+ * @property {Date} [to] - Only match messages created, or conversations updated, on or before this date.
+ * @property {string} [tag] - Only match conversations with this tag, or messages in them.
+ * @property {string} [agent_id] - Only match conversations with this agent, or messages in them.
+ * @property {boolean} [hasFiles] - Only match conversations with file attachments, or messages in them.
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {Date | undefined} The date, or `undefined` if the value is missing or invalid.
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !value) {
+    return;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * @param {unknown} value
+ * @returns {string | undefined}
+ */
+const parseString = (value) => (typeof value === 'string' && value ? value : undefined);
+
+/**
+ * Reads the search filters from the query string of a request; invalid values are ignored.
+ *
+ * @param {Record<string, unknown>} query - The request query.
+ * @returns {SearchFilters}
+ */
+function parseSearchFilters(query = {}) {
+  return {
+    endpoint: parseString(query.endpoint),
+    model: parseString(query.model),
+    from: parseDate(query.from),
+    to: parseDate(query.to),
+    tag: parseString(query.tag),
+    agent_id: parseString(query.agent_id),
+    hasFiles: query.hasFiles === 'true' || undefined,
+  };
+}
+
+/**
+ * @param {Date} [from]
+ * @param {Date} [to]
+ * @returns {{ $gte?: Date, $lte?: Date } | undefined}
+ */
+const getDateRange = (from, to) => {
+  if (!from && !to) {
+    return;
+  }
+  const range = {};
+  if (from) {
+    range.$gte = from;
+  }
+  if (to) {
+    range.$lte = to;
+  }
+  return range;
+};
+
+/**
+ * Finds the conversations of a user that match the filters which only conversations have.
+ *
+ * @param {string} user - The user ID.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<string[] | undefined>} The conversation IDs, or `undefined` without such filters.
+ */
+async function getFilteredConversationIds(user, { tag, agent_id, hasFiles } = {}) {
+  if (!tag && !agent_id && !hasFiles) {
+    return;
+  }
+  const filter = { user };
+  if (tag) {
+    filter.tags = tag;
+  }
+  if (agent_id) {
+    filter.agent_id = agent_id;
+  }
+  if (hasFiles) {
+    filter['files.0'] = { $exists: true };
+  }
+  return await Conversation.find(filter).distinct('conversationId');
+}
+
+/**
+ * Builds the MongoDB filter for the messages of a user that match the search filters.
+ *
+ * @param {string} user - The user ID.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<Object>}
+ */
+async function getMessageFilter(user, filters = {}) {
+  const { endpoint, model, from, to } = filters;
+  const filter = { user };
+  if (endpoint) {
+    filter.endpoint = endpoint;
+  }
+  if (model) {
+    filter.model = model;
+  }
+  const createdAt = getDateRange(from, to);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+  const conversationIds = await getFilteredConversationIds(user, filters);
+  if (conversationIds) {
+    filter.conversationId = { $in: conversationIds };
+  }
+  return filter;
+}
+
+/**
+ * Builds the MongoDB filter for the conversations of a user that match the search filters.
+ *
+ * @param {string} user - The user ID.
+ * @param {SearchFilters} [filters]
+ * @returns {Object}
+ */
+function getConversationFilter(user, { endpoint, model, from, to, tag, agent_id, hasFiles } = {}) {
+  const filter = { user };
+  if (endpoint) {
+    filter.endpoint = endpoint;
+  }
+  if (model) {
+    filter.model = model;
+  }
+  const updatedAt = getDateRange(from, to);
+  if (updatedAt) {
+    filter.updatedAt = updatedAt;
+  }
+  if (tag) {
+    filter.tags = tag;
+  }
+  if (agent_id) {
+    filter.agent_id = agent_id;
+  }
+  if (hasFiles) {
+    filter['files.0'] = { $exists: true };
+  }
+  return filter;
+}
+
+module.exports = {
+  parseSearchFilters,
+  getFilteredConversationIds,
+  getMessageFilter,
+  getConversationFilter,
+};
@@ -0,0 +1,178 @@
+const Conversation = require('~/models/schema/convoSchema');
+const { isEnabled } = require('~/server/utils/handleText');
+const { getConversationTags } = require('~/models/ConversationTag');
+const { parseSearchFilters } = require('./filters');
+const meiliBackend = require('./meili');
+const mongoBackend = require('./mongo');
+
+/**
+ * @typedef {Object} SearchBackend
+ * @property {string} name - The name of the backend.
+ * @property {() => Promise<boolean>} isAvailable - Whether the backend can serve searches.
+ * @property {(user: string, q: string, filters?: import('./filters').SearchFilters, limit?: number) => Promise<TMessage[]>} searchMessages
+ *  Finds the messages of a user, best match first.
+ * @property {(user: string, q: string, filters?: import('./filters').SearchFilters, limit?: number) => Promise<string[]>} searchConversations
+ *  Finds the IDs of the conversations of a user whose titles match, best match first.
+ * @property {(user: string, q: string, filters?: import('./filters').SearchFilters, limit?: number) => Promise<MessageHit[]>} findMessageHits
+ *  Finds the messages of a user with highlighted snippets of their text, best match first.
+ */
+
+/**
+ * @typedef {import('./snippets').SearchSnippet & { messageId: string, conversationId: string }} MessageHit
+ */
+
+/** The maximum number of results of a search */
+const SEARCH_LIMIT = 100;
+
+/** The maximum number of matching messages grouped into the conversations of a faceted search */
+const HITS_LIMIT = 1000;
+
+/** The maximum number of snippets of each conversation in a faceted search */
+const SNIPPETS_LIMIT = 3;
+
+/** @returns {boolean} Whether Meilisearch is configured */
+const isMeiliConfigured = () => !!(process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY);
+
+/**
+ * Returns the search backend of this instance: Meilisearch when it is configured,
+ * otherwise the MongoDB text indexes.
+ *
+ * @returns {SearchBackend}
+ */
+const getSearchBackend = () => (isMeiliConfigured() ? meiliBackend : mongoBackend);
+
+/**
+ * Checks whether search is enabled with the `SEARCH` variable and its backend is available.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function isSearchAvailable() {
+  if (!isEnabled(process.env.SEARCH)) {
+    return false;
+  }
+  try {
+    return await getSearchBackend().isAvailable();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Finds the messages of a user matching a search query.
+ *
+ * @param {string} user - The user ID.
+ * @param {string} q - The search query.
+ * @param {import('./filters').SearchFilters} [filters]
+ * @returns {Promise<TMessage[]>}
+ */
+const searchMessages = (user, q, filters) =>
+  getSearchBackend().searchMessages(user, q, filters, SEARCH_LIMIT);
+
+/**
+ * Finds the IDs of the conversations of a user whose titles match a search query.
+ *
+ * @param {string} user - The user ID.
+ * @param {string} q - The search query.
+ * @param {import('./filters').SearchFilters} [filters]
+ * @returns {Promise<string[]>}
+ */
+const searchConversations = (user, q, filters) =>
+  getSearchBackend().searchConversations(user, q, filters, SEARCH_LIMIT);
+
+/**
+ * Counts the values of a field of the conversations.
+ *
+ * @param {Array<Object>} conversations
+ * @param {string} field
+ * @returns {Record<string, number>}
+ */
+const countValues = (conversations, field) => {
+  const counts = {};
+  for (const convo of conversations) {
+    const value = convo[field];
+    if (value != null && value !== '') {
+      counts[value] = (counts[value] ?? 0) + 1;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Searches the messages of a user and groups them into conversations, each with snippets of
+ * its best matching messages, along with facet counts over all matching conversations.
+ * Tag facets follow the order of the user's conversation tags.
+ *
+ * @param {string} user - The user ID.
+ * @param {string} q - The search query.
+ * @param {import('./filters').SearchFilters} [filters]
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - The `nextCursor` of the previous page.
+ * @param {number} [options.limit=25] - The number of conversations per page.
+ */
+async function searchConversationHits(user, q, filters = {}, { cursor, limit = 25 } = {}) {
+  const hits = await getSearchBackend().findMessageHits(user, q, filters, HITS_LIMIT);
+
+  /** @type {Map<string, MessageHit[]>} Conversation IDs by best match first */
+  const hitsByConversation = new Map();
+  for (const hit of hits) {
+    const conversationHits = hitsByConversation.get(hit.conversationId) ?? [];
+    if (conversationHits.length < SNIPPETS_LIMIT) {
+      conversationHits.push(hit);
+    }
+    hitsByConversation.set(hit.conversationId, conversationHits);
+  }
+
+  const [conversations, tags] = await Promise.all([
+    Conversation.find({
+      user,
+      conversationId: { $in: [...hitsByConversation.keys()] },
+      deletedAt: null,
+      $or: [{ expiredAt: null }, { expiredAt: { $exists: false } }],
+    })
+      .select('conversationId title endpoint model agent_id tags updatedAt -_id')
+      .lean(),
+    getConversationTags(user),
+  ]);
+
+  const order = [...hitsByConversation.keys()];
+  conversations.sort((a, b) => order.indexOf(a.conversationId) - order.indexOf(b.conversationId));
+
+  const tagCounts = {};
+  for (const convo of conversations) {
+    for (const tag of convo.tags ?? []) {
+      tagCounts[tag] = (tagCounts[tag] ?? 0) + 1;
+    }
+  }
+
+  const offset = Math.max(parseInt(cursor, 10) || 0, 0);
+  const page = conversations.slice(offset, offset + limit);
+
+  return {
+    conversations: page.map((convo) => ({
+      ...convo,
+      snippets: hitsByConversation
+        .get(convo.conversationId)
+        .map(({ messageId, text, highlights }) => ({ messageId, text, highlights })),
+    })),
+    facets: {
+      endpoint: countValues(conversations, 'endpoint'),
+      model: countValues(conversations, 'model'),
+      agent_id: countValues(conversations, 'agent_id'),
+      tags: tags
+        .filter(({ tag }) => tagCounts[tag])
+        .map(({ tag, description }) => ({ tag, description, count: tagCounts[tag] })),
+    },
+    total: conversations.length,
+    nextCursor: offset + limit < conversations.length ? String(offset + limit) : null,
+  };
+}
+
+module.exports = {
+  getSearchBackend,
+  searchConversationHits,
+  isMeiliConfigured,
+  isSearchAvailable,
+  searchMessages,
+  parseSearchFilters,
+  searchConversations,
+};
@@ -0,0 +1,115 @@
+jest.mock('~/models/schema/convoSchema', () => ({ find: jest.fn() }));
+jest.mock('~/models/ConversationTag', () => ({ getConversationTags: jest.fn() }));
+jest.mock('./mongo', () => ({ name: 'mongo', findMessageHits: jest.fn() }));
+jest.mock('./meili', () => ({ name: 'meili' }));
+
+const Conversation = require('~/models/schema/convoSchema');
+const { getConversationTags } = require('~/models/ConversationTag');
+const { parseHighlights, createSnippet, HIGHLIGHT_START, HIGHLIGHT_END } = require('./snippets');
+const { findMessageHits } = require('./mongo');
+const { searchConversationHits } = require('.');
+
+const mockQuery = (result) => {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+};
+
+const hit = (messageId, conversationId) => ({
+  messageId,
+  conversationId,
+  text: `Text of ${messageId}`,
+  highlights: [{ start: 0, length: 4 }],
+});
+
+describe('searchConversationHits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findMessageHits.mockResolvedValue([
+      hit('m1', 'convo-b'),
+      hit('m2', 'convo-a'),
+      hit('m3', 'convo-b'),
+      hit('m4', 'convo-c'),
+    ]);
+    Conversation.find.mockReturnValue(
+      mockQuery([
+        { conversationId: 'convo-a', endpoint: 'openAI', model: 'gpt-4o', tags: ['work'] },
+        { conversationId: 'convo-b', endpoint: 'openAI', model: 'gpt-4o', tags: ['work', 'ideas'] },
+        { conversationId: 'convo-c', endpoint: 'agents', agent_id: 'agent_1', tags: [] },
+      ]),
+    );
+    getConversationTags.mockResolvedValue([
+      { tag: 'ideas', description: 'Later', position: 0 },
+      { tag: 'unused', position: 1 },
+      { tag: 'work', position: 2 },
+    ]);
+  });
+
+  it('groups message hits into conversations by best match with facet counts', async () => {
+    const result = await searchConversationHits('user-1', 'text', { model: 'gpt-4o' });
+
+    expect(findMessageHits).toHaveBeenCalledWith('user-1', 'text', { model: 'gpt-4o' }, 1000);
+    expect(result.conversations.map((convo) => convo.conversationId)).toEqual([
+      'convo-b',
+      'convo-a',
+      'convo-c',
+    ]);
+    expect(result.conversations[0].snippets).toEqual([
+      { messageId: 'm1', text: 'Text of m1', highlights: [{ start: 0, length: 4 }] },
+      { messageId: 'm3', text: 'Text of m3', highlights: [{ start: 0, length: 4 }] },
+    ]);
+    expect(result.facets).toEqual({
+      endpoint: { openAI: 2, agents: 1 },
+      model: { 'gpt-4o': 2 },
+      agent_id: { agent_1: 1 },
+      tags: [
+        { tag: 'ideas', description: 'Later', count: 1 },
+        { tag: 'work', description: undefined, count: 2 },
+      ],
+    });
+    expect(result.total).toBe(3);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  it('pages through the conversations with a cursor', async () => {
+    const first = await searchConversationHits('user-1', 'text', {}, { limit: 2 });
+    expect(first.conversations).toHaveLength(2);
+    expect(first.nextCursor).toBe('2');
+
+    const second = await searchConversationHits('user-1', 'text', {}, { cursor: '2', limit: 2 });
+    expect(second.conversations.map((convo) => convo.conversationId)).toEqual(['convo-c']);
+    expect(second.nextCursor).toBeNull();
+    expect(second.facets.endpoint).toEqual({ openAI: 2, agents: 1 });
+  });
+});
+
+describe('snippets', () => {
+  it('converts highlight markers into match positions', () => {
+    expect(
+      parseHighlights(
+        `…the ${HIGHLIGHT_START}quick${HIGHLIGHT_END} brown ${HIGHLIGHT_START}fox${HIGHLIGHT_END}`,
+      ),
+    ).toEqual({
+      text: '…the quick brown fox',
+      highlights: [
+        { start: 5, length: 5 },
+        { start: 17, length: 3 },
+      ],
+    });
+  });
+
+  it('crops long text around the first match and highlights every term', () => {
+    const text = `${'lorem '.repeat(50)}the Quick brown fox jumps over the quick dog${' ipsum'.repeat(50)}`;
+
+    const snippet = createSnippet(text, 'quick "fox"');
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    const matches = snippet.highlights.map(({ start, length }) =>
+      snippet.text.slice(start, start + length),
+    );
+    expect(matches).toEqual(['Quick', 'fox', 'quick']);
+  });
+});
@@ -0,0 +1,121 @@
+const { MeiliSearch } = require('meilisearch');
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+const { cleanUpPrimaryKeyValue } = require('~/lib/utils/misc');
+const { HIGHLIGHT_START, HIGHLIGHT_END, parseHighlights } = require('./snippets');
+const {
+  getMessageFilter,
+  getConversationFilter,
+  getFilteredConversationIds,
+} = require('./filters');
+
+/**
+ * Orders documents by the position of their key in the search hits.
+ *
+ * @template T
+ * @param {T[]} docs
+ * @param {string[]} ids - The keys of the search hits, best match first.
+ * @param {string} key
+ * @returns {T[]}
+ */
+const sortByHits = (docs, ids, key) =>
+  docs.sort((a, b) => ids.indexOf(a[key]) - ids.indexOf(b[key]));
+
+/**
+ * Quotes a value for a MeiliSearch filter expression.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Builds the MeiliSearch filter for the indexed messages of a user that match the search filters,
+ * using the filterable attributes of the messages index.
+ *
+ * @param {string} user - The user ID.
+ * @param {import('./filters').SearchFilters} filters
+ * @param {string[]} [conversationIds] - Only match messages in these conversations.
+ * @returns {string}
+ */
+const getMeiliFilter = (user, { endpoint, model, from, to }, conversationIds) => {
+  const filter = [`user = ${quote(user)}`];
+  if (endpoint) {
+    filter.push(`endpoint = ${quote(endpoint)}`);
+  }
+  if (model) {
+    filter.push(`model = ${quote(model)}`);
+  }
+  if (from) {
+    filter.push(`createdAt >= ${Math.floor(from.getTime() / 1000)}`);
+  }
+  if (to) {
+    filter.push(`createdAt <= ${Math.floor(to.getTime() / 1000)}`);
+  }
+  if (conversationIds) {
+    const ids = conversationIds.map((id) => quote(id.replace(/\|/g, '--')));
+    filter.push(`conversationId IN [${ids.join(', ')}]`);
+  }
+  return filter.join(' AND ');
+};
+
+/**
+ * Search backend built on the `mongoMeili` plugin. Meilisearch finds the matching documents,
+ * which are then loaded from MongoDB to scope them to the user and apply the search filters.
+ *
+ * @type {SearchBackend}
+ */
+const meiliBackend = {
+  name: 'meili',
+  isAvailable: async () => {
+    const client = new MeiliSearch({
+      host: process.env.MEILI_HOST,
+      apiKey: process.env.MEILI_MASTER_KEY,
+    });
+    const { status } = await client.health();
+    return status === 'available';
+  },
+  searchMessages: async (user, q, filters, limit) => {
+    const { hits } = await Message.meiliSearch(q, { limit });
+    const messageIds = hits.map((hit) => hit.messageId);
+    const filter = await getMessageFilter(user, filters);
+    const messages = await Message.find({ ...filter, messageId: { $in: messageIds } }).lean();
+    return sortByHits(messages, messageIds, 'messageId');
+  },
+  searchConversations: async (user, q, filters, limit) => {
+    const { hits } = await Conversation.meiliSearch(q, { limit });
+    const conversationIds = hits.map((hit) => cleanUpPrimaryKeyValue(hit.conversationId));
+    const conversations = await Conversation.find({
+      ...getConversationFilter(user, filters),
+      conversationId: { $in: conversationIds },
+    })
+      .select('conversationId')
+      .lean();
+    return sortByHits(conversations, conversationIds, 'conversationId').map(
+      (convo) => convo.conversationId,
+    );
+  },
+  findMessageHits: async (user, q, filters = {}, limit) => {
+    const conversationIds = await getFilteredConversationIds(user, filters);
+    if (conversationIds?.length === 0) {
+      return [];
+    }
+    const { hits } = await Message.meiliSearch(q, {
+      filter: getMeiliFilter(user, filters, conversationIds),
+      limit,
+      attributesToRetrieve: ['messageId', 'conversationId'],
+      attributesToHighlight: ['text'],
+      attributesToCrop: ['text'],
+      cropLength: 30,
+      highlightPreTag: HIGHLIGHT_START,
+      highlightPostTag: HIGHLIGHT_END,
+    });
+    return hits.map((hit) => ({
+      messageId: hit.messageId,
+      conversationId: cleanUpPrimaryKeyValue(hit.conversationId),
+      ...parseHighlights(hit._formatted?.text ?? ''),
+    }));
+  },
+};
+
+module.exports = meiliBackend;
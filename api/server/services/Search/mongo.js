@@ -0,0 +1,53 @@
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+const { parseTextParts } = require('librechat-data-provider');
+const { getMessageFilter, getConversationFilter } = require('./filters');
+const { createSnippet } = require('./snippets');
+
+const textScore = { score: { $meta: 'textScore' } };
+
+/**
+ * Search backend built on the MongoDB text indexes of messages and conversations,
+ * used when Meilisearch is not configured.
+ *
+ * @type {SearchBackend}
+ */
+const mongoBackend = {
+  name: 'mongo',
+  isAvailable: async () => true,
+  searchMessages: async (user, q, filters, limit) => {
+    const filter = await getMessageFilter(user, filters);
+    const messages = await Message.find({ ...filter, $text: { $search: q } }, textScore)
+      .sort(textScore)
+      .limit(limit)
+      .lean();
+    return messages.map(({ score: _score, ...message }) => message);
+  },
+  searchConversations: async (user, q, filters, limit) => {
+    const conversations = await Conversation.find(
+      { ...getConversationFilter(user, filters), $text: { $search: q } },
+      { conversationId: 1, ...textScore },
+    )
+      .sort(textScore)
+      .limit(limit)
+      .lean();
+    return conversations.map((convo) => convo.conversationId);
+  },
+  findMessageHits: async (user, q, filters, limit) => {
+    const filter = await getMessageFilter(user, filters);
+    const messages = await Message.find(
+      { ...filter, $text: { $search: q } },
+      { messageId: 1, conversationId: 1, text: 1, content: 1, ...textScore },
+    )
+      .sort(textScore)
+      .limit(limit)
+      .lean();
+    return messages.map(({ messageId, conversationId, text, content }) => ({
+      messageId,
+      conversationId,
+      ...createSnippet(Array.isArray(content) ? parseTextParts(content) : (text ?? ''), q),
+    }));
+  },
+};
+
+module.exports = mongoBackend;
@@ -0,0 +1,115 @@
+jest.mock('~/models/schema/messageSchema', () => ({ find: jest.fn() }));
+jest.mock('~/models/schema/convoSchema', () => ({ find: jest.fn() }));
+jest.mock('./meili', () => ({ name: 'meili' }));
+
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+const { getSearchBackend, parseSearchFilters, searchMessages, searchConversations } = require('.');
+
+/** Resolves `lean()` with `result`; every other query method chains */
+const mockQuery = (result) => {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+    distinct: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+};
+
+const textScore = { score: { $meta: 'textScore' } };
+
+describe('Search', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MEILI_HOST;
+    delete process.env.MEILI_MASTER_KEY;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('uses Meilisearch only when it is configured', () => {
+    expect(getSearchBackend().name).toBe('mongo');
+
+    process.env.MEILI_HOST = 'http://localhost:7700';
+    process.env.MEILI_MASTER_KEY = 'key';
+    expect(getSearchBackend().name).toBe('meili');
+  });
+
+  it('parses the filters of the query string and ignores invalid values', () => {
+    expect(
+      parseSearchFilters({
+        endpoint: 'openAI',
+        model: ['gpt-4o', 'gpt-4'],
+        from: '2024-01-01',
+        to: 'yesterday',
+        tag: 'work',
+      }),
+    ).toEqual({
+      endpoint: 'openAI',
+      model: undefined,
+      from: new Date('2024-01-01'),
+      to: undefined,
+      tag: 'work',
+    });
+  });
+
+  describe('MongoDB backend', () => {
+    it('searches the messages of the user by relevance', async () => {
+      const query = mockQuery([{ messageId: 'm1', text: 'Hello world', score: 1.5 }]);
+      Message.find.mockReturnValue(query);
+
+      const messages = await searchMessages('user-1', 'hello');
+
+      expect(Message.find).toHaveBeenCalledWith(
+        { user: 'user-1', $text: { $search: 'hello' } },
+        textScore,
+      );
+      expect(query.sort).toHaveBeenCalledWith(textScore);
+      expect(query.limit).toHaveBeenCalledWith(100);
+      expect(messages).toEqual([{ messageId: 'm1', text: 'Hello world' }]);
+    });
+
+    it('applies the endpoint, model, date and tag filters to messages', async () => {
+      Conversation.find.mockReturnValue(mockQuery(['convo-1']));
+      Message.find.mockReturnValue(mockQuery([]));
+      const from = new Date('2024-01-01');
+
+      await searchMessages('user-1', 'hello', {
+        endpoint: 'openAI',
+        model: 'gpt-4o',
+        from,
+        tag: 'work',
+      });
+
+      expect(Conversation.find).toHaveBeenCalledWith({ user: 'user-1', tags: 'work' });
+      expect(Message.find.mock.calls[0][0]).toEqual({
+        user: 'user-1',
+        endpoint: 'openAI',
+        model: 'gpt-4o',
+        createdAt: { $gte: from },
+        conversationId: { $in: ['convo-1'] },
+        $text: { $search: 'hello' },
+      });
+    });
+
+    it('searches conversation titles', async () => {
+      Conversation.find.mockReturnValue(
+        mockQuery([{ conversationId: 'convo-2' }, { conversationId: 'convo-1' }]),
+      );
+      const to = new Date('2024-02-01');
+
+      const conversationIds = await searchConversations('user-1', 'plans', { to, tag: 'work' });
+
+      expect(Conversation.find).toHaveBeenCalledWith(
+        { user: 'user-1', updatedAt: { $lte: to }, tags: 'work', $text: { $search: 'plans' } },
+        { conversationId: 1, ...textScore },
+      );
+      expect(conversationIds).toEqual(['convo-2', 'convo-1']);
+    });
+  });
+});
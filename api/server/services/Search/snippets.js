@@ -0,0 +1,96 @@
+/**
+ * Marks the start and end of highlighted matches in search results. Private-use characters
+ * cannot clash with message text, unlike HTML tags, which would also need escaping.
+ */
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+/** The approximate number of characters of message text around the first match */
+const SNIPPET_LENGTH = 160;
+
+/**
+ * @typedef {Object} SearchSnippet
+ * @property {string} text - An excerpt of the message text around its matches.
+ * @property {Array<{ start: number, length: number }>} highlights - The matches in `text`.
+ */
+
+/**
+ * Converts text with highlight markers into a snippet.
+ *
+ * @param {string} marked - The text, with matches wrapped in `HIGHLIGHT_START` and `HIGHLIGHT_END`.
+ * @returns {SearchSnippet}
+ */
+function parseHighlights(marked) {
+  const highlights = [];
+  let text = '';
+  let start = -1;
+  for (const char of marked) {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_END && start !== -1) {
+      highlights.push({ start, length: text.length - start });
+      start = -1;
+    } else if (char !== HIGHLIGHT_END) {
+      text += char;
+    }
+  }
+  return { text, highlights };
+}
+
+/**
+ * Crops message text around the first term of a search query it contains and highlights the terms.
+ * Terms are matched literally, so stemmed matches of a text index are shown without highlights.
+ *
+ * @param {string} text - The message text.
+ * @param {string} q - The search query.
+ * @returns {SearchSnippet}
+ */
+function createSnippet(text, q) {
+  const terms = q
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/^-|"/g, ''))
+    .filter(Boolean);
+  const lowerText = text.toLowerCase();
+
+  const positions = terms.map((term) => lowerText.indexOf(term)).filter((index) => index !== -1);
+  const firstMatch = positions.length ? Math.min(...positions) : 0;
+
+  let start = Math.max(0, firstMatch - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    const wordStart = text.indexOf(' ', start);
+    start = wordStart !== -1 && wordStart < firstMatch ? wordStart + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const lowerSnippet = snippet.toLowerCase();
+  const highlights = [];
+  for (const term of terms) {
+    let index = lowerSnippet.indexOf(term);
+    while (index !== -1) {
+      highlights.push({ start: index, length: term.length });
+      index = lowerSnippet.indexOf(term, index + term.length);
+    }
+  }
+  highlights.sort((a, b) => a.start - b.start || b.length - a.length);
+
+  /** Drops matches of shorter terms inside longer ones, e.g. "use" in "user" */
+  const distinct = [];
+  for (const highlight of highlights) {
+    const previous = distinct[distinct.length - 1];
+    if (!previous || highlight.start >= previous.start + previous.length) {
+      distinct.push(highlight);
+    }
+  }
+
+  return { text: snippet, highlights: distinct };
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  parseHighlights,
+  createSnippet,
+};
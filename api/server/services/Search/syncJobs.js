@@ -0,0 +1,189 @@
+const { v4: uuidv4 } = require('uuid');
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+const {
+  createSearchSyncJob,
+  updateSearchSyncJob,
+  finishSearchSyncJob,
+  getActiveSearchSyncJob,
+  getSearchSyncWatermark,
+} = require('~/models/SearchSyncJob');
+const { logger } = require('~/config');
+
+const DEFAULT_BATCH_SIZE = 1000;
+const MAX_BATCH_SIZE = 10000;
+const MAX_THROTTLE_MS = 60 * 1000;
+
+/** Jobs that go this long without progress are considered stopped, e.g. by a restart */
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+/** The indexes to sync, in order, by the key of their progress */
+const syncedModels = {
+  messages: Message,
+  convos: Conversation,
+};
+
+class SearchSyncError extends Error {
+  /**
+   * @param {string} message
+   * @param {'NOT_CONFIGURED' | 'INVALID_PARAMS'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'SearchSyncError';
+    this.code = code;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} defaultValue
+ * @param {number} min
+ * @param {number} max
+ * @param {string} name
+ * @returns {number}
+ */
+const parseLimit = (value, defaultValue, min, max, name) => {
+  if (value == null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new SearchSyncError(`${name} must be an integer from ${min} to ${max}`, 'INVALID_PARAMS');
+  }
+  return number;
+};
+
+/**
+ * Lists the attributes each index is synced with, to tell whether the last sync is still current.
+ * @returns {{ messages: string[], convos: string[] }}
+ */
+const getIndexedAttributes = () =>
+  Object.fromEntries(
+    Object.entries(syncedModels).map(([key, model]) => [key, model.getMeiliAttributes()]),
+  );
+
+/**
+ * Whether a sync of the current index attributes has completed. After an upgrade that indexes
+ * new attributes, documents indexed before it lack them and need a full sync.
+ * @returns {Promise<boolean>}
+ */
+async function isSearchIndexCurrent() {
+  return (await getSearchSyncWatermark(getIndexedAttributes())) != null;
+}
+
+/**
+ * Syncs the indexes of a job one after the other, recording the progress after each batch.
+ *
+ * @param {ISearchSyncJob} job
+ * @param {(job: ISearchSyncJob) => void} [onProgress] - Called with the job after each update.
+ * @returns {Promise<void>}
+ */
+async function runSearchSyncJob(job, onProgress) {
+  const { jobId, since, batchSize, throttleMs } = job;
+  /** Documents updated while the job runs are picked up by the next incremental sync */
+  const watermark = new Date();
+
+  try {
+    logger.info(`[searchSync] Job ${jobId} started (${job.mode})`);
+    await updateSearchSyncJob(jobId, { status: 'running' });
+
+    for (const [key, model] of Object.entries(syncedModels)) {
+      await model.syncWithMeili({
+        since,
+        batchSize,
+        throttleMs,
+        onProgress: async (progress) => {
+          const updated = await updateSearchSyncJob(jobId, {
+            $set: { [`progress.${key}`]: progress },
+          });
+          onProgress?.(updated);
+        },
+      });
+    }
+
+    const updated = await finishSearchSyncJob(jobId, {
+      status: 'completed',
+      watermark,
+      finishedAt: new Date(),
+    });
+    onProgress?.(updated);
+    logger.info(`[searchSync] Job ${jobId} completed`);
+  } catch (error) {
+    logger.error(`[searchSync] Job ${jobId} failed`, error);
+    try {
+      const updated = await finishSearchSyncJob(jobId, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date(),
+      });
+      onProgress?.(updated);
+    } catch (err) {
+      logger.error(`[searchSync] Error recording the failure of job ${jobId}`, err);
+    }
+  }
+}
+
+/**
+ * Starts a background job that syncs the Meilisearch indexes with MongoDB, unless one is
+ * already running. Incremental syncs index the documents updated since the last completed
+ * job, and fall back to a full sync if there is none with the current index attributes.
+ *
+ * @param {Object} [options]
+ * @param {'full' | 'incremental'} [options.mode='incremental']
+ * @param {number | string} [options.batchSize] - The number of documents per batch.
+ * @param {number | string} [options.throttleMs] - The delay between batches, in milliseconds.
+ * @param {string} [options.requestedBy] - The ID of the admin starting the job.
+ * @param {(job: ISearchSyncJob) => void} [options.onProgress] - Called with the job after each update.
+ * @returns {Promise<{ job: ISearchSyncJob, started: boolean, finished: Promise<void> }>}
+ *  The new job, or the running one with `started: false`.
+ * @throws {SearchSyncError} If Meilisearch is not configured or the options are invalid.
+ */
+async function startSearchSyncJob({
+  mode = 'incremental',
+  batchSize,
+  throttleMs,
+  requestedBy,
+  onProgress,
+} = {}) {
+  if (typeof Message.syncWithMeili !== 'function') {
+    throw new SearchSyncError('Meilisearch is not configured', 'NOT_CONFIGURED');
+  }
+  if (mode !== 'full' && mode !== 'incremental') {
+    throw new SearchSyncError(`Invalid sync mode: ${mode}`, 'INVALID_PARAMS');
+  }
+  const options = {
+    batchSize: parseLimit(batchSize, DEFAULT_BATCH_SIZE, 1, MAX_BATCH_SIZE, 'batchSize'),
+    throttleMs: parseLimit(throttleMs, 0, 0, MAX_THROTTLE_MS, 'throttleMs'),
+  };
+
+  const active = await getActiveSearchSyncJob(STALE_AFTER_MS);
+  if (active) {
+    return { job: active, started: false, finished: Promise.resolve() };
+  }
+
+  const indexedAttributes = getIndexedAttributes();
+  const since =
+    mode === 'incremental' ? await getSearchSyncWatermark(indexedAttributes) : undefined;
+  const job = await createSearchSyncJob({
+    jobId: uuidv4(),
+    mode: since ? 'incremental' : 'full',
+    since,
+    requestedBy,
+    indexedAttributes,
+    ...options,
+  });
+  if (!job) {
+    /** Another server started a job since the check above */
+    const running = await getActiveSearchSyncJob(STALE_AFTER_MS);
+    return { job: running, started: false, finished: Promise.resolve() };
+  }
+  const finished = runSearchSyncJob(job, onProgress);
+  return { job, started: true, finished };
+}
+
+module.exports = {
+  SearchSyncError,
+  startSearchSyncJob,
+  isSearchIndexCurrent,
+};
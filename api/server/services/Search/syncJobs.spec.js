@@ -0,0 +1,160 @@
+jest.mock('~/models/schema/messageSchema', () => ({
+  syncWithMeili: jest.fn(),
+  getMeiliAttributes: jest.fn(() => ['conversationId', 'messageId', 'text', 'user']),
+}));
+jest.mock('~/models/schema/convoSchema', () => ({
+  syncWithMeili: jest.fn(),
+  getMeiliAttributes: jest.fn(() => ['conversationId', 'title', 'user']),
+}));
+jest.mock('~/models/SearchSyncJob', () => ({
+  createSearchSyncJob: jest.fn(async (data) => ({ ...data, status: 'pending' })),
+  updateSearchSyncJob: jest.fn(async (jobId, update) => ({ jobId, ...update })),
+  finishSearchSyncJob: jest.fn(async (jobId, update) => ({ jobId, ...update })),
+  getActiveSearchSyncJob: jest.fn(),
+  getSearchSyncWatermark: jest.fn(),
+}));
+jest.mock('~/config', () => ({
+  logger: { info: jest.fn(), error: jest.fn() },
+}));
+
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+const {
+  createSearchSyncJob,
+  updateSearchSyncJob,
+  finishSearchSyncJob,
+  getActiveSearchSyncJob,
+  getSearchSyncWatermark,
+} = require('~/models/SearchSyncJob');
+const { startSearchSyncJob, isSearchIndexCurrent } = require('./syncJobs');
+
+const progress = { total: 2, processed: 2, deleted: 0 };
+const indexedAttributes = {
+  messages: ['conversationId', 'messageId', 'text', 'user'],
+  convos: ['conversationId', 'title', 'user'],
+};
+
+describe('startSearchSyncJob', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getActiveSearchSyncJob.mockResolvedValue(null);
+    getSearchSyncWatermark.mockResolvedValue(undefined);
+    Message.syncWithMeili.mockImplementation(async ({ onProgress }) => {
+      await onProgress(progress);
+      return progress;
+    });
+    Conversation.syncWithMeili.mockResolvedValue(progress);
+  });
+
+  it('syncs the messages and conversations in the background and records progress', async () => {
+    const { job, started, finished } = await startSearchSyncJob({ batchSize: '500' });
+
+    expect(started).toBe(true);
+    expect(job).toMatchObject({ mode: 'full', since: undefined, batchSize: 500, throttleMs: 0 });
+    await finished;
+
+    expect(Message.syncWithMeili).toHaveBeenCalledWith(
+      expect.objectContaining({ since: undefined, batchSize: 500, throttleMs: 0 }),
+    );
+    expect(Conversation.syncWithMeili).toHaveBeenCalled();
+    expect(updateSearchSyncJob).toHaveBeenCalledWith(job.jobId, {
+      $set: { 'progress.messages': progress },
+    });
+    expect(finishSearchSyncJob).toHaveBeenCalledWith(job.jobId, {
+      status: 'completed',
+      watermark: expect.any(Date),
+      finishedAt: expect.any(Date),
+    });
+  });
+
+  it('continues from the watermark of the last completed sync', async () => {
+    const since = new Date('2024-01-01T00:00:00Z');
+    getSearchSyncWatermark.mockResolvedValue(since);
+
+    const { job, finished } = await startSearchSyncJob({ mode: 'incremental', throttleMs: 100 });
+    await finished;
+
+    expect(getSearchSyncWatermark).toHaveBeenCalledWith(indexedAttributes);
+    expect(job).toMatchObject({ mode: 'incremental', since, throttleMs: 100, indexedAttributes });
+    expect(Conversation.syncWithMeili).toHaveBeenCalledWith(
+      expect.objectContaining({ since, throttleMs: 100 }),
+    );
+
+    await startSearchSyncJob({ mode: 'full' });
+    expect(createSearchSyncJob).toHaveBeenLastCalledWith(
+      expect.objectContaining({ mode: 'full', since: undefined }),
+    );
+  });
+
+  it('reindexes every document once the indexed attributes change', async () => {
+    /** Completed before `user` was indexed, e.g. before an upgrade */
+    const completedJobs = [{ watermark: new Date('2024-01-01T00:00:00Z') }];
+    getSearchSyncWatermark.mockImplementation(
+      async (attributes) =>
+        completedJobs.find(
+          (job) => JSON.stringify(job.indexedAttributes) === JSON.stringify(attributes),
+        )?.watermark,
+    );
+    await expect(isSearchIndexCurrent()).resolves.toBe(false);
+
+    const { job, finished } = await startSearchSyncJob({ mode: 'incremental' });
+    await finished;
+
+    expect(job).toMatchObject({ mode: 'full', since: undefined, indexedAttributes });
+    expect(Message.syncWithMeili).toHaveBeenCalledWith(
+      expect.objectContaining({ since: undefined }),
+    );
+
+    completedJobs.push({ watermark: new Date(), indexedAttributes: job.indexedAttributes });
+    await expect(isSearchIndexCurrent()).resolves.toBe(true);
+  });
+
+  it('returns the running job instead of starting another', async () => {
+    const active = { jobId: 'running-job', status: 'running' };
+    getActiveSearchSyncJob.mockResolvedValue(active);
+
+    const { job, started } = await startSearchSyncJob();
+
+    expect(started).toBe(false);
+    expect(job).toBe(active);
+    expect(createSearchSyncJob).not.toHaveBeenCalled();
+  });
+
+  it('returns the job another server started at the same time', async () => {
+    const active = { jobId: 'other-job', status: 'pending' };
+    getActiveSearchSyncJob.mockResolvedValueOnce(null).mockResolvedValueOnce(active);
+    createSearchSyncJob.mockResolvedValueOnce(null);
+
+    const { job, started } = await startSearchSyncJob();
+
+    expect(started).toBe(false);
+    expect(job).toBe(active);
+    expect(Message.syncWithMeili).not.toHaveBeenCalled();
+  });
+
+  it('records failures', async () => {
+    Conversation.syncWithMeili.mockRejectedValue(new Error('Meilisearch is down'));
+
+    const { job, finished } = await startSearchSyncJob();
+    await finished;
+
+    expect(finishSearchSyncJob).toHaveBeenCalledWith(job.jobId, {
+      status: 'failed',
+      error: 'Meilisearch is down',
+      finishedAt: expect.any(Date),
+    });
+  });
+
+  it('rejects invalid options', async () => {
+    await expect(startSearchSyncJob({ mode: 'partial' })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+    await expect(startSearchSyncJob({ batchSize: 0 })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+    await expect(startSearchSyncJob({ throttleMs: 'slow' })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+    });
+    expect(createSearchSyncJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,168 @@
+const { GraphEvents } = require('@librechat/agents');
+const { Time, CacheKeys, StepTypes } = require('librechat-data-provider');
+const { logger, getFlowStateManager, sendEvent } = require('~/config');
+const { createToolCall } = require('~/models/ToolCall');
+const { getLogStores } = require('~/cache');
+
+const APPROVAL_FLOW_TYPE = 'tool_approval';
+
+/** The decisions recorded on the `ToolCall` of a call that required an approval */
+const ToolApprovalStatus = {
+  approved: 'approved',
+  rejected: 'rejected',
+  /** No decision was made before the request expired */
+  timed_out: 'timed_out',
+};
+
+/** How long a tool call waits for the user before it is rejected; shorter than the flow TTL */
+const APPROVAL_TIMEOUT = Time.TWO_MINUTES;
+
+/**
+ * @param {string} userId
+ * @param {string} toolCallId
+ * @returns {string}
+ */
+const getApprovalFlowId = (userId, toolCallId) => `${userId}:${toolCallId}`;
+
+/**
+ * Streams an approval request for the tool call, then waits for the user to decide on it.
+ * The decision is recorded on a `ToolCall` document.
+ *
+ * @param {Object} params
+ * @param {ServerResponse} params.res
+ * @param {string} params.userId
+ * @param {string} params.name - The name of the tool.
+ * @param {GraphRunnableConfig} params.config - The config the tool was called with.
+ * @returns {Promise<string>} One of `ToolApprovalStatus`.
+ */
+async function requestApproval({ res, userId, name, config }) {
+  const { args: _args, stepId, ...toolCall } = config?.toolCall ?? {};
+  if (!stepId || !toolCall.id) {
+    throw new Error('Tool call is missing stepId');
+  }
+
+  /** @type {{ id: string; delta: AgentToolCallDelta }} */
+  const data = {
+    id: stepId,
+    delta: {
+      type: StepTypes.TOOL_CALLS,
+      tool_calls: [{ ...toolCall, args: '' }],
+      requires_approval: true,
+      expires_at: Date.now() + APPROVAL_TIMEOUT,
+    },
+  };
+
+  const timeoutSignal = AbortSignal.timeout(APPROVAL_TIMEOUT);
+  const signal = config.signal ? AbortSignal.any([config.signal, timeoutSignal]) : timeoutSignal;
+  const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+  const decision = flowManager.createFlow(
+    getApprovalFlowId(userId, toolCall.id),
+    APPROVAL_FLOW_TYPE,
+    { name },
+    signal,
+  );
+  sendEvent(res, { event: GraphEvents.ON_RUN_STEP_DELTA, data });
+  logger.debug('[ToolApproval] Waiting for the user to approve the tool call', {
+    name,
+    toolCallId: toolCall.id,
+  });
+
+  let status;
+  try {
+    const result = await decision;
+    status = result.approved === true ? ToolApprovalStatus.approved : ToolApprovalStatus.rejected;
+  } catch (error) {
+    if (!timeoutSignal.aborted) {
+      throw error;
+    }
+    status = ToolApprovalStatus.timed_out;
+  }
+
+  data.delta.requires_approval = false;
+  data.delta.expires_at = undefined;
+  sendEvent(res, { event: GraphEvents.ON_RUN_STEP_DELTA, data });
+
+  createToolCall({
+    conversationId: config.metadata?.thread_id,
+    messageId: config.metadata?.run_id,
+    toolId: name,
+    user: userId,
+    approval: {
+      toolCallId: toolCall.id,
+      status,
+      decidedAt: new Date(),
+    },
+  }).catch((error) => {
+    logger.error('[ToolApproval] Error recording the tool call decision', error);
+  });
+
+  return status;
+}
+
+/**
+ * Makes the tool wait for the user to approve each of its calls before running.
+ * Rejected and expired calls never reach the tool; the model is told why instead.
+ * Calls from agents running in parallel are rejected right away, as their run steps are not
+ * streamed and the user would never see the approval request.
+ *
+ * @param {Object} params
+ * @param {StructuredTool} params.tool - The tool, as passed to the agent run.
+ * @param {ServerResponse} params.res
+ * @param {string} params.userId
+ * @returns {StructuredTool} The same tool.
+ */
+function requireApproval({ tool, res, userId }) {
+  const _call = tool._call.bind(tool);
+  /** @param {string} message */
+  const notRun = (message) =>
+    tool.responseFormat === 'content_and_artifact' ? [message, undefined] : message;
+
+  tool._call = async (input, runManager, config) => {
+    if (config?.configurable?.parallel_branch === true) {
+      logger.debug('[ToolApproval] Rejected a tool call from an agent running in parallel', {
+        name: tool.name,
+      });
+      return notRun(
+        'This tool requires an approval from the user, which agents running in parallel cannot ask for, so it was not run.',
+      );
+    }
+
+    const status = await requestApproval({ res, userId, name: tool.name, config });
+    if (status === ToolApprovalStatus.approved) {
+      return _call(input, runManager, config);
+    }
+
+    return notRun(
+      status === ToolApprovalStatus.timed_out
+        ? 'The user did not approve this tool call in time, so it was not run.'
+        : 'The user rejected this tool call, so it was not run.',
+    );
+  };
+  return tool;
+}
+
+/**
+ * Records the user's decision on a tool call that is waiting for one.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.toolCallId
+ * @param {boolean} params.approved
+ * @returns {Promise<boolean>} Whether a tool call of the user was waiting for the decision.
+ */
+async function decideToolCall({ userId, toolCallId, approved }) {
+  const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+  const flowId = getApprovalFlowId(userId, toolCallId);
+  const flowState = await flowManager.getFlowState(flowId, APPROVAL_FLOW_TYPE);
+  if (flowState?.status !== 'PENDING') {
+    return false;
+  }
+  return flowManager.completeFlow(flowId, APPROVAL_FLOW_TYPE, { approved });
+}
+
+module.exports = {
+  APPROVAL_TIMEOUT,
+  ToolApprovalStatus,
+  requireApproval,
+  decideToolCall,
+};
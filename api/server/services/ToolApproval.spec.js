@@ -0,0 +1,163 @@
+const mockFlows = new Map();
+const mockFlowManager = {
+  createFlow: jest.fn(
+    (flowId, type, _metadata, signal) =>
+      new Promise((resolve, reject) => {
+        mockFlows.set(`${type}:${flowId}`, { status: 'PENDING', resolve });
+        signal?.addEventListener('abort', () => reject(new Error(`${type} flow aborted`)));
+      }),
+  ),
+  getFlowState: jest.fn(async (flowId, type) => mockFlows.get(`${type}:${flowId}`) ?? null),
+  completeFlow: jest.fn(async (flowId, type, result) => {
+    const flow = mockFlows.get(`${type}:${flowId}`);
+    if (!flow) {
+      return false;
+    }
+    flow.status = 'COMPLETED';
+    flow.resolve(result);
+    return true;
+  }),
+};
+
+jest.mock('~/config', () => ({
+  logger: { debug: jest.fn(), error: jest.fn() },
+  sendEvent: jest.fn(),
+  getFlowStateManager: jest.fn(() => mockFlowManager),
+}));
+jest.mock('~/cache', () => ({
+  getLogStores: jest.fn(),
+}));
+jest.mock('~/models/ToolCall', () => ({
+  createToolCall: jest.fn(),
+}));
+
+const { z } = require('zod');
+const { tool } = require('@langchain/core/tools');
+const { sendEvent } = require('~/config');
+const { createToolCall } = require('~/models/ToolCall');
+const { requireApproval, decideToolCall, ToolApprovalStatus } = require('./ToolApproval');
+
+const waitForRequest = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('ToolApproval', () => {
+  const res = {};
+  const userId = 'user-1';
+  const toolCall = {
+    id: 'call_1',
+    name: 'create_ticket',
+    args: { title: 'Outage' },
+    type: 'tool_call',
+    stepId: 'step_1',
+  };
+  const config = { metadata: { thread_id: 'convo-1', run_id: 'msg-1' } };
+
+  let createTicket;
+  let ticketTool;
+
+  beforeEach(() => {
+    mockFlows.clear();
+    createTicket = jest.fn(async ({ title }) => `Created "${title}"`);
+    ticketTool = tool(createTicket, {
+      name: 'create_ticket',
+      description: 'Creates a ticket',
+      schema: z.object({ title: z.string() }),
+    });
+    createToolCall.mockResolvedValue({});
+  });
+
+  it('runs the tool once the user approves the call', async () => {
+    requireApproval({ tool: ticketTool, res, userId });
+    const pending = ticketTool.invoke(toolCall, config);
+    await waitForRequest();
+
+    expect(createTicket).not.toHaveBeenCalled();
+    expect(sendEvent).toHaveBeenCalledTimes(1);
+    const { data } = sendEvent.mock.calls[0][1];
+    expect(data.id).toBe('step_1');
+    expect(data.delta.requires_approval).toBe(true);
+    expect(data.delta.expires_at).toBeGreaterThan(Date.now());
+    expect(data.delta.tool_calls).toEqual([
+      { id: 'call_1', name: 'create_ticket', type: 'tool_call', args: '' },
+    ]);
+
+    await expect(decideToolCall({ userId, toolCallId: 'call_1', approved: true })).resolves.toBe(
+      true,
+    );
+    const output = await pending;
+
+    expect(output.content).toBe('Created "Outage"');
+    expect(createTicket).toHaveBeenCalledTimes(1);
+    expect(sendEvent.mock.calls[1][1].data.delta.requires_approval).toBe(false);
+    expect(createToolCall).toHaveBeenCalledWith({
+      conversationId: 'convo-1',
+      messageId: 'msg-1',
+      toolId: 'create_ticket',
+      user: userId,
+      approval: {
+        toolCallId: 'call_1',
+        status: ToolApprovalStatus.approved,
+        decidedAt: expect.any(Date),
+      },
+    });
+  });
+
+  it('tells the model the call was rejected without running the tool', async () => {
+    requireApproval({ tool: ticketTool, res, userId });
+    const pending = ticketTool.invoke(toolCall, config);
+    await waitForRequest();
+
+    await decideToolCall({ userId, toolCallId: 'call_1', approved: false });
+    const output = await pending;
+
+    expect(output.content).toMatch(/rejected/);
+    expect(createTicket).not.toHaveBeenCalled();
+    expect(createToolCall.mock.calls[0][0].approval.status).toBe(ToolApprovalStatus.rejected);
+  });
+
+  it('only accepts decisions on calls of the user that are waiting for one', async () => {
+    requireApproval({ tool: ticketTool, res, userId });
+    const pending = ticketTool.invoke(toolCall, config);
+    await waitForRequest();
+
+    await expect(
+      decideToolCall({ userId: 'user-2', toolCallId: 'call_1', approved: true }),
+    ).resolves.toBe(false);
+    await expect(decideToolCall({ userId, toolCallId: 'call_2', approved: true })).resolves.toBe(
+      false,
+    );
+
+    await decideToolCall({ userId, toolCallId: 'call_1', approved: true });
+    await pending;
+    await expect(decideToolCall({ userId, toolCallId: 'call_1', approved: false })).resolves.toBe(
+      false,
+    );
+    expect(createTicket).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not run the tool when the request is aborted', async () => {
+    const controller = new AbortController();
+    requireApproval({ tool: ticketTool, res, userId });
+    const pending = ticketTool.invoke(toolCall, { ...config, signal: controller.signal });
+    await waitForRequest();
+
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('aborted');
+    expect(createTicket).not.toHaveBeenCalled();
+    expect(createToolCall).not.toHaveBeenCalled();
+  });
+
+  it('rejects calls from agents running in parallel without asking the user', async () => {
+    requireApproval({ tool: ticketTool, res, userId });
+
+    const output = await ticketTool.invoke(toolCall, {
+      ...config,
+      configurable: { parallel_branch: true },
+    });
+
+    expect(output.content).toMatch(/agents running in parallel cannot ask for/);
+    expect(createTicket).not.toHaveBeenCalled();
+    expect(sendEvent).not.toHaveBeenCalled();
+    expect(mockFlowManager.createFlow).not.toHaveBeenCalled();
+  });
+});
@@ -29,6 +29,7 @@ const {
 } = require('~/app/clients/tools');
 const { processFileURL, uploadImageBuffer } = require('~/server/services/Files/process');
 const { isActionDomainAllowed } = require('~/server/services/domains');
+const { requireApproval } = require('~/server/services/ToolApproval');
 const { getEndpointsConfig } = require('~/server/services/Config');
 const { recordUsage } = require('~/server/services/Threads');
 const { loadTools } = require('~/app/clients/tools/util');
@@ -551,6 +552,13 @@ async function loadAgentTools({ req, res, agent, tool_resources, openAIApiKey })
     agentTools.push(toolInstance);
   }
 
+  const approvalTools = new Set(agent.requires_approval ?? []);
+  for (const tool of agentTools) {
+    if (approvalTools.has(tool.name)) {
+      requireApproval({ tool, res, userId: req.user.id });
+    }
+  }
+
   const ToolMap = loadedTools.reduce((map, tool) => {
     map[tool.name] = tool;
     return map;
@@ -665,6 +673,10 @@ async function loadAgentTools({ req, res, agent, tool_resources, openAIApiKey })
         throw new Error(`{"type":"${ErrorTypes.INVALID_ACTION}"}`);
       }
 
+      if (approvalTools.has(toolName) || action.metadata.requires_approval === true) {
+        requireApproval({ tool, res, userId: req.user.id });
+      }
+
       agentTools.push(tool);
       ActionToolMap[toolName] = tool;
     }
@@ -0,0 +1,249 @@
+const { FileContext, EModelEndpoint } = require('librechat-data-provider');
+const { processDeleteRequest } = require('~/server/services/Files/process');
+const { Conversation, deleteConvos } = require('~/models/Conversation');
+const signPayload = require('~/server/services/signPayload');
+const { deleteToolCalls } = require('~/models/ToolCall');
+const { getMessages } = require('~/models/Message');
+const { getFiles } = require('~/models/File');
+const { logger } = require('~/config');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+/** Files attached to agents, assistants or avatars outlive the conversation they were uploaded in */
+const SHARED_FILE_CONTEXTS = [FileContext.agents, FileContext.assistants, FileContext.avatar];
+
+const assistantClients = {
+  [EModelEndpoint.azureAssistants]: require('~/server/services/Endpoints/azureAssistants'),
+  [EModelEndpoint.assistants]: require('~/server/services/Endpoints/assistants'),
+};
+
+/**
+ * Number of days conversations stay in the trash, from `TRASH_RETENTION_DAYS`.
+ * `0` disables the trash: conversations are deleted immediately.
+ * @returns {number}
+ */
+function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Deletes the OpenAI threads of assistants conversations, which are kept while the
+ * conversations are in the trash so restored ones can continue. The thread of a conversation
+ * is read from its messages. Errors are logged, since the conversations are deleted anyway.
+ *
+ * @param {ServerRequest} req - The request of the conversations' owner, or one made by {@link createPurgeRequest}.
+ * @param {string[]} conversationIds - The conversations being deleted.
+ * @returns {Promise<void>}
+ */
+async function deleteAssistantThreads(req, conversationIds) {
+  const user = req.user.id;
+  const convos = await Conversation.find(
+    {
+      user,
+      conversationId: { $in: conversationIds },
+      endpoint: { $in: Object.keys(assistantClients) },
+    },
+    'conversationId endpoint',
+  ).lean();
+  if (!convos.length) {
+    return;
+  }
+
+  const messages = await getMessages(
+    {
+      user,
+      conversationId: { $in: convos.map((convo) => convo.conversationId) },
+      thread_id: { $exists: true, $ne: null },
+    },
+    'conversationId thread_id',
+  );
+  /** @type {Map<string, Set<string>>} The threads of each endpoint */
+  const threads = new Map();
+  for (const { conversationId, thread_id } of messages) {
+    const { endpoint } = convos.find((convo) => convo.conversationId === conversationId);
+    threads.set(endpoint, (threads.get(endpoint) ?? new Set()).add(thread_id));
+  }
+
+  for (const [endpoint, threadIds] of threads) {
+    try {
+      /** @type {{ openai: OpenAI }} */
+      const { openai } = await assistantClients[endpoint].initializeClient({ req });
+      for (const thread_id of threadIds) {
+        try {
+          const response = await openai.beta.threads.del(thread_id);
+          logger.debug('[purgeConversations] Deleted OpenAI thread:', response);
+        } catch (error) {
+          logger.error('[purgeConversations] Error deleting OpenAI thread', error);
+        }
+      }
+    } catch (error) {
+      logger.error(`[purgeConversations] Error initializing the ${endpoint} client`, error);
+    }
+  }
+}
+
+/**
+ * Permanently deletes conversations with their messages, tool calls, files and, for
+ * assistants conversations, their OpenAI threads.
+ * Files are removed through their storage strategy.
+ *
+ * @param {ServerRequest} req - The request of the conversations' owner, or one made by {@link createPurgeRequest}.
+ * @param {string[]} conversationIds - The conversations to delete.
+ * @returns {Promise<{ deletedCount: number }>}
+ */
+async function purgeConversations(req, conversationIds) {
+  const user = req.user.id;
+  if (!conversationIds.length) {
+    return { deletedCount: 0 };
+  }
+
+  const files = await getFiles({
+    user,
+    conversationId: { $in: conversationIds },
+    context: { $nin: SHARED_FILE_CONTEXTS },
+  });
+  if (files.length) {
+    try {
+      await processDeleteRequest({ req, files });
+    } catch (error) {
+      logger.error('[purgeConversations] Error deleting conversation files', error);
+    }
+  }
+
+  try {
+    await deleteAssistantThreads(req, conversationIds);
+  } catch (error) {
+    logger.error('[purgeConversations] Error deleting assistant threads', error);
+  }
+
+  const result = await deleteConvos(user, { conversationId: { $in: conversationIds } });
+  await deleteToolCalls(user, { $in: conversationIds });
+  return { deletedCount: result.deletedCount };
+}
+
+/**
+ * Purges conversations from a user's trash.
+ * @param {ServerRequest} req - The request of the trash's owner.
+ * @param {string[]} [conversationIds] - The conversations to purge; the whole trash when omitted.
+ * @returns {Promise<{ deletedCount: number }>}
+ */
+async function emptyTrash(req, conversationIds) {
+  const filter = { user: req.user.id, deletedAt: { $ne: null } };
+  if (conversationIds) {
+    filter.conversationId = { $in: conversationIds };
+  }
+
+  const trashed = await Conversation.find(filter, 'conversationId').lean();
+  return await purgeConversations(
+    req,
+    trashed.map((convo) => convo.conversationId),
+  );
+}
+
+/**
+ * Builds the request the file strategies expect for deleting a user's files outside of a request.
+ * @param {Express.Application} app
+ * @param {string} user - The user's ID.
+ * @returns {Promise<ServerRequest>}
+ */
+async function createPurgeRequest(app, user) {
+  const token = await signPayload({
+    payload: { id: user },
+    secret: process.env.JWT_SECRET,
+    expirationTime: 5 * 60,
+  });
+  return {
+    app,
+    user: { id: user },
+    body: {},
+    headers: { authorization: `Bearer ${token}` },
+  };
+}
+
+/**
+ * Purges the conversations that have been in the trash for longer than the retention window.
+ * @param {Express.Application} app
+ * @returns {Promise<number>} The number of conversations purged.
+ */
+async function purgeExpiredTrash(app) {
+  const days = getTrashRetentionDays();
+  if (days === 0) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  while (true) {
+    const expired = await Conversation.find({ deletedAt: { $lte: cutoff } }, 'conversationId user')
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+    if (!expired.length) {
+      break;
+    }
+
+    /** @type {Map<string, string[]>} */
+    const byUser = new Map();
+    for (const { conversationId, user } of expired) {
+      byUser.set(user, [...(byUser.get(user) ?? []), conversationId]);
+    }
+
+    for (const [user, conversationIds] of byUser) {
+      const req = await createPurgeRequest(app, user);
+      const { deletedCount } = await purgeConversations(req, conversationIds);
+      purged += deletedCount;
+    }
+
+    if (expired.length < PURGE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Purges expired conversations from the trash now and then every hour.
+ * Does nothing when the trash is disabled.
+ * @param {Express.Application} app
+ * @returns {NodeJS.Timeout | undefined} The interval, if started.
+ */
+function startTrashPurgeJob(app) {
+  if (getTrashRetentionDays() === 0) {
+    return;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const purged = await purgeExpiredTrash(app);
+      if (purged > 0) {
+        logger.info(`[trash] Purged ${purged} conversations from the trash`);
+      }
+    } catch (error) {
+      logger.error('[trash] Error purging the trash', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, PURGE_INTERVAL_MS);
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  getTrashRetentionDays,
+  purgeConversations,
+  emptyTrash,
+  purgeExpiredTrash,
+  startTrashPurgeJob,
+};
@@ -0,0 +1,169 @@
+jest.mock('~/server/services/Files/process', () => ({
+  processDeleteRequest: jest.fn(),
+}));
+jest.mock('~/models/Conversation', () => ({
+  Conversation: { find: jest.fn() },
+  deleteConvos: jest.fn(),
+}));
+jest.mock('~/models/ToolCall', () => ({
+  deleteToolCalls: jest.fn(),
+}));
+jest.mock('~/models/File', () => ({
+  getFiles: jest.fn(),
+}));
+jest.mock('~/models/Message', () => ({
+  getMessages: jest.fn(),
+}));
+jest.mock('~/server/services/Endpoints/assistants', () => ({
+  initializeClient: jest.fn(),
+}));
+jest.mock('~/server/services/Endpoints/azureAssistants', () => ({
+  initializeClient: jest.fn(),
+}));
+jest.mock('~/config', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), error: jest.fn() },
+}));
+
+const jwt = require('jsonwebtoken');
+const { processDeleteRequest } = require('~/server/services/Files/process');
+const { Conversation, deleteConvos } = require('~/models/Conversation');
+const { deleteToolCalls } = require('~/models/ToolCall');
+const { getFiles } = require('~/models/File');
+const { getMessages } = require('~/models/Message');
+const { initializeClient } = require('~/server/services/Endpoints/assistants');
+const {
+  emptyTrash,
+  purgeExpiredTrash,
+  purgeConversations,
+  getTrashRetentionDays,
+} = require('./trash');
+
+/** Resolves `lean()` with `result`; every other query method chains */
+const mockQuery = (result) => {
+  const query = {
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+};
+
+describe('trash', () => {
+  const env = { ...process.env };
+  const req = { user: { id: 'user-1' }, app: {}, body: {}, headers: {} };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...env, JWT_SECRET: 'secret' };
+    getFiles.mockResolvedValue([]);
+    getMessages.mockResolvedValue([]);
+    Conversation.find.mockReturnValue(mockQuery([]));
+    deleteConvos.mockImplementation(async (user, { conversationId }) => ({
+      deletedCount: conversationId.$in.length,
+    }));
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('reads the retention window from the environment', () => {
+    expect(getTrashRetentionDays()).toBe(30);
+    process.env.TRASH_RETENTION_DAYS = '0';
+    expect(getTrashRetentionDays()).toBe(0);
+    process.env.TRASH_RETENTION_DAYS = 'soon';
+    expect(getTrashRetentionDays()).toBe(30);
+  });
+
+  it('deletes the files of purged conversations through their strategies', async () => {
+    const files = [{ file_id: 'file-1', source: 'local' }];
+    getFiles.mockResolvedValue(files);
+
+    const result = await purgeConversations(req, ['convo-1']);
+
+    expect(getFiles).toHaveBeenCalledWith({
+      user: 'user-1',
+      conversationId: { $in: ['convo-1'] },
+      context: { $nin: ['agents', 'assistants', 'avatar'] },
+    });
+    expect(processDeleteRequest).toHaveBeenCalledWith({ req, files });
+    expect(deleteConvos).toHaveBeenCalledWith('user-1', { conversationId: { $in: ['convo-1'] } });
+    expect(deleteToolCalls).toHaveBeenCalledWith('user-1', { $in: ['convo-1'] });
+    expect(result).toEqual({ deletedCount: 1 });
+  });
+
+  it('deletes the OpenAI threads of purged assistants conversations', async () => {
+    const del = jest.fn().mockRejectedValueOnce(new Error('Thread not found'));
+    initializeClient.mockResolvedValue({ openai: { beta: { threads: { del } } } });
+    Conversation.find.mockReturnValue(
+      mockQuery([{ conversationId: 'convo-1', endpoint: 'assistants' }]),
+    );
+    getMessages.mockResolvedValue([
+      { conversationId: 'convo-1', thread_id: 'thread_1' },
+      { conversationId: 'convo-1', thread_id: 'thread_1' },
+      { conversationId: 'convo-1', thread_id: 'thread_2' },
+    ]);
+
+    const result = await purgeConversations(req, ['convo-1', 'convo-2']);
+
+    expect(Conversation.find).toHaveBeenCalledWith(
+      {
+        user: 'user-1',
+        conversationId: { $in: ['convo-1', 'convo-2'] },
+        endpoint: { $in: ['azureAssistants', 'assistants'] },
+      },
+      'conversationId endpoint',
+    );
+    expect(getMessages).toHaveBeenCalledWith(
+      expect.objectContaining({ user: 'user-1', conversationId: { $in: ['convo-1'] } }),
+      'conversationId thread_id',
+    );
+    expect(initializeClient).toHaveBeenCalledWith({ req });
+    expect(del.mock.calls).toEqual([['thread_1'], ['thread_2']]);
+    expect(result).toEqual({ deletedCount: 2 });
+  });
+
+  it('only empties conversations that are in the trash', async () => {
+    Conversation.find.mockReturnValue(mockQuery([{ conversationId: 'convo-2' }]));
+
+    await emptyTrash(req, ['convo-1', 'convo-2']);
+
+    expect(Conversation.find).toHaveBeenCalledWith(
+      { user: 'user-1', deletedAt: { $ne: null }, conversationId: { $in: ['convo-1', 'convo-2'] } },
+      'conversationId',
+    );
+    expect(deleteConvos).toHaveBeenCalledWith('user-1', { conversationId: { $in: ['convo-2'] } });
+  });
+
+  it('purges expired conversations as their owners', async () => {
+    Conversation.find.mockReturnValue(
+      mockQuery([
+        { conversationId: 'convo-1', user: 'user-1' },
+        { conversationId: 'convo-2', user: 'user-2' },
+        { conversationId: 'convo-3', user: 'user-1' },
+      ]),
+    );
+    getFiles.mockResolvedValue([{ file_id: 'file-1' }]);
+
+    const purged = await purgeExpiredTrash({ locals: {} });
+
+    const [filter] = Conversation.find.mock.calls[0];
+    const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    expect(Math.abs(filter.deletedAt.$lte.getTime() - cutoff)).toBeLessThan(1000);
+    expect(purged).toBe(3);
+    expect(deleteConvos).toHaveBeenCalledWith('user-1', {
+      conversationId: { $in: ['convo-1', 'convo-3'] },
+    });
+
+    const [{ req: purgeReq }] = processDeleteRequest.mock.calls[1];
+    expect(purgeReq.user).toEqual({ id: 'user-2' });
+    const token = purgeReq.headers.authorization.split(' ')[1];
+    expect(jwt.verify(token, 'secret')).toMatchObject({ id: 'user-2' });
+  });
+
+  it('does not purge when the trash is disabled', async () => {
+    process.env.TRASH_RETENTION_DAYS = '0';
+
+    expect(await purgeExpiredTrash({})).toBe(0);
+    expect(Conversation.find).not.toHaveBeenCalled();
+  });
+});
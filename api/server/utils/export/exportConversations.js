@@ -0,0 +1,84 @@
+const { getConvo, getConvoIds } = require('~/models/Conversation');
+const { getMessages } = require('~/models/Message');
+const { exportFormats } = require('./formatters');
+const { createZipWriter } = require('./zip');
+const logger = require('~/config/winston');
+
+/**
+ * Builds a file name from a conversation title, safe for downloads and zip entries.
+ * @param {TConversation} conversation
+ * @param {string} extension
+ * @returns {string}
+ */
+function getExportFileName(conversation, extension) {
+  const title = (conversation.title ?? '')
+    .replace(/[^\p{L}\p{N} _-]+/gu, '')
+    .trim()
+    .slice(0, 80);
+  return `${title || conversation.conversationId}.${extension}`;
+}
+
+/**
+ * Exports a single conversation of a user.
+ *
+ * @param {object} params
+ * @param {string} params.userId - The ID of the user owning the conversation.
+ * @param {string} params.conversationId - The ID of the conversation to export.
+ * @param {string} params.format - One of the keys of `exportFormats`.
+ * @returns {Promise<{ fileName: string, contentType: string, data: string } | null>}
+ *   The exported file, or `null` if the conversation was not found.
+ */
+async function exportConversation({ userId, conversationId, format }) {
+  const { extension, contentType, format: formatConversation } = exportFormats[format];
+  const conversation = await getConvo(userId, conversationId);
+  if (!conversation?.conversationId) {
+    return null;
+  }
+
+  const messages = await getMessages({ user: userId, conversationId });
+  return {
+    fileName: getExportFileName(conversation, extension),
+    contentType,
+    data: formatConversation(conversation, messages),
+  };
+}
+
+/**
+ * Streams a zip archive of a user's conversations, one file per conversation.
+ *
+ * @param {object} params
+ * @param {string} params.userId - The ID of the user owning the conversations.
+ * @param {string[]} [params.conversationIds] - The conversations to export; all of the user's if omitted.
+ * @param {string} params.format - One of the keys of `exportFormats`.
+ * @param {import('stream').Writable} params.stream - Receives the zip archive; ended when done.
+ * @returns {Promise<{ exported: number, missing: string[] }>}
+ * @throws {Error} If the stream closes before the archive is written.
+ */
+async function exportConversations({ userId, conversationIds, format, stream }) {
+  const ids = conversationIds ?? (await getConvoIds(userId));
+  const zip = createZipWriter(stream);
+  const missing = [];
+
+  for (const conversationId of ids) {
+    if (stream.destroyed) {
+      throw new Error('The stream closed before the export finished');
+    }
+    const file = await exportConversation({ userId, conversationId, format });
+    if (!file) {
+      missing.push(conversationId);
+      continue;
+    }
+    await zip.addFile(file.fileName, file.data);
+  }
+
+  await zip.finalize();
+  logger.debug(
+    `user: ${userId} | Exported ${ids.length - missing.length} conversation(s) as ${format}`,
+  );
+  return { exported: ids.length - missing.length, missing };
+}
+
+module.exports = {
+  exportConversation,
+  exportConversations,
+};
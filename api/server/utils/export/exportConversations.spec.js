@@ -0,0 +1,237 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { Constants } = require('librechat-data-provider');
+
+jest.mock('~/models/Conversation', () => ({
+  getConvo: jest.fn(),
+  getConvoIds: jest.fn(),
+  bulkSaveConvos: jest.fn(),
+}));
+
+jest.mock('~/models/Message', () => ({
+  getMessages: jest.fn(),
+  bulkSaveMessages: jest.fn(),
+}));
+
+jest.mock('~/cache/getLogStores', () => () => ({ get: jest.fn() }));
+
+const { exportConversation, exportConversations } = require('./exportConversations');
+const { buildMessageTree } = require('~/server/utils/import/fork');
+const { getActiveBranch } = require('./formatters');
+const { crc32 } = require('./zip');
+const { ImportBatchBuilder } = require('~/server/utils/import/importBatchBuilder');
+const { getImporter } = require('~/server/utils/import/importers');
+const { getConvo, getConvoIds } = require('~/models/Conversation');
+const { getMessages } = require('~/models/Message');
+
+const conversation = {
+  _id: 'mongo-id',
+  user: 'user-1',
+  conversationId: 'convo-1',
+  title: 'Trip: <Paris> & "more"',
+  endpoint: 'openAI',
+  model: 'gpt-4o',
+  promptPrefix: 'Be brief.',
+  folderId: 'folder-1',
+  agent_version: 2,
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+};
+
+/** A root question with two answers; the second was regenerated and continued */
+const messages = [
+  {
+    messageId: 'm1',
+    parentMessageId: Constants.NO_PARENT,
+    isCreatedByUser: true,
+    sender: 'User',
+    text: 'Plan a trip',
+  },
+  { messageId: 'm2', parentMessageId: 'm1', sender: 'GPT-4', text: 'First answer' },
+  {
+    messageId: 'm3',
+    parentMessageId: 'm1',
+    sender: 'GPT-4',
+    text: '',
+    content: [{ type: 'text', text: 'Second <answer>' }],
+  },
+  { messageId: 'm4', parentMessageId: 'm3', isCreatedByUser: true, sender: 'User', text: 'Thanks' },
+].map((message, i) => ({
+  user: 'user-1',
+  conversationId: 'convo-1',
+  createdAt: new Date(Date.UTC(2024, 0, 1, 0, i)),
+  ...message,
+}));
+
+/** Reads the entries of a zip archive written by `createZipWriter` */
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const header = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = header + 30 + buffer.readUInt16LE(header + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + size));
+    expect(crc32(data)).toBe(buffer.readUInt32LE(offset + 16));
+    files[name] = data.toString();
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getConvo.mockImplementation(async (user, conversationId) =>
+    conversationId === conversation.conversationId ? conversation : null,
+  );
+  getMessages.mockResolvedValue(messages);
+});
+
+describe('message tree helpers', () => {
+  it('builds the tree and the active branch', () => {
+    const [root] = buildMessageTree(messages);
+    expect(root.children.map((child) => child.messageId)).toEqual(['m2', 'm3']);
+    expect(root.children[1].children[0].messageId).toBe('m4');
+    expect(getActiveBranch(messages).map((message) => message.messageId)).toEqual([
+      'm1',
+      'm3',
+      'm4',
+    ]);
+  });
+});
+
+describe('exportConversation', () => {
+  const exportAs = (format) =>
+    exportConversation({ userId: 'user-1', conversationId: 'convo-1', format });
+
+  it('returns null for conversations of other users or unknown ids', async () => {
+    const file = await exportConversation({
+      userId: 'user-1',
+      conversationId: 'missing',
+      format: 'json',
+    });
+    expect(file).toBeNull();
+  });
+
+  it('exports LibreChat JSON that round-trips through the LibreChat importer', async () => {
+    const file = await exportAs('json');
+    expect(file.fileName).toBe('Trip Paris  more.json');
+    expect(file.contentType).toBe('application/json');
+
+    const data = JSON.parse(file.data);
+    expect(data).toMatchObject({ conversationId: 'convo-1', title: conversation.title });
+    expect(data.options).toEqual({ model: 'gpt-4o', promptPrefix: 'Be brief.' });
+    expect(data.messagesTree[0]).not.toHaveProperty('user');
+
+    const builder = new ImportBatchBuilder('user-2');
+    jest.spyOn(builder, 'saveBatch').mockResolvedValue();
+    await getImporter(data)(data, 'user-2', () => builder);
+
+    expect(builder.conversations).toHaveLength(1);
+    expect(builder.conversations[0].title).toBe(conversation.title);
+    const imported = builder.messages;
+    expect(imported.map((message) => message.text || message.content[0].text)).toEqual([
+      'Plan a trip',
+      'First answer',
+      'Second <answer>',
+      'Thanks',
+    ]);
+    expect(imported[1].parentMessageId).toBe(imported[0].messageId);
+    expect(imported[2].parentMessageId).toBe(imported[0].messageId);
+    expect(imported[3].parentMessageId).toBe(imported[2].messageId);
+  });
+
+  it('exports the active branch as Markdown', async () => {
+    const { data } = await exportAs('md');
+    expect(data).toContain('# Trip: <Paris> & "more"');
+    expect(data).toContain('**User**\nPlan a trip');
+    expect(data).toContain('**GPT-4**\nSecond <answer>');
+    expect(data).not.toContain('First answer');
+  });
+
+  it('exports escaped standalone HTML', async () => {
+    const { data, contentType } = await exportAs('html');
+    expect(contentType).toBe('text/html');
+    expect(data).toMatch(/^<!DOCTYPE html>/);
+    expect(data).toContain('<title>Trip: &lt;Paris&gt; &amp; &quot;more&quot;</title>');
+    expect(data).toContain('Second &lt;answer&gt;');
+    expect(data).not.toContain('<answer>');
+  });
+
+  it('exports an OpenAI fine-tuning JSONL line', async () => {
+    const { data } = await exportAs('jsonl');
+    expect(data.endsWith('\n')).toBe(true);
+    expect(JSON.parse(data)).toEqual({
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Plan a trip' },
+        { role: 'assistant', content: 'Second <answer>' },
+        { role: 'user', content: 'Thanks' },
+      ],
+    });
+  });
+});
+
+describe('exportConversations', () => {
+  async function exportZip(params) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    const result = await exportConversations({ userId: 'user-1', stream, ...params });
+    return { result, files: readZip(Buffer.concat(chunks)) };
+  }
+
+  it('streams a zip with one file per conversation and reports missing ones', async () => {
+    const { result, files } = await exportZip({
+      conversationIds: ['convo-1', 'missing'],
+      format: 'md',
+    });
+    expect(result).toEqual({ exported: 1, missing: ['missing'] });
+    expect(Object.keys(files)).toEqual(['Trip Paris  more.md']);
+    expect(files['Trip Paris  more.md']).toContain('Second <answer>');
+  });
+
+  it('exports every conversation of the user by default, deduplicating names', async () => {
+    getConvoIds.mockResolvedValue(['convo-1', 'convo-2']);
+    getConvo.mockImplementation(async (user, conversationId) => ({
+      ...conversation,
+      conversationId,
+    }));
+
+    const { files } = await exportZip({ format: 'jsonl' });
+    expect(getConvoIds).toHaveBeenCalledWith('user-1');
+    expect(Object.keys(files)).toEqual(['Trip Paris  more.jsonl', 'Trip Paris  more (1).jsonl']);
+  });
+
+  it('stops exporting when the stream closes while waiting for it to drain', async () => {
+    getConvoIds.mockResolvedValue(['convo-1', 'convo-2', 'convo-3']);
+    /** Nothing reads from the stream, so it never drains */
+    const stream = new PassThrough({ highWaterMark: 1 });
+
+    const exporting = exportConversations({ userId: 'user-1', stream, format: 'json' });
+    await new Promise((resolve) => setImmediate(resolve));
+    stream.destroy();
+
+    await expect(exporting).rejects.toThrow('The stream closed');
+    expect(getMessages).toHaveBeenCalledTimes(1);
+    expect(stream.listenerCount('drain')).toBe(0);
+  });
+});
+
+describe('crc32', () => {
+  const nativeCrc32 = zlib.crc32;
+
+  afterEach(() => {
+    zlib.crc32 = nativeCrc32;
+  });
+
+  it('computes checksums without zlib.crc32 on older Node versions', () => {
+    zlib.crc32 = undefined;
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from('The quick brown fox jumps over the lazy dog'))).toBe(0x414fa339);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
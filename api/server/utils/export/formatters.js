@@ -0,0 +1,215 @@
+const { ContentTypes } = require('librechat-data-provider');
+const { buildMessageTree } = require('~/server/utils/import/fork');
+const BaseClient = require('~/app/clients/BaseClient');
+
+/** Conversation fields that are not exported as options */
+const OMITTED_CONVO_FIELDS = new Set([
+  '_id',
+  '__v',
+  'user',
+  'messages',
+  'conversationId',
+  'title',
+  'endpoint',
+  'files',
+  'tags',
+  'isArchived',
+  'folderId',
+  'agent_version',
+  'expiredAt',
+  'createdAt',
+  'updatedAt',
+]);
+
+/**
+ * Retrieves the active branch of a conversation: the path from the root to the latest message.
+ * @param {TMessage[]} messages - The messages, sorted by creation date.
+ * @returns {TMessage[]}
+ */
+function getActiveBranch(messages) {
+  if (!messages.length) {
+    return [];
+  }
+  return BaseClient.getMessagesForConversation({
+    messages,
+    parentMessageId: messages[messages.length - 1].messageId,
+  });
+}
+
+/**
+ * Extracts the plain text of a message, joining its text content parts.
+ * @param {TMessage} message
+ * @returns {string}
+ */
+function getMessageText(message) {
+  if (!Array.isArray(message.content) || !message.content.length) {
+    return message.text ?? '';
+  }
+
+  return message.content
+    .map((part) => {
+      if (part?.type === ContentTypes.TEXT) {
+        const text = part[ContentTypes.TEXT];
+        return typeof text === 'string' ? text : (text?.value ?? '');
+      }
+      if (part?.type === ContentTypes.ERROR) {
+        return part[ContentTypes.ERROR] ?? part[ContentTypes.TEXT]?.value ?? '';
+      }
+      return '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * @param {TConversation} conversation
+ * @returns {Record<string, unknown>} The conversation settings, as exported by the client.
+ */
+function getConvoOptions(conversation) {
+  const options = {};
+  for (const [key, value] of Object.entries(conversation)) {
+    if (!OMITTED_CONVO_FIELDS.has(key) && value != null) {
+      options[key] = value;
+    }
+  }
+  return options;
+}
+
+const getSender = (message) => (message.isCreatedByUser ? 'User' : message.sender || 'Assistant');
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * LibreChat JSON, including every branch, readable by `importLibreChatConvo`.
+ * @param {TConversation} conversation
+ * @param {TMessage[]} messages
+ */
+function formatJSON(conversation, messages) {
+  const strip = ({ _id, __v, user, children, ...message }) => ({
+    ...message,
+    children: children.map(strip),
+  });
+
+  const data = {
+    conversationId: conversation.conversationId,
+    endpoint: conversation.endpoint,
+    title: conversation.title,
+    exportAt: new Date().toISOString(),
+    branches: true,
+    recursive: true,
+    options: getConvoOptions(conversation),
+    messagesTree: buildMessageTree(messages).map(strip),
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Markdown of the active branch.
+ * @param {TConversation} conversation
+ * @param {TMessage[]} messages
+ */
+function formatMarkdown(conversation, messages) {
+  let data =
+    `# ${conversation.title || 'Conversation'}\n\n` +
+    `- conversationId: ${conversation.conversationId}\n` +
+    `- endpoint: ${conversation.endpoint}\n` +
+    (conversation.model ? `- model: ${conversation.model}\n` : '') +
+    `- exportAt: ${new Date().toISOString()}\n\n` +
+    '## History\n\n';
+
+  for (const message of getActiveBranch(messages)) {
+    data += `**${getSender(message)}**\n${getMessageText(message)}\n`;
+    if (message.error) {
+      data += '*(This is an error message)*\n';
+    }
+    if (message.unfinished === true) {
+      data += '*(This is an unfinished message)*\n';
+    }
+    data += '\n';
+  }
+  return data;
+}
+
+/**
+ * A standalone HTML page of the active branch.
+ * @param {TConversation} conversation
+ * @param {TMessage[]} messages
+ */
+function formatHTML(conversation, messages) {
+  const title = escapeHtml(conversation.title || 'Conversation');
+  const items = getActiveBranch(messages).map((message) => {
+    const role = message.isCreatedByUser ? 'user' : 'assistant';
+    const time = message.createdAt ? new Date(message.createdAt).toISOString() : '';
+    return (
+      `<article class="message ${role}${message.error ? ' error' : ''}">` +
+      `<header><strong>${escapeHtml(getSender(message))}</strong>` +
+      (time ? ` <time datetime="${time}">${time}</time>` : '') +
+      `</header><div class="text">${escapeHtml(getMessageText(message))}</div></article>`
+    );
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #0d0d0d; }
+header { margin-bottom: 0.25rem; }
+time, .meta { color: #666; font-size: 0.8rem; }
+.message { border-radius: 0.75rem; padding: 0.75rem 1rem; margin: 1rem 0; background: #f4f4f4; }
+.message.user { background: #e8f0fe; }
+.message.error { background: #fdecea; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${escapeHtml(conversation.endpoint ?? '')}${conversation.model ? ` &middot; ${escapeHtml(conversation.model)}` : ''}</p>
+${items.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * One OpenAI fine-tuning example (`{"messages": [...]}`) built from the active branch.
+ * @param {TConversation} conversation
+ * @param {TMessage[]} messages
+ */
+function formatJSONL(conversation, messages) {
+  const chat = [];
+  const system = conversation.promptPrefix ?? conversation.system;
+  if (system) {
+    chat.push({ role: 'system', content: system });
+  }
+  for (const message of getActiveBranch(messages)) {
+    const content = getMessageText(message);
+    if (!content || message.error) {
+      continue;
+    }
+    chat.push({ role: message.isCreatedByUser ? 'user' : 'assistant', content });
+  }
+  return `${JSON.stringify({ messages: chat })}\n`;
+}
+
+/** @type {Record<string, { extension: string, contentType: string, format: (conversation: TConversation, messages: TMessage[]) => string }>} */
+const exportFormats = {
+  json: { extension: 'json', contentType: 'application/json', format: formatJSON },
+  md: { extension: 'md', contentType: 'text/markdown', format: formatMarkdown },
+  html: { extension: 'html', contentType: 'text/html', format: formatHTML },
+  jsonl: { extension: 'jsonl', contentType: 'application/jsonl', format: formatJSONL },
+};
+
+module.exports = {
+  exportFormats,
+  getActiveBranch,
+  getMessageText,
+};
@@ -0,0 +1,8 @@
+const { exportFormats } = require('./formatters');
+const { exportConversation, exportConversations } = require('./exportConversations');
+
+module.exports = {
+  exportFormats,
+  exportConversation,
+  exportConversations,
+};
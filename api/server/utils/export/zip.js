@@ -0,0 +1,162 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+/** Without ZIP64 extensions, archives are limited to this many entries */
+const MAX_ZIP_ENTRIES = 0xffff;
+
+/** Lookup table of the CRC-32 (IEEE) remainders of every byte value */
+let crcTable;
+
+/**
+ * Computes the CRC-32 checksum of the data; uses `zlib.crc32` where Node provides it
+ * (Node 20.15+ and 22.2+).
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(data) {
+  if (typeof zlib.crc32 === 'function') {
+    return zlib.crc32(data);
+  }
+
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used by zip headers.
+ * @param {Date} date
+ */
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, date: day };
+}
+
+/**
+ * Writes a zip archive to a stream one file at a time, so large exports never have to be
+ * held in memory. Files are deflated; call `finalize` once every file was added.
+ * Writes reject once the stream is closed or errors, so callers stop exporting.
+ *
+ * @param {import('stream').Writable} stream
+ */
+function createZipWriter(stream) {
+  /** @type {Buffer[]} */
+  const centralDirectory = [];
+  const names = new Set();
+  let offset = 0;
+
+  /** Waits for the stream to drain; fails if it closes first, e.g. when the client disconnects */
+  const drain = async () => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    try {
+      await Promise.race([
+        once(stream, 'drain', { signal }),
+        once(stream, 'close', { signal }).then(() => {
+          throw new Error('The stream closed before the archive was written');
+        }),
+      ]);
+    } finally {
+      controller.abort();
+    }
+  };
+
+  const write = async (buffer) => {
+    if (stream.destroyed) {
+      throw new Error('The stream closed before the archive was written');
+    }
+    offset += buffer.length;
+    if (!stream.write(buffer)) {
+      await drain();
+    }
+  };
+
+  return {
+    /**
+     * Adds a file; names already in the archive get a numeric suffix.
+     * @param {string} name
+     * @param {string | Buffer} content
+     * @param {Date} [modifiedAt]
+     */
+    async addFile(name, content, modifiedAt = new Date()) {
+      if (names.size >= MAX_ZIP_ENTRIES) {
+        throw new Error(`Zip archives are limited to ${MAX_ZIP_ENTRIES} files`);
+      }
+
+      let uniqueName = name;
+      for (let i = 1; names.has(uniqueName); i++) {
+        const dot = name.lastIndexOf('.');
+        uniqueName = dot > 0 ? `${name.slice(0, dot)} (${i})${name.slice(dot)}` : `${name} (${i})`;
+      }
+      names.add(uniqueName);
+
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+      const compressed = zlib.deflateRawSync(data);
+      const fileName = Buffer.from(uniqueName);
+      const crc = crc32(data);
+      const { time, date } = toDosDateTime(modifiedAt);
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      /** Bit 11: file names are UTF-8 */
+      header.writeUInt16LE(0x0800, 6);
+      header.writeUInt16LE(8, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(compressed.length, 18);
+      header.writeUInt32LE(data.length, 22);
+      header.writeUInt16LE(fileName.length, 26);
+      header.writeUInt16LE(0, 28);
+
+      const entry = Buffer.alloc(46);
+      entry.writeUInt32LE(0x02014b50, 0);
+      entry.writeUInt16LE(20, 4);
+      header.copy(entry, 6, 4, 28);
+      entry.writeUInt16LE(0, 30);
+      entry.writeUInt16LE(0, 32);
+      entry.writeUInt16LE(0, 34);
+      entry.writeUInt16LE(0, 36);
+      entry.writeUInt32LE(0, 38);
+      entry.writeUInt32LE(offset, 42);
+      centralDirectory.push(entry, fileName);
+
+      await write(header);
+      await write(fileName);
+      await write(compressed);
+    },
+
+    /** Writes the central directory and ends the stream. */
+    async finalize() {
+      const start = offset;
+      for (const buffer of centralDirectory) {
+        await write(buffer);
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(names.size, 8);
+      end.writeUInt16LE(names.size, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      stream.end(end);
+    },
+  };
+}
+
+module.exports = { crc32, createZipWriter };
@@ -75,6 +75,8 @@ function cloneMessagesWithTimestamps(messagesToClone, importBatchBuilder) {
  * @param {string} params.originalConvoId - The ID of the conversation to fork.
  * @param {string} params.targetMessageId - The ID of the message to fork from.
  * @param {string} params.requestUserId - The ID of the user making the request.
+ * @param {string} [params.originalUserId] - The ID of the user owning the original conversation, if not the requesting user, e.g. for conversations shared with them.
+ * @param {TMessage[]} [params.sourceMessages] - The messages to fork from; all messages of the original conversation if omitted.
  * @param {string} [params.newTitle] - Optional new title for the forked conversation uses old title if not provided
  * @param {string} [params.option=''] - Optional flag for fork option
  * @param {boolean} [params.records=false] - Optional flag for returning actual database records or resulting conversation and messages.
@@ -87,6 +89,8 @@ async function forkConversation({
   originalConvoId,
   targetMessageId: targetId,
   requestUserId,
+  originalUserId = requestUserId,
+  sourceMessages,
   newTitle,
   option = ForkOptions.TARGET_LEVEL,
   records = false,
@@ -95,11 +99,13 @@ async function forkConversation({
   builderFactory = createImportBatchBuilder,
 }) {
   try {
-    const originalConvo = await getConvo(requestUserId, originalConvoId);
-    let originalMessages = await getMessages({
-      user: requestUserId,
-      conversationId: originalConvoId,
-    });
+    const originalConvo = await getConvo(originalUserId, originalConvoId);
+    let originalMessages =
+      sourceMessages ??
+      (await getMessages({
+        user: originalUserId,
+        conversationId: originalConvoId,
+      }));
 
     let targetMessageId = targetId;
     if (splitAtTarget && !latestMessageId) {
@@ -165,6 +171,51 @@ async function forkConversation({
   }
 }
 
+/**
+ * Groups messages by the ID of their parent message.
+ * @param {TMessage[]} messages - The list of messages.
+ * @returns {Map<string, TMessage[]>} The children of each parent message ID, in the order of `messages`.
+ */
+function getChildrenByParent(messages) {
+  const parentToChildrenMap = new Map();
+  for (const message of messages) {
+    if (!parentToChildrenMap.has(message.parentMessageId)) {
+      parentToChildrenMap.set(message.parentMessageId, []);
+    }
+    parentToChildrenMap.get(message.parentMessageId).push(message);
+  }
+  return parentToChildrenMap;
+}
+
+/**
+ * Builds the message tree of a conversation, with each message holding its `children`.
+ * Messages whose parent is missing are treated as roots.
+ * @param {TMessage[]} messages - The list of messages, sorted by creation date.
+ * @returns {Array<TMessage & { children: TMessage[] }>} The root messages.
+ */
+function buildMessageTree(messages) {
+  const parentToChildrenMap = getChildrenByParent(messages);
+  const messageIds = new Set(messages.map((message) => message.messageId));
+  const visited = new Set();
+
+  const toNode = (message) => {
+    visited.add(message.messageId);
+    const children = (parentToChildrenMap.get(message.messageId) || []).filter(
+      (child) => !visited.has(child.messageId),
+    );
+    return { ...message, children: children.map(toNode) };
+  };
+
+  return messages
+    .filter(
+      (message) =>
+        message.parentMessageId === Constants.NO_PARENT ||
+        message.parentMessageId === message.messageId ||
+        !messageIds.has(message.parentMessageId),
+    )
+    .map(toNode);
+}
+
 /**
  * Retrieves all messages up to the root from the target message.
  * @param {TMessage[]} messages - The list of messages to search.
@@ -218,14 +269,7 @@ function getMessagesUpToTargetLevel(messages, targetMessageId) {
     return messages;
   }
 
-  // Create a map of parentMessageId to children messages
-  const parentToChildrenMap = new Map();
-  for (const message of messages) {
-    if (!parentToChildrenMap.has(message.parentMessageId)) {
-      parentToChildrenMap.set(message.parentMessageId, []);
-    }
-    parentToChildrenMap.get(message.parentMessageId).push(message);
-  }
+  const parentToChildrenMap = getChildrenByParent(messages);
 
   // Retrieve the target message
   const targetMessage = messages.find((msg) => msg.messageId === targetMessageId);
@@ -285,14 +329,7 @@ function getMessagesUpToTargetLevel(messages, targetMessageId) {
  * @returns {TMessage[]} The list of messages at and below the target level.
  */
 function splitAtTargetLevel(messages, targetMessageId) {
-  // Create a map of parentMessageId to children messages
-  const parentToChildrenMap = new Map();
-  for (const message of messages) {
-    if (!parentToChildrenMap.has(message.parentMessageId)) {
-      parentToChildrenMap.set(message.parentMessageId, []);
-    }
-    parentToChildrenMap.get(message.parentMessageId).push(message);
-  }
+  const parentToChildrenMap = getChildrenByParent(messages);
 
   // Retrieve the target message
   const targetMessage = messages.find((msg) => msg.messageId === targetMessageId);
@@ -407,6 +444,7 @@ async function duplicateConversation({ userId, conversationId }) {
 
 module.exports = {
   forkConversation,
+  buildMessageTree,
   splitAtTargetLevel,
   duplicateConversation,
   getAllMessagesUpToParent,
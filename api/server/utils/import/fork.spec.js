@@ -22,6 +22,7 @@ jest.mock('uuid', () => {
 
 const {
   forkConversation,
+  buildMessageTree,
   splitAtTargetLevel,
   getAllMessagesUpToParent,
   getMessagesUpToTargetLevel,
@@ -170,6 +171,24 @@ describe('forkConversation', () => {
     );
   });
 
+  test('should fork the given messages of a conversation owned by another user', async () => {
+    const sharedMessages = mockMessages.slice(0, 4);
+    await forkConversation({
+      originalConvoId: 'abc123',
+      targetMessageId: '3',
+      requestUserId: 'user2',
+      originalUserId: 'user1',
+      sourceMessages: sharedMessages,
+      option: ForkOptions.TARGET_LEVEL,
+    });
+
+    expect(getConvo).toHaveBeenCalledWith('user1', 'abc123');
+    expect(getMessages).not.toHaveBeenCalled();
+    const [savedMessages] = bulkSaveMessages.mock.calls[0];
+    expect(savedMessages).toHaveLength(sharedMessages.length);
+    expect(savedMessages.every((message) => message.user === 'user2')).toBe(true);
+  });
+
   test('should handle errors during message fetching', async () => {
     getMessages.mockRejectedValue(new Error('Failed to fetch messages'));
 
@@ -196,6 +215,28 @@ const mockMessagesComplex = [
   { messageId: '10', parentMessageId: '3', text: 'Message 10' },
 ];
 
+describe('buildMessageTree', () => {
+  it('nests every message under its parent and treats orphans as roots', () => {
+    const messages = [
+      { messageId: '1', parentMessageId: Constants.NO_PARENT },
+      { messageId: '2', parentMessageId: '1' },
+      { messageId: '3', parentMessageId: '1' },
+      { messageId: '4', parentMessageId: '3' },
+      { messageId: '5', parentMessageId: 'deleted' },
+      { messageId: '6', parentMessageId: '6' },
+    ];
+
+    const tree = buildMessageTree(messages);
+
+    expect(tree.map((message) => message.messageId)).toEqual(['1', '5', '6']);
+    expect(tree[0].children.map((message) => message.messageId)).toEqual(['2', '3']);
+    expect(tree[0].children[1].children).toEqual([
+      { messageId: '4', parentMessageId: '3', children: [] },
+    ]);
+    expect(tree[2].children).toEqual([]);
+  });
+});
+
 describe('getMessagesUpToTargetLevel', () => {
   test('should get all messages up to target level', async () => {
     const result = getMessagesUpToTargetLevel(mockMessagesComplex, '5');
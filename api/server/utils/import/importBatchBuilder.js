@@ -7,10 +7,12 @@ const { logger } = require('~/config');
 /**
  * Factory function for creating an instance of ImportBatchBuilder.
  * @param {string} requestUserId - The ID of the user making the request.
+ * @param {object} [options] - The options of the builder.
+ * @param {(conversationIds: string[]) => Promise<void>} [options.beforeSave] - Called with the IDs of the conversations right before the batch is saved.
  * @returns {ImportBatchBuilder} - The newly created ImportBatchBuilder instance.
  */
-function createImportBatchBuilder(requestUserId) {
-  return new ImportBatchBuilder(requestUserId);
+function createImportBatchBuilder(requestUserId, options) {
+  return new ImportBatchBuilder(requestUserId, options);
 }
 
 /**
@@ -20,9 +22,12 @@ class ImportBatchBuilder {
   /**
    * Creates an instance of ImportBatchBuilder.
    * @param {string} requestUserId - The ID of the user making the import request.
+   * @param {object} [options] - The options of the builder.
+   * @param {(conversationIds: string[]) => Promise<void>} [options.beforeSave] - Called with the IDs of the conversations right before the batch is saved.
    */
-  constructor(requestUserId) {
+  constructor(requestUserId, { beforeSave } = {}) {
     this.requestUserId = requestUserId;
+    this.beforeSave = beforeSave;
     this.conversations = [];
     this.messages = [];
   }
@@ -98,6 +103,9 @@ class ImportBatchBuilder {
    */
   async saveBatch() {
     try {
+      if (this.beforeSave) {
+        await this.beforeSave(this.conversations.map((convo) => convo.conversationId));
+      }
       await bulkSaveConvos(this.conversations);
       await bulkSaveMessages(this.messages, true);
       logger.debug(
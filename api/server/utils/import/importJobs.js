@@ -0,0 +1,243 @@
+const os = require('os');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const {
+  createImportJob,
+  updateImportJob,
+  claimImportJob,
+  renewImportJobLease,
+  getUnfinishedImportJobs,
+} = require('~/models/ImportJob');
+const { deleteConvos } = require('~/models/Conversation');
+const { getImporter, splitImportData } = require('./importers');
+const { createImportBatchBuilder } = require('./importBatchBuilder');
+const { indexSync } = require('~/lib/db');
+const { logger } = require('~/config');
+
+/** How long a server holds a job it runs without renewing its lease */
+const LEASE_MS = 60 * 1000;
+
+/** Identifies this server process as the owner of the jobs it claims */
+const owner = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+
+/** Queues of the users with jobs to run, by user ID */
+const queues = new Map();
+
+/** IDs of the jobs queued on this server */
+const queuedJobIds = new Set();
+
+/**
+ * Claims a job and runs it, renewing the lease on it until it is done. Skips jobs that
+ * another server claimed first.
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function runImportJob(jobId) {
+  const job = await claimImportJob(jobId, owner, LEASE_MS);
+  if (!job) {
+    logger.debug(`Import job ${jobId} is finished or run by another server`);
+    return;
+  }
+
+  const lease = { lost: false };
+  const renewal = setInterval(() => {
+    renewImportJobLease(jobId, owner, LEASE_MS)
+      .then((renewed) => {
+        lease.lost = lease.lost || !renewed;
+      })
+      .catch((error) => logger.warn(`Error renewing the lease on import job ${jobId}`, error));
+  }, LEASE_MS / 3);
+  try {
+    await processImportJob(job, lease);
+  } finally {
+    clearInterval(renewal);
+  }
+}
+
+/**
+ * Adds a job to the import queue of its user. The jobs of a user run one at a time, in the
+ * order they were queued, so a large import only delays the other imports of the same user.
+ * @param {IImportJob} job
+ * @returns {Promise<void>} Resolves once the job has finished.
+ */
+function enqueueImportJob(job) {
+  const userId = job.user.toString();
+  queuedJobIds.add(job.jobId);
+  const queue = (queues.get(userId) ?? Promise.resolve())
+    .then(() => runImportJob(job.jobId))
+    .catch((error) => logger.error(`Import job ${job.jobId} crashed`, error))
+    .finally(() => {
+      queuedJobIds.delete(job.jobId);
+      if (queues.get(userId) === queue) {
+        queues.delete(userId);
+      }
+    });
+  queues.set(userId, queue);
+  return queue;
+}
+
+/**
+ * Creates an import job for an uploaded file and queues it. The file is renamed after the
+ * job so it survives until the job has finished, including across restarts.
+ *
+ * @param {object} params
+ * @param {string} params.filepath - Path of the uploaded file.
+ * @param {string} [params.filename] - Original name of the uploaded file.
+ * @param {string} params.requestUserId - The ID of the user importing the file.
+ * @returns {Promise<IImportJob>} The created job.
+ */
+async function startImportJob({ filepath, filename, requestUserId }) {
+  const jobId = uuidv4();
+  const jobFilepath = `${filepath}.${jobId}.import`;
+  await fs.rename(filepath, jobFilepath);
+
+  const job = await createImportJob({
+    jobId,
+    user: requestUserId,
+    filepath: jobFilepath,
+    filename,
+  });
+  enqueueImportJob(job);
+  return job;
+}
+
+/**
+ * Removes what was saved of a conversation whose import was interrupted before the job
+ * recorded it, so resuming the job does not import it twice.
+ *
+ * @param {IImportJob} job
+ * @param {string} requestUserId
+ * @returns {Promise<void>}
+ */
+async function removePendingConversations(job, requestUserId) {
+  const { pending } = job;
+  if (!pending?.conversationIds?.length || pending.index !== job.processed) {
+    return;
+  }
+
+  try {
+    await deleteConvos(requestUserId, { conversationId: { $in: pending.conversationIds } });
+    logger.debug(
+      `user: ${requestUserId} | Import job ${job.jobId} removed the interrupted conversation ${pending.index}`,
+    );
+  } catch {
+    // Nothing was saved before the interruption
+  }
+}
+
+/**
+ * Imports the conversations of a job one at a time, recording progress after each so the
+ * job can resume where it stopped. Conversations that fail are skipped with the reason.
+ * The IDs of each conversation are recorded before it is saved, so a conversation that was
+ * interrupted is removed and imported again on resume instead of being duplicated.
+ *
+ * Stops without touching the job when the server lost its lease on it, e.g. because the
+ * database could not be reached to renew it, as another server may resume the job.
+ *
+ * @param {IImportJob} job
+ * @param {{ lost: boolean }} [lease] - Set to lost when the lease on the job was not renewed.
+ * @returns {Promise<void>}
+ */
+async function processImportJob(job, lease = { lost: false }) {
+  const { jobId, filepath } = job;
+  const requestUserId = job.user.toString();
+  let stopped = false;
+
+  try {
+    logger.debug(`user: ${requestUserId} | Import job ${jobId} started at ${job.processed}`);
+    let fileData;
+    try {
+      fileData = await fs.readFile(filepath, 'utf8');
+    } catch {
+      throw new Error('The uploaded file is no longer available');
+    }
+
+    const jsonData = JSON.parse(fileData);
+    const importer = getImporter(jsonData);
+    const conversations = splitImportData(jsonData);
+    await removePendingConversations(job, requestUserId);
+    await updateImportJob(jobId, { status: 'running', total: conversations.length });
+
+    for (let index = job.processed; index < conversations.length; index++) {
+      if (lease.lost) {
+        stopped = true;
+        logger.warn(`user: ${requestUserId} | Import job ${jobId} stopped: its lease expired`);
+        return;
+      }
+      const { data, title } = conversations[index];
+      const update = { $set: { processed: index + 1 }, $unset: { pending: '' } };
+      try {
+        /** @type {ImportBatchBuilder} */
+        const importBatchBuilder = createImportBatchBuilder(requestUserId, {
+          beforeSave: (conversationIds) =>
+            updateImportJob(jobId, { $set: { pending: { index, conversationIds } } }),
+        });
+        await importer(data, requestUserId, () => importBatchBuilder);
+        const ids = importBatchBuilder.conversations.map((convo) => convo.conversationId);
+        if (!ids.length) {
+          throw new Error('No conversation found');
+        }
+        update.$push = { conversationIds: { $each: ids } };
+      } catch (error) {
+        update.$push = { skipped: { index, title, reason: error.message } };
+      }
+      await updateImportJob(jobId, update);
+    }
+
+    // Sync Meilisearch index
+    await indexSync();
+    await updateImportJob(jobId, { status: 'completed', finishedAt: new Date() });
+    logger.debug(`user: ${requestUserId} | Import job ${jobId} completed`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Import job ${jobId} failed`, error);
+    try {
+      await updateImportJob(jobId, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date(),
+      });
+    } catch (err) {
+      logger.error(`user: ${requestUserId} | Failed to update import job ${jobId}`, err);
+    }
+  } finally {
+    if (!stopped) {
+      await fs.unlink(filepath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Queues the unfinished jobs no server holds a lease on, e.g. because the server running
+ * them stopped.
+ * @returns {Promise<void>}
+ */
+async function resumeImportJobs() {
+  try {
+    const jobs = (await getUnfinishedImportJobs()).filter((job) => !queuedJobIds.has(job.jobId));
+    if (jobs.length) {
+      logger.info(`[resumeImportJobs] Resuming ${jobs.length} import job(s)`);
+    }
+    jobs.forEach(enqueueImportJob);
+  } catch (error) {
+    logger.error('[resumeImportJobs] Error resuming import jobs', error);
+  }
+}
+
+/**
+ * Resumes unfinished jobs now and then every time a lease may have expired, so the jobs of
+ * a server that stopped are picked up by the servers still running.
+ * @returns {NodeJS.Timeout} The interval.
+ */
+function startImportJobRecovery() {
+  resumeImportJobs();
+  const interval = setInterval(resumeImportJobs, LEASE_MS);
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  startImportJob,
+  processImportJob,
+  resumeImportJobs,
+  startImportJobRecovery,
+};
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('~/models/Conversation', () => ({
+  bulkSaveConvos: jest.fn(),
+  deleteConvos: jest.fn(),
+}));
+jest.mock('~/models/Message', () => ({
+  bulkSaveMessages: jest.fn(),
+}));
+/** Jobs by ID, as stored in the database */
+const mockJobs = new Map();
+jest.mock('~/models/ImportJob', () => ({
+  createImportJob: jest.fn(async (data) => {
+    const job = { ...data, status: 'pending', processed: 0 };
+    mockJobs.set(job.jobId, job);
+    return job;
+  }),
+  updateImportJob: jest.fn(async (jobId, update) => {
+    const job = mockJobs.get(jobId);
+    if (job && update.status) {
+      job.status = update.status;
+    }
+    return job ?? null;
+  }),
+  claimImportJob: jest.fn(async (jobId) => mockJobs.get(jobId) ?? null),
+  renewImportJobLease: jest.fn(async (jobId) => mockJobs.get(jobId) ?? null),
+  getUnfinishedImportJobs: jest.fn(),
+}));
+jest.mock('~/lib/db', () => ({
+  indexSync: jest.fn(),
+}));
+jest.mock('~/cache/getLogStores', () => () => ({ get: jest.fn() }));
+
+const { startImportJob, processImportJob, resumeImportJobs } = require('./importJobs');
+const {
+  createImportJob,
+  updateImportJob,
+  claimImportJob,
+  getUnfinishedImportJobs,
+} = require('~/models/ImportJob');
+const { bulkSaveConvos, deleteConvos } = require('~/models/Conversation');
+
+const chatgptExport = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '__data__', 'chatgpt-export.json'), 'utf8'),
+);
+
+/** Two valid ChatGPT conversations around one without a message mapping */
+const exportWithBrokenConvo = [
+  chatgptExport[0],
+  { title: 'Broken', create_time: 1700000000 },
+  chatgptExport[1],
+];
+
+describe('import jobs', () => {
+  let dir;
+
+  const writeUpload = (data) => {
+    const filepath = path.join(dir, 'export.json');
+    fs.writeFileSync(filepath, typeof data === 'string' ? data : JSON.stringify(data));
+    return filepath;
+  };
+
+  /** Collapses the updates of a job into its final state */
+  const getJobState = () => {
+    const state = { conversationIds: [], skipped: [] };
+    for (const [, update] of updateImportJob.mock.calls) {
+      Object.assign(state, update.$set ?? (update.$push ? {} : update));
+      if (update.$push?.conversationIds) {
+        state.conversationIds.push(...update.$push.conversationIds.$each);
+      }
+      if (update.$push?.skipped) {
+        state.skipped.push(update.$push.skipped);
+      }
+    }
+    return state;
+  };
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+
+  /** Waits for a queued job to complete or fail */
+  const waitForJob = () => waitFor(() => ['completed', 'failed'].includes(getJobState().status));
+
+  const isFinished = (jobId) => ['completed', 'failed'].includes(mockJobs.get(jobId)?.status);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockJobs.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('imports conversations in the background and reports skipped ones', async () => {
+    const filepath = writeUpload(exportWithBrokenConvo);
+    const job = await startImportJob({
+      filepath,
+      filename: 'export.json',
+      requestUserId: 'user-1',
+    });
+
+    expect(createImportJob).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: job.jobId, user: 'user-1', filename: 'export.json' }),
+    );
+    expect(fs.existsSync(filepath)).toBe(false);
+    await waitForJob();
+
+    const state = getJobState();
+    expect(state).toMatchObject({ status: 'completed', total: 3, processed: 3 });
+    expect(state.conversationIds).toHaveLength(2);
+    expect(state.skipped).toEqual([{ index: 1, title: 'Broken', reason: expect.any(String) }]);
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(2);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('resumes from the last processed conversation', async () => {
+    const filepath = writeUpload(exportWithBrokenConvo);
+    await processImportJob({ jobId: 'job-1', user: 'user-1', filepath, processed: 2 });
+
+    const state = getJobState();
+    expect(state).toMatchObject({ status: 'completed', processed: 3 });
+    expect(state.conversationIds).toHaveLength(1);
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+    expect(bulkSaveConvos.mock.calls[0][0][0].title).toBe(chatgptExport[1].title);
+  });
+
+  it('records the conversation IDs of each conversation before saving it', async () => {
+    const filepath = writeUpload(chatgptExport.slice(0, 1));
+    await processImportJob({ jobId: 'job-1', user: 'user-1', filepath, processed: 0 });
+
+    const [savedConvo] = bulkSaveConvos.mock.calls[0][0];
+    const pendingCall = updateImportJob.mock.calls.findIndex(([, update]) => update.$set?.pending);
+    expect(updateImportJob.mock.calls[pendingCall][1].$set.pending).toEqual({
+      index: 0,
+      conversationIds: [savedConvo.conversationId],
+    });
+    expect(updateImportJob.mock.invocationCallOrder[pendingCall]).toBeLessThan(
+      bulkSaveConvos.mock.invocationCallOrder[0],
+    );
+    expect(updateImportJob.mock.calls[pendingCall + 1][1]).toMatchObject({
+      $set: { processed: 1 },
+      $unset: { pending: '' },
+    });
+  });
+
+  it('removes an interrupted conversation before importing it again', async () => {
+    const filepath = writeUpload(exportWithBrokenConvo);
+    await processImportJob({
+      jobId: 'job-1',
+      user: 'user-1',
+      filepath,
+      processed: 2,
+      pending: { index: 2, conversationIds: ['interrupted-convo'] },
+    });
+
+    expect(deleteConvos).toHaveBeenCalledWith('user-1', {
+      conversationId: { $in: ['interrupted-convo'] },
+    });
+    expect(deleteConvos.mock.invocationCallOrder[0]).toBeLessThan(
+      bulkSaveConvos.mock.invocationCallOrder[0],
+    );
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+    const state = getJobState();
+    expect(state).toMatchObject({ status: 'completed', processed: 3 });
+    expect(state.conversationIds).toEqual([bulkSaveConvos.mock.calls[0][0][0].conversationId]);
+  });
+
+  it('keeps conversations whose import was recorded before the restart', async () => {
+    const filepath = writeUpload(exportWithBrokenConvo);
+    await processImportJob({
+      jobId: 'job-1',
+      user: 'user-1',
+      filepath,
+      processed: 1,
+      pending: { index: 0, conversationIds: ['imported-convo'] },
+    });
+
+    expect(deleteConvos).not.toHaveBeenCalled();
+    expect(getJobState()).toMatchObject({ status: 'completed', processed: 3 });
+  });
+
+  it('fails the job for unsupported files', async () => {
+    const filepath = writeUpload({ unsupported: 'data' });
+    await processImportJob({ jobId: 'job-1', user: 'user-1', filepath, processed: 0 });
+
+    expect(getJobState()).toMatchObject({ status: 'failed', error: 'Unsupported import type' });
+    expect(fs.existsSync(filepath)).toBe(false);
+  });
+
+  it('fails resumed jobs whose file is gone', async () => {
+    const job = { jobId: 'job-1', user: 'user-1', filepath: path.join(dir, 'gone.json') };
+    mockJobs.set(job.jobId, { ...job, processed: 1 });
+    getUnfinishedImportJobs.mockResolvedValue([job]);
+    await resumeImportJobs();
+    await waitForJob();
+
+    expect(claimImportJob).toHaveBeenCalledWith('job-1', expect.any(String), expect.any(Number));
+    expect(getJobState()).toMatchObject({
+      status: 'failed',
+      error: 'The uploaded file is no longer available',
+    });
+  });
+
+  it('leaves resumed jobs to the server that claimed them first', async () => {
+    const filepath = writeUpload(exportWithBrokenConvo);
+    getUnfinishedImportJobs.mockResolvedValue([{ jobId: 'job-1', user: 'user-1', filepath }]);
+    claimImportJob.mockResolvedValueOnce(null);
+
+    await resumeImportJobs();
+    await waitFor(() => claimImportJob.mock.calls.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(updateImportJob).not.toHaveBeenCalled();
+    expect(fs.existsSync(filepath)).toBe(true);
+  });
+
+  it('stops a job without failing it once the lease on it is lost', async () => {
+    const filepath = writeUpload(exportWithBrokenConvo);
+    const lease = { lost: false };
+    bulkSaveConvos.mockImplementationOnce(async () => {
+      lease.lost = true;
+    });
+
+    await processImportJob({ jobId: 'job-1', user: 'user-1', filepath, processed: 0 }, lease);
+
+    const state = getJobState();
+    expect(state).toMatchObject({ status: 'running', processed: 1 });
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(filepath)).toBe(true);
+  });
+
+  it('runs the jobs of a user in order, beside the jobs of other users', async () => {
+    let release;
+    bulkSaveConvos.mockImplementationOnce(() => new Promise((resolve) => (release = resolve)));
+    const start = (requestUserId, name) => {
+      const filepath = path.join(dir, name);
+      fs.writeFileSync(filepath, JSON.stringify(chatgptExport.slice(0, 1)));
+      return startImportJob({ filepath, requestUserId });
+    };
+
+    const first = await start('user-1', 'first.json');
+    const second = await start('user-1', 'second.json');
+    const other = await start('user-2', 'other.json');
+    await waitFor(() => isFinished(other.jobId));
+
+    expect(isFinished(other.jobId)).toBe(true);
+    expect(claimImportJob.mock.calls.map(([jobId]) => jobId)).toEqual([first.jobId, other.jobId]);
+
+    release();
+    await waitFor(() => isFinished(second.jobId));
+    expect(claimImportJob.mock.calls.map(([jobId]) => jobId)).toEqual([
+      first.jobId,
+      other.jobId,
+      second.jobId,
+    ]);
+  });
+});
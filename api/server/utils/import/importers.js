@@ -1,5 +1,11 @@
 const { v4: uuidv4 } = require('uuid');
-const { EModelEndpoint, Constants, openAISettings, CacheKeys } = require('librechat-data-provider');
+const {
+  EModelEndpoint,
+  Constants,
+  openAISettings,
+  anthropicSettings,
+  CacheKeys,
+} = require('librechat-data-provider');
 const { createImportBatchBuilder } = require('./importBatchBuilder');
 const getLogStores = require('~/cache/getLogStores');
 const logger = require('~/config/winston');
@@ -12,12 +18,32 @@ const logger = require('~/config/winston');
  * @throws {Error} - If the import type is not supported.
  */
 function getImporter(jsonData) {
-  // For ChatGPT
   if (Array.isArray(jsonData)) {
+    const [first] = jsonData;
+
+    // For Claude.ai
+    if (Array.isArray(first?.chat_messages)) {
+      logger.info('Importing Claude.ai conversation');
+      return importClaudeConvo;
+    }
+
+    // For Open WebUI
+    if (first?.chat?.history?.messages || Array.isArray(first?.chat?.messages)) {
+      logger.info('Importing Open WebUI conversation');
+      return importOpenWebUIConvo;
+    }
+
+    // For ChatGPT
     logger.info('Importing ChatGPT conversation');
     return importChatGptConvo;
   }
 
+  // For a single Open WebUI chat
+  if (jsonData.chat?.history?.messages || Array.isArray(jsonData.chat?.messages)) {
+    logger.info('Importing Open WebUI conversation');
+    return importOpenWebUIConvo;
+  }
+
   // For ChatbotUI
   if (jsonData.version && Array.isArray(jsonData.history)) {
     logger.info('Importing ChatbotUI conversation');
@@ -30,6 +56,12 @@ function getImporter(jsonData) {
     return importLibreChatConvo;
   }
 
+  // For OpenAI-style messages
+  if (Array.isArray(jsonData.messages) && jsonData.messages.every(isOpenAIMessage)) {
+    logger.info('Importing OpenAI messages conversation');
+    return importOpenAIMessagesConvo;
+  }
+
   throw new Error('Unsupported import type');
 }
 
@@ -67,6 +99,7 @@ async function importChatBotUiConvo(
     logger.info(`user: ${requestUserId} | ChatbotUI conversation imported`);
   } catch (error) {
     logger.error(`user: ${requestUserId} | Error creating conversation from ChatbotUI file`, error);
+    throw error;
   }
 }
 
@@ -182,6 +215,7 @@ async function importLibreChatConvo(
     logger.debug(`user: ${requestUserId} | Conversation "${jsonData.title}" imported`);
   } catch (error) {
     logger.error(`user: ${requestUserId} | Error creating conversation from LibreChat file`, error);
+    throw error;
   }
 }
 
@@ -207,6 +241,7 @@ async function importChatGptConvo(
     await importBatchBuilder.saveBatch();
   } catch (error) {
     logger.error(`user: ${requestUserId} | Error creating conversation from imported file`, error);
+    throw error;
   }
 }
 
@@ -349,4 +384,317 @@ function formatMessageText(messageData) {
   return messageText;
 }
 
-module.exports = { getImporter, processAssistantMessage };
+/**
+ * Parses a date from an ISO string or a Unix timestamp in seconds.
+ * @param {string | number | undefined} value
+ * @returns {Date | undefined}
+ */
+function parseDate(value) {
+  if (value == null || value === '') {
+    return undefined;
+  }
+  const date = new Date(typeof value === 'number' ? value * 1000 : value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Creates a reference to a file attached in the source application. The file content is not
+ * imported; the reference keeps its name and type visible on the message.
+ *
+ * @param {object} file
+ * @param {string} [file.name] - The file name.
+ * @param {string} [file.type] - The MIME type, if known.
+ * @param {number} [file.size] - The size in bytes, if known.
+ * @param {string} [file.url] - A remote URL of the file, if known.
+ * @returns {Partial<MongoFile>}
+ */
+function createFileReference({ name, type, size, url }) {
+  const reference = {
+    file_id: uuidv4(),
+    filename: name || 'file',
+    type: type || 'application/octet-stream',
+    source: 'import',
+  };
+  if (typeof size === 'number') {
+    reference.bytes = size;
+  }
+  if (typeof url === 'string' && /^https?:\/\//.test(url)) {
+    reference.filepath = url;
+  }
+  return reference;
+}
+
+/** The root `parent_message_uuid` of Claude.ai conversations */
+const CLAUDE_ROOT_ID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Imports conversations from a Claude.ai data export (`conversations.json`).
+ * Branches are kept when the export includes `parent_message_uuid`.
+ *
+ * @param {ClaudeConvo[]} jsonData - Array of Claude.ai conversations.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - The factory function to create an import batch builder.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importClaudeConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+) {
+  try {
+    /** @type {ImportBatchBuilder} */
+    const importBatchBuilder = builderFactory(requestUserId);
+    const model = anthropicSettings.model.default;
+
+    for (const conv of jsonData) {
+      importBatchBuilder.startConversation(EModelEndpoint.anthropic);
+      const messages = [...(conv.chat_messages ?? [])].sort(
+        (a, b) => (parseDate(a.created_at) ?? 0) - (parseDate(b.created_at) ?? 0),
+      );
+
+      const idMapping = new Map();
+      for (const message of messages) {
+        const textParts = (message.content ?? [])
+          .filter((part) => part.type === 'text' && part.text)
+          .map((part) => part.text);
+        const text = textParts.length ? textParts.join('\n\n') : (message.text ?? '');
+
+        const attachments = [...(message.attachments ?? []), ...(message.files ?? [])];
+        const files = attachments.map((file) =>
+          createFileReference({ name: file.file_name, type: file.file_type, size: file.file_size }),
+        );
+
+        const isCreatedByUser = message.sender === 'human';
+        const parentUuid = message.parent_message_uuid;
+        const saved = importBatchBuilder.saveMessage({
+          text,
+          sender: isCreatedByUser ? 'user' : 'Claude',
+          isCreatedByUser,
+          model: isCreatedByUser ? undefined : model,
+          createdAt: parseDate(message.created_at),
+          ...(files.length ? { files } : {}),
+          ...(parentUuid !== undefined
+            ? { parentMessageId: idMapping.get(parentUuid) ?? Constants.NO_PARENT }
+            : {}),
+        });
+        idMapping.set(message.uuid, saved.messageId);
+      }
+
+      importBatchBuilder.finishConversation(conv.name, parseDate(conv.created_at) ?? new Date(), {
+        model,
+      });
+    }
+
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Claude.ai conversation(s) imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from Claude.ai file`, error);
+    throw error;
+  }
+}
+
+/**
+ * Orders Open WebUI messages so that parents come before their children, keeping siblings
+ * in the order they were created.
+ *
+ * @param {Record<string, OpenWebUIMessage>} messagesById
+ * @returns {OpenWebUIMessage[]}
+ */
+function sortOpenWebUIMessages(messagesById) {
+  const byTimestamp = (a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0);
+  const all = Object.values(messagesById).sort(byTimestamp);
+  const children = new Map();
+  for (const message of all) {
+    const parentId = message.parentId && messagesById[message.parentId] ? message.parentId : null;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
+    }
+    children.get(parentId).push(message);
+  }
+
+  const ordered = [];
+  const visited = new Set();
+  const queue = [...(children.get(null) ?? [])];
+  while (queue.length) {
+    const message = queue.shift();
+    if (visited.has(message.id)) {
+      continue;
+    }
+    visited.add(message.id);
+    ordered.push(message);
+    queue.push(...(children.get(message.id) ?? []));
+  }
+  return ordered;
+}
+
+/**
+ * Imports chats exported from Open WebUI, keeping regenerated and edited branches.
+ *
+ * @param {OpenWebUIChat | OpenWebUIChat[]} jsonData - One or more Open WebUI chats.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - The factory function to create an import batch builder.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importOpenWebUIConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+) {
+  try {
+    /** @type {ImportBatchBuilder} */
+    const importBatchBuilder = builderFactory(requestUserId);
+
+    for (const item of Array.isArray(jsonData) ? jsonData : [jsonData]) {
+      const chat = item.chat ?? {};
+      const messagesById =
+        chat.history?.messages ??
+        Object.fromEntries((chat.messages ?? []).map((message) => [message.id, message]));
+      const convoModel = chat.models?.[0] ?? openAISettings.model.default;
+
+      importBatchBuilder.startConversation(EModelEndpoint.openAI);
+      const idMapping = new Map();
+      for (const message of sortOpenWebUIMessages(messagesById)) {
+        if (message.role !== 'user' && message.role !== 'assistant') {
+          continue;
+        }
+
+        const isCreatedByUser = message.role === 'user';
+        const model = message.model ?? convoModel;
+        const files = (message.files ?? []).map((file) =>
+          createFileReference({
+            name: file.name ?? file.file?.filename,
+            type: file.type === 'image' ? 'image/*' : (file.file?.meta?.content_type ?? file.type),
+            size: file.size ?? file.file?.meta?.size,
+            url: file.url,
+          }),
+        );
+
+        const saved = importBatchBuilder.saveMessage({
+          text: typeof message.content === 'string' ? message.content : '',
+          sender: isCreatedByUser ? 'user' : model,
+          isCreatedByUser,
+          model: isCreatedByUser ? undefined : model,
+          parentMessageId: idMapping.get(message.parentId) ?? Constants.NO_PARENT,
+          createdAt: parseDate(message.timestamp),
+          ...(files.length ? { files } : {}),
+        });
+        idMapping.set(message.id, saved.messageId);
+      }
+
+      importBatchBuilder.finishConversation(
+        item.title ?? chat.title,
+        parseDate(item.created_at ?? chat.timestamp) ?? new Date(),
+        { model: convoModel },
+      );
+    }
+
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Open WebUI conversation(s) imported`);
+  } catch (error) {
+    logger.error(
+      `user: ${requestUserId} | Error creating conversation from Open WebUI file`,
+      error,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Whether a value looks like an OpenAI chat message (`{ role, content }`).
+ * @param {unknown} message
+ * @returns {boolean}
+ */
+function isOpenAIMessage(message) {
+  return (
+    typeof message?.role === 'string' &&
+    (typeof message.content === 'string' ||
+      message.content === null ||
+      Array.isArray(message.content))
+  );
+}
+
+/**
+ * Imports a conversation in the OpenAI chat format: `{ messages: [{ role, content }] }`,
+ * optionally with a `title` and a `model`. Content may be a string or an array of parts;
+ * image parts are kept as file references.
+ *
+ * @param {{ title?: string, model?: string, messages: Array<{ role: string, content: string | object[] | null }> }} jsonData
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - The factory function to create an import batch builder.
+ * @returns {Promise<void>} Promise that resolves when the conversation has been imported.
+ */
+async function importOpenAIMessagesConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+) {
+  try {
+    /** @type {ImportBatchBuilder} */
+    const importBatchBuilder = builderFactory(requestUserId);
+    const model = jsonData.model ?? openAISettings.model.default;
+    const system = [];
+
+    importBatchBuilder.startConversation(EModelEndpoint.openAI);
+    for (const message of jsonData.messages) {
+      const parts = Array.isArray(message.content) ? message.content : [];
+      const textParts = parts.filter((part) => part.type === 'text').map((part) => part.text);
+      const text = typeof message.content === 'string' ? message.content : textParts.join('\n\n');
+
+      if (message.role === 'system' || message.role === 'developer') {
+        system.push(text);
+        continue;
+      } else if (message.role !== 'user' && message.role !== 'assistant') {
+        continue;
+      }
+
+      const files = parts
+        .filter((part) => part.type === 'image_url')
+        .map((part) => createFileReference({ type: 'image/*', url: part.image_url?.url }));
+
+      if (message.role === 'user') {
+        importBatchBuilder.saveMessage({
+          text,
+          sender: 'user',
+          isCreatedByUser: true,
+          ...(files.length ? { files } : {}),
+        });
+      } else {
+        importBatchBuilder.addGptMessage(text, model, model);
+      }
+    }
+
+    importBatchBuilder.finishConversation(jsonData.title, new Date(), {
+      model,
+      ...(system.length ? { promptPrefix: system.join('\n\n') } : {}),
+    });
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | OpenAI messages conversation imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from messages file`, error);
+    throw error;
+  }
+}
+
+/**
+ * Splits import data into one entry per conversation, each in the shape its importer expects,
+ * so conversations can be imported (and fail) independently.
+ *
+ * @param {Object | Object[]} jsonData - The JSON data to import.
+ * @returns {Array<{ data: Object | Object[], title?: string }>} The data of each conversation.
+ */
+function splitImportData(jsonData) {
+  if (Array.isArray(jsonData)) {
+    return jsonData.map((conv) => ({ data: [conv], title: conv?.title ?? conv?.name }));
+  }
+
+  if (jsonData.version && Array.isArray(jsonData.history)) {
+    return jsonData.history.map((item) => ({
+      data: { ...jsonData, history: [item] },
+      title: item?.name,
+    }));
+  }
+
+  return [{ data: jsonData, title: jsonData.title }];
+}
+
+module.exports = { getImporter, splitImportData, processAssistantMessage };
@@ -398,6 +398,142 @@ describe('importChatBotUiConvo', () => {
   });
 });
 
+describe('importClaudeConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'claude-export.json'), 'utf8'),
+  );
+
+  it('should import conversations with their branches and attachments', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'startConversation');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+    jest.spyOn(importBatchBuilder, 'saveBatch');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledWith(EModelEndpoint.anthropic);
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledTimes(2);
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      1,
+      'Sourdough troubleshooting',
+      new Date('2024-11-02T09:15:04.123456Z'),
+      expect.any(Object),
+    );
+    expect(importBatchBuilder.saveBatch).toHaveBeenCalled();
+
+    const [question, first, second, followUp, ...linear] = importBatchBuilder.messages;
+    expect(question).toMatchObject({ isCreatedByUser: true, sender: 'user' });
+    expect(question.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(question.files).toEqual([
+      expect.objectContaining({ filename: 'recipe.txt', type: 'txt', bytes: 412 }),
+      expect.objectContaining({ filename: 'crumb.jpg' }),
+    ]);
+
+    // Both answers branch from the question; the follow-up continues the second
+    expect(first.parentMessageId).toBe(question.messageId);
+    expect(second.parentMessageId).toBe(question.messageId);
+    expect(second.text).toBe('Your hydration is 70%, which is fine; extend the bulk ferment.');
+    expect(second).toMatchObject({ sender: 'Claude', isCreatedByUser: false });
+    expect(followUp.parentMessageId).toBe(second.messageId);
+
+    // Exports without parent IDs are imported linearly
+    expect(linear[0].parentMessageId).toBe(Constants.NO_PARENT);
+    expect(linear[1].parentMessageId).toBe(linear[0].messageId);
+  });
+});
+
+describe('importOpenWebUIConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'open-webui-export.json'), 'utf8'),
+  );
+
+  it('should import the message tree with models and files', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+    jest.spyOn(importBatchBuilder, 'saveBatch');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledWith(
+      'Rust lifetimes',
+      new Date(1718000000 * 1000),
+      { model: 'llama3.1:8b' },
+    );
+    expect(importBatchBuilder.saveBatch).toHaveBeenCalled();
+
+    const messages = importBatchBuilder.messages;
+    expect(messages).toHaveLength(5);
+    const byText = (text) => messages.find((msg) => msg.text.startsWith(text));
+    const question = byText('Explain lifetimes');
+    const regenerated = byText('Every reference');
+
+    expect(question.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(byText('Lifetimes describe').parentMessageId).toBe(question.messageId);
+    expect(regenerated.parentMessageId).toBe(question.messageId);
+    expect(regenerated).toMatchObject({ model: 'qwen2.5:14b', sender: 'qwen2.5:14b' });
+    expect(byText('Show an example').parentMessageId).toBe(regenerated.messageId);
+    expect(byText('fn longest').createdAt).toEqual(new Date(1718000125 * 1000));
+
+    expect(question.files).toEqual([
+      expect.objectContaining({ filename: 'main.rs', type: 'text/x-rust', bytes: 2048 }),
+      expect.objectContaining({ type: 'image/*', filepath: 'https://example.com/diagram.png' }),
+    ]);
+    expect(question.files[0]).not.toHaveProperty('filepath');
+  });
+
+  it('should import a single exported chat', async () => {
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    jest.spyOn(importBatchBuilder, 'saveBatch').mockResolvedValue();
+
+    const importer = getImporter(jsonData[0]);
+    await importer(jsonData[0], 'user-123', () => importBatchBuilder);
+
+    expect(importBatchBuilder.conversations).toHaveLength(1);
+    expect(importBatchBuilder.messages).toHaveLength(5);
+  });
+});
+
+describe('importOpenAIMessagesConvo', () => {
+  it('should import OpenAI-style messages with the system prompt and images', async () => {
+    const jsonData = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '__data__', 'openai-messages.json'), 'utf8'),
+    );
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+    jest.spyOn(importBatchBuilder, 'saveBatch');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledWith(
+      'Support bot test',
+      expect.any(Date),
+      { model: 'gpt-4o-mini', promptPrefix: 'You are a helpful support agent.' },
+    );
+    expect(importBatchBuilder.saveBatch).toHaveBeenCalled();
+
+    const messages = importBatchBuilder.messages;
+    expect(messages.map((msg) => msg.text)).toEqual([
+      'My order has not arrived.',
+      'Sorry to hear that! What is your order number?',
+      'It is 1234, here is the receipt.',
+      'Thanks, order 1234 shipped yesterday.',
+    ]);
+    expect(messages[3]).toMatchObject({ model: 'gpt-4o-mini', isCreatedByUser: false });
+    expect(messages[2].files).toEqual([
+      expect.objectContaining({ type: 'image/*', filepath: 'https://example.com/receipt.png' }),
+    ]);
+    for (let i = 1; i < messages.length; i++) {
+      expect(messages[i].parentMessageId).toBe(messages[i - 1].messageId);
+    }
+  });
+});
+
 describe('getImporter', () => {
   it('should throw an error if the import type is not supported', () => {
     const jsonData = { unsupported: 'data' };
@@ -1,7 +1,7 @@
 const importers = require('./importers');
-const importConversations = require('./importConversations');
+const importJobs = require('./importJobs');
 
 module.exports = {
   ...importers,
-  importConversations,
+  ...importJobs,
 };
@@ -972,6 +972,60 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports AgentVersion
+ * @typedef {import('librechat-data-provider').AgentVersion} AgentVersion
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentVersionListResponse
+ * @typedef {import('librechat-data-provider').AgentVersionListResponse} AgentVersionListResponse
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentVersionDiffResponse
+ * @typedef {import('librechat-data-provider').AgentVersionDiffResponse} AgentVersionDiffResponse
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentBundle
+ * @typedef {import('librechat-data-provider').AgentBundle} AgentBundle
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentBundleAction
+ * @typedef {import('librechat-data-provider').AgentBundleAction} AgentBundleAction
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentBundleFile
+ * @typedef {import('librechat-data-provider').AgentBundleFile} AgentBundleFile
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentBundleSkippedFile
+ * @typedef {import('librechat-data-provider').AgentBundleSkippedFile} AgentBundleSkippedFile
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentBundlePromptGroup
+ * @typedef {import('librechat-data-provider').AgentBundlePromptGroup} AgentBundlePromptGroup
+ * @memberof typedefs
+ */
+
+/**
+ * @exports AgentImportResponse
+ * @typedef {import('librechat-data-provider').AgentImportResponse} AgentImportResponse
+ * @memberof typedefs
+ */
+
 /**
  * @exports JsonSchemaType
  * @typedef {import('librechat-data-provider').JsonSchemaType} JsonSchemaType
@@ -1658,6 +1712,7 @@
  * @property {mongoose.Schema.Types.ObjectId} user - The user ID.
  * @property {String} conversationId - The ID of the conversation.
  * @property {String} model - The model name.
+ * @property {String} [agent_id] - The ID of the agent that incurred the transaction.
  * @property {String} context - The context in which the transaction is made.
  * @property {EndpointTokenConfig} [endpointTokenConfig] - The current endpoint token config.
  * @property {object} [cacheUsage] - Cache usage, if any.
@@ -1814,6 +1869,62 @@
  * @memberof typedefs
  */
 
+/**
+ * @typedef {Object} ClaudeAttachment
+ * @property {string} file_name - Name of the attached file.
+ * @property {number} [file_size] - Size of the file in bytes.
+ * @property {string} [file_type] - MIME type or extension of the file.
+ * @property {string} [extracted_content] - Text extracted from the file.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} ClaudeMessage
+ * @property {string} uuid - Identifier of the message.
+ * @property {string} text - Text of the message.
+ * @property {Array<{ type: string, text?: string }>} [content] - Content blocks of the message.
+ * @property {'human' | 'assistant'} sender - Author of the message.
+ * @property {string} created_at - Creation time as an ISO string.
+ * @property {string} [parent_message_uuid] - Parent message ID, in exports that include branches.
+ * @property {ClaudeAttachment[]} [attachments] - Files whose text was extracted.
+ * @property {Array<{ file_name: string }>} [files] - Uploaded files, such as images.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} ClaudeConvo
+ * @property {string} uuid - Identifier of the conversation.
+ * @property {string} name - Title of the conversation.
+ * @property {string} created_at - Creation time as an ISO string.
+ * @property {ClaudeMessage[]} chat_messages - Messages of the conversation.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} OpenWebUIMessage
+ * @property {string} id - Identifier of the message.
+ * @property {?string} parentId - Parent message ID.
+ * @property {string[]} [childrenIds] - Child message IDs.
+ * @property {'user' | 'assistant' | 'system'} role - Author of the message.
+ * @property {string} content - Text of the message.
+ * @property {string} [model] - Model that generated the message.
+ * @property {number} [timestamp] - Creation time as a Unix timestamp.
+ * @property {Array<{ type: string, name?: string, url?: string, size?: number }>} [files] - Attached files.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} OpenWebUIChat
+ * @property {string} id - Identifier of the chat.
+ * @property {string} title - Title of the chat.
+ * @property {number} [created_at] - Creation time as a Unix timestamp.
+ * @property {Object} chat - The chat content.
+ * @property {string[]} [chat.models] - Models selected for the chat.
+ * @property {{ messages: Object.<string, OpenWebUIMessage>, currentId?: string }} [chat.history] - Message tree.
+ * @property {OpenWebUIMessage[]} [chat.messages] - Messages of the current branch.
+ * @memberof typedefs
+ */
+
 /** Mutations */
 
 /**
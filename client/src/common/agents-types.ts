@@ -1,4 +1,4 @@
-import { AgentCapabilities, ArtifactModes } from 'librechat-data-provider';
+import { AgentCapabilities, AgentChainModes, ArtifactModes } from 'librechat-data-provider';
 import type { Agent, AgentProvider, AgentModelParameters } from 'librechat-data-provider';
 import type { OptionWithIcon, ExtendedFile } from './types';
 
@@ -25,8 +25,10 @@ export type AgentForm = {
   model: string | null;
   model_parameters: AgentModelParameters;
   tools?: string[];
+  requires_approval?: string[];
   provider?: AgentProvider | OptionWithIcon;
   agent_ids?: string[];
+  chain_mode?: AgentChainModes | string;
   [AgentCapabilities.artifacts]?: ArtifactModes | string;
   recursion_limit?: number;
 } & TAgentCapabilities;
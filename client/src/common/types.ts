@@ -114,6 +114,8 @@ export type AgentIconMapProps = IconMapProps & { agentName?: string };
 
 export type NavLink = {
   title: TranslationKeys;
+  /** Shown instead of the localized `title`, e.g. for plugin-provided panels */
+  displayTitle?: string;
   label?: string;
   icon: LucideIcon | React.FC;
   Component?: React.ComponentType;
@@ -163,6 +165,8 @@ export type ActionAuthForm = {
   client_url: string;
   scope: string;
   token_exchange_method: t.TokenExchangeMethodEnum;
+  /* Approval */
+  requires_approval: boolean;
 };
 
 export type ActionWithNullableMetadata = Omit<t.Action, 'metadata'> & {
@@ -2,11 +2,13 @@ import { useMemo } from 'react';
 import { useOutletContext } from 'react-router-dom';
 import { getConfigDefaults, PermissionTypes, Permissions } from 'librechat-data-provider';
 import type { ContextType } from '~/common';
+import { PluginSlot } from '~/plugin-runtime/slots';
 import ModelSelector from './Menus/Endpoints/ModelSelector';
 import { PresetsMenu, HeaderNewChat } from './Menus';
 import { useGetStartupConfig } from '~/data-provider';
 import ExportAndShareMenu from './ExportAndShareMenu';
 import { useMediaQuery, useHasAccess } from '~/hooks';
+import { useChatContext } from '~/Providers';
 import BookmarkMenu from './Menus/BookmarkMenu';
 import { TemporaryChat } from './TemporaryChat';
 import AddMultiConvo from './AddMultiConvo';
@@ -16,6 +18,9 @@ const defaultInterface = getConfigDefaults().interface;
 export default function Header() {
   const { data: startupConfig } = useGetStartupConfig();
   const { navVisible } = useOutletContext<ContextType>();
+  const { conversation } = useChatContext();
+  const conversationId = conversation?.conversationId ?? null;
+  const pluginSlotContext = useMemo(() => ({ conversationId }), [conversationId]);
   const interfaceConfig = useMemo(
     () => startupConfig?.interface ?? defaultInterface,
     [startupConfig],
@@ -42,6 +47,11 @@ export default function Header() {
           {interfaceConfig.presets === true && interfaceConfig.modelSelect && <PresetsMenu />}
           {hasAccessToBookmarks === true && <BookmarkMenu />}
           {hasAccessToMultiConvo === true && <AddMultiConvo />}
+          <PluginSlot
+            name="header"
+            context={pluginSlotContext}
+            className="flex items-center gap-2"
+          />
           {isSmallScreen && (
             <>
               <ExportAndShareMenu
@@ -17,6 +17,7 @@ import {
   useSubmitMessage,
 } from '~/hooks';
 import { mainTextareaId, BadgeItem } from '~/common';
+import { PluginSlot } from '~/plugin-runtime/slots';
 import AttachFileChat from './Files/AttachFileChat';
 import FileFormChat from './Files/FileFormChat';
 import { TextareaAutosize } from '~/components';
@@ -89,6 +90,7 @@ const ChatForm = memo(({ index = 0 }: { index?: number }) => {
     () => conversation?.conversationId ?? Constants.NEW_CONVO,
     [conversation?.conversationId],
   );
+  const pluginSlotContext = useMemo(() => ({ conversationId }), [conversationId]);
 
   const isRTL = useMemo(
     () => (chatDirection != null ? chatDirection?.toLowerCase() === 'rtl' : false),
@@ -306,6 +308,11 @@ const ChatForm = memo(({ index = 0 }: { index?: number }) => {
                 }
               />
               <div className="mx-auto flex" />
+              <PluginSlot
+                name="composer-toolbar"
+                context={pluginSlotContext}
+                className="flex items-center gap-1"
+              />
               {SpeechToText && (
                 <AudioRecorder
                   methods={methods}
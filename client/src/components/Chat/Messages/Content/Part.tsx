@@ -8,6 +8,7 @@ import {
 import { memo } from 'react';
 import type { TMessageContentParts, TAttachment } from 'librechat-data-provider';
 import { ErrorMessage } from './MessageContent';
+import AgentBranch from './Parts/AgentBranch';
 import AgentUpdate from './Parts/AgentUpdate';
 import ExecuteCode from './Parts/ExecuteCode';
 import RetrievalCall from './RetrievalCall';
@@ -49,9 +50,13 @@ const Part = memo(
         />
       );
     } else if (part.type === ContentTypes.AGENT_UPDATE) {
+      const agentUpdate = part[ContentTypes.AGENT_UPDATE];
+      if (agentUpdate?.branch) {
+        return <AgentBranch agentId={agentUpdate.agentId} branch={agentUpdate.branch} />;
+      }
       return (
         <>
-          <AgentUpdate currentAgentId={part[ContentTypes.AGENT_UPDATE]?.agentId} />
+          <AgentUpdate currentAgentId={agentUpdate?.agentId} handoff={agentUpdate?.handoff} />
           {isLast && showCursor && (
             <Container>
               <EmptyText />
@@ -109,6 +114,8 @@ const Part = memo(
             attachments={attachments}
             auth={toolCall.auth}
             expires_at={toolCall.expires_at}
+            toolCallId={toolCall.id}
+            requires_approval={toolCall.requires_approval}
           />
         );
       } else if (toolCall.type === ToolCallTypes.CODE_INTERPRETER) {
@@ -0,0 +1,75 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { EModelEndpoint } from 'librechat-data-provider';
+import type { MouseEvent } from 'react';
+import type { Agents, TMessage } from 'librechat-data-provider';
+import { ThinkingContent } from '~/components/Artifacts/Thinking';
+import MessageIcon from '~/components/Share/MessageIcon';
+import { useAgentsMapContext } from '~/Providers';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+interface AgentBranchProps {
+  agentId: string;
+  branch: NonNullable<Agents.AgentUpdate['agent_update']['branch']>;
+}
+
+/** The response of an agent that ran in parallel with others, collapsed by default */
+const AgentBranch: React.FC<AgentBranchProps> = ({ agentId, branch }) => {
+  const localize = useLocalize();
+  const agentsMap = useAgentsMapContext();
+  const agent = useMemo(() => agentsMap?.[agentId], [agentsMap, agentId]);
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const handleClick = useCallback((e: MouseEvent<HTMLButtonElement>) => {
+    e.preventDefault();
+    setIsExpanded((prev) => !prev);
+  }, []);
+
+  const name = agent?.name || localize('com_ui_agent');
+  const text = branch.error
+    ? localize('com_ui_agent_response_error', { 0: name, 1: branch.error })
+    : branch.output;
+
+  return (
+    <div className="mb-2">
+      <button
+        type="button"
+        onClick={handleClick}
+        className="group mt-2 flex w-fit items-center justify-center gap-2 rounded-xl bg-surface-tertiary px-3 py-2 text-xs leading-[18px]"
+        aria-expanded={isExpanded}
+      >
+        <div className="flex h-4 w-4 items-center justify-center overflow-hidden rounded-full">
+          <MessageIcon
+            message={
+              {
+                endpoint: EModelEndpoint.agents,
+                isCreatedByUser: false,
+              } as TMessage
+            }
+            agent={agent}
+          />
+        </div>
+        {localize('com_ui_agent_response', { 0: name })}
+        <ChevronDown
+          className={cn(
+            'icon-sm transform-gpu text-text-primary transition-transform duration-200',
+            isExpanded && 'rotate-180',
+          )}
+        />
+      </button>
+      <div
+        className={cn('grid transition-all duration-300 ease-out', isExpanded && 'mt-3')}
+        style={{
+          gridTemplateRows: isExpanded ? '1fr' : '0fr',
+        }}
+      >
+        <div className="overflow-hidden">
+          <ThinkingContent isPart={true}>{text}</ThinkingContent>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentBranch;
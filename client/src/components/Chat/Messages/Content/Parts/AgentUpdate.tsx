@@ -1,18 +1,20 @@
 import React, { useMemo } from 'react';
 import { EModelEndpoint } from 'librechat-data-provider';
-import type { TMessage } from 'librechat-data-provider';
+import type { Agents, TMessage } from 'librechat-data-provider';
 import MessageIcon from '~/components/Share/MessageIcon';
 import { useAgentsMapContext } from '~/Providers';
 import { useLocalize } from '~/hooks';
 
 interface AgentUpdateProps {
   currentAgentId: string;
+  handoff?: Agents.AgentUpdate['agent_update']['handoff'];
 }
 
-const AgentUpdate: React.FC<AgentUpdateProps> = ({ currentAgentId }) => {
+const AgentUpdate: React.FC<AgentUpdateProps> = ({ currentAgentId, handoff }) => {
   const localize = useLocalize();
   const agentsMap = useAgentsMapContext() || {};
   const currentAgent = useMemo(() => agentsMap[currentAgentId], [agentsMap, currentAgentId]);
+  const fromAgent = handoff ? agentsMap[handoff.fromAgentId] : undefined;
   if (!currentAgentId) {
     return null;
   }
@@ -40,6 +42,14 @@ const AgentUpdate: React.FC<AgentUpdateProps> = ({ currentAgentId }) => {
           {currentAgent?.name || localize('com_ui_agent')}
         </div>
       </div>
+      {handoff && (
+        <div className="-mt-2 mb-4 text-sm text-text-secondary">
+          {localize('com_ui_agent_handoff', {
+            0: fromAgent?.name || localize('com_ui_agent'),
+            1: handoff.reason,
+          })}
+        </div>
+      )}
     </div>
   );
 };
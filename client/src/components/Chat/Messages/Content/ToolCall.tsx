@@ -1,4 +1,4 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import * as Popover from '@radix-ui/react-popover';
 import { ShieldCheck, TriangleAlert } from 'lucide-react';
 import { actionDelimiter, actionDomainSeparator, Constants } from 'librechat-data-provider';
@@ -12,6 +12,8 @@ import ProgressText from './ProgressText';
 import FinishedIcon from './FinishedIcon';
 import ToolPopover from './ToolPopover';
 import WrenchIcon from './WrenchIcon';
+import { useApproveToolCallMutation } from '~/data-provider';
+import { useToastContext } from '~/Providers';
 import { useProgress } from '~/hooks';
 import { logger } from '~/utils';
 
@@ -26,6 +28,8 @@ export default function ToolCall({
   output,
   attachments,
   auth,
+  toolCallId,
+  requires_approval,
 }: {
   initialProgress: number;
   isSubmitting: boolean;
@@ -35,8 +39,16 @@ export default function ToolCall({
   attachments?: TAttachment[];
   auth?: string;
   expires_at?: number;
+  toolCallId?: string;
+  requires_approval?: boolean;
 }) {
   const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [decided, setDecided] = useState(false);
+  const approveToolCall = useApproveToolCallMutation({
+    onSuccess: () => setDecided(true),
+    onError: () => showToast({ message: localize('com_ui_tool_approval_error'), status: 'error' }),
+  });
   const { function_name, domain, isMCPToolCall } = useMemo(() => {
     if (typeof name !== 'string') {
       return { function_name: '', domain: null, isMCPToolCall: false };
@@ -101,9 +113,16 @@ export default function ToolCall({
   const progress = useProgress(error === true ? 1 : initialProgress);
   const cancelled = (!isSubmitting && progress < 1) || error === true;
   const offset = circumference - progress * circumference;
+  const pendingApproval = requires_approval === true && progress < 1 && !cancelled;
+
+  const decide = (approved: boolean) => {
+    if (toolCallId != null && toolCallId) {
+      approveToolCall.mutate({ toolCallId, approved });
+    }
+  };
 
   const renderIcon = () => {
-    if (progress < 1 && authDomain.length > 0) {
+    if (progress < 1 && (authDomain.length > 0 || pendingApproval)) {
       return (
         <div
           className="absolute left-0 top-0 flex h-full w-full items-center justify-center rounded-full bg-transparent text-text-secondary"
@@ -148,6 +167,13 @@ export default function ToolCall({
     return localize('com_assistants_completed_function', { 0: function_name });
   };
 
+  const getAuthText = () => {
+    if (pendingApproval) {
+      return localize('com_ui_requires_approval');
+    }
+    return !cancelled && authDomain.length > 0 ? localize('com_ui_requires_auth') : undefined;
+  };
+
   return (
     <Popover.Root>
       <div className="my-2.5 flex flex-wrap items-center gap-2.5">
@@ -156,9 +182,7 @@ export default function ToolCall({
           <ProgressText
             progress={cancelled ? 1 : progress}
             inProgressText={localize('com_assistants_running_action')}
-            authText={
-              !cancelled && authDomain.length > 0 ? localize('com_ui_requires_auth') : undefined
-            }
+            authText={getAuthText()}
             finishedText={getFinishedText()}
             hasInput={hasInfo}
             popover={true}
@@ -191,6 +215,26 @@ export default function ToolCall({
             </p>
           </div>
         )}
+        {pendingApproval && (
+          <div className="mb-1 mt-2 flex w-full gap-2">
+            <button
+              type="button"
+              className="inline-flex items-center justify-center gap-2 rounded-3xl bg-surface-tertiary px-4 py-2 text-sm font-medium hover:bg-surface-hover disabled:opacity-50"
+              onClick={() => decide(true)}
+              disabled={decided || approveToolCall.isLoading}
+            >
+              {localize('com_ui_approve')}
+            </button>
+            <button
+              type="button"
+              className="inline-flex items-center justify-center gap-2 rounded-3xl border border-border-medium px-4 py-2 text-sm font-medium hover:bg-surface-hover disabled:opacity-50"
+              onClick={() => decide(false)}
+              disabled={decided || approveToolCall.isLoading}
+            >
+              {localize('com_ui_reject')}
+            </button>
+          </div>
+        )}
       </div>
       {attachments?.map((attachment, index) => <Attachment attachment={attachment} key={index} />)}
     </Popover.Root>
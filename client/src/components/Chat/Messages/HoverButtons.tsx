@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useRecoilState } from 'recoil';
 import type { TConversation, TMessage } from 'librechat-data-provider';
 import { EditIcon, Clipboard, CheckMark, ContinueIcon, RegenerateIcon } from '~/components/svg';
 import { useGenerationsByLatest, useLocalize } from '~/hooks';
 import { Fork } from '~/components/Conversations';
+import { PluginSlot } from '~/plugin-runtime/slots';
 import MessageAudio from './MessageAudio';
 import { cn } from '~/utils';
 import store from '~/store';
@@ -58,6 +59,15 @@ export default function HoverButtons({
     isCreatedByUser: message.isCreatedByUser,
     latestMessageId: latestMessage?.messageId,
   });
+  const pluginSlotContext = useMemo(
+    () => ({
+      conversationId: conversation?.conversationId ?? null,
+      messageId: message.messageId,
+      text: message.text ?? '',
+      isCreatedByUser: message.isCreatedByUser,
+    }),
+    [conversation?.conversationId, message.messageId, message.text, message.isCreatedByUser],
+  );
   if (!conversation) {
     return null;
   }
@@ -167,6 +177,7 @@ export default function HoverButtons({
           <ContinueIcon className="h-4 w-4 hover:text-gray-500 dark:hover:text-gray-200 disabled:dark:hover:text-gray-400" />
         </button>
       ) : null}
+      <PluginSlot name="message-actions" context={pluginSlotContext} className="flex" />
     </div>
   );
 }
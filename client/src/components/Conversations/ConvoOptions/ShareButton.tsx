@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
 import { Copy, CopyCheck } from 'lucide-react';
 import { useGetSharedLinkQuery } from 'librechat-data-provider/react-query';
+import type { TSharedLinkSettings } from 'librechat-data-provider';
 import OGDialogTemplate from '~/components/ui/OGDialogTemplate';
 import { useLocalize, useCopyToClipboard } from '~/hooks';
 import { Button, Spinner, OGDialog } from '~/components';
+import SharedLinkSettings from './SharedLinkSettings';
 import SharedLinkButton from './SharedLinkButton';
 import { cn } from '~/utils';
 
@@ -25,6 +27,7 @@ export default function ShareButton({
   const [showQR, setShowQR] = useState(false);
   const [sharedLink, setSharedLink] = useState('');
   const [isCopying, setIsCopying] = useState(false);
+  const [settings, setSettings] = useState<TSharedLinkSettings>({});
   const { data: share, isLoading } = useGetSharedLinkQuery(conversationId);
   const copyLink = useCopyToClipboard({ text: sharedLink });
 
@@ -44,6 +47,8 @@ export default function ShareButton({
         showQR={showQR}
         setShowQR={setShowQR}
         setSharedLink={setSharedLink}
+        settings={settings}
+        setSettings={setSettings}
       />
     );
 
@@ -71,6 +76,9 @@ export default function ShareButton({
                   : localize('com_ui_share_create_message');
               })()}
             </div>
+            {isLoading !== true && (
+              <SharedLinkSettings share={share} settings={settings} setSettings={setSettings} />
+            )}
             <div className="relative items-center rounded-lg p-2">
               {showQR && (
                 <div className="mb-4 flex flex-col items-center">
@@ -1,6 +1,6 @@
 import { useState, useCallback } from 'react';
 import { QrCode, RotateCw, Trash2 } from 'lucide-react';
-import type { TSharedLinkGetResponse } from 'librechat-data-provider';
+import type { TSharedLinkGetResponse, TSharedLinkSettings } from 'librechat-data-provider';
 import {
   useCreateSharedLinkMutation,
   useUpdateSharedLinkMutation,
@@ -19,6 +19,8 @@ export default function SharedLinkButton({
   showQR,
   setShowQR,
   setSharedLink,
+  settings,
+  setSettings,
 }: {
   share: TSharedLinkGetResponse | undefined;
   conversationId: string;
@@ -26,6 +28,8 @@ export default function SharedLinkButton({
   showQR: boolean;
   setShowQR: (showQR: boolean) => void;
   setSharedLink: (sharedLink: string) => void;
+  settings: TSharedLinkSettings;
+  setSettings: (settings: TSharedLinkSettings) => void;
 }) {
   const localize = useLocalize();
   const { showToast } = useToastContext();
@@ -80,9 +84,10 @@ export default function SharedLinkButton({
   };
 
   const createShareLink = async () => {
-    const share = await mutate({ conversationId });
+    const share = await mutate({ conversationId, settings });
     const newLink = generateShareLink(share.shareId);
     setSharedLink(newLink);
+    setSettings({});
   };
 
   const handleDelete = async () => {
@@ -0,0 +1,190 @@
+import type { TSharedLinkGetResponse, TSharedLinkSettings } from 'librechat-data-provider';
+import {
+  useGetProjectsQuery,
+  useGetStartupConfig,
+  useUpdateSharedLinkSettingsMutation,
+} from '~/data-provider';
+import { Button, Input, Label, Spinner, Switch } from '~/components';
+import { NotificationSeverity } from '~/common';
+import { useToastContext } from '~/Providers';
+import { useLocalize } from '~/hooks';
+
+/** Formats an ISO date for a `datetime-local` input, which expects local time without a zone */
+const toDateTimeLocal = (date?: string | null) => {
+  if (date == null || date === '') {
+    return '';
+  }
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+export default function SharedLinkSettings({
+  share,
+  settings,
+  setSettings,
+}: {
+  share: TSharedLinkGetResponse | undefined;
+  settings: TSharedLinkSettings;
+  setSettings: React.Dispatch<React.SetStateAction<TSharedLinkSettings>>;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { data: startupConfig } = useGetStartupConfig();
+  const { data: projects = [] } = useGetProjectsQuery();
+  const shareId = share?.shareId ?? '';
+
+  const { mutate, isLoading } = useUpdateSharedLinkSettingsMutation({
+    onSuccess: () => {
+      setSettings({});
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_share_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    },
+  });
+
+  const mode = settings.mode ?? share?.mode ?? 'snapshot';
+  const expiresAt = settings.expiresAt !== undefined ? settings.expiresAt : share?.expiresAt;
+  const hasPassword = settings.password !== undefined ? !!settings.password : !!share?.hasPassword;
+  const isPublic = settings.isPublic ?? share?.isPublic ?? true;
+  const allowFork = settings.allowFork ?? share?.allowFork ?? false;
+  const recipients =
+    settings.sharedWith ?? share?.sharedWith?.map((recipient) => recipient.email) ?? [];
+  const instanceProjectId = startupConfig?.instanceProjectId ?? '';
+  const projectIds = settings.projectIds ?? share?.projectIds ?? [];
+  const isSharedWithInstance = instanceProjectId !== '' && projectIds.includes(instanceProjectId);
+  const toggleProject = (projectId: string, checked: boolean) =>
+    setSettings((prev) => ({
+      ...prev,
+      projectIds: checked
+        ? [...projectIds, projectId]
+        : projectIds.filter((id) => id !== projectId),
+    }));
+  const isDirty = Object.keys(settings).length > 0;
+
+  return (
+    <div className="flex flex-col gap-3 py-2 text-sm text-text-primary">
+      <div className="flex items-center justify-between">
+        <Label htmlFor="share-public">{localize('com_ui_share_public')}</Label>
+        <Switch
+          id="share-public"
+          checked={isPublic}
+          onCheckedChange={(checked) => setSettings((prev) => ({ ...prev, isPublic: checked }))}
+        />
+      </div>
+      {instanceProjectId !== '' && (
+        <div className="flex items-center justify-between">
+          <Label htmlFor="share-instance">{localize('com_ui_share_everyone')}</Label>
+          <Switch
+            id="share-instance"
+            checked={isSharedWithInstance}
+            onCheckedChange={(checked) => toggleProject(instanceProjectId, checked)}
+          />
+        </div>
+      )}
+      {projects.map((project) => (
+        <div key={project._id} className="flex items-center justify-between">
+          <Label htmlFor={`share-project-${project._id}`}>
+            {localize('com_ui_share_project', { 0: project.name })}
+          </Label>
+          <Switch
+            id={`share-project-${project._id}`}
+            checked={projectIds.includes(project._id)}
+            onCheckedChange={(checked) => toggleProject(project._id, checked)}
+          />
+        </div>
+      ))}
+      <div className="flex items-center justify-between gap-4">
+        <Label htmlFor="share-recipients">{localize('com_ui_share_recipients')}</Label>
+        <Input
+          id="share-recipients"
+          className="w-56"
+          placeholder={localize('com_ui_share_recipients_placeholder')}
+          value={recipients.join(',')}
+          onChange={(e) =>
+            setSettings((prev) => ({
+              ...prev,
+              sharedWith: e.target.value ? e.target.value.split(',') : [],
+            }))
+          }
+        />
+      </div>
+      <div className="flex items-center justify-between">
+        <Label htmlFor="share-fork">{localize('com_ui_share_allow_fork')}</Label>
+        <Switch
+          id="share-fork"
+          checked={allowFork}
+          onCheckedChange={(checked) => setSettings((prev) => ({ ...prev, allowFork: checked }))}
+        />
+      </div>
+      <div className="flex items-center justify-between">
+        <Label htmlFor="share-live">{localize('com_ui_share_live')}</Label>
+        <Switch
+          id="share-live"
+          checked={mode === 'live'}
+          onCheckedChange={(checked) =>
+            setSettings((prev) => ({ ...prev, mode: checked ? 'live' : 'snapshot' }))
+          }
+        />
+      </div>
+      <div className="flex items-center justify-between gap-4">
+        <Label htmlFor="share-expires-at">{localize('com_ui_share_expires_at')}</Label>
+        <Input
+          id="share-expires-at"
+          type="datetime-local"
+          className="w-56"
+          value={toDateTimeLocal(expiresAt)}
+          onChange={(e) =>
+            setSettings((prev) => ({
+              ...prev,
+              expiresAt: e.target.value ? new Date(e.target.value).toISOString() : null,
+            }))
+          }
+        />
+      </div>
+      <div className="flex items-center justify-between gap-4">
+        <Label htmlFor="share-password">{localize('com_ui_share_password')}</Label>
+        <Input
+          id="share-password"
+          type="password"
+          className="w-56"
+          autoComplete="new-password"
+          placeholder={hasPassword ? localize('com_ui_share_password_set') : ''}
+          value={settings.password ?? ''}
+          onChange={(e) =>
+            setSettings((prev) => ({ ...prev, password: e.target.value || undefined }))
+          }
+        />
+      </div>
+      {shareId && (
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-text-secondary">
+            {localize('com_ui_share_views', { 0: share?.views ?? 0 })}
+          </div>
+          <div className="flex gap-2">
+            {share?.hasPassword === true && settings.password !== null && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setSettings((prev) => ({ ...prev, password: null }))}
+              >
+                {localize('com_ui_share_password_remove')}
+              </Button>
+            )}
+            <Button
+              size="sm"
+              variant="submit"
+              disabled={!isDirty || isLoading}
+              onClick={() => mutate({ shareId, settings })}
+            >
+              {isLoading ? <Spinner className="size-4" /> : localize('com_ui_save')}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,30 +1,26 @@
 import React, { useState, useRef } from 'react';
 import * as Tabs from '@radix-ui/react-tabs';
-import { MessageSquare, Command } from 'lucide-react';
+import { MessageSquare, Command, Puzzle, Blocks } from 'lucide-react';
 import { SettingsTabValues } from 'librechat-data-provider';
 import type { TDialogProps } from '~/common';
 import { Dialog, DialogPanel, DialogTitle, Transition, TransitionChild } from '@headlessui/react';
 import { GearIcon, DataIcon, SpeechIcon, UserIcon, ExperimentIcon } from '~/components/svg';
-import { General, Chat, Speech, Beta, Commands, Data, Account } from './SettingsTabs';
+import { General, Chat, Speech, Beta, Commands, Data, Account, Plugins } from './SettingsTabs';
+import { getPluginTabComponent, usePluginSlot } from '~/plugin-runtime/slots';
+import { useGetPluginSettingsQuery } from '~/data-provider';
 import { useMediaQuery, useLocalize, TranslationKeys } from '~/hooks';
 import { cn } from '~/utils';
 
 export default function Settings({ open, onOpenChange }: TDialogProps) {
   const isSmallScreen = useMediaQuery('(max-width: 767px)');
   const localize = useLocalize();
-  const [activeTab, setActiveTab] = useState(SettingsTabValues.GENERAL);
+  const [activeTab, setActiveTab] = useState<string>(SettingsTabValues.GENERAL);
   const tabRefs = useRef({});
+  const pluginTabs = usePluginSlot('settings');
+  const { data: pluginSettings } = useGetPluginSettingsQuery();
 
   const handleKeyDown = (event: React.KeyboardEvent) => {
-    const tabs = [
-      SettingsTabValues.GENERAL,
-      SettingsTabValues.CHAT,
-      SettingsTabValues.BETA,
-      SettingsTabValues.COMMANDS,
-      SettingsTabValues.SPEECH,
-      SettingsTabValues.DATA,
-      SettingsTabValues.ACCOUNT,
-    ];
+    const tabs = settingsTabs.map(({ value }) => value);
     const currentIndex = tabs.indexOf(activeTab);
 
     switch (event.key) {
@@ -48,9 +44,11 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
   };
 
   const settingsTabs: {
-    value: SettingsTabValues;
+    value: string;
     icon: React.JSX.Element;
     label: TranslationKeys;
+    /** Shown instead of the localized `label`, e.g. for plugin tabs */
+    title?: string;
   }[] = [
     {
       value: SettingsTabValues.GENERAL,
@@ -88,9 +86,24 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
       label: 'com_nav_setting_account',
     },
   ];
+  if (pluginSettings?.length) {
+    settingsTabs.push({
+      value: SettingsTabValues.PLUGINS,
+      icon: <Blocks className="icon-sm" />,
+      label: 'com_nav_setting_plugins',
+    });
+  }
+  for (const tab of pluginTabs) {
+    settingsTabs.push({
+      value: `plugin:${tab.key}`,
+      icon: <Puzzle className="icon-sm" />,
+      label: 'com_ui_plugin',
+      title: tab.title,
+    });
+  }
 
   const handleTabChange = (value: string) => {
-    setActiveTab(value as SettingsTabValues);
+    setActiveTab(value);
   };
 
   return (
@@ -168,7 +181,7 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
                     )}
                     onKeyDown={handleKeyDown}
                   >
-                    {settingsTabs.map(({ value, icon, label }) => (
+                    {settingsTabs.map(({ value, icon, label, title }) => (
                       <Tabs.Trigger
                         key={value}
                         className={cn(
@@ -181,7 +194,7 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
                         ref={(el) => (tabRefs.current[value] = el)}
                       >
                         {icon}
-                        {localize(label)}
+                        {title ?? localize(label)}
                       </Tabs.Trigger>
                     ))}
                   </Tabs.List>
@@ -207,6 +220,17 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
                     <Tabs.Content value={SettingsTabValues.ACCOUNT}>
                       <Account />
                     </Tabs.Content>
+                    <Tabs.Content value={SettingsTabValues.PLUGINS}>
+                      <Plugins />
+                    </Tabs.Content>
+                    {pluginTabs.map((tab) => {
+                      const PluginTab = getPluginTabComponent(tab);
+                      return (
+                        <Tabs.Content key={tab.key} value={`plugin:${tab.key}`}>
+                          <PluginTab />
+                        </Tabs.Content>
+                      );
+                    })}
                   </div>
                 </Tabs.Root>
               </div>
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useClearConversationsMutation } from 'librechat-data-provider/react-query';
 import { Label, Button, OGDialog, OGDialogTrigger, Spinner } from '~/components';
+import { useGetStartupConfig } from '~/data-provider';
 import { useLocalize, useNewConvo } from '~/hooks';
 import OGDialogTemplate from '~/components/ui/OGDialogTemplate';
 import { clearAllConversationStorage } from '~/utils';
@@ -9,6 +10,12 @@ export const ClearChats = () => {
   const localize = useLocalize();
   const [open, setOpen] = useState(false);
   const { newConversation } = useNewConvo();
+  const { data: startupConfig } = useGetStartupConfig();
+  const trashRetentionDays = startupConfig?.trashRetentionDays ?? 0;
+  const confirmMessage =
+    trashRetentionDays > 0
+      ? localize('com_nav_clear_conversation_trash_message', { 0: trashRetentionDays.toString() })
+      : localize('com_nav_clear_conversation_confirm_message');
   const clearConvosMutation = useClearConversationsMutation();
 
   const clearConvos = () => {
@@ -40,11 +47,7 @@ export const ClearChats = () => {
           showCloseButton={false}
           title={localize('com_nav_confirm_clear')}
           className="max-w-[450px]"
-          main={
-            <Label className="text-left text-sm font-medium">
-              {localize('com_nav_clear_conversation_confirm_message')}
-            </Label>
-          }
+          main={<Label className="text-left text-sm font-medium">{confirmMessage}</Label>}
           selection={{
             selectHandler: clearConvos,
             selectClasses:
@@ -1,13 +1,18 @@
 import React, { useState, useRef } from 'react';
+import { SystemRoles } from 'librechat-data-provider';
 import ImportConversations from './ImportConversations';
 import { RevokeAllKeys } from './RevokeAllKeys';
 import { DeleteCache } from './DeleteCache';
-import { useOnClickOutside } from '~/hooks';
+import { useAuthContext, useOnClickOutside } from '~/hooks';
 import { ClearChats } from './ClearChats';
+import SharedWithMe from './SharedWithMe';
 import SharedLinks from './SharedLinks';
+import Projects from './Projects';
+import Trash from './Trash';
 
 function Data() {
   const dataTabRef = useRef(null);
+  const { user } = useAuthContext();
   const [confirmClearConvos, setConfirmClearConvos] = useState(false);
   useOnClickOutside(dataTabRef, () => confirmClearConvos && setConfirmClearConvos(false), []);
 
@@ -19,12 +24,23 @@ function Data() {
       <div className="pb-3">
         <SharedLinks />
       </div>
+      <div className="pb-3">
+        <SharedWithMe />
+      </div>
+      {user?.role === SystemRoles.ADMIN && (
+        <div className="pb-3">
+          <Projects />
+        </div>
+      )}
       <div className="pb-3">
         <RevokeAllKeys />
       </div>
       <div className="pb-3">
         <DeleteCache />
       </div>
+      <div className="pb-3">
+        <Trash />
+      </div>
       <div className="pb-3">
         <ClearChats />
       </div>
@@ -1,7 +1,9 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { Import } from 'lucide-react';
+import { QueryKeys } from 'librechat-data-provider';
+import { useQueryClient } from '@tanstack/react-query';
 import type { TError } from 'librechat-data-provider';
-import { useUploadConversationsMutation } from '~/data-provider';
+import { useUploadConversationsMutation, useGetImportJobQuery } from '~/data-provider';
 import { useToastContext } from '~/Providers';
 import { Spinner } from '~/components/svg';
 import { useLocalize } from '~/hooks';
@@ -9,17 +11,55 @@ import { cn } from '~/utils';
 
 function ImportConversations() {
   const localize = useLocalize();
+  const queryClient = useQueryClient();
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const { showToast } = useToastContext();
   const [, setErrors] = useState<string[]>([]);
   const [allowImport, setAllowImport] = useState(true);
+  const [jobId, setJobId] = useState<string | null>(null);
   const setError = (error: string) => setErrors((prevErrors) => [...prevErrors, error]);
 
-  const uploadFile = useUploadConversationsMutation({
-    onSuccess: () => {
+  const { data: job } = useGetImportJobQuery(jobId);
+
+  useEffect(() => {
+    if (job?.status !== 'completed' && job?.status !== 'failed') {
+      return;
+    }
+
+    setJobId(null);
+    setAllowImport(true);
+    if (job.imported > 0) {
+      queryClient.invalidateQueries({
+        queryKey: [QueryKeys.allConversations],
+        refetchPage: (_, index) => index === 0,
+      });
+    }
+
+    if (job.status === 'failed') {
+      setError(job.error ?? 'An error occurred while importing the file.');
+      const message =
+        job.error === 'Unsupported import type'
+          ? 'com_ui_import_conversation_file_type_error'
+          : 'com_ui_import_conversation_error';
+      showToast({ message: localize(message), status: 'error' });
+    } else if (job.skipped.length > 0) {
+      job.skipped.forEach(({ title, reason }) => setError(`${title ?? ''}: ${reason}`));
+      showToast({
+        message: localize('com_ui_import_conversation_partial', {
+          0: job.imported,
+          1: job.skipped.length,
+        }),
+        status: 'warning',
+      });
+    } else {
       showToast({ message: localize('com_ui_import_conversation_success') });
-      setAllowImport(true);
+    }
+  }, [job, localize, queryClient, showToast]);
+
+  const uploadFile = useUploadConversationsMutation({
+    onSuccess: (data) => {
+      setJobId(data.jobId);
     },
     onError: (error) => {
       console.error('Error: ', error);
@@ -90,7 +130,11 @@ function ImportConversations() {
         ) : (
           <Spinner className="mr-1 w-4" />
         )}
-        <span>{localize('com_ui_import')}</span>
+        <span>
+          {job?.status === 'running' && job.total > 0
+            ? localize('com_ui_import_conversation_progress', { 0: job.processed, 1: job.total })
+            : localize('com_ui_import')}
+        </span>
       </button>
       <input
         ref={fileInputRef}
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import type { TProject } from 'librechat-data-provider';
+import {
+  OGDialog,
+  OGDialogTrigger,
+  OGDialogContent,
+  OGDialogHeader,
+  OGDialogTitle,
+  Button,
+  Input,
+  Spinner,
+} from '~/components';
+import {
+  useGetAllProjectsQuery,
+  useCreateProjectMutation,
+  useUpdateProjectMembersMutation,
+} from '~/data-provider';
+import { useLocalize } from '~/hooks';
+import { NotificationSeverity } from '~/common';
+import { useToastContext } from '~/Providers';
+
+function ProjectMembers({ project }: { project: TProject }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [emails, setEmails] = useState('');
+
+  const { mutate, isLoading } = useUpdateProjectMembersMutation({
+    onSuccess: () => setEmails(''),
+    onError: () => {
+      showToast({
+        message: localize('com_ui_project_members_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const add = emails
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+
+  return (
+    <div className="flex flex-col gap-2 border-b border-border-light py-3">
+      <div className="font-medium">{project.name}</div>
+      <div className="flex flex-wrap gap-2">
+        {project.members.length === 0 && (
+          <span className="text-text-secondary">{localize('com_ui_project_no_members')}</span>
+        )}
+        {project.members.map((email) => (
+          <span
+            key={email}
+            className="flex items-center gap-1 rounded-full bg-surface-secondary px-2 py-0.5"
+          >
+            {email}
+            <button
+              type="button"
+              disabled={isLoading}
+              aria-label={localize('com_ui_project_remove_member', { 0: email })}
+              onClick={() => mutate({ projectId: project._id, remove: [email] })}
+            >
+              <X className="size-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (add.length) {
+            mutate({ projectId: project._id, add });
+          }
+        }}
+      >
+        <Input
+          value={emails}
+          placeholder={localize('com_ui_share_recipients_placeholder')}
+          onChange={(e) => setEmails(e.target.value)}
+        />
+        <Button type="submit" variant="outline" disabled={!add.length || isLoading}>
+          {isLoading ? <Spinner className="size-4" /> : localize('com_ui_add')}
+        </Button>
+      </form>
+    </div>
+  );
+}
+
+/** Lets admins create projects and manage their members, who can then share with the project */
+export default function Projects() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const { data: projects = [], isLoading } = useGetAllProjectsQuery({ enabled: isOpen });
+
+  const createMutation = useCreateProjectMutation({
+    onSuccess: () => setName(''),
+    onError: () => {
+      showToast({
+        message: localize('com_ui_project_create_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  return (
+    <div className="flex items-center justify-between">
+      <div>{localize('com_ui_projects')}</div>
+
+      <OGDialog open={isOpen} onOpenChange={setIsOpen}>
+        <OGDialogTrigger asChild onClick={() => setIsOpen(true)}>
+          <Button variant="outline">{localize('com_ui_manage')}</Button>
+        </OGDialogTrigger>
+
+        <OGDialogContent
+          title={localize('com_ui_projects')}
+          className="w-11/12 max-w-2xl bg-background text-text-primary shadow-2xl"
+        >
+          <OGDialogHeader>
+            <OGDialogTitle>{localize('com_ui_projects')}</OGDialogTitle>
+          </OGDialogHeader>
+          <form
+            className="flex gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (name.trim()) {
+                createMutation.mutate({ name: name.trim() });
+              }
+            }}
+          >
+            <Input
+              value={name}
+              placeholder={localize('com_ui_project_name')}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <Button
+              type="submit"
+              variant="submit"
+              disabled={!name.trim() || createMutation.isLoading}
+            >
+              {localize('com_ui_create')}
+            </Button>
+          </form>
+          <div className="max-h-[60vh] overflow-y-auto text-sm">
+            {isLoading && <Spinner className="mx-auto size-5" />}
+            {projects.map((project) => (
+              <ProjectMembers key={project._id} project={project} />
+            ))}
+          </div>
+        </OGDialogContent>
+      </OGDialog>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { useCallback, useState, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { GitFork } from 'lucide-react';
+import type { SharedWithMeItem } from 'librechat-data-provider';
+import {
+  OGDialog,
+  OGDialogTrigger,
+  OGDialogContent,
+  OGDialogHeader,
+  OGDialogTitle,
+  TooltipAnchor,
+  Button,
+  Label,
+} from '~/components';
+import { useForkSharedConversationMutation, useSharedWithMeQuery } from '~/data-provider';
+import { useLocalize, useMediaQuery } from '~/hooks';
+import DataTable from '~/components/ui/DataTable';
+import { NotificationSeverity } from '~/common';
+import { useToastContext } from '~/Providers';
+import { formatDate } from '~/utils';
+
+export default function SharedWithMe() {
+  const localize = useLocalize();
+  const navigate = useNavigate();
+  const { showToast } = useToastContext();
+  const isSmallScreen = useMediaQuery('(max-width: 768px)');
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isLoading } = useSharedWithMeQuery({
+    enabled: isOpen,
+    staleTime: 0,
+    cacheTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    refetchOnMount: false,
+  });
+
+  const allLinks = useMemo(() => {
+    if (!data?.pages) {
+      return [];
+    }
+
+    return data.pages.flatMap((page) => page.links.filter(Boolean));
+  }, [data?.pages]);
+
+  const forkMutation = useForkSharedConversationMutation({
+    onSuccess: (data) => {
+      setIsOpen(false);
+      navigate(`/c/${data.conversation.conversationId}`);
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_fork_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const handleFetchNextPage = useCallback(async () => {
+    if (hasNextPage !== true || isFetchingNextPage) {
+      return;
+    }
+    await fetchNextPage();
+  }, [fetchNextPage, hasNextPage, isFetchingNextPage]);
+
+  const columns = useMemo(
+    () => [
+      {
+        accessorKey: 'title',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_ui_name')}
+          </Label>
+        ),
+        cell: ({ row }) => {
+          const { title, shareId } = row.original as SharedWithMeItem;
+          return (
+            <Link
+              to={`/share/${shareId}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block truncate text-blue-500 hover:underline"
+              title={title}
+            >
+              {title}
+            </Link>
+          );
+        },
+        meta: {
+          size: '35%',
+          mobileSize: '40%',
+        },
+      },
+      {
+        accessorKey: 'sharedBy',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_ui_shared_by')}
+          </Label>
+        ),
+        cell: ({ row }) => (row.original as SharedWithMeItem).sharedBy ?? '',
+        meta: {
+          size: '20%',
+          mobileSize: '25%',
+        },
+      },
+      {
+        accessorKey: 'createdAt',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_ui_date')}
+          </Label>
+        ),
+        cell: ({ row }) =>
+          formatDate((row.original as SharedWithMeItem).createdAt ?? '', isSmallScreen),
+        meta: {
+          size: '10%',
+          mobileSize: '20%',
+        },
+      },
+      {
+        accessorKey: 'actions',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_assistants_actions')}
+          </Label>
+        ),
+        meta: {
+          size: '7%',
+          mobileSize: '15%',
+        },
+        cell: ({ row }) => {
+          const { shareId, allowFork } = row.original as SharedWithMeItem;
+          if (!allowFork) {
+            return null;
+          }
+          return (
+            <TooltipAnchor
+              description={localize('com_ui_share_fork')}
+              render={
+                <Button
+                  variant="ghost"
+                  className="h-8 w-8 p-0 hover:bg-surface-hover"
+                  disabled={forkMutation.isLoading}
+                  onClick={() => forkMutation.mutate({ shareId })}
+                  title={localize('com_ui_share_fork')}
+                >
+                  <GitFork className="size-4" />
+                </Button>
+              }
+            />
+          );
+        },
+      },
+    ],
+    [isSmallScreen, localize, forkMutation],
+  );
+
+  return (
+    <div className="flex items-center justify-between">
+      <div>{localize('com_nav_shared_with_me')}</div>
+
+      <OGDialog open={isOpen} onOpenChange={setIsOpen}>
+        <OGDialogTrigger asChild onClick={() => setIsOpen(true)}>
+          <Button variant="outline">{localize('com_ui_view')}</Button>
+        </OGDialogTrigger>
+
+        <OGDialogContent
+          title={localize('com_nav_shared_with_me')}
+          className="w-11/12 max-w-5xl bg-background text-text-primary shadow-2xl"
+        >
+          <OGDialogHeader>
+            <OGDialogTitle>{localize('com_nav_shared_with_me')}</OGDialogTitle>
+          </OGDialogHeader>
+          <DataTable
+            columns={columns}
+            data={allLinks}
+            filterColumn="title"
+            hasNextPage={hasNextPage}
+            isFetchingNextPage={isFetchingNextPage}
+            fetchNextPage={handleFetchNextPage}
+            showCheckboxes={false}
+            isLoading={isLoading}
+          />
+        </OGDialogContent>
+      </OGDialog>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import { useCallback, useState, useMemo } from 'react';
+import { ArchiveRestore, TrashIcon } from 'lucide-react';
+import type { TrashedConversation } from 'librechat-data-provider';
+import {
+  OGDialog,
+  OGDialogTrigger,
+  OGDialogContent,
+  OGDialogHeader,
+  OGDialogTitle,
+  TooltipAnchor,
+  Button,
+  Label,
+} from '~/components';
+import {
+  useTrashQuery,
+  useEmptyTrashMutation,
+  useRestoreConversationsMutation,
+} from '~/data-provider';
+import { useLocalize, useMediaQuery } from '~/hooks';
+import DataTable from '~/components/ui/DataTable';
+import { NotificationSeverity } from '~/common';
+import { useToastContext } from '~/Providers';
+import { formatDate } from '~/utils';
+
+export default function Trash() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const isSmallScreen = useMediaQuery('(max-width: 768px)');
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isLoading } = useTrashQuery({
+    enabled: isOpen,
+    staleTime: 0,
+    cacheTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+
+  const allConversations = useMemo(() => {
+    if (!data?.pages) {
+      return [];
+    }
+
+    return data.pages.flatMap((page) => page.conversations.filter(Boolean));
+  }, [data?.pages]);
+
+  const retentionDays = data?.pages[0]?.retentionDays ?? 0;
+
+  const restoreMutation = useRestoreConversationsMutation({
+    onError: () => {
+      showToast({
+        message: localize('com_ui_restore_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const emptyTrashMutation = useEmptyTrashMutation({
+    onError: () => {
+      showToast({
+        message: localize('com_ui_empty_trash_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const isMutating = restoreMutation.isLoading || emptyTrashMutation.isLoading;
+
+  const handleFetchNextPage = useCallback(async () => {
+    if (hasNextPage !== true || isFetchingNextPage) {
+      return;
+    }
+    await fetchNextPage();
+  }, [fetchNextPage, hasNextPage, isFetchingNextPage]);
+
+  const handleDelete = useCallback(
+    async (selectedRows: TrashedConversation[]) => {
+      const conversationIds = selectedRows.map((row) => row.conversationId ?? '').filter(Boolean);
+      if (conversationIds.length > 0) {
+        await emptyTrashMutation.mutateAsync({ conversationIds });
+      }
+    },
+    [emptyTrashMutation],
+  );
+
+  const columns = useMemo(
+    () => [
+      {
+        accessorKey: 'title',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_ui_name')}
+          </Label>
+        ),
+        cell: ({ row }) => {
+          const { title } = row.original as TrashedConversation;
+          return (
+            <span className="block truncate" title={title ?? ''}>
+              {title}
+            </span>
+          );
+        },
+        meta: {
+          size: '45%',
+          mobileSize: '50%',
+        },
+      },
+      {
+        accessorKey: 'deletedAt',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_ui_deleted')}
+          </Label>
+        ),
+        cell: ({ row }) =>
+          formatDate((row.original as TrashedConversation).deletedAt, isSmallScreen),
+        meta: {
+          size: '15%',
+          mobileSize: '25%',
+        },
+      },
+      {
+        accessorKey: 'actions',
+        header: () => (
+          <Label className="px-2 py-0 text-xs sm:px-2 sm:py-2 sm:text-sm">
+            {localize('com_assistants_actions')}
+          </Label>
+        ),
+        meta: {
+          size: '10%',
+          mobileSize: '25%',
+        },
+        cell: ({ row }) => {
+          const { conversationId } = row.original as TrashedConversation;
+          if (!conversationId) {
+            return null;
+          }
+          return (
+            <div className="flex items-center gap-2">
+              <TooltipAnchor
+                description={localize('com_ui_restore')}
+                render={
+                  <Button
+                    variant="ghost"
+                    className="h-8 w-8 p-0 hover:bg-surface-hover"
+                    disabled={isMutating}
+                    onClick={() => restoreMutation.mutate({ conversationIds: [conversationId] })}
+                    title={localize('com_ui_restore')}
+                  >
+                    <ArchiveRestore className="size-4" />
+                  </Button>
+                }
+              />
+              <TooltipAnchor
+                description={localize('com_ui_delete_forever')}
+                render={
+                  <Button
+                    variant="ghost"
+                    className="h-8 w-8 p-0 hover:bg-surface-hover"
+                    disabled={isMutating}
+                    onClick={() => emptyTrashMutation.mutate({ conversationIds: [conversationId] })}
+                    title={localize('com_ui_delete_forever')}
+                  >
+                    <TrashIcon className="size-4" />
+                  </Button>
+                }
+              />
+            </div>
+          );
+        },
+      },
+    ],
+    [isSmallScreen, localize, isMutating, restoreMutation, emptyTrashMutation],
+  );
+
+  return (
+    <div className="flex items-center justify-between">
+      <div>{localize('com_nav_trash')}</div>
+
+      <OGDialog open={isOpen} onOpenChange={setIsOpen}>
+        <OGDialogTrigger asChild onClick={() => setIsOpen(true)}>
+          <Button variant="outline">{localize('com_ui_view')}</Button>
+        </OGDialogTrigger>
+
+        <OGDialogContent
+          title={localize('com_nav_trash')}
+          className="w-11/12 max-w-5xl bg-background text-text-primary shadow-2xl"
+        >
+          <OGDialogHeader>
+            <OGDialogTitle>{localize('com_nav_trash')}</OGDialogTitle>
+          </OGDialogHeader>
+          {retentionDays > 0 && (
+            <div className="text-sm text-text-secondary">
+              {localize('com_ui_trash_retention', { 0: retentionDays.toString() })}
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <Button
+              variant="outline"
+              disabled={isMutating || allConversations.length === 0}
+              onClick={() => restoreMutation.mutate({})}
+            >
+              {localize('com_ui_restore_all')}
+            </Button>
+            <Button
+              variant="destructive"
+              disabled={isMutating || allConversations.length === 0}
+              onClick={() => emptyTrashMutation.mutate({})}
+            >
+              {localize('com_ui_empty_trash')}
+            </Button>
+          </div>
+          <DataTable
+            columns={columns}
+            data={allConversations}
+            onDelete={handleDelete}
+            filterColumn="title"
+            hasNextPage={hasNextPage}
+            isFetchingNextPage={isFetchingNextPage}
+            fetchNextPage={handleFetchNextPage}
+            isLoading={isLoading}
+          />
+        </OGDialogContent>
+      </OGDialog>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import type { TUserPluginSettings, TPluginSettingField } from 'librechat-data-provider';
+import { Button, Dropdown, Input, Label, Switch } from '~/components/ui';
+import { useLocalize } from '~/hooks';
+
+type SettingValue = string | number | boolean;
+
+type PluginSettingsFormProps = {
+  plugin: TUserPluginSettings;
+  disabled?: boolean;
+  onSubmit: (values: Record<string, SettingValue>) => void;
+};
+
+function SettingInput({
+  id,
+  field,
+  value,
+  onChange,
+}: {
+  id: string;
+  field: TPluginSettingField;
+  value: SettingValue | undefined;
+  onChange: (value: SettingValue | undefined) => void;
+}) {
+  switch (field.type) {
+    case 'boolean':
+      return <Switch id={id} checked={value === true} onCheckedChange={onChange} />;
+    case 'select':
+      return (
+        <Dropdown
+          value={typeof value === 'string' ? value : ''}
+          onChange={onChange}
+          options={field.options ?? []}
+          ariaLabel={field.label}
+          sizeClasses="w-[180px]"
+        />
+      );
+    case 'number':
+      return (
+        <Input
+          id={id}
+          type="number"
+          min={field.min}
+          max={field.max}
+          required={field.required}
+          value={typeof value === 'number' ? value : ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+          className="w-[180px]"
+        />
+      );
+    default:
+      return (
+        <Input
+          id={id}
+          minLength={field.min}
+          maxLength={field.max}
+          required={field.required}
+          value={typeof value === 'string' ? value : ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : e.target.value)}
+          className="w-[180px]"
+        />
+      );
+  }
+}
+
+/** Renders the settings a plugin declares in its manifest as a form. */
+export default function PluginSettingsForm({
+  plugin,
+  disabled,
+  onSubmit,
+}: PluginSettingsFormProps) {
+  const localize = useLocalize();
+  const [values, setValues] = useState<Record<string, SettingValue>>(plugin.values);
+
+  const setValue = (key: string, value: SettingValue | undefined) => {
+    setValues((prev) => {
+      const next = { ...prev };
+      if (value === undefined) {
+        delete next[key];
+      } else {
+        next[key] = value;
+      }
+      return next;
+    });
+  };
+
+  return (
+    <form
+      className="flex flex-col gap-3"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(values);
+      }}
+    >
+      {plugin.fields.map((field) => {
+        const id = `plugin-${plugin.id}-${field.key}`;
+        return (
+          <div key={field.key} className="flex items-center justify-between gap-4">
+            <div className="flex flex-col">
+              <Label htmlFor={id}>{field.label}</Label>
+              {field.description != null && (
+                <span className="text-xs text-text-secondary">{field.description}</span>
+              )}
+            </div>
+            <SettingInput
+              id={id}
+              field={field}
+              value={values[field.key]}
+              onChange={(value) => setValue(field.key, value)}
+            />
+          </div>
+        );
+      })}
+      <div className="flex justify-end">
+        <Button type="submit" size="sm" disabled={disabled}>
+          {localize('com_ui_save')}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,67 @@
+import { memo } from 'react';
+import type { TUserPluginSettings } from 'librechat-data-provider';
+import { useGetPluginSettingsQuery, useUpdatePluginSettingsMutation } from '~/data-provider';
+import { NotificationSeverity } from '~/common';
+import { useToastContext } from '~/Providers';
+import PluginSettingsForm from './PluginSettingsForm';
+import { Switch } from '~/components/ui';
+import { useLocalize } from '~/hooks';
+
+function PluginSettings({ plugin }: { plugin: TUserPluginSettings }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const updateSettings = useUpdatePluginSettingsMutation({
+    onSuccess: () => {
+      showToast({ message: localize('com_ui_saved'), severity: NotificationSeverity.SUCCESS });
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_plugin_settings_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  return (
+    <div className="flex flex-col gap-3 border-b border-border-light pb-3 last:border-0">
+      <div className="flex items-center justify-between">
+        <div className="flex flex-col">
+          <span className="font-medium">{plugin.title}</span>
+          {plugin.description != null && (
+            <span className="text-xs text-text-secondary">{plugin.description}</span>
+          )}
+        </div>
+        <Switch
+          id={`plugin-${plugin.id}`}
+          checked={plugin.enabled}
+          disabled={updateSettings.isLoading}
+          onCheckedChange={(enabled) => updateSettings.mutate({ pluginId: plugin.id, enabled })}
+          aria-label={localize('com_ui_plugin_toggle', { 0: plugin.title })}
+          className="ml-4"
+        />
+      </div>
+      {plugin.enabled && plugin.fields.length > 0 && (
+        <PluginSettingsForm
+          plugin={plugin}
+          disabled={updateSettings.isLoading}
+          onSubmit={(settings) => updateSettings.mutate({ pluginId: plugin.id, settings })}
+        />
+      )}
+    </div>
+  );
+}
+
+/** Lists the UI plugins available to the user's role, with per-user toggles and settings. */
+function Plugins() {
+  const { data: plugins = [] } = useGetPluginSettingsQuery();
+
+  return (
+    <div className="flex flex-col gap-3 p-1 text-sm text-text-primary">
+      {plugins.map((plugin) => (
+        <PluginSettings key={plugin.id} plugin={plugin} />
+      ))}
+    </div>
+  );
+}
+
+export default memo(Plugins);
@@ -6,3 +6,4 @@ export { default as Commands } from './Commands/Commands';
 export { RevokeKeysButton } from './Data/RevokeKeysButton';
 export { default as Account } from './Account/Account';
 export { default as Speech } from './Speech/Speech';
+export { default as Plugins } from './Plugins/Plugins';
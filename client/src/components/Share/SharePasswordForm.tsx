@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { Button, Input, Label } from '~/components';
+import { useLocalize } from '~/hooks';
+
+export default function SharePasswordForm({
+  isInvalid,
+  isRateLimited = false,
+  onSubmit,
+}: {
+  isInvalid: boolean;
+  isRateLimited?: boolean;
+  onSubmit: (password: string) => void;
+}) {
+  const localize = useLocalize();
+  const [password, setPassword] = useState('');
+
+  return (
+    <div className="flex h-screen items-center justify-center">
+      <form
+        className="flex w-80 flex-col gap-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (password) {
+            onSubmit(password);
+          }
+        }}
+      >
+        <Label htmlFor="share-password">{localize('com_ui_share_password_required')}</Label>
+        <Input
+          id="share-password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          aria-invalid={isInvalid || isRateLimited}
+        />
+        {isInvalid && (
+          <div className="text-sm text-red-500">{localize('com_ui_share_password_invalid')}</div>
+        )}
+        {isRateLimited && (
+          <div className="text-sm text-red-500">
+            {localize('com_ui_share_password_too_many_attempts')}
+          </div>
+        )}
+        <Button type="submit" variant="submit" disabled={!password}>
+          {localize('com_ui_submit')}
+        </Button>
+      </form>
+    </div>
+  );
+}
@@ -1,19 +1,51 @@
-import { memo } from 'react';
-import { useParams } from 'react-router-dom';
+import { memo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { useGetSharedMessages } from 'librechat-data-provider/react-query';
+import type { TError } from 'librechat-data-provider';
 import { useLocalize, useDocumentTitle } from '~/hooks';
-import { useGetStartupConfig } from '~/data-provider';
-import { ShareContext } from '~/Providers';
+import { useForkSharedConversationMutation, useGetStartupConfig } from '~/data-provider';
+import { ShareContext, useToastContext } from '~/Providers';
 import { Spinner } from '~/components/svg';
+import { Button } from '~/components/ui';
+import { NotificationSeverity } from '~/common';
+import SharePasswordForm from './SharePasswordForm';
 import MessagesView from './MessagesView';
 import { buildTree } from '~/utils';
 import Footer from '../Chat/Footer';
 
+type TShareError = TError & { response?: { data?: { code?: string } } };
+
 function SharedView() {
   const localize = useLocalize();
   const { data: config } = useGetStartupConfig();
+  const navigate = useNavigate();
+  const { showToast } = useToastContext();
   const { shareId } = useParams();
-  const { data, isLoading } = useGetSharedMessages(shareId ?? '');
+  const [password, setPassword] = useState<string>();
+  const { data, isLoading, error } = useGetSharedMessages(
+    shareId ?? '',
+    {
+      retry: (_count, err) => {
+        const status = (err as TError).response?.status;
+        return status !== 401 && status !== 403 && status !== 429;
+      },
+    },
+    password,
+  );
+  const errorCode = (error as TShareError | null)?.response?.data?.code;
+  const isRateLimited = (error as TShareError | null)?.response?.status === 429;
+  const forkMutation = useForkSharedConversationMutation({
+    onSuccess: (data) => {
+      navigate(`/c/${data.conversation.conversationId}`);
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_fork_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    },
+  });
   const dataTree = data && buildTree({ messages: data.messages });
   const messagesTree = dataTree?.length === 0 ? null : dataTree ?? null;
 
@@ -34,11 +66,44 @@ function SharedView() {
         <Spinner className="" />
       </div>
     );
+  } else if (
+    isRateLimited ||
+    errorCode === 'SHARE_PASSWORD_REQUIRED' ||
+    errorCode === 'SHARE_PASSWORD_INVALID'
+  ) {
+    content = (
+      <SharePasswordForm
+        isInvalid={errorCode === 'SHARE_PASSWORD_INVALID'}
+        isRateLimited={isRateLimited}
+        onSubmit={setPassword}
+      />
+    );
+  } else if (errorCode === 'SHARE_AUTH_REQUIRED') {
+    content = (
+      <div className="flex h-screen items-center justify-center">
+        {localize('com_ui_share_login_required')}
+      </div>
+    );
   } else if (data && messagesTree && messagesTree.length !== 0) {
     content = (
       <>
         <div className="final-completion group mx-auto flex min-w-[40rem] flex-col gap-3 pb-6 pt-4 md:max-w-3xl md:px-5 lg:max-w-[40rem] lg:px-1 xl:max-w-[48rem] xl:px-5">
-          <h1 className="text-4xl font-bold">{data.title}</h1>
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-4xl font-bold">{data.title}</h1>
+            {data.allowFork === true && (
+              <Button
+                variant="outline"
+                disabled={forkMutation.isLoading}
+                onClick={() => forkMutation.mutate({ shareId: shareId ?? '', password })}
+              >
+                {forkMutation.isLoading ? (
+                  <Spinner className="size-4" />
+                ) : (
+                  localize('com_ui_share_fork')
+                )}
+              </Button>
+            )}
+          </div>
           <div className="border-b border-border-medium pb-6 text-base text-text-secondary">
             {new Date(data.createdAt).toLocaleDateString('en-US', {
               month: 'long',
@@ -53,7 +118,7 @@ function SharedView() {
     );
   } else {
     content = (
-      <div className="flex h-screen items-center justify-center ">
+      <div className="flex h-screen items-center justify-center">
         {localize('com_ui_shared_link_not_found')}
       </div>
     );
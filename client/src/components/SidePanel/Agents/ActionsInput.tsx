@@ -1,6 +1,6 @@
 import debounce from 'lodash/debounce';
 import { useState, useEffect } from 'react';
-import { useFormContext } from 'react-hook-form';
+import { useFormContext, Controller } from 'react-hook-form';
 import {
   validateAndParseOpenAPISpec,
   openapiToFunction,
@@ -17,6 +17,7 @@ import type { Spec } from './ActionsTable';
 import ActionCallback from '~/components/SidePanel/Builder/ActionCallback';
 import { ActionsTable, columns } from './ActionsTable';
 import { useUpdateAgentAction } from '~/data-provider';
+import { Checkbox } from '~/components/ui';
 import { useToastContext } from '~/Providers';
 import useLocalize from '~/hooks/useLocalize';
 import { Spinner } from '~/components/svg';
@@ -49,7 +50,7 @@ export default function ActionsInput({
 
   const localize = useLocalize();
   const { showToast } = useToastContext();
-  const { handleSubmit, reset } = useFormContext<ActionAuthForm>();
+  const { control, handleSubmit, reset } = useFormContext<ActionAuthForm>();
   const [validationResult, setValidationResult] = useState<null | ValidationResult>(null);
   const [inputValue, setInputValue] = useState('');
 
@@ -128,6 +129,7 @@ export default function ActionsInput({
       return;
     }
     metadata.domain = domain;
+    metadata.requires_approval = authFormData.requires_approval;
 
     const { type, saved_auth_fields } = authFormData;
 
@@ -258,6 +260,27 @@ export default function ActionsInput({
           <ActionsTable columns={columns} data={data} />
         </div>
       )}
+      <div className="my-2 flex items-center">
+        <Controller
+          name="requires_approval"
+          control={control}
+          render={({ field }) => (
+            <Checkbox
+              id="requires_approval"
+              checked={field.value}
+              onCheckedChange={field.onChange}
+              className="relative float-left mr-2 inline-flex h-4 w-4 cursor-pointer"
+              value={field.value.toString()}
+            />
+          )}
+        />
+        <label
+          htmlFor="requires_approval"
+          className="text-token-text-primary cursor-pointer text-sm"
+        >
+          {localize('com_ui_action_requires_approval')}
+        </label>
+      </div>
       <div className="relative my-1">
         <ActionCallback action_id={action?.action_id} />
         <div className="mb-1.5 flex items-center">
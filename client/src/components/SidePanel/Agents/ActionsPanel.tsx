@@ -59,10 +59,12 @@ export default function ActionsPanel({
       client_url: '',
       scope: '',
       token_exchange_method: TokenExchangeMethodEnum.DefaultPost,
+      /* Approval */
+      requires_approval: false,
     },
   });
 
-  const { reset, watch } = methods;
+  const { reset, watch, setValue } = methods;
 
   useEffect(() => {
     if (action?.metadata.auth) {
@@ -82,6 +84,10 @@ export default function ActionsPanel({
     }
   }, [action, reset]);
 
+  useEffect(() => {
+    setValue('requires_approval', action?.metadata.requires_approval ?? false);
+  }, [action, setValue]);
+
   return (
     <FormProvider {...methods}>
       <form className="h-full grow overflow-hidden">
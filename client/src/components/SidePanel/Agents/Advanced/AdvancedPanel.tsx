@@ -4,6 +4,7 @@ import { AgentCapabilities } from 'librechat-data-provider';
 import { useFormContext, Controller } from 'react-hook-form';
 import type { AgentForm, AgentPanelProps } from '~/common';
 import MaxAgentSteps from './MaxAgentSteps';
+import ChainMode from './ChainMode';
 import AgentChain from './AgentChain';
 import { useLocalize } from '~/hooks';
 import { Panel } from '~/common';
@@ -41,6 +42,7 @@ export default function AdvancedPanel({
       </div>
       <div className="flex flex-col gap-4 px-2">
         <MaxAgentSteps />
+        {chainEnabled && <ChainMode />}
         {chainEnabled && (
           <Controller
             name="agent_ids"
@@ -0,0 +1,70 @@
+import { useMemo } from 'react';
+import { AgentChainModes } from 'librechat-data-provider';
+import { useFormContext, Controller } from 'react-hook-form';
+import type { AgentForm } from '~/common';
+import {
+  Dropdown,
+  HoverCard,
+  HoverCardPortal,
+  HoverCardContent,
+  HoverCardTrigger,
+} from '~/components/ui';
+import { CircleHelpIcon } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+import { ESide } from '~/common';
+
+export default function ChainMode() {
+  const localize = useLocalize();
+  const methods = useFormContext<AgentForm>();
+  const { control } = methods;
+
+  const options = useMemo(
+    () => [
+      {
+        value: AgentChainModes.sequential,
+        label: localize('com_ui_agent_chain_mode_sequential'),
+      },
+      { value: AgentChainModes.router, label: localize('com_ui_agent_chain_mode_router') },
+      { value: AgentChainModes.parallel, label: localize('com_ui_agent_chain_mode_parallel') },
+    ],
+    [localize],
+  );
+
+  return (
+    <HoverCard openDelay={50}>
+      <Controller
+        name="chain_mode"
+        control={control}
+        render={({ field }) => (
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <label className="font-semibold text-text-primary">
+                {localize('com_ui_agent_chain_mode')}
+              </label>
+              <HoverCardTrigger>
+                <CircleHelpIcon className="h-4 w-4 text-text-tertiary" />
+              </HoverCardTrigger>
+            </div>
+            <Dropdown
+              value={field.value || AgentChainModes.sequential}
+              onChange={field.onChange}
+              options={options}
+              sizeClasses="w-[160px]"
+              testId="chain-mode-selector"
+              ariaLabel={localize('com_ui_agent_chain_mode')}
+            />
+          </div>
+        )}
+      />
+      <HoverCardPortal>
+        <HoverCardContent side={ESide.Top} className="w-80">
+          <div className="space-y-2">
+            <p className="text-sm text-text-secondary">
+              {localize('com_ui_agent_chain_mode_info')}
+            </p>
+          </div>
+        </HoverCardContent>
+      </HoverCardPortal>
+    </HoverCard>
+  );
+}
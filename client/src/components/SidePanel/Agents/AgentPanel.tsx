@@ -136,6 +136,8 @@ export default function AgentPanel({
         model_parameters,
         provider: _provider,
         agent_ids,
+        chain_mode,
+        requires_approval,
         end_after_tools,
         hide_sequential_outputs,
         recursion_limit,
@@ -158,6 +160,8 @@ export default function AgentPanel({
             provider,
             model_parameters,
             agent_ids,
+            chain_mode,
+            requires_approval,
             end_after_tools,
             hide_sequential_outputs,
             recursion_limit,
@@ -183,6 +187,8 @@ export default function AgentPanel({
         provider,
         model_parameters,
         agent_ids,
+        chain_mode,
+        requires_approval,
         end_after_tools,
         hide_sequential_outputs,
         recursion_limit,
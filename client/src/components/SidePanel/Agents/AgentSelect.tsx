@@ -87,7 +87,7 @@ export default function AgentSelect({
         }
 
         if (
-          name === 'agent_ids' &&
+          (name === 'agent_ids' || name === 'requires_approval') &&
           Array.isArray(value) &&
           value.every((item) => typeof item === 'string')
         ) {
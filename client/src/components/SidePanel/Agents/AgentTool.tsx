@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { useFormContext } from 'react-hook-form';
+import { ShieldCheck } from 'lucide-react';
+import { useFormContext, useWatch } from 'react-hook-form';
 import type { TPlugin } from 'librechat-data-provider';
 import { useUpdateUserPluginsMutation } from 'librechat-data-provider/react-query';
 import { OGDialog, OGDialogTrigger, Label } from '~/components/ui';
@@ -22,9 +23,20 @@ export default function AgentTool({
   const localize = useLocalize();
   const { showToast } = useToastContext();
   const updateUserPlugins = useUpdateUserPluginsMutation();
-  const { getValues, setValue } = useFormContext();
+  const { control, getValues, setValue } = useFormContext();
+  const approvalTools: string[] | undefined = useWatch({ control, name: 'requires_approval' });
+  const requiresApproval = approvalTools?.includes(tool) ?? false;
   const currentTool = allTools.find((t) => t.pluginKey === tool);
 
+  const toggleApproval = () => {
+    const current: string[] = getValues('requires_approval') ?? [];
+    setValue(
+      'requires_approval',
+      requiresApproval ? current.filter((fn) => fn !== tool) : [...current, tool],
+      { shouldDirty: true },
+    );
+  };
+
   const removeTool = (tool: string) => {
     if (tool) {
       updateUserPlugins.mutate(
@@ -36,6 +48,8 @@ export default function AgentTool({
           onSuccess: () => {
             const tools = getValues('tools').filter((fn: string) => fn !== tool);
             setValue('tools', tools);
+            const approvalTools: string[] = getValues('requires_approval') ?? [];
+            setValue('requires_approval', approvalTools.filter((fn) => fn !== tool));
             showToast({ message: 'Tool deleted successfully', status: 'success' });
           },
         },
@@ -71,6 +85,21 @@ export default function AgentTool({
           </div>
         </div>
 
+        {(isHovering || requiresApproval) && (
+          <button
+            type="button"
+            onClick={toggleApproval}
+            aria-pressed={requiresApproval}
+            aria-label={localize('com_ui_require_approval')}
+            title={localize('com_ui_require_approval')}
+            className={cn(
+              'transition-color flex h-9 w-9 min-w-9 items-center justify-center rounded-lg duration-200 hover:bg-gray-200 dark:hover:bg-gray-700',
+              requiresApproval ? 'text-text-primary' : 'text-text-tertiary',
+            )}
+          >
+            <ShieldCheck className="h-4 w-4" />
+          </button>
+        )}
         {isHovering && (
           <OGDialogTrigger asChild>
             <button
@@ -10,6 +10,7 @@ export default function Nav({ links, isCollapsed, resize, defaultActive }: NavPr
   const localize = useLocalize();
   const [active, _setActive] = useState<string | undefined>(defaultActive);
   const getVariant = (link: NavLink) => (link.id === active ? 'default' : 'ghost');
+  const getTitle = (link: NavLink) => link.displayTitle ?? localize(link.title);
 
   const setActive = (id: string) => {
     localStorage.setItem('side:active-panel', id + '');
@@ -30,7 +31,7 @@ export default function Nav({ links, isCollapsed, resize, defaultActive }: NavPr
                   const variant = getVariant(link);
                   return isCollapsed ? (
                     <TooltipAnchor
-                      description={localize(link.title)}
+                      description={getTitle(link)}
                       side="left"
                       key={`nav-link-${index}`}
                       render={
@@ -48,7 +49,7 @@ export default function Nav({ links, isCollapsed, resize, defaultActive }: NavPr
                           }}
                         >
                           <link.icon className="h-4 w-4 text-text-secondary" />
-                          <span className="sr-only">{localize(link.title)}</span>
+                          <span className="sr-only">{getTitle(link)}</span>
                         </Button>
                       }
                     />
@@ -75,7 +76,7 @@ export default function Nav({ links, isCollapsed, resize, defaultActive }: NavPr
                               }}
                             >
                               <link.icon className="mr-2 h-4 w-4" />
-                              {localize(link.title)}
+                              {getTitle(link)}
                               {link.label != null && link.label && (
                                 <span
                                   className={cn(
@@ -300,3 +300,19 @@ export const useDeleteAgentAction = (
     },
   });
 };
+
+/**
+ * Hook for approving or rejecting a tool call that an agent run is waiting on
+ */
+export const useApproveToolCallMutation = (
+  options?: t.ApproveToolCallOptions,
+): UseMutationResult<t.ToolApprovalResponse, Error, t.ToolApprovalParams> => {
+  return useMutation(
+    (variables: t.ToolApprovalParams) => dataService.approveAgentToolCall(variables),
+    {
+      onMutate: (variables) => options?.onMutate?.(variables),
+      onError: (error, variables, context) => options?.onError?.(error, variables, context),
+      onSuccess: (data, variables, context) => options?.onSuccess?.(data, variables, context),
+    },
+  );
+};
@@ -0,0 +1,27 @@
+import { MutationKeys, QueryKeys, dataService } from 'librechat-data-provider';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import type { UseMutationResult } from '@tanstack/react-query';
+import type * as t from 'librechat-data-provider';
+
+export const useUpdatePluginSettingsMutation = (
+  options?: t.UpdatePluginSettingsOptions,
+): UseMutationResult<
+  t.TUserPluginSettings,
+  t.TError | null | undefined,
+  t.UpdatePluginSettingsParams
+> => {
+  const queryClient = useQueryClient();
+  const { onMutate, onSuccess, onError } = options ?? {};
+  return useMutation([MutationKeys.updatePluginSettings], {
+    mutationFn: (variables: t.UpdatePluginSettingsParams) =>
+      dataService.updatePluginSettings(variables),
+    onSuccess: (data, variables, context) => {
+      queryClient.setQueryData<t.TUserPluginSettings[]>([QueryKeys.pluginSettings], (prev) =>
+        prev?.map((plugin) => (plugin.id === data.id ? data : plugin)),
+      );
+      onSuccess?.(data, variables, context);
+    },
+    onError,
+    onMutate,
+  });
+};
@@ -0,0 +1,20 @@
+import { useQuery } from '@tanstack/react-query';
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import type { QueryObserverResult, UseQueryOptions } from '@tanstack/react-query';
+import type t from 'librechat-data-provider';
+
+/** The UI plugins enabled for the user's role, with the user's toggle and settings */
+export const useGetPluginSettingsQuery = (
+  config?: UseQueryOptions<t.TUserPluginSettings[]>,
+): QueryObserverResult<t.TUserPluginSettings[]> => {
+  return useQuery<t.TUserPluginSettings[]>(
+    [QueryKeys.pluginSettings],
+    () => dataService.getPluginSettings(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      refetchOnMount: false,
+      ...config,
+    },
+  );
+};
@@ -167,18 +167,32 @@ export const useArchiveConvoMutation = (
 };
 
 export const useCreateSharedLinkMutation = (
-  options?: t.MutationOptions<t.TCreateShareLinkRequest, { conversationId: string }>,
-): UseMutationResult<t.TSharedLinkResponse, unknown, { conversationId: string }, unknown> => {
+  options?: t.MutationOptions<
+    t.TCreateShareLinkRequest,
+    { conversationId: string; settings?: t.TSharedLinkSettings }
+  >,
+): UseMutationResult<
+  t.TSharedLinkResponse,
+  unknown,
+  { conversationId: string; settings?: t.TSharedLinkSettings },
+  unknown
+> => {
   const queryClient = useQueryClient();
 
   const { onSuccess, ..._options } = options || {};
   return useMutation(
-    ({ conversationId }: { conversationId: string }) => {
+    ({
+      conversationId,
+      settings,
+    }: {
+      conversationId: string;
+      settings?: t.TSharedLinkSettings;
+    }) => {
       if (!conversationId) {
         throw new Error('Conversation ID is required');
       }
 
-      return dataService.createSharedLink(conversationId);
+      return dataService.createSharedLink(conversationId, settings);
     },
     {
       onSuccess: (_data: t.TSharedLinkResponse, vars, context) => {
@@ -215,6 +229,37 @@ export const useUpdateSharedLinkMutation = (
   );
 };
 
+export const useUpdateSharedLinkSettingsMutation = (
+  options?: t.MutationOptions<
+    t.TUpdateSharedLinkSettingsResponse,
+    { shareId: string; settings: t.TSharedLinkSettings }
+  >,
+): UseMutationResult<
+  t.TUpdateSharedLinkSettingsResponse,
+  unknown,
+  { shareId: string; settings: t.TSharedLinkSettings },
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  const { onSuccess, ..._options } = options || {};
+  return useMutation(
+    ({ shareId, settings }) => dataService.updateSharedLinkSettings(shareId, settings),
+    {
+      onSuccess: (data, vars, context) => {
+        queryClient.setQueryData<t.TSharedLinkGetResponse>(
+          [QueryKeys.sharedLinks, data.conversationId],
+          (share) => ({ ...share, ...data, success: true }),
+        );
+        queryClient.invalidateQueries([QueryKeys.sharedLinks]);
+
+        onSuccess?.(data, vars, context);
+      },
+      ..._options,
+    },
+  );
+};
+
 export const useDeleteSharedLinkMutation = (
   options?: t.DeleteSharedLinkOptions,
 ): UseMutationResult<
@@ -588,17 +633,110 @@ export const useForkConvoMutation = (
   });
 };
 
+export const useForkSharedConversationMutation = (
+  options?: t.MutationOptions<t.TForkConvoResponse, { shareId: string; password?: string }>,
+): UseMutationResult<
+  t.TForkConvoResponse,
+  unknown,
+  { shareId: string; password?: string },
+  unknown
+> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+
+  return useMutation(
+    ({ shareId, password }) => dataService.forkSharedConversation(shareId, password),
+    {
+      onSuccess: (data, vars, context) => {
+        const forkedConversation = data.conversation;
+        const forkedConversationId = forkedConversation.conversationId;
+        if (forkedConversationId) {
+          queryClient.setQueryData(
+            [QueryKeys.conversation, forkedConversationId],
+            forkedConversation,
+          );
+          addConvoToAllQueries(queryClient, forkedConversation);
+          queryClient.setQueryData([QueryKeys.messages, forkedConversationId], data.messages);
+        }
+        onSuccess?.(data, vars, context);
+      },
+      ..._options,
+    },
+  );
+};
+
+export const useRestoreConversationsMutation = (
+  options?: t.MutationOptions<t.TRestoreConversationsResponse, t.TTrashRequest>,
+): UseMutationResult<t.TRestoreConversationsResponse, unknown, t.TTrashRequest, unknown> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+
+  return useMutation((payload) => dataService.restoreConversations(payload), {
+    onSuccess: (data, vars, context) => {
+      queryClient.invalidateQueries([QueryKeys.trash]);
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      queryClient.invalidateQueries([QueryKeys.archivedConversations]);
+      onSuccess?.(data, vars, context);
+    },
+    ..._options,
+  });
+};
+
+export const useEmptyTrashMutation = (
+  options?: t.MutationOptions<t.TEmptyTrashResponse, t.TTrashRequest>,
+): UseMutationResult<t.TEmptyTrashResponse, unknown, t.TTrashRequest, unknown> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+
+  return useMutation((payload) => dataService.emptyTrash(payload), {
+    onSuccess: (data, vars, context) => {
+      queryClient.invalidateQueries([QueryKeys.trash]);
+      onSuccess?.(data, vars, context);
+    },
+    ..._options,
+  });
+};
+
+export const useCreateProjectMutation = (
+  options?: t.MutationOptions<t.TProject, t.TCreateProjectRequest>,
+): UseMutationResult<t.TProject, unknown, t.TCreateProjectRequest, unknown> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+
+  return useMutation((payload) => dataService.createProject(payload), {
+    onSuccess: (data, vars, context) => {
+      queryClient.invalidateQueries([QueryKeys.allProjects]);
+      onSuccess?.(data, vars, context);
+    },
+    ..._options,
+  });
+};
+
+export const useUpdateProjectMembersMutation = (
+  options?: t.MutationOptions<t.TProject, t.TUpdateProjectMembersRequest>,
+): UseMutationResult<t.TProject, unknown, t.TUpdateProjectMembersRequest, unknown> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+
+  return useMutation((payload) => dataService.updateProjectMembers(payload), {
+    onSuccess: (data, vars, context) => {
+      queryClient.invalidateQueries([QueryKeys.allProjects]);
+      queryClient.invalidateQueries([QueryKeys.projects]);
+      onSuccess?.(data, vars, context);
+    },
+    ..._options,
+  });
+};
+
 export const useUploadConversationsMutation = (
   _options?: t.MutationOptions<t.TImportResponse, FormData>,
 ) => {
-  const queryClient = useQueryClient();
   const { onSuccess, onError, onMutate } = _options || {};
 
   return useMutation<t.TImportResponse, unknown, FormData>({
     mutationFn: (formData: FormData) => dataService.importConversationsFile(formData),
     onSuccess: (data, variables, context) => {
-      /* TODO: optimize to return imported conversations and add manually */
-      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      /* Conversations are imported by a background job; see `useGetImportJobQuery` */
       if (onSuccess) {
         onSuccess(data, variables, context);
       }
@@ -28,6 +28,8 @@ import type {
   TCheckUserKeyResponse,
   SharedLinksListParams,
   SharedLinksResponse,
+  SharedWithMeResponse,
+  TrashResponse,
 } from 'librechat-data-provider';
 import type { ConversationCursorData } from '~/utils/convos';
 
@@ -90,16 +92,37 @@ export const useGetConvoIdQuery = (
   );
 };
 
+/**
+ * Polls an import job every second until it completes or fails.
+ */
+export const useGetImportJobQuery = (
+  jobId: string | null,
+  config?: UseQueryOptions<t.TImportJob>,
+): QueryObserverResult<t.TImportJob> => {
+  return useQuery<t.TImportJob>(
+    [QueryKeys.importJob, jobId],
+    () => dataService.getImportJob(jobId ?? ''),
+    {
+      refetchInterval: (job) =>
+        job?.status === 'completed' || job?.status === 'failed' ? false : 1000,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+      enabled: !!jobId && (config?.enabled ?? true),
+    },
+  );
+};
+
 export const useConversationsInfiniteQuery = (
   params: ConversationListParams,
   config?: UseInfiniteQueryOptions<ConversationListResponse, unknown>,
 ) => {
-  const { isArchived, sortBy, sortDirection, tags, search } = params;
+  const { isArchived, sortBy, sortDirection, tags, search, ...searchFilters } = params;
 
   return useInfiniteQuery<ConversationListResponse>({
     queryKey: [
       isArchived ? QueryKeys.archivedConversations : QueryKeys.allConversations,
-      { isArchived, sortBy, sortDirection, tags, search },
+      { isArchived, sortBy, sortDirection, tags, search, ...searchFilters },
     ],
     queryFn: ({ pageParam }) =>
       dataService.listConversations({
@@ -108,6 +131,7 @@ export const useConversationsInfiniteQuery = (
         sortDirection,
         tags,
         search,
+        ...searchFilters,
         cursor: pageParam?.toString(),
       }),
     getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
@@ -122,12 +146,13 @@ export const useMessagesInfiniteQuery = (
   params: MessagesListParams,
   config?: UseInfiniteQueryOptions<MessagesListResponse, unknown>,
 ) => {
-  const { sortBy, sortDirection, pageSize, conversationId, messageId, search } = params;
+  const { sortBy, sortDirection, pageSize, conversationId, messageId, search, ...searchFilters } =
+    params;
 
   return useInfiniteQuery<MessagesListResponse>({
     queryKey: [
       QueryKeys.messages,
-      { sortBy, sortDirection, pageSize, conversationId, messageId, search },
+      { sortBy, sortDirection, pageSize, conversationId, messageId, search, ...searchFilters },
     ],
     queryFn: ({ pageParam }) =>
       dataService.listMessages({
@@ -137,6 +162,7 @@ export const useMessagesInfiniteQuery = (
         conversationId,
         messageId,
         search,
+        ...searchFilters,
         cursor: pageParam?.toString(),
       }),
     getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
@@ -172,6 +198,49 @@ export const useSharedLinksQuery = (
   });
 };
 
+export const useSharedWithMeQuery = (
+  config?: UseInfiniteQueryOptions<SharedWithMeResponse, unknown>,
+) => {
+  return useInfiniteQuery<SharedWithMeResponse>({
+    queryKey: [QueryKeys.sharedWithMe],
+    queryFn: ({ pageParam }) => dataService.getSharedWithMe(pageParam?.toString()),
+    getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
+    keepPreviousData: true,
+    staleTime: 60 * 1000,
+    ...config,
+  });
+};
+
+export const useTrashQuery = (config?: UseInfiniteQueryOptions<TrashResponse, unknown>) => {
+  return useInfiniteQuery<TrashResponse>({
+    queryKey: [QueryKeys.trash],
+    queryFn: ({ pageParam }) => dataService.getTrash(pageParam?.toString()),
+    getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
+    keepPreviousData: true,
+    staleTime: 60 * 1000,
+    ...config,
+  });
+};
+
+export const useGetProjectsQuery = (
+  config?: UseQueryOptions<t.TProject[]>,
+): QueryObserverResult<t.TProject[]> => {
+  return useQuery<t.TProject[]>([QueryKeys.projects], () => dataService.getProjects(), {
+    refetchOnWindowFocus: false,
+    staleTime: 60 * 1000,
+    ...config,
+  });
+};
+
+export const useGetAllProjectsQuery = (
+  config?: UseQueryOptions<t.TProject[]>,
+): QueryObserverResult<t.TProject[]> => {
+  return useQuery<t.TProject[]>([QueryKeys.allProjects], () => dataService.getAllProjects(), {
+    refetchOnWindowFocus: false,
+    ...config,
+  });
+};
+
 export const useConversationTagsQuery = (
   config?: UseQueryOptions<t.TConversationTagsResponse>,
 ): QueryObserverResult<t.TConversationTagsResponse> => {
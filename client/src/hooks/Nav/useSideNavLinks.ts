@@ -1,5 +1,5 @@
 import { useMemo } from 'react';
-import { MessageSquareQuote, ArrowRightToLine, Settings2, Bookmark } from 'lucide-react';
+import { MessageSquareQuote, ArrowRightToLine, Settings2, Bookmark, Puzzle } from 'lucide-react';
 import {
   isAssistantsEndpoint,
   isAgentsEndpoint,
@@ -16,6 +16,7 @@ import PanelSwitch from '~/components/SidePanel/Builder/PanelSwitch';
 import PromptsAccordion from '~/components/Prompts/PromptsAccordion';
 import Parameters from '~/components/SidePanel/Parameters/Panel';
 import FilesPanel from '~/components/SidePanel/Files/Panel';
+import { getPluginTabComponent, usePluginSlot } from '~/plugin-runtime/slots';
 import { Blocks, AttachmentIcon } from '~/components/svg';
 import { useHasAccess } from '~/hooks';
 
@@ -50,6 +51,7 @@ export default function useSideNavLinks({
     permissionType: PermissionTypes.AGENTS,
     permission: Permissions.CREATE,
   });
+  const pluginPanels = usePluginSlot('side-panel');
 
   const Links = useMemo(() => {
     const links: NavLink[] = [];
@@ -126,6 +128,17 @@ export default function useSideNavLinks({
       });
     }
 
+    for (const panel of pluginPanels) {
+      links.push({
+        title: 'com_ui_plugin',
+        displayTitle: panel.title,
+        label: '',
+        icon: Puzzle,
+        id: `plugin:${panel.key}`,
+        Component: getPluginTabComponent(panel),
+      });
+    }
+
     links.push({
       title: 'com_sidepanel_hide_panel',
       label: '',
@@ -145,6 +158,7 @@ export default function useSideNavLinks({
     hasAccessToPrompts,
     hasAccessToBookmarks,
     hasAccessToCreateAgents,
+    pluginPanels,
     hidePanel,
   ]);
 
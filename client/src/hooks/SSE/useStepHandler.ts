@@ -142,6 +142,7 @@ export default function useStepHandler({
         type: ToolCallTypes.TOOL_CALL,
         auth: contentPart.tool_call.auth,
         expires_at: contentPart.tool_call.expires_at,
+        requires_approval: contentPart.tool_call.requires_approval,
       };
 
       if (finalUpdate) {
@@ -318,6 +319,11 @@ export default function useStepHandler({
               contentPart.tool_call.expires_at = runStepDelta.delta.expires_at;
             }
 
+            if (runStepDelta.delta.requires_approval === true) {
+              contentPart.tool_call.requires_approval = true;
+              contentPart.tool_call.expires_at = runStepDelta.delta.expires_at;
+            }
+
             updatedResponse = updateContent(updatedResponse, runStep.index, contentPart);
           });
 
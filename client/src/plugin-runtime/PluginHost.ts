@@ -0,0 +1,128 @@
+import type { PluginApi, PluginDispose, PluginManifest, PluginModule } from './types';
+import { unregisterPluginSlots } from './slots/registry';
+import { pluginApis } from './createPluginApi';
+
+/** A sandboxed plugin for the host to render; `key` changes whenever it must be remounted. */
+export type SandboxedEntry = { key: string; manifest: PluginManifest; api: PluginApi };
+
+type LoadedPlugin = {
+  manifest: PluginManifest;
+  dispose?: PluginDispose;
+};
+
+type PluginHostOptions = {
+  createApi: (manifest: PluginManifest) => PluginApi;
+  onSandboxedChange: (entries: SandboxedEntry[]) => void;
+  importModule?: (url: string) => Promise<PluginModule>;
+};
+
+const defaultImport = (url: string): Promise<PluginModule> => import(/* @vite-ignore */ url);
+
+const withCacheBuster = (url: string) =>
+  `${url}${url.includes('?') ? '&' : '?'}reload=${Date.now()}`;
+
+/**
+ * Keeps the loaded plugins in sync with the manifest list pushed by the plugin server.
+ * A changed plugin is disposed before its new version is imported; operations run one
+ * at a time so a plugin is never loaded twice concurrently.
+ */
+export default class PluginHost {
+  private plugins = new Map<string, LoadedPlugin>();
+  private sandboxed: SandboxedEntry[] = [];
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(private options: PluginHostOptions) {}
+
+  /** Loads new plugins, reloads changed ones and unloads removed ones. */
+  sync(manifests: PluginManifest[]): Promise<void> {
+    return this.enqueue(async () => {
+      const next = new Map(manifests.map((manifest) => [manifest.id, manifest]));
+
+      for (const [id, plugin] of [...this.plugins]) {
+        const manifest = next.get(id);
+        if (!manifest || JSON.stringify(manifest) !== JSON.stringify(plugin.manifest)) {
+          await this.unload(id);
+        }
+      }
+
+      for (const manifest of manifests) {
+        if (!this.plugins.has(manifest.id)) {
+          await this.load(manifest, manifest.url);
+        }
+      }
+    });
+  }
+
+  /** Disposes and re-imports a plugin, bypassing the browser's module cache. */
+  reload(id: string): Promise<void> {
+    return this.enqueue(async () => {
+      const plugin = this.plugins.get(id);
+      if (!plugin) {
+        console.warn(`[plugin:${id}] cannot reload a plugin that is not loaded`);
+        return;
+      }
+      await this.unload(id);
+      await this.load(plugin.manifest, withCacheBuster(plugin.manifest.url));
+    });
+  }
+
+  /** Unloads every plugin. */
+  disposeAll(): Promise<void> {
+    return this.enqueue(async () => {
+      for (const id of [...this.plugins.keys()]) {
+        await this.unload(id);
+      }
+    });
+  }
+
+  private enqueue(task: () => Promise<void>): Promise<void> {
+    this.queue = this.queue.then(task, task);
+    return this.queue;
+  }
+
+  private setSandboxed(entries: SandboxedEntry[]) {
+    this.sandboxed = entries;
+    this.options.onSandboxedChange(entries);
+  }
+
+  private async load(manifest: PluginManifest, url: string) {
+    const api = this.options.createApi(manifest);
+    const plugin: LoadedPlugin = { manifest };
+    this.plugins.set(manifest.id, plugin);
+
+    if (manifest.sandbox === 'iframe') {
+      this.setSandboxed([...this.sandboxed, { key: url, manifest, api }]);
+      return;
+    }
+
+    try {
+      const importModule = this.options.importModule ?? defaultImport;
+      const mod = await importModule(url);
+      const result = await mod.default?.(api);
+      plugin.dispose = typeof result === 'function' ? result : mod.dispose;
+    } catch (error) {
+      console.error(`[plugin:${manifest.id}] failed to load`, error);
+    }
+  }
+
+  private async unload(id: string) {
+    const plugin = this.plugins.get(id);
+    if (!plugin) {
+      return;
+    }
+    this.plugins.delete(id);
+    delete pluginApis[id];
+    unregisterPluginSlots(id);
+
+    if (plugin.manifest.sandbox === 'iframe') {
+      this.setSandboxed(this.sandboxed.filter((entry) => entry.manifest.id !== id));
+      return;
+    }
+
+    try {
+      await plugin.dispose?.();
+    } catch (error) {
+      console.error(`[plugin:${id}] dispose failed`, error);
+    }
+  }
+}
@@ -1,85 +1,104 @@
-// client/src/plugin-runtime/PluginLoader.tsx
-import React, { useEffect, useState, createContext, useContext } from 'react';
-import { usePluginApi, registerPlugin } from 'librechat-ui';
+import { useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import type { PluginManifest, PluginServerConfig } from './types';
+import type { SandboxedEntry } from './PluginHost';
+import { useGetPluginSettingsQuery } from '~/data-provider';
+import { useAuthContext } from '~/hooks/AuthContext';
+import SandboxedPlugin from './sandbox/SandboxedPlugin';
+import { PluginErrorBoundary } from './slots';
+import createPluginApi, { pluginApis } from './createPluginApi';
+import PluginHost from './PluginHost';
+import transport from './transport';
 
-interface ServerConfig {
-  pluginServer: { staticPrefix: string; pluginsDir: string };
-  api: { manifestRoute: string; configRoute: string };
-}
-
-// Context for server config
-const ConfigContext = createContext<ServerConfig | null>(null);
-export const useServerConfig = () => {
-  const cfg = useContext(ConfigContext);
-  if (!cfg) throw new Error('ServerConfig missing');
-  return cfg;
-};
+/**
+ * Discovers the validated plugins from the plugin server and loads each one's UI
+ * module with an API object scoped to the capabilities declared in its manifest.
+ * Plugins declaring `sandbox: "iframe"` are rendered into a sandboxed iframe instead.
+ * Other plugins render into the named UI slots (`slots/registry`), each mounted inside
+ * an error boundary so a crashing plugin cannot take down the chat view.
+ *
+ * Only plugins enabled for the user's role and not turned off by the user are loaded;
+ * each receives the user's settings as `libreChat.config`.
+ *
+ * The manifest list is streamed from the server, so changed plugins are disposed and
+ * re-imported without a page reload; `window.reloadPlugin(id)` forces a reload.
+ */
+export default function PluginLoader() {
+  const { user, isAuthenticated } = useAuthContext();
+  const queryClient = useQueryClient();
+  const [config, setConfig] = useState<PluginServerConfig | null>(null);
+  const [manifests, setManifests] = useState<PluginManifest[] | null>(null);
+  const { data: pluginSettings } = useGetPluginSettingsQuery({ enabled: isAuthenticated });
+  const [sandboxed, setSandboxed] = useState<SandboxedEntry[]>([]);
+  const userRef = useRef(user);
+  userRef.current = user;
 
-const Loader: React.FC = ({ children }) => {
-  const [config, setConfig] = useState<ServerConfig | null>(null);
-  const pluginApi = usePluginApi();
+  const hostRef = useRef<PluginHost | null>(null);
+  if (!hostRef.current) {
+    hostRef.current = new PluginHost({
+      createApi: (manifest) =>
+        createPluginApi(manifest, {
+          transport,
+          getUser: () => userRef.current,
+          config: manifest.config,
+        }),
+      onSandboxedChange: setSandboxed,
+    });
+  }
 
-  // Fetch server config at startup
   useEffect(() => {
-    fetch('/api/config')
-      .then(res => res.json())
-      .then((cfg: ServerConfig) => setConfig(cfg))
+    const host = hostRef.current as PluginHost;
+    window.__pluginApis = pluginApis;
+    window.reloadPlugin = (id) => host.reload(id);
+    dataService
+      .getPluginServerConfig()
+      .then((cfg) => setConfig(cfg))
       .catch(console.error);
+    return () => {
+      host.disposeAll();
+    };
   }, []);
 
-  if (!config) return <div>Loading configuration…</div>;
-
-  // Expose registerMyPlugin globally
-  window.loadPlugin = async (id: string, url: string) => {
-    const mod = await import(/* @vite-ignore */ url);
-    if (mod.default) mod.default({ pluginApi });
-  };
-
-  return (
-    <ConfigContext.Provider value={config}>
-      {children}
-    </ConfigContext.Provider>
-  );
-};
+  useEffect(() => {
+    if (!config || !isAuthenticated) {
+      return;
+    }
 
-// Main wrapper
-const PluginLoaderWrapper: React.FC = () => {
-  const { api } = useServerConfig();
-  const [manifests, setManifests] = useState<any[]>([]);
+    const events = new EventSource(`${config.api.manifestRoute}/events`);
+    events.addEventListener('manifest', (event) => {
+      try {
+        setManifests(JSON.parse((event as MessageEvent<string>).data) as PluginManifest[]);
+        queryClient.invalidateQueries([QueryKeys.pluginSettings]);
+      } catch (error) {
+        console.error('[plugins] invalid manifest event', error);
+      }
+    });
+    return () => events.close();
+  }, [config, isAuthenticated, queryClient]);
 
-  // Poll for plugin manifests
   useEffect(() => {
-    const fetchManifests = () =>
-      fetch(api.manifestRoute)
-        .then(res => res.json())
-        .then(setManifests)
-        .catch(console.error);
+    if (!manifests || !pluginSettings) {
+      return;
+    }
+    const settings = new Map(pluginSettings.map((plugin) => [plugin.id, plugin]));
+    const enabled = manifests
+      .filter((manifest) => settings.get(manifest.id)?.enabled === true)
+      .map((manifest) => ({ ...manifest, config: settings.get(manifest.id)?.values }));
+    (hostRef.current as PluginHost).sync(enabled);
+  }, [manifests, pluginSettings]);
 
-    fetchManifests();
-    const id = setInterval(fetchManifests, 30_000);
-    return () => clearInterval(id);
-  }, [api.manifestRoute]);
+  if (!sandboxed.length) {
+    return null;
+  }
 
   return (
-    <>
-      {manifests.map(m => (
-        <React.Fragment key={m.id}>
-          {window.loadPlugin(m.id, m.url)}
-        </React.Fragment>
+    <div className="fixed bottom-4 left-4 z-50 flex flex-col gap-2">
+      {sandboxed.map(({ key, manifest, api }) => (
+        <PluginErrorBoundary key={key} pluginId={manifest.id} slot="sandbox">
+          <SandboxedPlugin manifest={manifest} api={api} />
+        </PluginErrorBoundary>
       ))}
-    </>
+    </div>
   );
-};
-
-export default () => (
-  <Loader>
-    <PluginLoaderWrapper />
-  </Loader>
-);
-
-// Register in LibreChat UI
-registerPlugin({
-  id: 'plugin-loader',
-  settingsComponent: null, // could hook in a SettingsPanel later
-  render: () => <PluginLoaderWrapper />
-});
\ No newline at end of file
+}
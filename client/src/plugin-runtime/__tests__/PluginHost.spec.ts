@@ -0,0 +1,106 @@
+import type { PluginApi, PluginManifest, PluginModule } from '../types';
+import { pluginApis } from '../createPluginApi';
+import PluginHost from '../PluginHost';
+
+const manifest = (
+  id: string,
+  hash = 'v1',
+  sandbox: 'none' | 'iframe' = 'none',
+): PluginManifest => ({
+  manifestVersion: 1,
+  id,
+  title: id,
+  ui: 'ui.js',
+  order: 100,
+  version: '1.0.0',
+  permissions: [],
+  engines: {},
+  sandbox,
+  slots: [],
+  enabledByDefault: true,
+  settings: [],
+  hash,
+  url: `/plugins/${id}/ui.js?v=${hash}`,
+});
+
+describe('PluginHost', () => {
+  let calls: string[];
+  let importModule: jest.Mock<Promise<PluginModule>, [string]>;
+  let onSandboxedChange: jest.Mock;
+  let host: PluginHost;
+
+  beforeEach(() => {
+    calls = [];
+    importModule = jest.fn(async (url: string) => ({
+      default: (api: PluginApi) => {
+        calls.push(`init ${url}`);
+        api.registerMyPlugin(api.id, {});
+        return () => {
+          calls.push(`dispose ${url}`);
+        };
+      },
+    }));
+    onSandboxedChange = jest.fn();
+    host = new PluginHost({
+      createApi: (m) =>
+        ({
+          id: m.id,
+          registerMyPlugin: (id: string, api: unknown) => (pluginApis[id] = api),
+        }) as unknown as PluginApi,
+      onSandboxedChange,
+      importModule,
+    });
+  });
+
+  it('loads each plugin once', async () => {
+    await host.sync([manifest('a'), manifest('b')]);
+    await host.sync([manifest('a'), manifest('b')]);
+
+    expect(importModule).toHaveBeenCalledTimes(2);
+    expect(calls).toEqual(['init /plugins/a/ui.js?v=v1', 'init /plugins/b/ui.js?v=v1']);
+  });
+
+  it('disposes a changed plugin before importing its new version', async () => {
+    await host.sync([manifest('a')]);
+    await host.sync([manifest('a', 'v2')]);
+
+    expect(calls).toEqual([
+      'init /plugins/a/ui.js?v=v1',
+      'dispose /plugins/a/ui.js?v=v1',
+      'init /plugins/a/ui.js?v=v2',
+    ]);
+  });
+
+  it('disposes removed plugins and forgets their registered api', async () => {
+    await host.sync([manifest('a')]);
+    expect(pluginApis.a).toBeDefined();
+
+    await host.sync([]);
+
+    expect(calls).toEqual(['init /plugins/a/ui.js?v=v1', 'dispose /plugins/a/ui.js?v=v1']);
+    expect(pluginApis.a).toBeUndefined();
+  });
+
+  it('uses an exported dispose and reloads with a cache-busting url', async () => {
+    const dispose = jest.fn();
+    importModule.mockResolvedValue({ default: jest.fn(), dispose });
+
+    await host.sync([manifest('a')]);
+    await host.reload('a');
+
+    expect(dispose).toHaveBeenCalledTimes(1);
+    expect(importModule).toHaveBeenLastCalledWith(
+      expect.stringMatching(/^\/plugins\/a\/ui\.js\?v=v1&reload=\d+$/),
+    );
+  });
+
+  it('remounts changed sandboxed plugins', async () => {
+    await host.sync([manifest('s', 'v1', 'iframe')]);
+    await host.sync([manifest('s', 'v2', 'iframe')]);
+
+    expect(importModule).not.toHaveBeenCalled();
+    expect(onSandboxedChange).toHaveBeenLastCalledWith([
+      expect.objectContaining({ key: '/plugins/s/ui.js?v=v2' }),
+    ]);
+  });
+});
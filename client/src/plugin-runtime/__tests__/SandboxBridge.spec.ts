@@ -0,0 +1,122 @@
+import type { PluginApi } from '../types';
+import { CHANNEL } from '../sandbox/protocol';
+import SandboxBridge from '../sandbox/SandboxBridge';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const createApi = (): PluginApi => ({
+  id: 'sandboxed',
+  registerMyPlugin: jest.fn(),
+  toolApi: { invoke: jest.fn().mockResolvedValue({ result: 'echo' }) },
+  ragApi: {
+    ingest: jest.fn().mockResolvedValue({}),
+    query: jest.fn().mockRejectedValue(new Error('did not declare the "rag:query" capability')),
+  },
+  libreChat: { config: {}, getVersion: () => 'v0.7.7', getUser: jest.fn() },
+});
+
+describe('SandboxBridge', () => {
+  let iframe: HTMLIFrameElement;
+  let postMessage: jest.SpyInstance;
+  let api: PluginApi;
+  let bridge: SandboxBridge;
+
+  const fromSandbox = (data: Record<string, unknown>, source: unknown = iframe.contentWindow) =>
+    window.dispatchEvent(
+      new MessageEvent('message', {
+        data: { channel: CHANNEL, ...data },
+        source: source as MessageEventSource,
+      }),
+    );
+
+  beforeEach(() => {
+    iframe = document.createElement('iframe');
+    document.body.appendChild(iframe);
+    postMessage = jest.spyOn(iframe.contentWindow as Window, 'postMessage');
+    api = createApi();
+    bridge = new SandboxBridge(iframe, api, {
+      pluginId: 'sandboxed',
+      url: 'http://localhost:3080/plugins/sandboxed/ui.js',
+      version: 'v0.7.7',
+      config: {},
+    });
+    bridge.attach();
+  });
+
+  afterEach(() => {
+    bridge.detach();
+    iframe.remove();
+  });
+
+  it('sends the init payload once the sandbox is ready', () => {
+    fromSandbox({ type: 'ready' });
+    expect(postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'init', pluginId: 'sandboxed' }),
+      '*',
+    );
+  });
+
+  it('serves plugin requests through the scoped api', async () => {
+    fromSandbox({ type: 'request', id: 1, method: 'toolApi.invoke', args: ['echo-tool', {}] });
+    fromSandbox({ type: 'request', id: 2, method: 'ragApi.query', args: ['convo', 'q'] });
+    await flush();
+
+    expect(api.toolApi.invoke).toHaveBeenCalledWith('echo-tool', {});
+    expect(postMessage).toHaveBeenCalledWith(
+      { channel: CHANNEL, type: 'response', id: 1, result: { result: 'echo' } },
+      '*',
+    );
+    expect(postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 2,
+        error: { name: 'Error', message: 'did not declare the "rag:query" capability' },
+      }),
+      '*',
+    );
+  });
+
+  it('rejects malformed and unknown requests', async () => {
+    fromSandbox({ type: 'request', id: 3, method: 'toolApi.invoke', args: [42] });
+    fromSandbox({ type: 'request', id: 4, method: 'localStorage.getItem', args: ['token'] });
+    await flush();
+
+    expect(api.toolApi.invoke).not.toHaveBeenCalled();
+    expect(postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 3, error: expect.objectContaining({ name: 'TypeError' }) }),
+      '*',
+    );
+    expect(postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 4,
+        error: { name: 'Error', message: 'Unknown method: localStorage.getItem' },
+      }),
+      '*',
+    );
+  });
+
+  it('ignores messages from other windows', async () => {
+    fromSandbox({ type: 'request', id: 5, method: 'toolApi.invoke', args: ['x', {}] }, window);
+    await flush();
+    expect(api.toolApi.invoke).not.toHaveBeenCalled();
+  });
+
+  it('registers a host proxy that calls back into the sandbox', async () => {
+    fromSandbox({
+      type: 'request',
+      id: 6,
+      method: 'registerMyPlugin',
+      args: ['sandboxed', ['greet']],
+    });
+    await flush();
+
+    const [[, proxy]] = (api.registerMyPlugin as jest.Mock).mock.calls;
+    const result = proxy.greet('host');
+    expect(postMessage).toHaveBeenCalledWith(
+      { channel: CHANNEL, type: 'request', id: 1, method: 'plugin.greet', args: ['host'] },
+      '*',
+    );
+
+    fromSandbox({ type: 'response', id: 1, result: 'Hello, host' });
+    await expect(result).resolves.toBe('Hello, host');
+  });
+});
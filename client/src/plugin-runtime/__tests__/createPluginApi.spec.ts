@@ -0,0 +1,112 @@
+import type { PluginManifest, PluginTransport } from '../types';
+import createPluginApi, { pluginApis } from '../createPluginApi';
+import { PluginCapabilityError } from '../capabilities';
+
+const manifest = (permissions: PluginManifest['permissions']): PluginManifest => ({
+  manifestVersion: 1,
+  id: 'test-plugin',
+  title: 'Test Plugin',
+  ui: 'ui.js',
+  order: 100,
+  version: '1.0.0',
+  permissions,
+  engines: {},
+  sandbox: 'none',
+  slots: [],
+  enabledByDefault: true,
+  settings: [],
+  hash: 'abc123',
+  url: '/plugins/test-plugin/ui.js?v=abc123',
+});
+
+const hour = 60 * 60 * 1000;
+
+const createTransport = (): jest.Mocked<PluginTransport> => ({
+  issueToken: jest.fn().mockImplementation(async () => ({
+    token: 'plugin-token',
+    expiresAt: new Date(Date.now() + hour).toISOString(),
+  })),
+  invokeTool: jest.fn().mockResolvedValue({ result: 'ok' }),
+  ragIngest: jest.fn().mockResolvedValue({ ingested: 1 }),
+  ragQuery: jest.fn().mockResolvedValue([]),
+});
+
+const user = { id: 'user-1', name: 'Test User', email: 'test@example.com' };
+
+describe('createPluginApi', () => {
+  it('proxies calls for declared capabilities with the token issued for the plugin', async () => {
+    const transport = createTransport();
+    const api = createPluginApi(manifest(['tools:echo-tool', 'rag:query']), {
+      transport,
+      getUser: () => undefined,
+    });
+
+    await expect(api.toolApi.invoke('echo-tool', { message: 'hi' })).resolves.toEqual({
+      result: 'ok',
+    });
+    await api.ragApi.query('convo-1', 'question', 3);
+
+    expect(transport.issueToken).toHaveBeenCalledTimes(1);
+    expect(transport.issueToken).toHaveBeenCalledWith('test-plugin');
+    expect(transport.invokeTool).toHaveBeenCalledWith('plugin-token', 'echo-tool', {
+      message: 'hi',
+    });
+    expect(transport.ragQuery).toHaveBeenCalledWith('plugin-token', 'convo-1', 'question', 3);
+  });
+
+  it('renews the token before it expires', async () => {
+    jest.useFakeTimers();
+    const transport = createTransport();
+    const api = createPluginApi(manifest(['tools:echo-tool']), {
+      transport,
+      getUser: () => undefined,
+    });
+
+    await api.toolApi.invoke('echo-tool', {});
+    jest.setSystemTime(Date.now() + hour - 30_000);
+    await api.toolApi.invoke('echo-tool', {});
+    jest.useRealTimers();
+
+    expect(transport.issueToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects undeclared capabilities without reaching the server', async () => {
+    const transport = createTransport();
+    const api = createPluginApi(manifest(['tools:echo-tool']), {
+      transport,
+      getUser: () => user as never,
+    });
+
+    await expect(api.toolApi.invoke('wolfram', {})).rejects.toBeInstanceOf(PluginCapabilityError);
+    await expect(api.ragApi.ingest('convo-1', ['file-1'])).rejects.toThrow(
+      'did not declare the "rag:ingest" capability',
+    );
+    expect(() => api.libreChat.getUser()).toThrow(PluginCapabilityError);
+    expect(transport.issueToken).not.toHaveBeenCalled();
+    expect(transport.invokeTool).not.toHaveBeenCalled();
+    expect(transport.ragIngest).not.toHaveBeenCalled();
+  });
+
+  it('honors scope wildcards and exposes only id and name of the user', () => {
+    const api = createPluginApi(manifest(['tools:*', 'user:read']), {
+      transport: createTransport(),
+      getUser: () => user as never,
+    });
+
+    expect(api.libreChat.getUser()).toEqual({ id: 'user-1', name: 'Test User' });
+    return expect(api.toolApi.invoke('any-tool', {})).resolves.toBeDefined();
+  });
+
+  it('only lets a plugin register an API under its own id', () => {
+    const api = createPluginApi(manifest([]), {
+      transport: createTransport(),
+      getUser: () => undefined,
+    });
+
+    api.registerMyPlugin('test-plugin', { greet: () => 'hi' });
+    expect(pluginApis['test-plugin'].greet()).toBe('hi');
+    expect(() => api.registerMyPlugin('other-plugin', {})).toThrow(
+      'cannot register an API for "other-plugin"',
+    );
+  });
+});
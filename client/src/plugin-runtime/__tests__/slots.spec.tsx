@@ -0,0 +1,88 @@
+import { act, render, screen } from '@testing-library/react';
+import {
+  PluginSlot,
+  getPluginSlotItems,
+  registerPluginSlots,
+  unregisterPluginSlots,
+} from '../slots';
+
+describe('plugin slots', () => {
+  let consoleError: jest.SpyInstance;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    act(() => {
+      unregisterPluginSlots('a');
+      unregisterPluginSlots('b');
+    });
+    consoleError.mockRestore();
+  });
+
+  it('validates registrations', () => {
+    expect(() => registerPluginSlots('a', {})).toThrow('slots must be an array');
+    expect(() =>
+      registerPluginSlots('a', [{ slot: 'footer', id: 'x', render: jest.fn() }]),
+    ).toThrow('slots[0].slot must be one of');
+    expect(() => registerPluginSlots('a', [{ slot: 'header', id: 'x' }])).toThrow(
+      'exactly one of "render" or "component"',
+    );
+    expect(() =>
+      registerPluginSlots('a', [{ slot: 'settings', id: 'x', render: jest.fn() }]),
+    ).toThrow('title is required');
+    expect(getPluginSlotItems('header')).toEqual([]);
+  });
+
+  it('replaces and removes the registrations of a plugin', () => {
+    registerPluginSlots('a', [{ slot: 'header', id: 'one', render: jest.fn() }]);
+    registerPluginSlots('b', [{ slot: 'header', id: 'one', render: jest.fn() }]);
+    registerPluginSlots('a', [{ slot: 'header', id: 'two', render: jest.fn() }]);
+    expect(getPluginSlotItems('header').map((item) => item.key)).toEqual(['b:one', 'a:two']);
+
+    unregisterPluginSlots('b');
+    expect(getPluginSlotItems('header').map((item) => item.key)).toEqual(['a:two']);
+  });
+
+  it('mounts render callbacks and runs their cleanup on unregister', () => {
+    const cleanup = jest.fn();
+    const renderSlot = jest.fn(
+      (container: HTMLElement, context: { conversationId: string | null }) => {
+        container.textContent = `convo ${context.conversationId}`;
+        return cleanup;
+      },
+    );
+    const context = { conversationId: 'c1' };
+    render(<PluginSlot name="composer-toolbar" context={context} />);
+
+    act(() =>
+      registerPluginSlots('a', [{ slot: 'composer-toolbar', id: 'btn', render: renderSlot }]),
+    );
+    expect(screen.getByText('convo c1')).toBeInTheDocument();
+    expect(renderSlot).toHaveBeenCalledTimes(1);
+
+    act(() => unregisterPluginSlots('a'));
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(screen.queryByText('convo c1')).not.toBeInTheDocument();
+  });
+
+  it('contains a crashing plugin component', () => {
+    const Crash = () => {
+      throw new Error('boom');
+    };
+    registerPluginSlots('a', [{ slot: 'header', id: 'crash', component: Crash }]);
+    registerPluginSlots('b', [
+      { slot: 'header', id: 'ok', component: () => <span>{'still here'}</span> },
+    ]);
+
+    render(<PluginSlot name="header" context={{ conversationId: null }} />);
+
+    expect(screen.getByText('still here')).toBeInTheDocument();
+    expect(consoleError).toHaveBeenCalledWith(
+      '[plugin:a] crashed in the "header" slot',
+      expect.any(Error),
+      expect.any(String),
+    );
+  });
+});
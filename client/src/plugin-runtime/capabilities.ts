@@ -0,0 +1,24 @@
+import type { PluginCapability } from './types';
+
+export class PluginCapabilityError extends Error {
+  constructor(pluginId: string, capability: string) {
+    super(`Plugin "${pluginId}" did not declare the "${capability}" capability`);
+    this.name = 'PluginCapabilityError';
+  }
+}
+
+/** Checks whether the granted capabilities cover the required one, honoring `<scope>:*`. */
+export function hasCapability(granted: PluginCapability[] = [], required: string): boolean {
+  const [scope] = required.split(':');
+  return (granted as string[]).includes(required) || (granted as string[]).includes(`${scope}:*`);
+}
+
+export function assertCapability(
+  pluginId: string,
+  granted: PluginCapability[],
+  required: string,
+): void {
+  if (!hasCapability(granted, required)) {
+    throw new PluginCapabilityError(pluginId, required);
+  }
+}
@@ -0,0 +1,93 @@
+import { Constants } from 'librechat-data-provider';
+import type { TUser } from 'librechat-data-provider';
+import type { TPluginToken } from 'librechat-data-provider';
+import type { PluginApi, PluginManifest, PluginTransport } from './types';
+import { registerPluginSlots } from './slots/registry';
+import { assertCapability } from './capabilities';
+
+/** Tokens are renewed this long before they expire */
+const TOKEN_RENEWAL_MARGIN = 60_000;
+
+/** APIs plugins have registered through `registerMyPlugin`, keyed by plugin id. */
+export const pluginApis: Record<string, any> = {};
+
+type CreatePluginApiOptions = {
+  transport: PluginTransport;
+  getUser: () => TUser | undefined;
+  config?: Record<string, any>;
+};
+
+/**
+ * Builds the API object handed to a single plugin. Every method enforces the
+ * capabilities the plugin declared in its manifest; the server re-checks them
+ * on each proxied call, which carries a token the server issued for the plugin.
+ */
+export default function createPluginApi(
+  manifest: PluginManifest,
+  { transport, getUser, config = {} }: CreatePluginApiOptions,
+): PluginApi {
+  const { id, permissions } = manifest;
+
+  let issued: Promise<TPluginToken> | undefined;
+  let expiresAt = 0;
+  const getToken = (): Promise<string> => {
+    if (!issued || expiresAt - Date.now() <= TOKEN_RENEWAL_MARGIN) {
+      expiresAt = Infinity;
+      issued = transport.issueToken(id).then(
+        (token) => {
+          expiresAt = Date.parse(token.expiresAt);
+          return token;
+        },
+        (error) => {
+          issued = undefined;
+          throw error;
+        },
+      );
+    }
+    return issued.then(({ token }) => token);
+  };
+
+  const guard = <T>(capability: string, fn: (token: string) => Promise<T>): Promise<T> => {
+    try {
+      assertCapability(id, permissions, capability);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return getToken().then(fn);
+  };
+
+  return {
+    id,
+    registerMyPlugin: (pluginId, api) => {
+      if (pluginId !== id) {
+        throw new Error(`Plugin "${id}" cannot register an API for "${pluginId}"`);
+      }
+      if (manifest.sandbox !== 'iframe' && api?.slots !== undefined) {
+        registerPluginSlots(id, api.slots);
+      }
+      pluginApis[id] = api;
+    },
+    toolApi: {
+      invoke: (toolId, args) =>
+        guard(`tools:${toolId}`, (token) => transport.invokeTool(token, toolId, args)),
+    },
+    ragApi: {
+      ingest: (conversationId, fileIds) =>
+        guard('rag:ingest', (token) => transport.ragIngest(token, conversationId, fileIds)),
+      query: (conversationId, query, top_k) =>
+        guard('rag:query', (token) => transport.ragQuery(token, conversationId, query, top_k)),
+    },
+    libreChat: {
+      config: Object.freeze({ ...config }),
+      getVersion: () => Constants.VERSION as string,
+      getUser: () => {
+        assertCapability(id, permissions, 'user:read');
+        const user = getUser();
+        if (!user) {
+          throw new Error('No authenticated user');
+        }
+        return { id: user.id, name: user.name };
+      },
+    },
+  };
+}
@@ -2,29 +2,11 @@ export {};
 
 declare global {
   interface Window {
-    // Plugin registry
-    registerMyPlugin: (id: string, api: any) => void;
+    // APIs plugins registered through their scoped `registerMyPlugin`, keyed by plugin id.
+    // Tool, RAG and user access are not global: each plugin receives a scoped `PluginApi`
+    // (see `./types`) as the argument of its module's default export.
     __pluginApis: Record<string, any>;
-    // Invoke LibreChat Tools
-    toolApi: {
-      invoke: (toolId: string, args: Record<string, any>) => Promise<any>;
-    };
-    // Core LibreChat helpers
-    libreChat: {
-      config: Record<string, any>;
-      getVersion: () => string;
-      getUser: () => { id: string; name: string };
-    };
-    // RAG API
-    ragApi: {
-      ingest: (conversationId: string, fileIds: string[]) => Promise<any>;
-      query: (
-        conversationId: string,
-        query: string,
-        top_k?: number
-      ) => Promise<any>;
-    };
-    // Reload a specific plugin at runtime
-    reloadPlugin: (id: string) => void;
+    // Disposes and re-imports a loaded plugin, bypassing the module cache
+    reloadPlugin: (id: string) => Promise<void>;
   }
 }
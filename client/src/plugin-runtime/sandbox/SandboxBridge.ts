@@ -0,0 +1,121 @@
+import type { PluginApi } from '../types';
+import type { BridgeMessage, InitMessage, RequestMessage } from './protocol';
+import { CHANNEL, isBridgeMessage, serializeError } from './protocol';
+
+type PendingCall = { resolve: (value: unknown) => void; reject: (reason: Error) => void };
+type InitPayload = Omit<InitMessage, 'channel' | 'type'>;
+
+const isString = (value: unknown): value is string => typeof value === 'string';
+const isStringArray = (value: unknown): value is string[] =>
+  Array.isArray(value) && value.every(isString);
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Host side of the postMessage RPC bridge to a sandboxed plugin iframe.
+ * Requests from the plugin are served through its scoped `PluginApi`, so the
+ * declared capabilities are enforced exactly as for non-sandboxed plugins.
+ */
+export default class SandboxBridge {
+  private seq = 0;
+  private pending = new Map<number, PendingCall>();
+
+  constructor(
+    private readonly iframe: HTMLIFrameElement,
+    private readonly api: PluginApi,
+    private readonly init: InitPayload,
+  ) {}
+
+  attach() {
+    window.addEventListener('message', this.handleMessage);
+  }
+
+  detach() {
+    window.removeEventListener('message', this.handleMessage);
+    this.pending.forEach(({ reject }) => reject(new Error('Plugin sandbox was unloaded')));
+    this.pending.clear();
+  }
+
+  /** Notifies the plugin that one of its declared slots was activated. */
+  activateSlot(slotId: string) {
+    this.post({ channel: CHANNEL, type: 'slot', slotId });
+  }
+
+  /** Calls a method the plugin exposed through `registerMyPlugin`. */
+  callPlugin(method: string, args: unknown[]): Promise<unknown> {
+    return new Promise((resolve, reject) => {
+      const id = ++this.seq;
+      this.pending.set(id, { resolve, reject });
+      this.post({ channel: CHANNEL, type: 'request', id, method: `plugin.${method}`, args });
+    });
+  }
+
+  private post(message: BridgeMessage) {
+    /* The sandbox has an opaque origin, so no narrower target origin can match */
+    this.iframe.contentWindow?.postMessage(message, '*');
+  }
+
+  private handleMessage = (event: MessageEvent) => {
+    if (event.source !== this.iframe.contentWindow || !isBridgeMessage(event.data)) {
+      return;
+    }
+
+    const message = event.data;
+    if (message.type === 'ready') {
+      this.post({ channel: CHANNEL, type: 'init', ...this.init });
+    } else if (message.type === 'request') {
+      this.serve(message);
+    } else if (message.type === 'response') {
+      const call = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        call?.reject(error);
+      } else {
+        call?.resolve(message.result);
+      }
+    }
+  };
+
+  private async serve({ id, method, args }: RequestMessage) {
+    try {
+      const result = await this.dispatch(method, Array.isArray(args) ? args : []);
+      this.post({ channel: CHANNEL, type: 'response', id, result });
+    } catch (error) {
+      this.post({ channel: CHANNEL, type: 'response', id, error: serializeError(error) });
+    }
+  }
+
+  private dispatch(method: string, args: unknown[]): Promise<unknown> | void {
+    const [first, second, third] = args;
+    switch (method) {
+      case 'toolApi.invoke':
+        if (!isString(first) || !isRecord(second)) {
+          throw new TypeError('toolApi.invoke expects (toolId: string, args: object)');
+        }
+        return this.api.toolApi.invoke(first, second);
+      case 'ragApi.ingest':
+        if (!isString(first) || !isStringArray(second)) {
+          throw new TypeError('ragApi.ingest expects (conversationId: string, fileIds: string[])');
+        }
+        return this.api.ragApi.ingest(first, second);
+      case 'ragApi.query':
+        if (!isString(first) || !isString(second)) {
+          throw new TypeError('ragApi.query expects (conversationId: string, query: string)');
+        }
+        return this.api.ragApi.query(first, second, typeof third === 'number' ? third : undefined);
+      case 'registerMyPlugin': {
+        if (!isString(first) || !isStringArray(second)) {
+          throw new TypeError('registerMyPlugin expects (id: string, methods: string[])');
+        }
+        const proxy = Object.fromEntries(
+          second.map((name) => [name, (...callArgs: unknown[]) => this.callPlugin(name, callArgs)]),
+        );
+        return this.api.registerMyPlugin(first, proxy);
+      }
+      default:
+        throw new Error(`Unknown method: ${method}`);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Constants } from 'librechat-data-provider';
+import type { PluginApi, PluginManifest } from '../types';
+import createSandboxDocument from './bootstrap';
+import { hasCapability } from '../capabilities';
+import SandboxBridge from './SandboxBridge';
+import { Button } from '~/components/ui';
+import { cn } from '~/utils';
+
+type SandboxedPluginProps = {
+  manifest: PluginManifest;
+  api: PluginApi;
+};
+
+/**
+ * Runs an untrusted plugin in an iframe with an opaque origin (`allow-scripts` only),
+ * so it cannot read the host's storage, cookies or DOM. The plugin's declared slots
+ * are rendered by the host and forwarded over the bridge.
+ */
+export default function SandboxedPlugin({ manifest, api }: SandboxedPluginProps) {
+  const iframeRef = useRef<HTMLIFrameElement>(null);
+  const bridgeRef = useRef<SandboxBridge | null>(null);
+  const [panelOpen, setPanelOpen] = useState(false);
+  const srcDoc = useMemo(() => createSandboxDocument(), []);
+
+  useEffect(() => {
+    const iframe = iframeRef.current;
+    if (!iframe) {
+      return;
+    }
+
+    const user = hasCapability(manifest.permissions, 'user:read')
+      ? api.libreChat.getUser()
+      : undefined;
+    const bridge = new SandboxBridge(iframe, api, {
+      pluginId: manifest.id,
+      url: new URL(manifest.url, window.location.origin).href,
+      version: Constants.VERSION as string,
+      config: { ...api.libreChat.config },
+      user,
+    });
+    bridge.attach();
+    bridgeRef.current = bridge;
+    return () => {
+      bridge.detach();
+      bridgeRef.current = null;
+    };
+  }, [manifest, api]);
+
+  return (
+    <div className="flex flex-col items-start gap-2">
+      <iframe
+        ref={iframeRef}
+        title={manifest.title}
+        sandbox="allow-scripts"
+        srcDoc={srcDoc}
+        className={cn(
+          'rounded-lg border border-border-light bg-surface-primary',
+          panelOpen ? 'h-80 w-80' : 'pointer-events-none h-0 w-0 border-0',
+        )}
+      />
+      <div className="flex gap-2">
+        {manifest.slots.map((slot) => (
+          <Button
+            key={slot.id}
+            size="sm"
+            variant="outline"
+            aria-pressed={slot.type === 'panel' ? panelOpen : undefined}
+            onClick={() =>
+              slot.type === 'panel'
+                ? setPanelOpen((open) => !open)
+                : bridgeRef.current?.activateSlot(slot.id)
+            }
+          >
+            {slot.label}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+}
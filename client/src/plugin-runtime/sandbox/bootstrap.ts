@@ -0,0 +1,104 @@
+import { CHANNEL } from './protocol';
+
+/**
+ * Script run inside the sandboxed iframe. It rebuilds the plugin API surface on top of
+ * the postMessage bridge, then imports the plugin module and calls its default export.
+ * Kept as a string so it is not transformed by the bundler.
+ */
+const bootstrapScript = `
+const CHANNEL = ${JSON.stringify(CHANNEL)};
+const pending = new Map();
+const exposed = {};
+const slotHandlers = {};
+let seq = 0;
+
+const post = (message) => parent.postMessage({ channel: CHANNEL, ...message }, '*');
+const toError = (error) => ({ name: error?.name ?? 'Error', message: error?.message ?? String(error) });
+const call = (method, args) =>
+  new Promise((resolve, reject) => {
+    const id = ++seq;
+    pending.set(id, { resolve, reject });
+    post({ type: 'request', id, method, args });
+  });
+
+async function init({ pluginId, url, version, config, user }) {
+  const api = {
+    id: pluginId,
+    registerMyPlugin: (id, pluginApi) => {
+      const methods = Object.keys(pluginApi).filter((key) => typeof pluginApi[key] === 'function');
+      methods.forEach((method) => (exposed[method] = pluginApi[method].bind(pluginApi)));
+      return call('registerMyPlugin', [id, methods]);
+    },
+    toolApi: {
+      invoke: (toolId, args) => call('toolApi.invoke', [toolId, args]),
+    },
+    ragApi: {
+      ingest: (conversationId, fileIds) => call('ragApi.ingest', [conversationId, fileIds]),
+      query: (conversationId, query, topK) => call('ragApi.query', [conversationId, query, topK]),
+    },
+    libreChat: {
+      config: Object.freeze(config),
+      getVersion: () => version,
+      getUser: () => {
+        if (!user) {
+          throw new Error('Plugin "' + pluginId + '" did not declare the "user:read" capability');
+        }
+        return user;
+      },
+    },
+    onSlot: (slotId, handler) => {
+      slotHandlers[slotId] = handler;
+    },
+  };
+
+  const mod = await import(url);
+  await mod.default?.(api);
+  post({ type: 'loaded' });
+}
+
+window.addEventListener('message', async (event) => {
+  const message = event.data;
+  if (event.source !== parent || !message || message.channel !== CHANNEL) {
+    return;
+  }
+
+  if (message.type === 'init') {
+    init(message).catch((error) => console.error('[plugin sandbox] init failed', error));
+  } else if (message.type === 'response') {
+    const request = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.name = message.error.name;
+      request?.reject(error);
+    } else {
+      request?.resolve(message.result);
+    }
+  } else if (message.type === 'request') {
+    const method = exposed[String(message.method).replace(/^plugin\\./, '')];
+    try {
+      if (!method) {
+        throw new Error('Unknown plugin method: ' + message.method);
+      }
+      post({ type: 'response', id: message.id, result: await method(...message.args) });
+    } catch (error) {
+      post({ type: 'response', id: message.id, error: toError(error) });
+    }
+  } else if (message.type === 'slot') {
+    slotHandlers[message.slotId]?.();
+  }
+});
+
+post({ type: 'ready' });
+`;
+
+/** Builds the `srcdoc` of a plugin sandbox iframe. */
+export default function createSandboxDocument(): string {
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8" /></head>
+  <body>
+    <script type="module">${bootstrapScript}</script>
+  </body>
+</html>`;
+}
@@ -0,0 +1,70 @@
+import type { TUser } from 'librechat-data-provider';
+
+/** Tag carried by every bridge message, so unrelated `message` events are ignored. */
+export const CHANNEL = 'librechat-plugin';
+
+/** Methods a sandboxed plugin may request from the host. */
+export type HostMethod = 'toolApi.invoke' | 'ragApi.ingest' | 'ragApi.query' | 'registerMyPlugin';
+
+export type SerializedError = { name: string; message: string };
+
+/** Sent by the host once the sandbox reports `ready`. */
+export type InitMessage = {
+  channel: typeof CHANNEL;
+  type: 'init';
+  pluginId: string;
+  url: string;
+  version: string;
+  config: Record<string, unknown>;
+  /** Only present when the plugin declared `user:read`. */
+  user?: Pick<TUser, 'id' | 'name'>;
+};
+
+/** A call in either direction: plugin → host API, or host → plugin-registered API. */
+export type RequestMessage = {
+  channel: typeof CHANNEL;
+  type: 'request';
+  id: number;
+  method: HostMethod | `plugin.${string}`;
+  args: unknown[];
+};
+
+export type ResponseMessage = {
+  channel: typeof CHANNEL;
+  type: 'response';
+  id: number;
+  result?: unknown;
+  error?: SerializedError;
+};
+
+/** Host → plugin: a declared slot was activated by the user. */
+export type SlotMessage = {
+  channel: typeof CHANNEL;
+  type: 'slot';
+  slotId: string;
+};
+
+/** Plugin → host lifecycle events. */
+export type StatusMessage = {
+  channel: typeof CHANNEL;
+  type: 'ready' | 'loaded';
+};
+
+export type BridgeMessage =
+  InitMessage | RequestMessage | ResponseMessage | SlotMessage | StatusMessage;
+
+export function isBridgeMessage(data: unknown): data is BridgeMessage {
+  return (
+    typeof data === 'object' &&
+    data !== null &&
+    (data as BridgeMessage).channel === CHANNEL &&
+    typeof (data as BridgeMessage).type === 'string'
+  );
+}
+
+export function serializeError(error: unknown): SerializedError {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message };
+  }
+  return { name: 'Error', message: String(error) };
+}
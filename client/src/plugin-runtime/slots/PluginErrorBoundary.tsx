@@ -0,0 +1,35 @@
+import { Component } from 'react';
+import type { ErrorInfo, ReactNode } from 'react';
+
+type PluginErrorBoundaryProps = {
+  pluginId: string;
+  slot: string;
+  children: ReactNode;
+  fallback?: ReactNode;
+};
+
+type PluginErrorBoundaryState = { hasError: boolean };
+
+/** Contains a crashing plugin, so it renders `fallback` instead of taking down the view around it. */
+export default class PluginErrorBoundary extends Component<
+  PluginErrorBoundaryProps,
+  PluginErrorBoundaryState
+> {
+  state: PluginErrorBoundaryState = { hasError: false };
+
+  static getDerivedStateFromError(): PluginErrorBoundaryState {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error: Error, info: ErrorInfo) {
+    const { pluginId, slot } = this.props;
+    console.error(`[plugin:${pluginId}] crashed in the "${slot}" slot`, error, info.componentStack);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return this.props.fallback ?? null;
+    }
+    return this.props.children;
+  }
+}
@@ -0,0 +1,102 @@
+import { useEffect, useRef } from 'react';
+import type { ReactNode } from 'react';
+import type { PluginSlotContextMap, PluginSlotItem, PluginSlotName } from './registry';
+import PluginErrorBoundary from './PluginErrorBoundary';
+import { usePluginSlot } from './registry';
+
+type RenderHostProps<S extends PluginSlotName> = {
+  item: PluginSlotItem<S>;
+  context: PluginSlotContextMap[S];
+};
+
+/** Mounts a plugin's DOM render callback, re-running it when the context changes. */
+function RenderHost<S extends PluginSlotName>({ item, context }: RenderHostProps<S>) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const { render } = item;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !render) {
+      return;
+    }
+    let cleanup: void | (() => void);
+    try {
+      cleanup = render(container, context);
+    } catch (error) {
+      console.error(`[plugin:${item.pluginId}] failed to render into "${item.slot}"`, error);
+    }
+    return () => {
+      try {
+        cleanup?.();
+      } catch (error) {
+        console.error(`[plugin:${item.pluginId}] slot cleanup failed`, error);
+      }
+      container.replaceChildren();
+    };
+  }, [render, context, item.pluginId, item.slot]);
+
+  return <div ref={containerRef} className="contents" data-plugin-slot={item.key} />;
+}
+
+/** Renders a single plugin slot item inside an error boundary. */
+export function PluginSlotItemView<S extends PluginSlotName>({
+  item,
+  context,
+  fallback,
+}: RenderHostProps<S> & { fallback?: ReactNode }) {
+  const { component: SlotComponent } = item;
+  return (
+    <PluginErrorBoundary pluginId={item.pluginId} slot={item.slot} fallback={fallback}>
+      {SlotComponent ? (
+        <SlotComponent context={context} />
+      ) : (
+        <RenderHost item={item} context={context} />
+      )}
+    </PluginErrorBoundary>
+  );
+}
+
+const NO_CONTEXT = {} as Record<string, never>;
+const tabComponents = new WeakMap<object, React.ComponentType>();
+
+/**
+ * A stable component rendering a `side-panel` or `settings` item, for hosts that take
+ * a component per tab. Cached per registration so re-renders don't remount the plugin.
+ */
+export function getPluginTabComponent<S extends 'side-panel' | 'settings'>(
+  item: PluginSlotItem<S>,
+): React.ComponentType {
+  let TabComponent = tabComponents.get(item);
+  if (!TabComponent) {
+    TabComponent = function PluginTab() {
+      return <PluginSlotItemView item={item} context={NO_CONTEXT as PluginSlotContextMap[S]} />;
+    };
+    tabComponents.set(item, TabComponent);
+  }
+  return TabComponent;
+}
+
+type PluginSlotProps<S extends PluginSlotName> = {
+  name: S;
+  context: PluginSlotContextMap[S];
+  className?: string;
+};
+
+/** Renders every plugin item registered into an inline slot. */
+export default function PluginSlot<S extends PluginSlotName>({
+  name,
+  context,
+  className,
+}: PluginSlotProps<S>) {
+  const items = usePluginSlot(name);
+  if (!items.length) {
+    return null;
+  }
+  return (
+    <div className={className}>
+      {items.map((item) => (
+        <PluginSlotItemView key={item.key} item={item} context={context} />
+      ))}
+    </div>
+  );
+}
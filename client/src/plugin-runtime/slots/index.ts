@@ -0,0 +1,3 @@
+export { default as PluginSlot, PluginSlotItemView, getPluginTabComponent } from './PluginSlot';
+export { default as PluginErrorBoundary } from './PluginErrorBoundary';
+export * from './registry';
@@ -0,0 +1,136 @@
+import { useSyncExternalStore } from 'react';
+import type React from 'react';
+
+/** Places in the client UI plugins can render into. */
+export const PLUGIN_SLOTS = [
+  'composer-toolbar',
+  'message-actions',
+  'side-panel',
+  'settings',
+  'header',
+] as const;
+
+export type PluginSlotName = (typeof PLUGIN_SLOTS)[number];
+
+/** Data passed to the plugins rendered into each slot. */
+export type PluginSlotContextMap = {
+  'composer-toolbar': { conversationId: string | null };
+  'message-actions': {
+    conversationId: string | null;
+    messageId: string;
+    text: string;
+    isCreatedByUser: boolean;
+  };
+  'side-panel': Record<string, never>;
+  settings: Record<string, never>;
+  header: { conversationId: string | null };
+};
+
+/** Renders plain DOM into `container`; the returned function runs on unmount or context change. */
+export type PluginSlotRender<S extends PluginSlotName = PluginSlotName> = (
+  container: HTMLElement,
+  context: PluginSlotContextMap[S],
+) => void | (() => void);
+
+/**
+ * What a plugin registers into a slot through the `slots` of the API it passes to
+ * `registerMyPlugin`. Exactly one of `render` or `component` must be set; `title`
+ * is required for the tabbed `side-panel` and `settings` slots.
+ */
+export type PluginSlotRegistration<S extends PluginSlotName = PluginSlotName> = {
+  slot: S;
+  id: string;
+  title?: string;
+  render?: PluginSlotRender<S>;
+  component?: React.ComponentType<{ context: PluginSlotContextMap[S] }>;
+};
+
+export type PluginSlotItem<S extends PluginSlotName = PluginSlotName> =
+  PluginSlotRegistration<S> & {
+    pluginId: string;
+    /** Unique across plugins: `<pluginId>:<id>` */
+    key: string;
+  };
+
+const TABBED_SLOTS: PluginSlotName[] = ['side-panel', 'settings'];
+
+let items: PluginSlotItem[] = [];
+const listeners = new Set<() => void>();
+const snapshots = new Map<PluginSlotName, PluginSlotItem[]>();
+
+const emit = () => {
+  snapshots.clear();
+  listeners.forEach((listener) => listener());
+};
+
+const isSlotName = (slot: unknown): slot is PluginSlotName =>
+  PLUGIN_SLOTS.includes(slot as PluginSlotName);
+
+/** Validates a plugin's slot registrations, throwing a descriptive error for the plugin author. */
+function validate(pluginId: string, registrations: unknown): PluginSlotRegistration[] {
+  if (!Array.isArray(registrations)) {
+    throw new TypeError(`Plugin "${pluginId}": slots must be an array`);
+  }
+
+  const ids = new Set<string>();
+  return registrations.map((registration: Partial<PluginSlotRegistration>, index) => {
+    const where = `Plugin "${pluginId}": slots[${index}]`;
+    if (!isSlotName(registration?.slot)) {
+      throw new TypeError(`${where}.slot must be one of: ${PLUGIN_SLOTS.join(', ')}`);
+    }
+    if (typeof registration.id !== 'string' || !registration.id || ids.has(registration.id)) {
+      throw new TypeError(`${where}.id must be a unique, non-empty string`);
+    }
+    if (
+      (typeof registration.render === 'function') ===
+      (typeof registration.component === 'function')
+    ) {
+      throw new TypeError(`${where} must define exactly one of "render" or "component"`);
+    }
+    if (TABBED_SLOTS.includes(registration.slot) && !registration.title) {
+      throw new TypeError(`${where}.title is required for the "${registration.slot}" slot`);
+    }
+    ids.add(registration.id);
+    return registration as PluginSlotRegistration;
+  });
+}
+
+/** Replaces the slot registrations of a plugin. */
+export function registerPluginSlots(pluginId: string, registrations: unknown) {
+  const next = validate(pluginId, registrations).map((registration) => ({
+    ...registration,
+    pluginId,
+    key: `${pluginId}:${registration.id}`,
+  }));
+  items = [...items.filter((item) => item.pluginId !== pluginId), ...next];
+  emit();
+}
+
+/** Removes every slot registration of a plugin. */
+export function unregisterPluginSlots(pluginId: string) {
+  if (items.some((item) => item.pluginId === pluginId)) {
+    items = items.filter((item) => item.pluginId !== pluginId);
+    emit();
+  }
+}
+
+export function getPluginSlotItems<S extends PluginSlotName>(slot: S): PluginSlotItem<S>[] {
+  let snapshot = snapshots.get(slot);
+  if (!snapshot) {
+    snapshot = items.filter((item) => item.slot === slot);
+    snapshots.set(slot, snapshot);
+  }
+  return snapshot as PluginSlotItem<S>[];
+}
+
+const subscribe = (listener: () => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/** The plugin items registered into a slot, re-rendering when plugins (un)register. */
+export function usePluginSlot<S extends PluginSlotName>(slot: S): PluginSlotItem<S>[] {
+  return useSyncExternalStore(subscribe, () => getPluginSlotItems(slot));
+}
@@ -0,0 +1,15 @@
+import { dataService } from 'librechat-data-provider';
+import type { PluginTransport } from './types';
+
+/** Transport used for proxied plugin calls. */
+const transport: PluginTransport = {
+  issueToken: (pluginId) => dataService.getPluginToken(pluginId),
+  invokeTool: (pluginToken, toolId, args) =>
+    dataService.callPluginTool({ pluginToken, toolId, args }).then(({ result }) => result),
+  ragIngest: (pluginToken, conversationId, fileIds) =>
+    dataService.pluginRagIngest({ pluginToken, conversationId, fileIds }),
+  ragQuery: (pluginToken, conversationId, query, top_k) =>
+    dataService.pluginRagQuery({ pluginToken, conversationId, query, top_k }),
+};
+
+export default transport;
@@ -0,0 +1,91 @@
+import type {
+  TPluginServerConfig,
+  TPluginSettingField,
+  TPluginToken,
+  TUser,
+} from 'librechat-data-provider';
+
+/** A capability a plugin declares in its manifest `permissions`, e.g. `tools:echo-tool`. */
+export type PluginCapability =
+  `tools:${string}` | 'rag:query' | 'rag:ingest' | 'rag:*' | 'user:read';
+
+/** A host-rendered UI entry point declared by a sandboxed plugin. */
+export interface PluginSlot {
+  id: string;
+  label: string;
+  /** `button` notifies the plugin through `onSlot`; `panel` toggles the plugin's iframe */
+  type: 'button' | 'panel';
+}
+
+/** A validated plugin manifest as served by the plugin server's manifest route. */
+export interface PluginManifest {
+  manifestVersion: number;
+  id: string;
+  title: string;
+  description?: string;
+  ui: string;
+  order: number;
+  version: string;
+  permissions: PluginCapability[];
+  engines: { librechat?: string };
+  /** `iframe` runs the plugin in a sandboxed iframe behind a postMessage bridge */
+  sandbox: 'none' | 'iframe';
+  slots: PluginSlot[];
+  /** Whether roles without an explicit setting for the plugin enable it */
+  enabledByDefault: boolean;
+  /** User-configurable settings, rendered in the settings dialog */
+  settings: TPluginSettingField[];
+  /** Content hash of the UI entry */
+  hash: string;
+  /** URL of the plugin's UI entry, versioned by `hash` */
+  url: string;
+  /** The current user's settings values, injected by the loader as `libreChat.config` */
+  config?: Record<string, unknown>;
+}
+
+export type PluginServerConfig = TPluginServerConfig;
+
+/** Performs the proxied server calls on behalf of a plugin. */
+export interface PluginTransport {
+  /** Requests the token that identifies the calls of the plugin to the server */
+  issueToken: (pluginId: string) => Promise<TPluginToken>;
+  invokeTool: (token: string, toolId: string, args: Record<string, any>) => Promise<any>;
+  ragIngest: (token: string, conversationId: string, fileIds: string[]) => Promise<any>;
+  ragQuery: (token: string, conversationId: string, query: string, top_k?: number) => Promise<any>;
+}
+
+/** The scoped API handed to each plugin's default export. */
+export interface PluginApi {
+  id: string;
+  /**
+   * Exposes the plugin's API to other plugins. An array under `api.slots` mounts
+   * components or render callbacks into the named UI slots (see `slots/registry`).
+   */
+  registerMyPlugin: (id: string, api: any) => void;
+  toolApi: {
+    invoke: (toolId: string, args: Record<string, any>) => Promise<any>;
+  };
+  ragApi: {
+    ingest: (conversationId: string, fileIds: string[]) => Promise<any>;
+    query: (conversationId: string, query: string, top_k?: number) => Promise<any>;
+  };
+  libreChat: {
+    config: Record<string, any>;
+    getVersion: () => string;
+    getUser: () => Pick<TUser, 'id' | 'name'>;
+  };
+  /** Sandboxed plugins only: handles activation of a declared slot */
+  onSlot?: (slotId: string, handler: () => void) => void;
+}
+
+/** Releases what a plugin set up (DOM nodes, listeners, timers) before it is unloaded. */
+export type PluginDispose = () => void | Promise<void>;
+
+/**
+ * Shape of a plugin's UI module. The default export may return its `dispose` function
+ * instead of exporting it.
+ */
+export interface PluginModule {
+  default?: (api: PluginApi) => void | PluginDispose | Promise<void | PluginDispose>;
+  dispose?: PluginDispose;
+}
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+require('module-alias')({ base: path.resolve(__dirname, '..', 'api') });
+const { silentExit } = require('./helpers');
+const {
+  ARCHIVE_EXTENSION,
+  PluginArchiveError,
+  packPlugin,
+  removePlugin,
+  installPluginArchive,
+} = require('~/app/pluginServer/archive');
+const { getLibreChatVersion, loadPluginServerConfig } = require('~/app/pluginServer/config');
+const { inspectPlugin } = require('~/app/pluginServer/registry');
+
+const usage = () => {
+  console.orange('Usage: npm run plugin -- <command> [options]');
+  console.orange('');
+  console.orange('  pack <dir> [--out <file>] [--key <private.pem>]');
+  console.orange('  install <archive> [--allow-unsigned]');
+  console.orange('  list');
+  console.orange('  remove <id>');
+  console.orange('');
+  console.orange(
+    'Archives are signed with PLUGIN_SIGNING_KEY and verified against PLUGIN_TRUSTED_KEYS.',
+  );
+};
+
+/**
+ * Splits `argv` into positional arguments and `--flag [value]` options.
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+    } else if (arg === '--allow-unsigned') {
+      options.allowUnsigned = true;
+    } else {
+      options[arg.slice(2)] = argv[++i];
+    }
+  }
+  return { args, options };
+}
+
+const readKey = (file) => fs.readFileSync(path.resolve(file));
+
+function getTrustedKeys() {
+  const files = (process.env.PLUGIN_TRUSTED_KEYS ?? '').split(',').filter(Boolean);
+  return files.map((file) => crypto.createPublicKey(readKey(file.trim())));
+}
+
+async function pack(dir, { out, key = process.env.PLUGIN_SIGNING_KEY }) {
+  if (!dir) {
+    return usage();
+  }
+  const privateKey = key ? crypto.createPrivateKey(readKey(key)) : undefined;
+  const { buffer, manifest, signed } = await packPlugin(path.resolve(dir), { privateKey });
+  const file = path.resolve(out ?? `${manifest.id}-${manifest.version}${ARCHIVE_EXTENSION}`);
+  fs.writeFileSync(file, buffer);
+
+  console.green(`Packed ${manifest.id}@${manifest.version} into ${file}`);
+  if (!signed) {
+    console.yellow('The archive is unsigned; pass --key or set PLUGIN_SIGNING_KEY to sign it.');
+  }
+}
+
+async function install(archive, { allowUnsigned }, pluginsDir) {
+  if (!archive) {
+    return usage();
+  }
+  const { manifest, dir, keyId } = await installPluginArchive(fs.readFileSync(archive), {
+    pluginsDir,
+    version: getLibreChatVersion(),
+    publicKeys: getTrustedKeys(),
+    allowUnsigned,
+  });
+
+  console.green(`Installed ${manifest.id}@${manifest.version} into ${dir}`);
+  if (keyId) {
+    console.gray(`Signed by key ${keyId}`);
+  } else {
+    console.yellow('Installed without a trusted signature.');
+  }
+  console.orange('Restart the backend to load it, unless PLUGIN_SERVER_WATCH is enabled.');
+}
+
+async function list(pluginsDir) {
+  const version = getLibreChatVersion();
+  const dirents = fs.existsSync(pluginsDir)
+    ? fs.readdirSync(pluginsDir, { withFileTypes: true })
+    : [];
+  const dirs = dirents.filter((dirent) => dirent.isDirectory() && !dirent.name.startsWith('.'));
+
+  console.purple(`Plugins in ${pluginsDir} (LibreChat ${version})`);
+  if (!dirs.length) {
+    console.gray('No plugins installed.');
+    return;
+  }
+  for (const dirent of dirs) {
+    const { entry, errors } = await inspectPlugin(path.join(pluginsDir, dirent.name), version);
+    if (entry) {
+      const { id, version: pluginVersion, title } = entry.manifest;
+      console.green(`  ${id}@${pluginVersion} - ${title}`);
+    } else {
+      console.red(`  ${dirent.name} (invalid)`);
+      errors.forEach((error) => console.gray(`    - ${error}`));
+    }
+  }
+}
+
+async function remove(id, pluginsDir) {
+  if (!id) {
+    return usage();
+  }
+  const dir = await removePlugin(pluginsDir, id);
+  console.green(`Removed ${id} from ${dir}`);
+  console.orange('Restart the backend to unload it, unless PLUGIN_SERVER_WATCH is enabled.');
+}
+
+(async () => {
+  const [command, ...argv] = process.argv.slice(2);
+  const { args, options } = parseArgs(argv);
+  const { pluginsDir } = loadPluginServerConfig().pluginServer;
+
+  try {
+    switch (command) {
+      case 'pack':
+        await pack(args[0], options);
+        break;
+      case 'install':
+        await install(args[0], options, pluginsDir);
+        break;
+      case 'list':
+        await list(pluginsDir);
+        break;
+      case 'remove':
+        await remove(args[0], pluginsDir);
+        break;
+      default:
+        usage();
+        silentExit(command ? 1 : 0);
+    }
+  } catch (error) {
+    if (!(error instanceof PluginArchiveError)) {
+      throw error;
+    }
+    console.red(`Error: ${error.message}`);
+    silentExit(1);
+  }
+
+  silentExit(0);
+})();
+
+process.on('uncaughtException', (err) => {
+  console.error('There was an uncaught error:');
+  console.error(err);
+  process.exit(1);
+});
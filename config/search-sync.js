@@ -0,0 +1,109 @@
+const path = require('path');
+require('dotenv').config();
+require('module-alias')({ base: path.resolve(__dirname, '..', 'api') });
+const { silentExit } = require('./helpers');
+const connect = require('./connect');
+
+const usage = () => {
+  console.orange('Usage: npm run search-sync -- [--full] [--batch-size <n>] [--throttle <ms>]');
+  console.orange('');
+  console.orange('  --full          Reindex every document and remove deleted ones from the index');
+  console.orange('  --batch-size    Documents per batch (default: 1000)');
+  console.orange('  --throttle      Delay between batches, in milliseconds (default: 0)');
+  console.orange('');
+  console.orange(
+    'Without --full, only documents updated since the last completed sync are indexed.',
+  );
+};
+
+/**
+ * @param {string[]} argv
+ * @returns {{ mode: 'full' | 'incremental', batchSize?: string, throttleMs?: string } | null}
+ *  The options, or `null` if the arguments are invalid.
+ */
+function parseArgs(argv) {
+  const options = { mode: 'incremental' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--full') {
+      options.mode = 'full';
+    } else if (arg === '--batch-size') {
+      options.batchSize = argv[++i];
+    } else if (arg === '--throttle') {
+      options.throttleMs = argv[++i];
+    } else {
+      return null;
+    }
+  }
+  return options;
+}
+
+/** @param {ISearchSyncProgress} progress */
+const formatProgress = ({ processed, total, deleted }) =>
+  `${processed}/${total}${deleted ? `, ${deleted} deleted` : ''}`;
+
+(async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    usage();
+    silentExit(1);
+  }
+
+  await connect();
+  const { SearchSyncError, startSearchSyncJob } = require('~/server/services/Search/syncJobs');
+
+  console.purple('--------------------------');
+  console.purple('Sync the search indexes');
+  console.purple('--------------------------');
+
+  try {
+    const { job, started, finished } = await startSearchSyncJob({
+      ...options,
+      onProgress: ({ progress, status }) => {
+        if (status === 'running') {
+          console.log(
+            `Messages: ${formatProgress(progress.messages)} | Conversations: ${formatProgress(progress.convos)}`,
+          );
+        }
+      },
+    });
+
+    if (!started) {
+      console.orange(`Sync job ${job.jobId} is already running; try again once it has finished.`);
+      silentExit(1);
+    }
+
+    console.orange(
+      `Started ${job.mode} sync job ${job.jobId}${job.since ? ` of changes since ${job.since.toISOString()}` : ''}`,
+    );
+    await finished;
+
+    const { getSearchSyncJob } = require('~/models/SearchSyncJob');
+    const result = await getSearchSyncJob(job.jobId);
+    if (result?.status !== 'completed') {
+      console.red(`Error: the sync failed: ${result?.error ?? 'unknown error'}`);
+      silentExit(1);
+    }
+    console.green('Search indexes are in sync!');
+    silentExit(0);
+  } catch (error) {
+    if (error instanceof SearchSyncError) {
+      console.red(`Error: ${error.message}`);
+    } else {
+      console.red('Error: the sync could not be started');
+      console.error(error);
+    }
+    silentExit(1);
+  }
+})();
+
+process.on('uncaughtException', (err) => {
+  if (!err.message.includes('fetch failed')) {
+    console.error('There was an uncaught error:');
+    console.error(err);
+  }
+
+  if (!err.message.includes('fetch failed')) {
+    process.exit(1);
+  }
+});
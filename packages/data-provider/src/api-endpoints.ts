@@ -59,6 +59,16 @@ export const getSharedLinks = (
   }${cursor ? `&cursor=${cursor}` : ''}`;
 export const createSharedLink = (conversationId: string) => `${shareRoot}/${conversationId}`;
 export const updateSharedLink = (shareId: string) => `${shareRoot}/${shareId}`;
+export const sharedLinkSettings = (shareId: string) => `${shareRoot}/${shareId}/settings`;
+export const forkSharedConversation = (shareId: string) => `${shareRoot}/${shareId}/fork`;
+export const sharedWithMe = (cursor?: string) =>
+  `${shareRoot}/shared-with-me${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`;
+
+/* Projects */
+export const projects = () => '/api/projects';
+export const allProjects = () => `${projects()}/all`;
+export const projectMembers = (projectId: string) =>
+  `${projects()}/${encodeURIComponent(projectId)}/members`;
 
 const keysEndpoint = '/api/keys';
 
@@ -88,8 +98,15 @@ export const deleteConversation = () => `${conversationsRoot}`;
 
 export const deleteAllConversation = () => `${conversationsRoot}/all`;
 
+export const trash = (cursor?: string) =>
+  `${conversationsRoot}/trash${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`;
+
+export const restoreTrash = () => `${conversationsRoot}/trash/restore`;
+
 export const importConversation = () => `${conversationsRoot}/import`;
 
+export const importJob = (jobId: string) => `${conversationsRoot}/import/${jobId}`;
+
 export const forkConversation = () => `${conversationsRoot}/fork`;
 
 export const duplicateConversation = () => `${conversationsRoot}/duplicate`;
@@ -99,6 +116,9 @@ export const search = (q: string, cursor?: string | null) =>
 
 export const searchEnabled = () => '/api/search/enable';
 
+export const searchConversations = (params: q.SearchConversationsParams) =>
+  `/api/search/conversations${buildQuery(params)}`;
+
 export const presets = () => '/api/presets';
 
 export const deletePreset = () => '/api/presets/delete';
@@ -134,6 +154,17 @@ export const resendVerificationEmail = () => '/api/user/verify/resend';
 
 export const plugins = () => '/api/plugins';
 
+export const pluginServerConfig = () => `${plugins()}/config`;
+
+export const pluginToken = (pluginId: string) => `${plugins()}/tokens/${pluginId}`;
+
+export const pluginToolCall = (toolId: string) => `${plugins()}/tools/${toolId}/call`;
+
+export const pluginRag = (action: 'ingest' | 'query') => `${plugins()}/rag/${action}`;
+
+export const pluginSettings = (pluginId?: string) =>
+  pluginId ? `${plugins()}/settings/${pluginId}` : `${plugins()}/settings`;
+
 export const config = () => '/api/config';
 
 export const prompts = () => '/api/prompts';
@@ -253,6 +284,7 @@ export const roles = () => '/api/roles';
 export const getRole = (roleName: string) => `${roles()}/${roleName.toLowerCase()}`;
 export const updatePromptPermissions = (roleName: string) => `${getRole(roleName)}/prompts`;
 export const updateAgentPermissions = (roleName: string) => `${getRole(roleName)}/agents`;
+export const updatePluginPermissions = (roleName: string) => `${getRole(roleName)}/plugins`;
 
 /* Conversation Tags */
 export const conversationTags = (tag?: string) =>
@@ -266,6 +298,14 @@ export const conversationTagsList = (pageNumber: string, sort?: string, order?:
 export const addTagToConversation = (conversationId: string) =>
   `${conversationTags()}/convo/${conversationId}`;
 
+/* Folders */
+export const folders = (folderId?: string) =>
+  `/api/folders${folderId != null && folderId ? `/${encodeURIComponent(folderId)}` : ''}`;
+
+export const moveConvosToFolder = () => `${folders()}/convos`;
+
+export const migrateTagsToFolders = () => `${folders()}/migrate-tags`;
+
 export const userTerms = () => '/api/user/terms';
 export const acceptUserTerms = () => '/api/user/terms/accept';
 export const banner = () => '/api/banner';
@@ -45,6 +45,7 @@ export const excludedKeys = new Set([
   'messages',
   'isArchived',
   'tags',
+  'folderId',
   'user',
   '__v',
   '_id',
@@ -173,6 +174,16 @@ export enum AgentCapabilities {
   ocr = 'ocr',
 }
 
+/** How an agent runs the agents it is chained with */
+export enum AgentChainModes {
+  /** Each agent runs after the previous one, building on its output */
+  sequential = 'sequential',
+  /** The agent answers or hands the turn off to one of the agents */
+  router = 'router',
+  /** The agents respond concurrently, then the agent merges their responses */
+  parallel = 'parallel',
+}
+
 export const defaultAssistantsVersion = {
   [EModelEndpoint.assistants]: 2,
   [EModelEndpoint.azureAssistants]: 1,
@@ -540,6 +551,8 @@ export type TStartupConfig = {
   publicSharedLinksEnabled: boolean;
   analyticsGtmId?: string;
   instanceProjectId: string;
+  /** Days deleted conversations stay in the trash; `0` when the trash is disabled */
+  trashRetentionDays?: number;
   bundlerURL?: string;
   staticBundlerURL?: string;
 };
@@ -1192,6 +1205,10 @@ export enum SettingsTabValues {
    * Chat input commands
    */
   COMMANDS = 'commands',
+  /**
+   * Tab for UI plugin toggles and settings
+   */
+  PLUGINS = 'plugins',
 }
 
 export enum STTProviders {
@@ -30,8 +30,14 @@ export function deleteUser(): Promise<s.TPreset> {
   return request.delete(endpoints.deleteUser());
 }
 
-export function getSharedMessages(shareId: string): Promise<t.TSharedMessagesResponse> {
-  return request.get(endpoints.shareMessages(shareId));
+export function getSharedMessages(
+  shareId: string,
+  password?: string,
+): Promise<t.TSharedMessagesResponse> {
+  return request.get(
+    endpoints.shareMessages(shareId),
+    password ? { headers: { 'X-Share-Password': password } } : undefined,
+  );
 }
 
 export const listSharedLinks = async (
@@ -48,14 +54,59 @@ export function getSharedLink(conversationId: string): Promise<t.TSharedLinkGetR
   return request.get(endpoints.getSharedLink(conversationId));
 }
 
-export function createSharedLink(conversationId: string): Promise<t.TSharedLinkResponse> {
-  return request.post(endpoints.createSharedLink(conversationId));
+export function createSharedLink(
+  conversationId: string,
+  settings?: t.TSharedLinkSettings,
+): Promise<t.TSharedLinkResponse> {
+  return request.post(endpoints.createSharedLink(conversationId), settings);
 }
 
 export function updateSharedLink(shareId: string): Promise<t.TSharedLinkResponse> {
   return request.patch(endpoints.updateSharedLink(shareId));
 }
 
+export function updateSharedLinkSettings(
+  shareId: string,
+  settings: t.TSharedLinkSettings,
+): Promise<t.TUpdateSharedLinkSettingsResponse> {
+  return request.put(endpoints.sharedLinkSettings(shareId), settings);
+}
+
+export function getSharedWithMe(cursor?: string): Promise<q.SharedWithMeResponse> {
+  return request.get(endpoints.sharedWithMe(cursor));
+}
+
+/* Projects */
+export function getProjects(): Promise<t.TProject[]> {
+  return request.get(endpoints.projects());
+}
+
+export function getAllProjects(): Promise<t.TProject[]> {
+  return request.get(endpoints.allProjects());
+}
+
+export function createProject(payload: t.TCreateProjectRequest): Promise<t.TProject> {
+  return request.post(endpoints.projects(), payload);
+}
+
+export function updateProjectMembers({
+  projectId,
+  ...payload
+}: t.TUpdateProjectMembersRequest): Promise<t.TProject> {
+  return request.patch(endpoints.projectMembers(projectId), payload);
+}
+
+export function forkSharedConversation(
+  shareId: string,
+  password?: string,
+): Promise<t.TForkConvoResponse> {
+  return request.post(
+    endpoints.forkSharedConversation(shareId),
+    {},
+    password ? { headers: { 'X-Share-Password': password } } : undefined,
+  );
+}
+
 export function deleteSharedLink(shareId: string): Promise<m.TDeleteSharedLinkResponse> {
   return request.delete(endpoints.shareMessages(shareId));
 }
@@ -89,6 +140,12 @@ export function getSearchEnabled(): Promise<boolean> {
   return request.get(endpoints.searchEnabled());
 }
 
+export function searchConversations(
+  params: q.SearchConversationsParams,
+): Promise<q.SearchConversationsResponse> {
+  return request.get(endpoints.searchConversations(params));
+}
+
 export function getUser(): Promise<t.TUser> {
   return request.get(endpoints.user());
 }
@@ -306,6 +363,53 @@ export const callTool = <T extends m.ToolId>({
   );
 };
 
+export const getPluginToken = (pluginId: string): Promise<t.TPluginToken> => {
+  return request.post(endpoints.pluginToken(pluginId));
+};
+
+export const callPluginTool = ({
+  pluginToken,
+  toolId,
+  ...body
+}: m.PluginToolCallParams): Promise<m.ToolCallResponse> => {
+  return request.post(endpoints.pluginToolCall(toolId), body, {
+    headers: { 'X-LibreChat-Plugin-Token': pluginToken },
+  });
+};
+
+export const pluginRagIngest = ({
+  pluginToken,
+  ...body
+}: m.PluginRagIngestParams): Promise<m.PluginRagIngestResponse> => {
+  return request.post(endpoints.pluginRag('ingest'), body, {
+    headers: { 'X-LibreChat-Plugin-Token': pluginToken },
+  });
+};
+
+export const pluginRagQuery = ({
+  pluginToken,
+  ...body
+}: m.PluginRagQueryParams): Promise<m.PluginRagQueryResponse> => {
+  return request.post(endpoints.pluginRag('query'), body, {
+    headers: { 'X-LibreChat-Plugin-Token': pluginToken },
+  });
+};
+
+export const getPluginServerConfig = (): Promise<t.TPluginServerConfig> => {
+  return request.get(endpoints.pluginServerConfig());
+};
+
+export const getPluginSettings = (): Promise<t.TUserPluginSettings[]> => {
+  return request.get(endpoints.pluginSettings());
+};
+
+export const updatePluginSettings = ({
+  pluginId,
+  ...body
+}: m.UpdatePluginSettingsParams): Promise<t.TUserPluginSettings> => {
+  return request.put(endpoints.pluginSettings(pluginId), body);
+};
+
 export const getToolCalls = (params: q.GetToolCallParams): Promise<q.ToolCallResults> => {
   return request.get(
     endpoints.agents({
@@ -431,6 +535,102 @@ export const listAgents = (params: a.AgentListParams): Promise<a.AgentListRespon
   );
 };
 
+export const listAgentVersions = ({
+  agent_id,
+}: {
+  agent_id: string;
+}): Promise<a.AgentVersionListResponse> => {
+  return request.get(
+    endpoints.agents({
+      path: `${agent_id}/versions`,
+    }),
+  );
+};
+
+export const getAgentVersion = ({
+  agent_id,
+  version,
+}: {
+  agent_id: string;
+  version: number;
+}): Promise<a.AgentVersion> => {
+  return request.get(
+    endpoints.agents({
+      path: `${agent_id}/versions/${version}`,
+    }),
+  );
+};
+
+export const diffAgentVersions = ({
+  agent_id,
+  from,
+  to,
+}: {
+  agent_id: string;
+  from: number;
+  to: number;
+}): Promise<a.AgentVersionDiffResponse> => {
+  return request.get(
+    endpoints.agents({
+      path: `${agent_id}/versions/diff`,
+      options: { from, to },
+    }),
+  );
+};
+
+export const rollbackAgent = ({
+  agent_id,
+  version,
+}: {
+  agent_id: string;
+  version: number;
+}): Promise<a.Agent> => {
+  return request.post(
+    endpoints.agents({
+      path: `${agent_id}/versions/${version}/rollback`,
+    }),
+  );
+};
+
+export const exportAgent = ({
+  agent_id,
+  promptGroupIds,
+  includeFiles,
+}: a.AgentExportParams): Promise<a.AgentBundle> => {
+  const options: Record<string, string> = {};
+  if (promptGroupIds?.length) {
+    options.promptGroupIds = promptGroupIds.join(',');
+  }
+  if (includeFiles === true) {
+    options.includeFiles = 'true';
+  }
+  return request.get(
+    endpoints.agents({
+      path: `${agent_id}/export`,
+      options,
+    }),
+  );
+};
+
+/**
+ * Imports an agent bundle.
+ *
+ * @param data - The FormData containing the bundle `file` and an optional `onConflict`.
+ * @returns A Promise that resolves to the imported agent and what could not be imported.
+ */
+export const importAgent = (data: FormData): Promise<a.AgentImportResponse> => {
+  return request.postMultiPart(endpoints.agents({ path: 'import' }), data);
+};
+
+/**
+ * Approves or rejects a tool call that an agent run is waiting on.
+ */
+export const approveAgentToolCall = (
+  data: a.ToolApprovalParams,
+): Promise<a.ToolApprovalResponse> => {
+  return request.post(endpoints.agents({ path: 'chat/approve' }), data);
+};
+
 /* Tools */
 
 export const getAvailableAgentTools = (): Promise<s.TPlugin[]> => {
@@ -475,6 +675,16 @@ export const importConversationsFile = (data: FormData): Promise<t.TImportRespon
   return request.postMultiPart(endpoints.importConversation(), data);
 };
 
+/**
+ * Gets the progress of an import job.
+ *
+ * @param jobId - The ID returned when the import was started.
+ * @returns A Promise that resolves to the import job.
+ */
+export const getImportJob = (jobId: string): Promise<t.TImportJob> => {
+  return request.get(endpoints.importJob(jobId));
+};
+
 export const uploadAvatar = (data: FormData): Promise<f.AvatarUploadResponse> => {
   return request.postMultiPart(endpoints.avatar(), data);
 };
@@ -564,6 +774,20 @@ export function clearAllConversations(): Promise<unknown> {
   return request.delete(endpoints.deleteAllConversation());
 }
 
+export function getTrash(cursor?: string): Promise<q.TrashResponse> {
+  return request.get(endpoints.trash(cursor));
+}
+
+export function restoreConversations(
+  payload: t.TTrashRequest,
+): Promise<t.TRestoreConversationsResponse> {
+  return request.post(endpoints.restoreTrash(), payload);
+}
+
+export function emptyTrash(payload: t.TTrashRequest): Promise<t.TEmptyTrashResponse> {
+  return request.deleteWithOptions(endpoints.trash(), { data: payload });
+}
+
 export const listConversations = (
   params?: q.ConversationListParams,
 ): Promise<q.ConversationListResponse> => {
@@ -710,6 +934,12 @@ export function updateAgentPermissions(
   return request.put(endpoints.updateAgentPermissions(variables.roleName), variables.updates);
 }
 
+export function updatePluginPermissions(
+  variables: m.UpdatePluginPermVars,
+): Promise<m.UpdatePermResponse> {
+  return request.put(endpoints.updatePluginPermissions(variables.roleName), variables.updates);
+}
+
 /* Tags */
 export function getConversationTags(): Promise<t.TConversationTagsResponse> {
   return request.get(endpoints.conversationTags());
@@ -741,6 +971,36 @@ export function rebuildConversationTags(): Promise<t.TConversationTagsResponse>
   return request.post(endpoints.conversationTags('rebuild'));
 }
 
+/* Folders */
+export function getFolders(): Promise<t.TFoldersResponse> {
+  return request.get(endpoints.folders());
+}
+
+export function createFolder(payload: t.TFolderRequest): Promise<t.TFolderResponse> {
+  return request.post(endpoints.folders(), payload);
+}
+
+export function updateFolder(
+  folderId: string,
+  payload: t.TFolderRequest,
+): Promise<t.TFolderResponse> {
+  return request.put(endpoints.folders(folderId), payload);
+}
+
+export function deleteFolder(folderId: string): Promise<t.TFolderResponse> {
+  return request.delete(endpoints.folders(folderId));
+}
+
+export function moveConvosToFolder(
+  payload: t.TMoveConvosToFolderRequest,
+): Promise<t.TMoveConvosToFolderResponse> {
+  return request.put(endpoints.moveConvosToFolder(), payload);
+}
+
+export function migrateTagsToFolders(): Promise<t.TMigrateTagsToFoldersResponse> {
+  return request.post(endpoints.migrateTagsToFolders());
+}
+
 export function healthCheck(): Promise<string> {
   return request.get(endpoints.health());
 }
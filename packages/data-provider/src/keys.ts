@@ -2,10 +2,15 @@ export enum QueryKeys {
   messages = 'messages',
   sharedMessages = 'sharedMessages',
   sharedLinks = 'sharedLinks',
+  sharedWithMe = 'sharedWithMe',
+  trash = 'trash',
+  projects = 'projects',
+  allProjects = 'allProjects',
   allConversations = 'allConversations',
   archivedConversations = 'archivedConversations',
   searchConversations = 'searchConversations',
   conversation = 'conversation',
+  importJob = 'importJob',
   searchEnabled = 'searchEnabled',
   user = 'user',
   name = 'name', // user key name
@@ -42,7 +47,9 @@ export enum QueryKeys {
   categories = 'categories',
   randomPrompts = 'randomPrompts',
   roles = 'roles',
+  pluginSettings = 'pluginSettings',
   conversationTags = 'conversationTags',
+  folders = 'folders',
   health = 'health',
   userTerms = 'userTerms',
   banner = 'banner',
@@ -67,6 +74,7 @@ export enum MutationKeys {
   deleteAgentAction = 'deleteAgentAction',
   deleteUser = 'deleteUser',
   updateRole = 'updateRole',
+  updatePluginSettings = 'updatePluginSettings',
   enableTwoFactor = 'enableTwoFactor',
   verifyTwoFactor = 'verifyTwoFactor',
 }
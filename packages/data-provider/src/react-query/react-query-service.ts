@@ -48,10 +48,11 @@ export const useGetMessagesByConvoId = <TData = s.TMessage[]>(
 export const useGetSharedMessages = (
   shareId: string,
   config?: UseQueryOptions<t.TSharedMessagesResponse>,
+  password?: string,
 ): QueryObserverResult<t.TSharedMessagesResponse> => {
   return useQuery<t.TSharedMessagesResponse>(
-    [QueryKeys.sharedMessages, shareId],
-    () => dataService.getSharedMessages(shareId),
+    [QueryKeys.sharedMessages, shareId, password],
+    () => dataService.getSharedMessages(shareId, password),
     {
       refetchOnWindowFocus: false,
       refetchOnReconnect: false,
@@ -81,6 +82,10 @@ export const useGetSharedLinkQuery = (
         queryClient.setQueryData([QueryKeys.sharedLinks, conversationId], {
           conversationId: data.conversationId,
           shareId: data.shareId,
+          mode: data.mode,
+          expiresAt: data.expiresAt,
+          hasPassword: data.hasPassword,
+          views: data.views,
         });
       },
       ...config,
@@ -13,9 +13,10 @@ async function _getResponse<T>(url: string, options?: AxiosRequestConfig): Promi
   return await axios.get(url, { ...options });
 }
 
-async function _post(url: string, data?: any) {
+async function _post(url: string, data?: any, options?: AxiosRequestConfig) {
   const response = await axios.post(url, JSON.stringify(data), {
-    headers: { 'Content-Type': 'application/json' },
+    ...options,
+    headers: { ...options?.headers, 'Content-Type': 'application/json' },
   });
   return response.data;
 }
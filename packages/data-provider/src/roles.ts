@@ -25,10 +25,22 @@ export enum SystemRoles {
   USER = 'USER',
 }
 
+/** UI plugin ids enabled (`true`) or disabled (`false`) for a role */
+export const rolePluginsSchema = z.record(
+  z
+    .string()
+    .regex(/^[a-z0-9][a-z0-9_-]*$/)
+    .max(64),
+  z.boolean(),
+);
+
+export type TRolePlugins = z.infer<typeof rolePluginsSchema>;
+
 // The role schema now only needs to reference the permissions schema.
 export const roleSchema = z.object({
   name: z.string(),
   permissions: permissionsSchema,
+  plugins: rolePluginsSchema.optional(),
 });
 
 export type TRole = z.infer<typeof roleSchema>;
@@ -170,9 +170,11 @@ export const defaultAgentFormValues = {
   model: '',
   model_parameters: {},
   tools: [],
+  requires_approval: [],
   provider: {},
   projectIds: [],
   artifacts: '',
+  chain_mode: '',
   isCollaborative: false,
   recursion_limit: undefined,
   [Tools.execute_code]: false,
@@ -596,6 +598,7 @@ export const tConversationSchema = z.object({
   examples: z.array(tExampleSchema).optional(),
   /* DB */
   tags: z.array(z.string()).optional(),
+  folderId: z.string().optional(),
   createdAt: z.string(),
   updatedAt: z.string(),
   /* Files */
@@ -609,6 +612,8 @@ export const tConversationSchema = z.object({
   assistant_id: z.string().optional(),
   /* agents */
   agent_id: z.string().optional(),
+  /** The version of the agent that last answered */
+  agent_version: z.number().optional(),
   /* AWS Bedrock */
   region: z.string().optional(),
   maxTokens: coerceNumber.optional(),
@@ -752,6 +757,10 @@ export const tSharedLinkSchema = z.object({
   messages: z.array(z.string()),
   isPublic: z.boolean(),
   title: z.string(),
+  mode: z.enum(['snapshot', 'live']).optional(),
+  expiresAt: z.string().optional(),
+  views: z.number().optional(),
+  allowFork: z.boolean().optional(),
   createdAt: z.string(),
   updatedAt: z.string(),
 });
@@ -770,6 +779,21 @@ export const tConversationTagSchema = z.object({
 });
 export type TConversationTag = z.infer<typeof tConversationTagSchema>;
 
+export const tFolderSchema = z.object({
+  folderId: z.string(),
+  user: z.string(),
+  name: z.string(),
+  /** `null` for top-level folders */
+  parentId: z.string().nullable(),
+  /** Order among the folders sharing the same parent, starting at 1 */
+  position: z.number(),
+  /** Number of conversations directly in the folder */
+  count: z.number().optional(),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+});
+export type TFolder = z.infer<typeof tFolderSchema>;
+
 export const googleBaseSchema = tConversationSchema.pick({
   model: true,
   modelLabel: true,
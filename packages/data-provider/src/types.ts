@@ -8,6 +8,7 @@ import type {
   TConversation,
   EModelEndpoint,
   TConversationTag,
+  TFolder,
   TBanner,
 } from './schemas';
 export type TOpenAIMessage = OpenAI.Chat.ChatCompletionMessageParam;
@@ -91,6 +92,41 @@ export type TUpdateUserPlugins = {
   auth?: unknown;
 };
 
+/** A setting a UI plugin declares in its manifest */
+export type TPluginSettingField = {
+  key: string;
+  label: string;
+  description?: string;
+  type: 'string' | 'number' | 'boolean' | 'select';
+  required: boolean;
+  default?: string | number | boolean;
+  options?: string[];
+  min?: number;
+  max?: number;
+};
+
+/** Where the client loads UI plugins and their manifests from */
+export type TPluginServerConfig = {
+  pluginServer: { staticPrefix: string };
+  api: { manifestRoute: string; configRoute: string };
+};
+
+/** A UI plugin enabled for the user's role, with the user's toggle and settings */
+export type TUserPluginSettings = {
+  id: string;
+  title: string;
+  description?: string;
+  enabled: boolean;
+  fields: TPluginSettingField[];
+  values: Record<string, string | number | boolean>;
+};
+
+/** Identifies the proxied calls of a UI plugin, issued by the server to the current user */
+export type TPluginToken = {
+  token: string;
+  expiresAt: string;
+};
+
 // TODO `label` needs to be changed to the proper `TranslationKeys`
 export type TCategory = {
   id?: string;
@@ -196,12 +232,68 @@ export type TCreateShareLinkRequest = Pick<TConversation, 'conversationId'>;
 export type TUpdateShareLinkRequest = Pick<TSharedLink, 'shareId'>;
 
 export type TSharedLinkResponse = Pick<TSharedLink, 'shareId'> &
-  Pick<TConversation, 'conversationId'>;
+  Pick<TConversation, 'conversationId'> &
+  Partial<TSharedLinkSettingsResponse>;
 
 export type TSharedLinkGetResponse = TSharedLinkResponse & {
   success: boolean;
 };
 
+/**
+ * Settings of a shared link; omitted settings are left unchanged
+ * and `null` removes the expiry or passphrase.
+ */
+export type TSharedLinkSettings = {
+  /** `snapshot` links show the messages at the time of sharing, `live` links the current ones */
+  mode?: 'snapshot' | 'live';
+  /** ISO date after which the link stops working */
+  expiresAt?: string | null;
+  /** Passphrase viewers have to enter */
+  password?: string | null;
+  /** Whether anyone with the URL can view the link, rather than only the users and projects below */
+  isPublic?: boolean;
+  /** Whether viewers can fork the conversation into their own history */
+  allowFork?: boolean;
+  /** Emails of the users to share the conversation with */
+  sharedWith?: string[];
+  /** Projects whose members to share the conversation with */
+  projectIds?: string[];
+};
+
+export type TSharedLinkSettingsResponse = {
+  mode: 'snapshot' | 'live';
+  expiresAt?: string;
+  hasPassword: boolean;
+  views: number;
+  lastViewedAt?: string;
+  isPublic: boolean;
+  allowFork: boolean;
+  sharedWith: { id: string; name?: string; email: string }[];
+  projectIds: string[];
+};
+
+export type TUpdateSharedLinkSettingsResponse = Pick<TSharedLink, 'shareId'> &
+  Pick<TConversation, 'conversationId'> &
+  TSharedLinkSettingsResponse;
+
+/** A project conversations can be shared with; only admins see its members */
+export type TProject = {
+  _id: string;
+  name: string;
+  /** Emails of the members */
+  members: string[];
+};
+
+export type TCreateProjectRequest = Pick<TProject, 'name'>;
+
+export type TUpdateProjectMembersRequest = {
+  projectId: string;
+  /** Emails of the users to add */
+  add?: string[];
+  /** Emails of the users to remove */
+  remove?: string[];
+};
+
 // type for getting conversation tags
 export type TConversationTagsResponse = TConversationTag[];
 // type for creating conversation tag
@@ -221,6 +313,43 @@ export type TTagConversationRequest = {
 
 export type TTagConversationResponse = string[];
 
+export type TFoldersResponse = TFolder[];
+
+export type TFolderRequest = Partial<Pick<TFolder, 'name' | 'parentId' | 'position'>>;
+
+export type TFolderResponse = TFolder;
+
+export type TMoveConvosToFolderRequest = {
+  conversationIds: string[];
+  /** `null` removes the conversations from their folder */
+  folderId: string | null;
+};
+
+export type TMoveConvosToFolderResponse = {
+  folderId: string | null;
+  modifiedCount: number;
+};
+
+export type TMigrateTagsToFoldersResponse = {
+  /** Number of folders created */
+  created: number;
+  /** Number of conversations moved into a folder */
+  moved: number;
+};
+
+export type TTrashRequest = {
+  /** The whole trash when omitted */
+  conversationIds?: string[];
+};
+
+export type TRestoreConversationsResponse = {
+  restoredCount: number;
+};
+
+export type TEmptyTrashResponse = {
+  deletedCount: number;
+};
+
 export type TDuplicateConvoRequest = {
   conversationId?: string;
 };
@@ -401,6 +530,39 @@ export type TImportResponse = {
    * The message associated with the response.
    */
   message: string;
+  /**
+   * The ID of the background job importing the file.
+   */
+  jobId: string;
+  /**
+   * The status of the job when it was started.
+   */
+  status: TImportJobStatus;
+};
+
+export type TImportJobStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/**
+ * Represents the progress of an import job.
+ */
+export type TImportJob = {
+  jobId: string;
+  status: TImportJobStatus;
+  filename?: string;
+  /** The number of conversations found in the file, once it was read */
+  total: number;
+  /** The number of conversations handled so far, whether imported or skipped */
+  processed: number;
+  /** The number of conversations imported so far */
+  imported: number;
+  /** The IDs of the conversations created by the import */
+  conversationIds: string[];
+  /** The conversations that could not be imported */
+  skipped: { index: number; title?: string; reason: string }[];
+  /** Why the whole job failed, if it did */
+  error?: string;
+  createdAt: string;
+  finishedAt?: string;
 };
 
 /** Prompts */
@@ -25,6 +25,16 @@ export namespace Agents {
       index: number;
       runId: string;
       agentId: string;
+      /** Set when the previous agent handed the turn off to this one */
+      handoff?: {
+        fromAgentId: string;
+        reason: string;
+      };
+      /** Set when the agent ran in parallel with others; holds its response */
+      branch?: {
+        output: string;
+        error?: string;
+      };
     };
   };
 
@@ -66,6 +76,8 @@ export namespace Agents {
     auth?: string;
     /** Expiration time */
     expires_at?: number;
+    /** Whether the tool call waits for the user to approve it */
+    requires_approval?: boolean;
   };
 
   export type ToolEndEvent = {
@@ -201,6 +213,7 @@ export namespace Agents {
     tool_calls?: ToolCallChunk[];
     auth?: string;
     expires_at?: number;
+    requires_approval?: boolean;
   };
   export type AgentToolCall = FunctionToolCall | ToolCall;
   export interface ExtendedMessageContent {
@@ -1,5 +1,6 @@
 import type { OpenAPIV3 } from 'openapi-types';
 import type { AssistantsEndpoint, AgentProvider } from 'src/schemas';
+import type { AgentChainModes } from 'src/config';
 import type { ContentTypes } from './runs';
 import type { Agents } from './agents';
 import type { TFile } from './files';
@@ -208,6 +209,8 @@ export type Agent = {
   instructions: string | null;
   additional_instructions?: string | null;
   tools?: string[];
+  /** The tools, from `tools`, that only run once a user approves each call */
+  requires_approval?: string[];
   projectIds?: string[];
   tool_kwargs?: Record<string, unknown>;
   metadata?: Record<string, unknown>;
@@ -218,10 +221,13 @@ export type Agent = {
   isCollaborative?: boolean;
   tool_resources?: AgentToolResources;
   agent_ids?: string[];
+  chain_mode?: AgentChainModes | string;
   end_after_tools?: boolean;
   hide_sequential_outputs?: boolean;
   artifacts?: ArtifactModes;
   recursion_limit?: number;
+  /** The latest version in the agent's history */
+  version?: number;
 };
 
 export type TAgentsMap = Record<string, Agent | undefined>;
@@ -238,7 +244,13 @@ export type AgentCreateParams = {
   model_parameters: AgentModelParameters;
 } & Pick<
   Agent,
-  'agent_ids' | 'end_after_tools' | 'hide_sequential_outputs' | 'artifacts' | 'recursion_limit'
+  | 'agent_ids'
+  | 'chain_mode'
+  | 'requires_approval'
+  | 'end_after_tools'
+  | 'hide_sequential_outputs'
+  | 'artifacts'
+  | 'recursion_limit'
 >;
 
 export type AgentUpdateParams = {
@@ -257,7 +269,13 @@ export type AgentUpdateParams = {
   isCollaborative?: boolean;
 } & Pick<
   Agent,
-  'agent_ids' | 'end_after_tools' | 'hide_sequential_outputs' | 'artifacts' | 'recursion_limit'
+  | 'agent_ids'
+  | 'chain_mode'
+  | 'requires_approval'
+  | 'end_after_tools'
+  | 'hide_sequential_outputs'
+  | 'artifacts'
+  | 'recursion_limit'
 >;
 
 export type AgentListParams = {
@@ -276,6 +294,109 @@ export type AgentListResponse = {
   has_more: boolean;
 };
 
+export type AgentVersion = {
+  agent_id: string;
+  version: number;
+  /** The versioned fields of the agent, as saved in this version */
+  snapshot: Partial<Agent>;
+  updatedBy?: string;
+  /** Set when this version rolled the agent back to an earlier one */
+  restoredFrom?: number;
+  createdAt: string;
+};
+
+export type AgentVersionListResponse = {
+  current: number | null;
+  versions: Omit<AgentVersion, 'snapshot'>[];
+};
+
+export type AgentVersionChange = {
+  field: string;
+  from: unknown;
+  to: unknown;
+};
+
+export type AgentVersionDiffResponse = {
+  from: number;
+  to: number;
+  changes: AgentVersionChange[];
+};
+
+export type AgentBundleAction = {
+  /** The action's metadata, without API keys or OAuth client credentials */
+  metadata: Partial<ActionMetadata>;
+};
+
+export type AgentBundlePromptGroup = {
+  name: string;
+  oneliner?: string;
+  category?: string;
+  command?: string;
+  /** The text of the group's production prompt */
+  prompt: string;
+  type: 'text' | 'chat';
+};
+
+export type AgentBundleFile = {
+  tool_resource: EToolResources.file_search | EToolResources.execute_code;
+  filename: string;
+  type: string;
+  bytes: number;
+  /** Base64-encoded file content */
+  content: string;
+};
+
+export type AgentBundleSkippedFile = {
+  filename: string;
+  tool_resource: string;
+  reason: 'not_downloadable' | 'too_large' | 'read_error' | 'upload_error';
+};
+
+/** A portable agent, for moving agents between instances */
+export type AgentBundle = {
+  format: 'librechat-agent-bundle';
+  version: 1;
+  exportedAt: string;
+  agent: Partial<Agent> & Pick<Agent, 'id' | 'provider' | 'model'>;
+  actions: AgentBundleAction[];
+  promptGroups: AgentBundlePromptGroup[];
+  files: AgentBundleFile[];
+  /** Files of the agent that could not be bundled */
+  skippedFiles: AgentBundleSkippedFile[];
+};
+
+export type AgentExportParams = {
+  agent_id: string;
+  promptGroupIds?: string[];
+  includeFiles?: boolean;
+};
+
+export type AgentImportResponse = {
+  agent: Agent;
+  /** Whether an existing agent with the bundle's ID was updated */
+  replaced: boolean;
+  promptGroups: { name: string; groupId: string; created: boolean }[];
+  /** What was dropped because it is not available on this instance */
+  warnings: {
+    missingTools: string[];
+    missingMcpServers: string[];
+    missingAgents: string[];
+    blockedActionDomains: string[];
+    skippedFiles: AgentBundleSkippedFile[];
+  };
+};
+
+export type ToolApprovalParams = {
+  /** The ID of the tool call waiting for the user's approval */
+  toolCallId: string;
+  approved: boolean;
+};
+
+export type ToolApprovalResponse = {
+  toolCallId: string;
+  status: 'approved' | 'rejected';
+};
+
 export type AgentFile = {
   file_id: string;
   id?: string;
@@ -520,6 +641,8 @@ export type ActionMetadata = {
   raw_spec?: string;
   oauth_client_id?: string;
   oauth_client_secret?: string;
+  /** Whether every operation of the action only runs once a user approves the call */
+  requires_approval?: boolean;
 };
 
 export type ActionMetadataRuntime = ActionMetadata & {
@@ -13,6 +13,8 @@ import {
   Agent,
   AgentCreateParams,
   AgentUpdateParams,
+  ToolApprovalParams,
+  ToolApprovalResponse,
 } from './assistants';
 
 export type MutationOptions<
@@ -159,6 +161,8 @@ export type DeleteAgentActionVariables = {
 
 export type DeleteAgentActionOptions = MutationOptions<void, DeleteAgentActionVariables>;
 
+export type ApproveToolCallOptions = MutationOptions<ToolApprovalResponse, ToolApprovalParams>;
+
 export type DeleteConversationOptions = MutationOptions<
   types.TDeleteConversationResponse,
   types.TDeleteConversationRequest
@@ -261,6 +265,8 @@ export type UpdatePromptPermVars = UpdatePermVars<p.TPromptPermissions>;
 
 export type UpdateAgentPermVars = UpdatePermVars<p.TAgentPermissions>;
 
+export type UpdatePluginPermVars = UpdatePermVars<r.TRolePlugins>;
+
 export type UpdatePermResponse = r.TRole;
 
 export type UpdatePromptPermOptions = MutationOptions<
@@ -314,6 +320,54 @@ export type ToolCallMutationOptions<T extends ToolId> = MutationOptions<
   ToolParams<T>
 >;
 
+/** A tool call made by a UI plugin on behalf of the current user */
+export type PluginToolCallParams = {
+  /** The token issued to the plugin, see `getPluginToken` */
+  pluginToken: string;
+  toolId: string;
+  args: Record<string, unknown>;
+  conversationId?: string;
+  messageId?: string;
+};
+
+export type PluginRagIngestParams = {
+  /** The token issued to the plugin, see `getPluginToken` */
+  pluginToken: string;
+  conversationId: string;
+  fileIds: string[];
+};
+
+export type PluginRagIngestResponse = {
+  conversationId: string;
+  files: Array<{ file_id: string; filename: string; embedded: boolean; error?: string }>;
+};
+
+export type PluginRagQueryParams = {
+  /** The token issued to the plugin, see `getPluginToken` */
+  pluginToken: string;
+  conversationId: string;
+  query: string;
+  top_k?: number;
+};
+
+export type PluginRagQueryResponse = {
+  conversationId: string;
+  results: Array<{ file_id: string; filename: string; content: string; distance: number }>;
+};
+
+export type UpdatePluginSettingsParams = {
+  pluginId: string;
+  enabled?: boolean;
+  settings?: Record<string, string | number | boolean>;
+};
+
+export type UpdatePluginSettingsOptions = MutationOptions<
+  types.TUserPluginSettings,
+  UpdatePluginSettingsParams,
+  unknown,
+  types.TError | null | undefined
+>;
+
 export type TDeleteSharedLinkResponse = {
   success: boolean;
   shareId: string;
@@ -11,12 +11,62 @@ export type Conversation = {
   conversations: s.TConversation[];
 };
 
-export type ConversationListParams = {
+/** Narrows the results of a search; ignored without a search query */
+export type SearchFilters = {
+  endpoint?: string;
+  model?: string;
+  /** ISO date; messages created, or conversations updated, on or after it */
+  from?: string;
+  /** ISO date; messages created, or conversations updated, on or before it */
+  to?: string;
+  tag?: string;
+};
+
+export type SearchConversationsParams = SearchFilters & {
+  q: string;
+  agent_id?: string;
+  /** Only match conversations with file attachments */
+  hasFiles?: boolean;
+  cursor?: string;
+  pageSize?: number;
+};
+
+export type SearchSnippet = {
+  messageId: string;
+  /** An excerpt of the message text around its matches */
+  text: string;
+  /** The positions of the matches in `text` */
+  highlights: { start: number; length: number }[];
+};
+
+export type SearchConversationHit = Pick<
+  s.TConversation,
+  'conversationId' | 'title' | 'endpoint' | 'model' | 'agent_id' | 'tags' | 'updatedAt'
+> & {
+  snippets: SearchSnippet[];
+};
+
+export type SearchConversationsResponse = {
+  conversations: SearchConversationHit[];
+  /** Counts of the matching conversations by value */
+  facets: {
+    endpoint: Record<string, number>;
+    model: Record<string, number>;
+    agent_id: Record<string, number>;
+    tags: { tag: string; description?: string; count: number }[];
+  };
+  total: number;
+  nextCursor: string | null;
+};
+
+export type ConversationListParams = SearchFilters & {
   cursor?: string;
   isArchived?: boolean;
   sortBy?: 'title' | 'createdAt' | 'updatedAt';
   sortDirection?: 'asc' | 'desc';
   tags?: string[];
+  /** `none` lists the conversations that are not in a folder */
+  folderId?: string;
   search?: string;
 };
 
@@ -37,7 +87,7 @@ export type ConversationUpdater = (
 ) => ConversationData;
 
 /* Messages */
-export type MessagesListParams = {
+export type MessagesListParams = SearchFilters & {
   cursor?: string | null;
   sortBy?: 'endpoint' | 'createdAt' | 'updatedAt';
   sortDirection?: 'asc' | 'desc';
@@ -80,6 +130,37 @@ export interface SharedLinksResponse {
   hasNextPage: boolean;
 }
 
+/** A link another user shared with the current user */
+export type SharedWithMeItem = {
+  shareId: string;
+  title: string;
+  /** The name of the user who shared the conversation */
+  sharedBy?: string;
+  allowFork: boolean;
+  createdAt: string;
+};
+
+export interface SharedWithMeResponse {
+  links: SharedWithMeItem[];
+  nextCursor?: string;
+  hasNextPage: boolean;
+}
+
+/** A conversation in the trash */
+export type TrashedConversation = Pick<
+  s.TConversation,
+  'conversationId' | 'title' | 'endpoint' | 'model' | 'iconURL' | 'folderId' | 'updatedAt'
+> & {
+  deletedAt: string;
+};
+
+export interface TrashResponse {
+  conversations: TrashedConversation[];
+  nextCursor: string | null;
+  /** Days conversations stay in the trash before they are deleted */
+  retentionDays: number;
+}
+
 export interface SharedLinkQueryData {
   pages: SharedLinksResponse[];
   pageParams: (string | null)[];
@@ -4,6 +4,9 @@ export type { IAction } from './schema/action';
 export { default as agentSchema } from './schema/agent';
 export type { IAgent } from './schema/agent';
 
+export { default as agentVersionSchema } from './schema/agentVersion';
+export type { IAgentVersion } from './schema/agentVersion';
+
 export { default as assistantSchema } from './schema/assistant';
 export type { IAssistant } from './schema/assistant';
 
@@ -25,6 +28,12 @@ export type { IConversation } from './schema/convo';
 export { default as fileSchema } from './schema/file';
 export type { IMongoFile } from './schema/file';
 
+export { default as folderSchema } from './schema/folder';
+export type { IFolder } from './schema/folder';
+
+export { default as importJobSchema } from './schema/importJob';
+export type { IImportJob, IImportSkipped, IImportPending } from './schema/importJob';
+
 export { default as keySchema } from './schema/key';
 export type { IKey } from './schema/key';
 
@@ -34,6 +43,9 @@ export type { IMessage } from './schema/message';
 export { default as pluginAuthSchema } from './schema/pluginAuth';
 export type { IPluginAuth } from './schema/pluginAuth';
 
+export { default as pluginSettingSchema } from './schema/pluginSetting';
+export type { IPluginSetting } from './schema/pluginSetting';
+
 export { default as presetSchema } from './schema/preset';
 export type { IPreset } from './schema/preset';
 
@@ -49,6 +61,9 @@ export type { IPromptGroup, IPromptGroupDocument } from './schema/promptGroup';
 export { default as roleSchema } from './schema/role';
 export type { IRole } from './schema/role';
 
+export { default as searchSyncJobSchema } from './schema/searchSyncJob';
+export type { ISearchSyncJob, ISearchSyncProgress } from './schema/searchSyncJob';
+
 export { default as sessionSchema } from './schema/session';
 export type { ISession } from './schema/session';
 
@@ -59,7 +74,7 @@ export { default as tokenSchema } from './schema/token';
 export type { IToken } from './schema/token';
 
 export { default as toolCallSchema } from './schema/toolCall';
-export type { IToolCallData } from './schema/toolCall';
+export type { IToolCallData, IToolCallApproval } from './schema/toolCall';
 
 export { default as transactionSchema } from './schema/transaction';
 export type { ITransaction } from './schema/transaction';
@@ -24,6 +24,7 @@ export interface IAction extends Document {
     raw_spec?: string;
     oauth_client_id?: string;
     oauth_client_secret?: string;
+    requires_approval?: boolean;
   };
 }
 
@@ -72,6 +73,7 @@ const Action = new Schema<IAction>({
     raw_spec: String,
     oauth_client_id: String,
     oauth_client_secret: String,
+    requires_approval: Boolean,
   },
 });
 
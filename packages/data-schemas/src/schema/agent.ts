@@ -15,6 +15,7 @@ export interface IAgent extends Omit<Document, 'model'> {
   access_level?: number;
   recursion_limit?: number;
   tools?: string[];
+  requires_approval?: string[];
   tool_kwargs?: Array<unknown>;
   actions?: string[];
   author: Types.ObjectId;
@@ -22,10 +23,12 @@ export interface IAgent extends Omit<Document, 'model'> {
   hide_sequential_outputs?: boolean;
   end_after_tools?: boolean;
   agent_ids?: string[];
+  chain_mode?: string;
   isCollaborative?: boolean;
   conversation_starters?: string[];
   tool_resources?: unknown;
   projectIds?: Types.ObjectId[];
+  version?: number;
 }
 
 const agentSchema = new Schema<IAgent>(
@@ -73,6 +76,11 @@ const agentSchema = new Schema<IAgent>(
       type: [String],
       default: undefined,
     },
+    /** The tools, from `tools`, that only run once a user approves each call */
+    requires_approval: {
+      type: [String],
+      default: undefined,
+    },
     tool_kwargs: {
       type: [{ type: Schema.Types.Mixed }],
     },
@@ -98,6 +106,10 @@ const agentSchema = new Schema<IAgent>(
     agent_ids: {
       type: [String],
     },
+    /** How `agent_ids` are run: one after the other, as a team the agent routes to, or concurrently */
+    chain_mode: {
+      type: String,
+    },
     isCollaborative: {
       type: Boolean,
       default: undefined,
@@ -115,6 +127,10 @@ const agentSchema = new Schema<IAgent>(
       ref: 'Project',
       index: true,
     },
+    /** The latest version recorded in the agent's history */
+    version: {
+      type: Number,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,52 @@
+import { Schema, Document, Types } from 'mongoose';
+
+export interface IAgentVersion extends Document {
+  agent_id: string;
+  version: number;
+  /** The versioned fields of the agent, as saved in this version */
+  snapshot: Record<string, unknown>;
+  updatedBy?: Types.ObjectId;
+  /** The version this one was rolled back to, if any */
+  restoredFrom?: number;
+  createdAt?: Date;
+}
+
+const agentVersionSchema = new Schema<IAgentVersion>(
+  {
+    agent_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    snapshot: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    restoredFrom: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+agentVersionSchema.index({ agent_id: 1, version: 1 }, { unique: true });
+
+/** Versions are append-only */
+agentVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function (next) {
+    next(new Error('Agent versions cannot be modified'));
+  },
+);
+
+export default agentVersionSchema;
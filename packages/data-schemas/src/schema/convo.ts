@@ -34,6 +34,7 @@ export interface IConversation extends Document {
   resendFiles?: boolean;
   imageDetail?: string;
   agent_id?: string;
+  agent_version?: number;
   assistant_id?: string;
   instructions?: string;
   stop?: string[];
@@ -42,6 +43,7 @@ export interface IConversation extends Document {
   greeting?: string;
   spec?: string;
   tags?: string[];
+  folderId?: string;
   tools?: string[];
   maxContextTokens?: number;
   max_tokens?: number;
@@ -49,6 +51,7 @@ export interface IConversation extends Document {
   // Additional fields
   files?: string[];
   expiredAt?: Date;
+  deletedAt?: Date;
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -79,17 +82,30 @@ const convoSchema: Schema<IConversation> = new Schema(
     agent_id: {
       type: String,
     },
+    /** The version of the agent that last answered */
+    agent_version: {
+      type: Number,
+    },
     tags: {
       type: [String],
       default: [],
       meiliIndex: true,
     },
+    folderId: {
+      type: String,
+      index: true,
+    },
     files: {
       type: [String],
     },
     expiredAt: {
       type: Date,
     },
+    /** Set while the conversation is in the trash */
+    deletedAt: {
+      type: Date,
+      index: true,
+    },
   },
   { timestamps: true },
 );
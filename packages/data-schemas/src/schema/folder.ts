@@ -0,0 +1,46 @@
+import { Schema, Document } from 'mongoose';
+
+export interface IFolder extends Document {
+  folderId: string;
+  user: string;
+  name: string;
+  parentId?: string | null;
+  position: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+const folderSchema: Schema<IFolder> = new Schema(
+  {
+    folderId: {
+      type: String,
+      unique: true,
+      required: true,
+      index: true,
+    },
+    user: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    /** `null` for top-level folders */
+    parentId: {
+      type: String,
+      default: null,
+    },
+    /** Order among the folders sharing the same parent, starting at 1 */
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+folderSchema.index({ user: 1, parentId: 1, position: 1 });
+
+export default folderSchema;
@@ -0,0 +1,120 @@
+import mongoose, { Schema, Document, Types } from 'mongoose';
+
+export interface IImportSkipped {
+  /** Position of the conversation in the imported file */
+  index: number;
+  title?: string;
+  reason: string;
+}
+
+export interface IImportPending {
+  /** Position of the conversation being saved */
+  index: number;
+  /** IDs of its conversations, recorded before they are saved */
+  conversationIds: string[];
+}
+
+export interface IImportJob extends Document {
+  jobId: string;
+  user: Types.ObjectId;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  filepath: string;
+  filename?: string;
+  /** Number of conversations in the file, once parsed */
+  total: number;
+  /** Number of conversations handled so far; the job resumes from here after a restart */
+  processed: number;
+  conversationIds: string[];
+  skipped: IImportSkipped[];
+  /** Set while a conversation is saved, so a crash before `processed` is updated can be undone */
+  pending?: IImportPending;
+  /** The server process running the job */
+  owner?: string;
+  /** Until when `owner` holds the job; other servers may resume it afterwards */
+  leaseUntil?: Date;
+  error?: string;
+  finishedAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+const importSkippedSchema = new Schema<IImportSkipped>(
+  {
+    index: { type: Number },
+    title: { type: String },
+    reason: { type: String },
+  },
+  { _id: false },
+);
+
+const importJobSchema: Schema<IImportJob> = new Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    filepath: {
+      type: String,
+      required: true,
+    },
+    filename: {
+      type: String,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    conversationIds: {
+      type: [String],
+      default: [],
+    },
+    skipped: {
+      type: [importSkippedSchema],
+      default: [],
+    },
+    pending: {
+      type: new Schema<IImportPending>(
+        {
+          index: { type: Number },
+          conversationIds: { type: [String] },
+        },
+        { _id: false },
+      ),
+    },
+    owner: {
+      type: String,
+    },
+    leaseUntil: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+/** Finished jobs are kept for a week so clients can still read their report */
+importJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default importJobSchema;
@@ -0,0 +1,37 @@
+import mongoose, { Schema, Document, Types } from 'mongoose';
+
+export interface IPluginSetting extends Document {
+  user: Types.ObjectId;
+  pluginId: string;
+  enabled: boolean;
+  settings: Record<string, unknown>;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+const pluginSettingSchema: Schema<IPluginSetting> = new Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    pluginId: {
+      type: String,
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true, minimize: false },
+);
+
+pluginSettingSchema.index({ user: 1, pluginId: 1 }, { unique: true });
+
+export default pluginSettingSchema;
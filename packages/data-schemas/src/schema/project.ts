@@ -4,6 +4,8 @@ export interface IMongoProject extends Document {
   name: string;
   promptGroupIds: Types.ObjectId[];
   agentIds: string[];
+  /** Users who can access what is shared with the project; everyone can for the instance project */
+  memberIds: Types.ObjectId[];
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -25,6 +27,12 @@ const projectSchema = new Schema<IMongoProject>(
       ref: 'Agent',
       default: [],
     },
+    memberIds: {
+      type: [Schema.Types.ObjectId],
+      ref: 'User',
+      default: [],
+      index: true,
+    },
   },
   {
     timestamps: true,
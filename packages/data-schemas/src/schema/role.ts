@@ -27,6 +27,8 @@ export interface IRole extends Document {
       [Permissions.USE]?: boolean;
     };
   };
+  /** Plugin ids enabled (`true`) or disabled (`false`) for the role */
+  plugins?: Record<string, boolean>;
 }
 
 // Create a sub-schema for permissions. Notice we disable _id for this subdocument.
@@ -79,6 +81,11 @@ const roleSchema: Schema<IRole> = new Schema({
       [PermissionTypes.RUN_CODE]: { [Permissions.USE]: true },
     }),
   },
+  plugins: {
+    type: Map,
+    of: Boolean,
+    default: undefined,
+  },
 });
 
 export default roleSchema;
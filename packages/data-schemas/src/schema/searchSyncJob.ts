@@ -0,0 +1,113 @@
+import mongoose, { Schema, Document, Types } from 'mongoose';
+
+export interface ISearchSyncProgress {
+  /** Number of documents to index */
+  total: number;
+  processed: number;
+  /** Number of documents removed from the index because they no longer exist */
+  deleted: number;
+}
+
+export interface ISearchSyncJob extends Document {
+  jobId: string;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  /** Set while the job is pending or running; at most one job can be active */
+  active?: boolean;
+  /** Full syncs reindex every document; incremental syncs only those updated since `since` */
+  mode: 'full' | 'incremental';
+  /** The admin who started the job; unset for jobs started from the CLI */
+  requestedBy?: Types.ObjectId;
+  batchSize: number;
+  /** Delay between batches, in milliseconds */
+  throttleMs: number;
+  since?: Date;
+  /** When the job started reading documents; the `since` of the next incremental sync */
+  watermark?: Date;
+  progress: {
+    messages: ISearchSyncProgress;
+    convos: ISearchSyncProgress;
+  };
+  /** The attributes each index was synced with; a change requires a full sync */
+  indexedAttributes?: {
+    messages: string[];
+    convos: string[];
+  };
+  error?: string;
+  finishedAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+const progressSchema = new Schema<ISearchSyncProgress>(
+  {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    deleted: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+const searchSyncJobSchema: Schema<ISearchSyncJob> = new Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    active: {
+      type: Boolean,
+    },
+    mode: {
+      type: String,
+      enum: ['full', 'incremental'],
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    batchSize: {
+      type: Number,
+      required: true,
+    },
+    throttleMs: {
+      type: Number,
+      default: 0,
+    },
+    since: {
+      type: Date,
+    },
+    watermark: {
+      type: Date,
+    },
+    progress: {
+      messages: { type: progressSchema, default: () => ({}) },
+      convos: { type: progressSchema, default: () => ({}) },
+    },
+    indexedAttributes: {
+      messages: { type: [String], default: undefined },
+      convos: { type: [String], default: undefined },
+    },
+    error: {
+      type: String,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+/** Only one job can be pending or running at a time, even when several servers start one */
+searchSyncJobSchema.index(
+  { active: 1 },
+  { unique: true, partialFilterExpression: { active: true } },
+);
+
+export default searchSyncJobSchema;
@@ -7,6 +7,18 @@ export interface ISharedLink extends Document {
   messages?: Types.ObjectId[];
   shareId?: string;
   isPublic: boolean;
+  /** Users the conversation is shared with, whether or not the link is public */
+  sharedWith: string[];
+  /** Projects whose members the conversation is shared with */
+  projectIds: Types.ObjectId[];
+  /** Whether viewers may fork the conversation into their own history */
+  allowFork: boolean;
+  /** `snapshot` links show the messages copied when the link was created or refreshed, `live` links the current ones */
+  mode: 'snapshot' | 'live';
+  expiresAt?: Date;
+  passwordHash?: string;
+  views: number;
+  lastViewedAt?: Date;
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -34,8 +46,45 @@ const shareSchema: Schema<ISharedLink> = new Schema(
       type: Boolean,
       default: true,
     },
+    sharedWith: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    projectIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Project',
+      default: [],
+      index: true,
+    },
+    allowFork: {
+      type: Boolean,
+      default: false,
+    },
+    mode: {
+      type: String,
+      enum: ['snapshot', 'live'],
+      default: 'snapshot',
+    },
+    expiresAt: {
+      type: Date,
+    },
+    passwordHash: {
+      type: String,
+      select: false,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+    },
   },
   { timestamps: true },
 );
 
+/** Expired links are removed by MongoDB; reads also check `expiresAt` since removal is not immediate */
+shareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 export default shareSchema;
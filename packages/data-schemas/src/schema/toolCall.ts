@@ -1,6 +1,13 @@
 import mongoose, { Schema, Document, Types } from 'mongoose';
 import type { TAttachment } from 'librechat-data-provider';
 
+export interface IToolCallApproval {
+  /** The ID the model gave the tool call */
+  toolCallId: string;
+  status: 'approved' | 'rejected' | 'timed_out';
+  decidedAt: Date;
+}
+
 export interface IToolCallData extends Document {
   conversationId: string;
   messageId: string;
@@ -10,10 +17,20 @@ export interface IToolCallData extends Document {
   attachments?: TAttachment[];
   blockIndex?: number;
   partIndex?: number;
+  approval?: IToolCallApproval;
   createdAt?: Date;
   updatedAt?: Date;
 }
 
+const toolCallApprovalSchema = new Schema<IToolCallApproval>(
+  {
+    toolCallId: { type: String, required: true },
+    status: { type: String, enum: ['approved', 'rejected', 'timed_out'], required: true },
+    decidedAt: { type: Date, required: true },
+  },
+  { _id: false },
+);
+
 const toolCallSchema: Schema<IToolCallData> = new Schema(
   {
     conversationId: {
@@ -45,6 +62,10 @@ const toolCallSchema: Schema<IToolCallData> = new Schema(
     partIndex: {
       type: Number,
     },
+    /** The user's decision, for tool calls that required one */
+    approval: {
+      type: toolCallApprovalSchema,
+    },
   },
   { timestamps: true },
 );
@@ -6,6 +6,8 @@ export interface ITransaction extends Document {
   conversationId?: string;
   tokenType: 'prompt' | 'completion' | 'credits';
   model?: string;
+  /** The agent whose run incurred the transaction */
+  agent_id?: string;
   context?: string;
   valueKey?: string;
   rate?: number;
@@ -39,6 +41,9 @@ const transactionSchema: Schema<ITransaction> = new Schema(
     model: {
       type: String,
     },
+    agent_id: {
+      type: String,
+    },
     context: {
       type: String,
     },
@@ -0,0 +1,23 @@
+/**
+ * Server entry of the example plugin. Its routes are mounted under
+ * `/api/plugins/example-plugin` and require an authenticated user.
+ *
+ * @param {object} api - The registration API provided by the plugin server.
+ */
+module.exports = function register({ routes, hooks, config, logger }) {
+  let savedMessages = 0;
+
+  hooks.on(hooks.events.MESSAGE_SAVED, () => {
+    savedMessages += 1;
+  });
+
+  routes.get('/status', (req, res) => {
+    res.json({
+      greeting: config.greeting ?? 'Hello from the example plugin backend',
+      user: req.user.id,
+      savedMessages,
+    });
+  });
+
+  logger.info('registered');
+};
@@ -1,26 +1,31 @@
-(async function() {
-  try {
-    // — Register a simple API that uses Tools under the hood
-    window.registerMyPlugin('example-plugin', {
-      greet: name => `Hello, ${name}!`,
-      echoTool: msg => window.toolApi.invoke('echo-tool', { message: msg })
-    });
-
-    // — Render a floating greet button
-    const btn = document.createElement('button');
-    btn.innerText = '👋 Greet';
-    Object.assign(btn.style, {
-      position: 'fixed',
-      bottom: '1rem',
-      left: '1rem',
-      zIndex: 9999
-    });
-    btn.onclick = () => {
-      const greeting = window.__pluginApis['example-plugin'].greet('LibreChat');
-      alert(greeting);
-    };
-    document.body.appendChild(btn);
-  } catch (err) {
-    console.error('example-plugin init failed', err);
-  }
-})();
+/**
+ * Example plugin. The default export receives an API scoped to the capabilities
+ * declared in `manifest.json` (`tools:calculator`); `libreChat.config` holds the
+ * user's values of the settings the manifest declares.
+ * @param {import('../../client/src/plugin-runtime/types').PluginApi} api
+ */
+export default function init({ registerMyPlugin, toolApi, libreChat }) {
+  // — Register a simple API that uses Tools under the hood
+  const pluginApi = {
+    greet: (name) => `Hello, ${name}!`,
+    calculate: (expression) => toolApi.invoke('calculator', { input: expression }),
+    // — Render a greet button into the chat composer's toolbar
+    slots: [
+      {
+        slot: 'composer-toolbar',
+        id: 'greet',
+        render: (container) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.innerText = '👋 Greet';
+          btn.onclick = () => {
+            alert(pluginApi.greet(libreChat.config.greetingName ?? 'LibreChat'));
+          };
+          container.appendChild(btn);
+          return () => btn.remove();
+        },
+      },
+    ],
+  };
+  registerMyPlugin('example-plugin', pluginApi);
+}
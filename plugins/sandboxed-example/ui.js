@@ -0,0 +1,20 @@
+/**
+ * Example of a plugin running with `"sandbox": "iframe"`. It only has access to its own
+ * iframe document; host interaction goes through the bridged API.
+ * @param {import('../../client/src/plugin-runtime/types').PluginApi} api
+ */
+export default function init({ registerMyPlugin, libreChat, onSlot }) {
+  const { name } = libreChat.getUser();
+
+  registerMyPlugin('sandboxed-example', {
+    greet: (who) => `Hello, ${who}, from a sandbox!`,
+  });
+
+  const output = document.createElement('p');
+  output.textContent = `Signed in as ${name}`;
+  document.body.appendChild(output);
+
+  onSlot('greet', () => {
+    output.textContent = `Hello, ${name}!`;
+  });
+}